@@ -0,0 +1,921 @@
+// mock/mockApi.js - OFFLINE MOCK BACKEND FOR THE /api SURFACE
+// Enabled with VITE_MOCK_API=true (see vite.config.js). Pairs with src/utils/stubWallet.js,
+// which auto-approves manifests by posting them to /api/mockWallet/submit.
+import { parseManifestWithdrawals } from '../src/utils/manifestCosts.js';
+import { BATTLE_RESULTS, calculateBattleRewards, calculateDailyScore } from '../src/utils/battleRewards.js';
+import { buildBattleProfile } from '../src/utils/battleProfile.js';
+import { getCampaignStage, isCampaignDifficulty, isStageUnlocked } from '../src/utils/campaign.js';
+import {
+  getDailyChallenge,
+  getDailyDate,
+  getDailyDifficulty,
+  isDailyDateOpen,
+  isDailyDifficulty
+} from '../src/utils/dailyChallenge.js';
+import { getGauntletWave, isGauntletDifficulty } from '../src/utils/gauntlet.js';
+import {
+  MOCK_ACCOUNTS,
+  MOCK_TOKENS,
+  MOCK_COMPONENT_ADDRESS,
+  createMockState,
+  createMockCreature,
+  createMockItem,
+  createRewardItem,
+  nextMockId
+} from './mockData.js';
+
+// Costs and timings - kept in line with GameContext and the minting screens
+const MACHINE_BASE_COSTS = {
+  catLair: { tcorvax: 10 },
+  reactor: { tcorvax: 10, catNips: 10 },
+  amplifier: { tcorvax: 10, catNips: 10, energy: 10 },
+  incubator: { tcorvax: 320, catNips: 320, energy: 320 },
+  fomoHit: { tcorvax: 640, catNips: 640, energy: 640 }
+};
+const MACHINE_MAX_LEVELS = { catLair: 3, reactor: 3, amplifier: 5, incubator: 2, fomoHit: 1 };
+const MACHINE_COOLDOWN_MS = 3600 * 1000;
+const MOVE_COST = 50;
+const PET_COST = 1500;
+const CREATURE_MINT_PRICE = 250;
+const ENERGY_PACK = { amount: 500, cvxCost: 200 };
+const LOCK_FEE = 1;
+const BATTLE_HISTORY_PAGE = 20;
+const MAX_BATTLE_HISTORY_PAGE = 50;
+const DAILY_LEADERBOARD_SIZE = 10;
+const MAX_DAILY_LEADERBOARD_SIZE = 50;
+
+// How long a signed mock transaction stays pending before it commits
+const MOCK_COMMIT_DELAY_MS = 2000;
+
+// Live sync - changes kept for replay, and the stand-in for Telegram bot rewards
+const MAX_CHANGE_LOG = 100;
+const BOT_REWARD_INTERVAL_MS = 60 * 1000;
+const BOT_REWARD = { tcorvax: 5 };
+
+const ok = (body) => ({ status: 200, body });
+const fail = (status, error, extra = {}) => ({ status, body: { error, ...extra } });
+
+const symbolForResource = (resourceAddress) => (
+  Object.keys(MOCK_TOKENS).find(symbol => MOCK_TOKENS[symbol] === resourceAddress) || null
+);
+
+const resourcesOf = (player) => ({
+  tcorvax: player.tcorvax,
+  catNips: player.catNips,
+  energy: player.energy,
+  eggs: player.eggs
+});
+
+const canPay = (player, cost) => Object.keys(cost).every(key => player[key] >= cost[key]);
+
+const pay = (player, cost) => {
+  Object.keys(cost).forEach(key => {
+    player[key] -= cost[key];
+  });
+};
+
+const countMachines = (state, type) => state.machines.filter(machine => machine.type === type).length;
+
+// Same build limits and cost steps as canBuildMachine / calculateMachineCost in GameContext
+const getBuildCost = (state, type) => {
+  const base = MACHINE_BASE_COSTS[type];
+  const builtCount = countMachines(state, type);
+
+  if ((type === 'catLair' || type === 'reactor') && builtCount === 1) {
+    return Object.fromEntries(Object.entries(base).map(([key, value]) => [key, value * 4]));
+  }
+  if (type === 'reactor' && builtCount === 2) {
+    return { tcorvax: 640, catNips: 640 };
+  }
+  return { ...base };
+};
+
+const getBuildLimit = (state, type) => {
+  if (type === 'catLair') return 2;
+  if (type === 'reactor') {
+    return countMachines(state, 'incubator') && countMachines(state, 'fomoHit') ? 3 : 2;
+  }
+  return 1;
+};
+
+// Manifest in the same shape the backend returns; the op id ties it to a pending operation
+const buildManifest = (state, accountAddress, method, withdrawals, details) => {
+  const opId = nextMockId('op');
+  state.operations[opId] = { method, accountAddress, details, used: false };
+
+  return [
+    `CALL_METHOD Address("${accountAddress}") "lock_fee" Decimal("${LOCK_FEE}");`,
+    ...withdrawals.map(({ token, amount }) => (
+      `CALL_METHOD Address("${accountAddress}") "withdraw" Address("${MOCK_TOKENS[token]}") Decimal("${amount}");`
+    )),
+    `CALL_METHOD Address("${MOCK_COMPONENT_ADDRESS}") "${method}" "${opId}";`,
+    `CALL_METHOD Address("${accountAddress}") "deposit_batch" Expression("ENTIRE_WORKTOP");`
+  ].join('\n');
+};
+
+const findWallet = (state, accountAddress) => state.wallets[accountAddress] || null;
+
+const findCreature = (state, creatureId) => {
+  for (const wallet of Object.values(state.wallets)) {
+    const creature = wallet.creatures.find(item => item.id === creatureId);
+    if (creature) return creature;
+  }
+  return null;
+};
+
+// ========== BATTLES ==========
+
+// Keep only the fields a battle record needs from submitted creatures - once per id,
+// with health no higher than the creature's max
+const summarizeBattleCreatures = (list, withHealth) => {
+  const seen = new Set();
+  return (Array.isArray(list) ? list : []).reduce((summaries, creature) => {
+    const id = String(creature?.id);
+    if (seen.has(id)) return summaries;
+    seen.add(id);
+
+    const summary = {
+      id,
+      species_name: creature.species_name,
+      form: parseInt(creature.form, 10) || 0,
+      rarity: creature.rarity
+    };
+    if (withHealth) {
+      summary.maxHealth = Math.max(0, Number(creature.maxHealth) || 0);
+      summary.currentHealth = Math.min(summary.maxHealth, Math.max(0, Number(creature.currentHealth) || 0));
+    }
+    summaries.push(summary);
+    return summaries;
+  }, []);
+};
+
+const allListedIn = (list, allowed) => list.every(creature => allowed.some(entry => entry.id === creature.id));
+
+// Best win per account for a day, highest score first (ties go to whoever got there first)
+const getDailyLeaderboard = (state, date) => (
+  Object.values(state.dailyScores[date] || {})
+    .sort((a, b) => b.score - a.score || a.submittedAt - b.submittedAt)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }))
+);
+
+// Keep an account's daily challenge win if it beats their best for the day
+const recordDailyScore = (state, date, entry) => {
+  if (!state.dailyScores[date]) state.dailyScores[date] = {};
+  const best = state.dailyScores[date][entry.accountAddress];
+  if (!best || entry.score > best.score) state.dailyScores[date][entry.accountAddress] = entry;
+};
+
+// The daily part of a submitBattleResult response
+const dailyStandingOf = (state, date, accountAddress, score) => {
+  const entry = getDailyLeaderboard(state, date).find(e => e.accountAddress === accountAddress);
+  return { date, score, bestScore: entry ? entry.score : 0, rank: entry ? entry.rank : null };
+};
+
+const summarizeBattleItems = (list) => (
+  (Array.isArray(list) ? list : []).map(item => ({
+    id: String(item.id),
+    name: item.name,
+    rarity: item.rarity
+  }))
+);
+
+// ========== ON-LEDGER OPERATIONS ==========
+// Run when a signed mock transaction commits; the return value is merged into the status response
+
+const operationHandlers = {
+  mint_creature_egg: (state, op, rng) => {
+    const wallet = findWallet(state, op.accountAddress);
+    const creatureNft = createMockCreature({ form: 0 }, rng);
+    const bonusItem = createMockItem(rng() < 0.5 ? 'tool' : 'spell', rng);
+
+    wallet.creatures.push(creatureNft);
+    (bonusItem.type === 'tool' ? wallet.tools : wallet.spells).push(bonusItem);
+    return { creatureNft, bonusItem };
+  },
+
+  evolve_creature: (state, op) => {
+    const creature = findCreature(state, op.details.creatureId);
+    creature.form += 1;
+    creature.image_url = creature.image_url.replace(/(_egg|_form\d)\.png$/, `_form${creature.form}.png`);
+    Object.keys(creature.stats).forEach(stat => {
+      creature.stats[stat] += 2;
+    });
+    creature.evolution_progress = { stat_upgrades_completed: 0, total_points_allocated: 0 };
+    return { creature };
+  },
+
+  upgrade_stats: (state, op) => {
+    const creature = findCreature(state, op.details.creatureId);
+    const points = op.details.points;
+    Object.keys(points).forEach(stat => {
+      creature.stats[stat] += points[stat];
+    });
+
+    const totalPoints = Object.values(points).reduce((sum, value) => sum + value, 0);
+    if (creature.form >= 3) {
+      creature.final_form_upgrades += 1;
+    } else {
+      creature.evolution_progress.stat_upgrades_completed += 1;
+    }
+    creature.evolution_progress.total_points_allocated += totalPoints;
+    return { creature };
+  },
+
+  mint_fomo_hit: (state, op) => {
+    const machine = state.machines.find(item => item.id === op.details.machineId);
+    if (machine) {
+      machine.lastActivated = Date.now();
+      machine.provisionalMint = 0;
+    }
+    return {};
+  },
+
+  buy_energy: (state) => {
+    state.player.energy += ENERGY_PACK.amount;
+    return { newEnergy: state.player.energy };
+  }
+};
+
+const commitTransaction = (state, transaction, rng) => {
+  const op = state.operations[transaction.opId];
+  if (!op || op.used) {
+    transaction.status = 'Failed';
+    transaction.error = op ? 'Manifest was already submitted' : 'Unknown mock operation';
+    return;
+  }
+
+  // Pay with the same parser the confirmation dialog uses
+  const wallet = findWallet(state, op.accountAddress);
+  const spends = parseManifestWithdrawals(transaction.manifest).map(entry => ({
+    ...entry,
+    symbol: symbolForResource(entry.resourceAddress)
+  }));
+  const short = spends.find(spend => !wallet || (wallet.balances[spend.symbol] || 0) < spend.amount);
+  if (short) {
+    transaction.status = 'Failed';
+    transaction.error = `Insufficient ${short.symbol || 'funds'} in ${op.accountAddress}`;
+    return;
+  }
+  spends.forEach(spend => {
+    wallet.balances[spend.symbol] -= spend.amount;
+  });
+
+  op.used = true;
+  transaction.result = operationHandlers[op.method](state, op, rng);
+  transaction.status = 'CommittedSuccess';
+};
+
+// Commits the transaction once MOCK_COMMIT_DELAY_MS has passed since it was signed
+const getTransactionStatus = (state, intentHash, rng) => {
+  const transaction = state.transactions[intentHash];
+  if (!transaction) {
+    return {
+      transactionStatus: {
+        status: 'Rejected',
+        error_message: 'Unknown to the mock ledger (was the dev server restarted?)'
+      }
+    };
+  }
+
+  if (transaction.status === 'Pending' && Date.now() - transaction.submittedAt >= MOCK_COMMIT_DELAY_MS) {
+    commitTransaction(state, transaction, rng);
+  }
+
+  return {
+    transactionStatus: { status: transaction.status, error_message: transaction.error || null },
+    ...(transaction.result || {})
+  };
+};
+
+// ========== ROUTES ==========
+
+const routes = {
+  // ----- Player and game state -----
+  'GET whoami': (state) => ok({ loggedIn: true, firstName: state.player.firstName }),
+
+  'GET getGameState': (state) => ok({
+    ...resourcesOf(state.player),
+    seenRoomUnlock: state.player.seenRoomUnlock,
+    roomsUnlocked: state.player.roomsUnlocked,
+    pets: state.pets,
+    machines: state.machines,
+    version: state.version
+  }),
+
+  'POST getGameStateChanges': (state, body) => {
+    const changes = changesSince(state, body.since);
+    if (changes === null) return ok({ version: state.version, changes: [], resync: true });
+    return ok({ version: state.version, changes });
+  },
+
+  'POST dismissRoomUnlock': (state) => {
+    state.player.seenRoomUnlock = 1;
+    return ok({ status: 'ok' });
+  },
+
+  'POST saveRadixAccount': (state, body) => {
+    if (!body.accountAddress) return fail(400, 'No account address provided');
+    state.player.accountAddress = body.accountAddress;
+    return ok({ status: 'ok', accountAddress: body.accountAddress });
+  },
+
+  // ----- Machines -----
+  'POST buildMachine': (state, body) => {
+    const { machineType, x, y, room = 1 } = body;
+    if (!MACHINE_BASE_COSTS[machineType]) return fail(400, 'Invalid machine type');
+    if (countMachines(state, machineType) >= getBuildLimit(state, machineType)) {
+      return fail(400, 'Machine limit reached for this type');
+    }
+
+    const cost = getBuildCost(state, machineType);
+    if (!canPay(state.player, cost)) return fail(400, 'Not enough resources');
+    pay(state.player, cost);
+
+    state.machines.push({
+      id: state.nextMachineId++,
+      type: machineType,
+      x,
+      y,
+      level: 1,
+      room,
+      lastActivated: 0,
+      isOffline: 0,
+      provisionalMint: 0
+    });
+
+    // The second room opens up with the FOMO HIT
+    if (machineType === 'fomoHit') {
+      state.player.roomsUnlocked = 2;
+    }
+
+    return ok({ newResources: resourcesOf(state.player), roomsUnlocked: state.player.roomsUnlocked });
+  },
+
+  'POST upgradeMachine': (state, body) => {
+    const machine = state.machines.find(item => item.id === body.machineId);
+    if (!machine) return fail(404, 'Machine not found');
+    if (machine.level >= MACHINE_MAX_LEVELS[machine.type]) return fail(400, 'Machine is already at max level');
+
+    const cost = Object.fromEntries(
+      Object.entries(MACHINE_BASE_COSTS[machine.type]).map(([key, value]) => [key, value * (machine.level + 1)])
+    );
+    if (!canPay(state.player, cost)) return fail(400, 'Not enough resources');
+    pay(state.player, cost);
+
+    machine.level += 1;
+    return ok({ newResources: resourcesOf(state.player), newLevel: machine.level });
+  },
+
+  'POST moveMachine': (state, body) => {
+    const machine = state.machines.find(item => item.id === body.machineId);
+    if (!machine) return fail(404, 'Machine not found');
+    if (state.player.tcorvax < MOVE_COST) return fail(400, 'Not enough TCorvax');
+
+    state.player.tcorvax -= MOVE_COST;
+    machine.x = body.x;
+    machine.y = body.y;
+    machine.room = body.room || machine.room;
+    return ok({
+      newResources: { tcorvax: state.player.tcorvax },
+      newPosition: { x: machine.x, y: machine.y, room: machine.room }
+    });
+  },
+
+  'POST syncLayout': (state, body) => {
+    (body.machines || []).forEach(saved => {
+      const machine = state.machines.find(item => item.id === saved.id);
+      if (machine) {
+        machine.x = saved.x;
+        machine.y = saved.y;
+        machine.room = saved.room || 1;
+      }
+    });
+    return ok({ status: 'ok' });
+  },
+
+  'POST activateMachine': (state, body, rng) => {
+    const machine = state.machines.find(item => item.id === body.machineId);
+    if (!machine) return fail(404, 'Machine not found');
+
+    const player = state.player;
+    const needsWallet = machine.type === 'incubator' || machine.type === 'fomoHit';
+    if (needsWallet && !body.accountAddress) {
+      return ok({ message: 'Offline', updatedResources: resourcesOf(player) });
+    }
+
+    // First FOMO HIT activation mints its NFT instead of producing
+    if (machine.type === 'fomoHit' && machine.lastActivated === 0) {
+      machine.provisionalMint = 1;
+      return ok({
+        requiresMint: true,
+        manifest: buildManifest(state, body.accountAddress, 'mint_fomo_hit', [], { machineId: machine.id }),
+        message: 'Mint your FOMO HIT NFT',
+        updatedResources: resourcesOf(player)
+      });
+    }
+
+    const elapsed = Date.now() - machine.lastActivated;
+    if (elapsed < MACHINE_COOLDOWN_MS) {
+      return fail(400, 'Machine is on cooldown', { remainingMs: MACHINE_COOLDOWN_MS - elapsed });
+    }
+
+    const amplifier = state.machines.find(item => item.type === 'amplifier');
+    const response = {};
+
+    if (machine.type === 'catLair') {
+      player.catNips += 5 * machine.level;
+    } else if (machine.type === 'reactor') {
+      player.tcorvax += machine.level + (amplifier ? 0.5 * amplifier.level : 0);
+      player.energy += 2 * machine.level;
+    } else if (machine.type === 'incubator') {
+      const baseReward = 10 * machine.level;
+      const bonusReward = Math.floor(rng() * 5);
+      const eggsReward = rng() < 0.25 ? 1 : 0;
+      player.tcorvax += baseReward + bonusReward;
+      player.eggs += eggsReward;
+      Object.assign(response, { baseReward, bonusReward, eggsReward, stakedCVX: 0 });
+    } else if (machine.type === 'fomoHit') {
+      player.tcorvax += 5;
+    } else {
+      return fail(400, 'This machine cannot be activated');
+    }
+
+    machine.lastActivated = Date.now();
+    return ok({
+      ...response,
+      updatedResources: resourcesOf(player),
+      newLastActivated: machine.lastActivated,
+      message: 'Activated!'
+    });
+  },
+
+  // ----- Pets -----
+  'GET getPets': (state) => ok(state.pets),
+
+  'POST buyPet': (state, body) => {
+    if (state.player.catNips < PET_COST) return fail(400, 'Not enough Cat Nips');
+    state.player.catNips -= PET_COST;
+
+    const pet = {
+      id: nextMockId('pet'),
+      type: body.petType || 'cat',
+      x: body.x,
+      y: body.y,
+      room: body.room || 1,
+      parentMachine: body.parentMachine
+    };
+    state.pets.push(pet);
+    return ok({
+      newResources: { catNips: state.player.catNips },
+      petId: pet.id,
+      petType: pet.type,
+      position: { x: pet.x, y: pet.y, room: pet.room }
+    });
+  },
+
+  'POST movePet': (state, body) => {
+    const pet = state.pets.find(item => item.id === body.petId);
+    if (!pet) return fail(404, 'Pet not found');
+    pet.x = body.x;
+    pet.y = body.y;
+    pet.room = body.room || pet.room;
+    return ok({ newPosition: { x: pet.x, y: pet.y, room: pet.room } });
+  },
+
+  'POST buyEnergy': (state, body) => {
+    if (!findWallet(state, body.accountAddress)) return fail(400, 'Unknown account');
+    return ok({
+      manifest: buildManifest(state, body.accountAddress, 'buy_energy', [{ token: 'CVX', amount: ENERGY_PACK.cvxCost }], {})
+    });
+  },
+
+  'POST confirmEnergyPurchase': (state, body, rng) => {
+    const status = getTransactionStatus(state, body.intentHash, rng);
+    return ok(status.transactionStatus.status === 'CommittedSuccess' ? { ...status, status: 'ok' } : status);
+  },
+
+  // ----- Battles -----
+  'POST submitBattleResult': (state, body) => {
+    const { accountAddress, result, difficulty, replayHash } = body;
+    if (!Object.values(BATTLE_RESULTS).includes(result)) return fail(400, 'Invalid battle result');
+    if (typeof replayHash !== 'string' || !replayHash) return fail(400, 'Missing replay hash');
+
+    const turns = parseInt(body.turns, 10);
+    if (Number.isNaN(turns) || turns < 1) return fail(400, 'Invalid turn count');
+
+    const wallet = findWallet(state, accountAddress);
+    if (!wallet) return fail(400, 'Unknown account');
+
+    // Each battle is credited once - a resubmission gets the original rewards back
+    const stage = getCampaignStage(difficulty);
+    const previous = state.battleResults.find(record => record.replayHash === replayHash);
+    if (previous) {
+      const response = {
+        rewards: previous.rewards,
+        newResources: resourcesOf(state.player),
+        battleExperience: state.player.battleExperience,
+        duplicate: true
+      };
+      if (stage) response.campaign = { clearedStages: state.campaign.clearedStages, firstClear: false };
+      if (previous.daily) response.daily = dailyStandingOf(state, previous.daily.date, accountAddress, previous.daily.score);
+      const previousWave = getGauntletWave(previous.difficulty);
+      if (previousWave) response.gauntlet = { wave: previousWave.wave, bestWave: state.gauntlet.bestWave, newBest: false };
+      return ok(response);
+    }
+
+    // Campaign stages must be unlocked before they count
+    if (isCampaignDifficulty(difficulty) && !stage) return fail(400, 'Unknown campaign stage');
+    if (stage && !isStageUnlocked(stage.id, state.campaign.clearedStages)) {
+      return fail(400, 'This campaign stage is still locked');
+    }
+
+    // Daily challenges are only scored while open
+    const challenge = getDailyChallenge(difficulty);
+    if (isDailyDifficulty(difficulty) && !challenge) return fail(400, 'Unknown daily challenge');
+    if (challenge && !isDailyDateOpen(challenge.date)) return fail(400, 'That daily challenge has closed');
+
+    // Gauntlet waves are fought in order - a run starts at wave 1 and goes on one win at a time
+    const gauntletWave = getGauntletWave(difficulty);
+    if (isGauntletDifficulty(difficulty) && !gauntletWave) return fail(400, 'Unknown gauntlet wave');
+    if (gauntletWave && gauntletWave.wave > 1 && gauntletWave.wave !== state.gauntlet.runWave + 1) {
+      return fail(400, 'Win the previous gauntlet wave first');
+    }
+
+    // The loadout is what the player brought; survivors and deployed creatures must come from it
+    const loadout = summarizeBattleCreatures(body.loadout, false);
+    const survivors = summarizeBattleCreatures(body.survivors, true);
+    const defeated = summarizeBattleCreatures(body.defeated, false);
+    const creaturesUsed = summarizeBattleCreatures(body.creaturesUsed, false);
+    if (!allListedIn(loadout, wallet.creatures)) {
+      return fail(400, 'The loadout must be creatures held by this account');
+    }
+    if (!allListedIn(survivors, loadout) || !allListedIn(creaturesUsed, loadout)) {
+      return fail(400, 'Survivors and deployed creatures must be in the battle loadout');
+    }
+
+    // Item rolls are seeded from the server's secret, never from anything the client sends
+    const recordId = state.battleResults.length + 1;
+    const rewardSeed = `${state.rewardSecret}:${recordId}`;
+    const rewards = calculateBattleRewards({ result, difficulty, turns, survivors, defeated, creaturesUsed, rewardSeed });
+    const items = rewards.items.map(createRewardItem);
+    items.forEach(item => {
+      wallet[item.type === 'spell' ? 'spells' : 'tools'].push(item);
+    });
+    state.player.tcorvax += rewards.currency;
+    state.player.battleExperience += rewards.experience;
+
+    const record = {
+      id: recordId,
+      replayHash,
+      accountAddress,
+      result,
+      difficulty,
+      turns,
+      loadout,
+      survivors,
+      defeated,
+      creaturesUsed,
+      toolsUsed: summarizeBattleItems(body.toolsUsed),
+      spellsUsed: summarizeBattleItems(body.spellsUsed),
+      teamRating: Math.max(0, Math.round(Number(body.teamRating) || 0)),
+      rewards: { ...rewards, items },
+      submittedAt: Date.now()
+    };
+    if (challenge) {
+      const { score, survivingHp } = calculateDailyScore({ result, turns, survivors });
+      record.daily = { date: challenge.date, score };
+      if (score > 0) {
+        recordDailyScore(state, challenge.date, {
+          accountAddress,
+          playerName: MOCK_ACCOUNTS.find(account => account.address === accountAddress)?.label || accountAddress,
+          score,
+          turns,
+          survivingHp,
+          submittedAt: record.submittedAt
+        });
+      }
+    }
+    state.battleResults.push(record);
+
+    const response = {
+      rewards: record.rewards,
+      newResources: resourcesOf(state.player),
+      battleExperience: state.player.battleExperience
+    };
+    if (stage) {
+      const firstClear = result === BATTLE_RESULTS.VICTORY && !state.campaign.clearedStages.includes(stage.id);
+      if (firstClear) state.campaign.clearedStages.push(stage.id);
+      response.campaign = { clearedStages: state.campaign.clearedStages, firstClear };
+    }
+    if (record.daily) {
+      response.daily = dailyStandingOf(state, record.daily.date, accountAddress, record.daily.score);
+    }
+    if (gauntletWave) {
+      const { wave } = gauntletWave;
+      const newBest = wave > state.gauntlet.bestWave;
+      if (newBest) state.gauntlet.bestWave = wave;
+      // A loss ends the run
+      state.gauntlet.runWave = result === BATTLE_RESULTS.VICTORY ? wave : 0;
+      response.gauntlet = { wave, bestWave: state.gauntlet.bestWave, newBest };
+    }
+    return ok(response);
+  },
+
+  'POST getCampaignProgress': (state) => ok({ clearedStages: state.campaign.clearedStages }),
+
+  'POST getGauntletProgress': (state) => ok({ bestWave: state.gauntlet.bestWave }),
+
+  'POST getDailyLeaderboard': (state, body) => {
+    const date = body.date || getDailyDate();
+    const challenge = getDailyChallenge(getDailyDifficulty(date));
+    if (!challenge) return fail(400, 'Invalid date');
+
+    const limit = Math.min(MAX_DAILY_LEADERBOARD_SIZE, Math.max(1, parseInt(body.limit, 10) || DAILY_LEADERBOARD_SIZE));
+    const leaderboard = getDailyLeaderboard(state, date);
+    const { id, name, description } = challenge.modifier;
+    return ok({
+      date,
+      modifier: { id, name, description },
+      entries: leaderboard.slice(0, limit),
+      playerEntry: leaderboard.find(entry => entry.accountAddress === body.accountAddress) || null
+    });
+  },
+
+  'POST getBattleHistory': (state, body) => {
+    const limit = Math.min(MAX_BATTLE_HISTORY_PAGE, Math.max(1, parseInt(body.limit, 10) || BATTLE_HISTORY_PAGE));
+    const before = parseInt(body.before, 10);
+    const isFirstPage = Number.isNaN(before);
+    const older = isFirstPage ? state.battleResults : state.battleResults.filter(record => record.id < before);
+
+    const response = { results: older.slice(-limit).reverse(), hasMore: older.length > limit };
+    if (isFirstPage) {
+      response.profile = buildBattleProfile(state.battleResults);
+      response.battleExperience = state.player.battleExperience;
+    }
+    return ok(response);
+  },
+
+  // ----- NFTs and balances -----
+  'POST getUserCreatures': (state, body) => {
+    const wallet = findWallet(state, body.accountAddress);
+    return ok({ creatures: wallet ? wallet.creatures : [] });
+  },
+
+  'POST getUserItems': (state, body) => {
+    const wallet = findWallet(state, body.accountAddress);
+    return ok({ tools: wallet ? wallet.tools : [], spells: wallet ? wallet.spells : [] });
+  },
+
+  'POST checkXrdBalance': (state, body) => {
+    const wallet = findWallet(state, body.accountAddress);
+    if (!wallet) return ok({ xrdBalance: 0, statusMessage: 'Unknown mock account' });
+    return ok({ xrdBalance: wallet.balances.XRD, statusMessage: null });
+  },
+
+  'POST checkTokenBalance': (state, body) => {
+    const wallet = findWallet(state, body.accountAddress);
+    return ok({ tokenBalance: wallet ? wallet.balances[body.tokenSymbol] || 0 : 0 });
+  },
+
+  'POST getCreatureMintManifest': (state, body) => {
+    if (!findWallet(state, body.accountAddress)) return fail(400, 'Unknown account');
+    return ok({
+      manifest: buildManifest(
+        state, body.accountAddress, 'mint_creature_egg', [{ token: 'XRD', amount: CREATURE_MINT_PRICE }], {}
+      )
+    });
+  },
+
+  'POST getEvolveManifest': (state, body) => {
+    const creature = findCreature(state, body.creatureId);
+    if (!creature) return fail(404, 'Creature not found');
+    if (creature.form >= 3) return fail(400, 'Creature is already in its final form');
+
+    const cost = { amount: 50 * (creature.form + 1), token: creature.preferred_token };
+    return ok({
+      manifest: buildManifest(state, body.accountAddress, 'evolve_creature', [cost], { creatureId: creature.id }),
+      cost
+    });
+  },
+
+  'POST getUpgradeStatsManifest': (state, body) => {
+    const creature = findCreature(state, body.creatureId);
+    if (!creature) return fail(404, 'Creature not found');
+
+    const points = {};
+    ['energy', 'strength', 'magic', 'stamina', 'speed'].forEach(stat => {
+      points[stat] = Math.max(0, parseInt(body[stat], 10) || 0);
+    });
+    const totalPoints = Object.values(points).reduce((sum, value) => sum + value, 0);
+    if (totalPoints === 0) return fail(400, 'Allocate at least one stat point');
+
+    const cost = { amount: 10 * totalPoints, token: creature.preferred_token };
+    return ok({
+      manifest: buildManifest(state, body.accountAddress, 'upgrade_stats', [cost], { creatureId: creature.id, points }),
+      cost
+    });
+  },
+
+  // ----- Transaction status -----
+  'POST checkMintStatus': (state, body, rng) => ok(getTransactionStatus(state, body.intentHash, rng)),
+  'POST checkCreatureMintStatus': (state, body, rng) => ok(getTransactionStatus(state, body.intentHash, rng)),
+  'POST checkUpgradeStatus': (state, body, rng) => ok(getTransactionStatus(state, body.intentHash, rng)),
+
+  // ----- Stub wallet -----
+  'GET mockWallet/accounts': () => ok({ accounts: MOCK_ACCOUNTS }),
+
+  'POST mockWallet/submit': (state, body) => {
+    const match = (body.manifest || '').match(new RegExp(`Address\\("${MOCK_COMPONENT_ADDRESS}"\\)\\s+"[a-z_]+"\\s+"([^"]+)"`));
+    if (!match) return fail(400, 'Manifest does not call the mock component');
+
+    const intentHash = `txid_rdx_mock_${Date.now().toString(36)}_${nextMockId('intent')}`;
+    state.transactions[intentHash] = {
+      opId: match[1],
+      manifest: body.manifest,
+      submittedAt: Date.now(),
+      status: 'Pending'
+    };
+    console.log(`[mock api] Auto-approved ${match[1]} as ${intentHash}`);
+    return ok({ transactionIntentHash: intentHash });
+  }
+};
+
+// ========== LIVE SYNC ==========
+
+const snapshotOf = (state) => ({
+  resources: resourcesOf(state.player),
+  machines: new Map(state.machines.map(machine => [machine.id, JSON.stringify(machine)])),
+  pets: new Map(state.pets.map(pet => [pet.id, JSON.stringify(pet)]))
+});
+
+// Entities added or changed since the snapshot, and the ids that disappeared
+const diffEntities = (before, list) => {
+  const ids = new Set(list.map(entity => entity.id));
+  return {
+    changed: list.filter(entity => before.get(entity.id) !== JSON.stringify(entity)),
+    removed: [...before.keys()].filter(id => !ids.has(id))
+  };
+};
+
+/**
+ * Record everything that changed since the snapshot as one numbered change
+ * (the shape src/utils/GameStateSync.js expects)
+ * @returns {Object|null} The change, or null when nothing changed
+ */
+const recordChange = (state, before) => {
+  const change = {};
+
+  const resources = resourcesOf(state.player);
+  Object.keys(resources).forEach(key => {
+    if (resources[key] !== before.resources[key]) {
+      change.resources = { ...change.resources, [key]: resources[key] };
+    }
+  });
+
+  const machines = diffEntities(before.machines, state.machines);
+  if (machines.changed.length) change.machines = machines.changed;
+  if (machines.removed.length) change.removedMachineIds = machines.removed;
+
+  const pets = diffEntities(before.pets, state.pets);
+  if (pets.changed.length) change.pets = pets.changed;
+  if (pets.removed.length) change.removedPetIds = pets.removed;
+
+  if (!Object.keys(change).length) return null;
+
+  state.version += 1;
+  change.version = state.version;
+  state.changeLog.push(change);
+  if (state.changeLog.length > MAX_CHANGE_LOG) state.changeLog.shift();
+  return change;
+};
+
+// Changes after `since` - null when the log no longer reaches back that far (or the server restarted)
+const changesSince = (state, since) => {
+  if (typeof since !== 'number' || Number.isNaN(since)) return [];
+  if (since > state.version) return null;
+
+  const oldest = state.changeLog[0];
+  if (since < state.version && (!oldest || oldest.version > since + 1)) return null;
+  return state.changeLog.filter(change => change.version > since);
+};
+
+const writeChangeEvent = (res, change) => {
+  res.write(`id: ${change.version}\ndata: ${JSON.stringify(change)}\n\n`);
+};
+
+// GET /api/gameStateStream?since=<version> - replays missed changes, then streams new ones
+const openChangeStream = (state, req, res, streams) => {
+  const since = parseInt(new URL(req.url, 'http://mock').searchParams.get('since'), 10);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(': connected\n\n');
+
+  const missed = changesSince(state, since);
+  if (missed === null) {
+    res.write(`event: resync\ndata: ${JSON.stringify({ version: state.version })}\n\n`);
+  } else {
+    missed.forEach(change => writeChangeEvent(res, change));
+  }
+
+  streams.add(res);
+  req.on('close', () => streams.delete(res));
+};
+
+// ========== HTTP PLUMBING ==========
+
+const readJsonBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (error) {
+      console.error('[mock api] Invalid JSON body:', error.message);
+      resolve({});
+    }
+  });
+});
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Connect middleware for everything under /api, including the live sync event stream
+ * @param {Object} state - State from createMockState
+ * @param {Function} rng - Random source (defaults to Math.random)
+ * @returns {Function} (req, res) handler
+ */
+export const createMockApiMiddleware = (state, rng = Math.random) => {
+  const streams = new Set(); // open gameStateStream responses
+
+  const publish = (before) => {
+    const change = recordChange(state, before);
+    if (change) streams.forEach(res => writeChangeEvent(res, change));
+  };
+
+  // Resources granted outside the game, like the Telegram bot does on the real backend
+  const botTimer = setInterval(() => {
+    const before = snapshotOf(state);
+    Object.keys(BOT_REWARD).forEach(key => {
+      state.player[key] += BOT_REWARD[key];
+    });
+    publish(before);
+  }, BOT_REWARD_INTERVAL_MS);
+  if (botTimer.unref) botTimer.unref();
+
+  return async (req, res) => {
+    // Mounted on /api, so req.url is the route name plus any query string
+    const route = req.url.split('?')[0].replace(/^\/+/, '');
+    if (req.method === 'GET' && route === 'gameStateStream') {
+      openChangeStream(state, req, res, streams);
+      return;
+    }
+
+    const handler = routes[`${req.method} ${route}`];
+
+    if (!handler) {
+      console.error(`[mock api] No mock for ${req.method} /api/${route}`);
+      sendJson(res, 404, { error: `No mock for ${req.method} /api/${route}` });
+      return;
+    }
+
+    try {
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      const before = snapshotOf(state);
+      const result = handler(state, body, rng);
+      publish(before);
+      sendJson(res, result.status, result.body);
+    } catch (error) {
+      console.error(`[mock api] ${route} failed:`, error);
+      sendJson(res, 500, { error: error.message });
+    }
+  };
+};
+
+/**
+ * Vite plugin serving the mock backend from the dev and preview servers
+ * @returns {Object} Vite plugin
+ */
+export const mockApiPlugin = () => {
+  const state = createMockState();
+  const middleware = createMockApiMiddleware(state);
+
+  const mount = (server) => {
+    server.middlewares.use('/api', middleware);
+  };
+
+  return {
+    name: 'corvax-mock-api',
+    configureServer: mount,
+    configurePreviewServer: mount
+  };
+};
@@ -0,0 +1,162 @@
+// mock/mockData.js - SEED STATE AND FAKE NFTS FOR THE OFFLINE MOCK BACKEND
+// Everything lives in memory and resets when the dev server restarts.
+import { getCreatureTemplates, getCreatureImageUrl } from '../src/utils/enemyCreatures.js';
+
+// Accounts the stub wallet shares (first one is the default selection)
+export const MOCK_ACCOUNTS = [
+  { address: 'account_rdx_mock_main_corvax_lab_0001', label: 'Mock Main', appearanceId: 0 },
+  { address: 'account_rdx_mock_vault_corvax_lab_0002', label: 'Mock Vault', appearanceId: 1 }
+];
+
+// XRD keeps its real mainnet address so manifest checks label it correctly
+export const MOCK_TOKENS = {
+  XRD: 'resource_rdx1tknxxxxxxxxxradxrdxxxxxxxxx009923554798xxxxxxxxxradxrd',
+  CVX: 'resource_rdx_mock_cvx',
+  HUG: 'resource_rdx_mock_hug',
+  EARLY: 'resource_rdx_mock_early',
+  FLOOP: 'resource_rdx_mock_floop'
+};
+
+// Component every mock manifest calls - the op id after the method name links a
+// signed transaction back to the request that built it
+export const MOCK_COMPONENT_ADDRESS = 'component_rdx_mock_corvax_lab';
+
+const STAT_NAMES = ['energy', 'strength', 'magic', 'stamina', 'speed'];
+const RARITIES = ['Common', 'Common', 'Common', 'Rare', 'Rare', 'Epic', 'Legendary'];
+const PREFERRED_TOKENS = ['XRD', 'CVX', 'HUG', 'EARLY', 'FLOOP'];
+const ITEM_EFFECTS = ['Energize', 'Empower', 'Enchant', 'Fortify', 'Hasten', 'Surge'];
+const TOOL_NAMES = ['Babylon Keystone', 'Hyperscale Hammer', 'Validator Compass', 'Radix Wrench', 'Ledger Lens'];
+const SPELL_NAMES = ['Scrypto Surge', 'Olympia Blessing', 'Xi Spark', 'Cerberus Ward', 'Alexandria Echo'];
+
+// Served for every fake tool and spell - the real artwork lives on the backend
+const ITEM_IMAGE_URL = '/vite.svg';
+
+let nextId = 1;
+export const nextMockId = (prefix) => `${prefix}_${nextId++}`;
+
+const pick = (list, rng) => list[Math.floor(rng() * list.length)];
+
+const rollStats = (form, rng) => {
+  const stats = {};
+  STAT_NAMES.forEach(stat => {
+    stats[stat] = 3 + form * 2 + Math.floor(rng() * 4);
+  });
+  return stats;
+};
+
+/**
+ * Fake creature NFT shaped like the backend's /api/getUserCreatures entries
+ * @param {Object} options - { speciesId, form, rarity } (random when missing)
+ * @param {Function} rng - Random source (defaults to Math.random)
+ * @returns {Object} Creature
+ */
+export const createMockCreature = (options = {}, rng = Math.random) => {
+  const templates = getCreatureTemplates();
+  const template = templates.find(t => t.id === options.speciesId) || pick(templates, rng);
+  const form = options.form ?? 0;
+
+  return {
+    id: nextMockId('creature'),
+    species_id: template.id,
+    species_name: template.name,
+    form,
+    rarity: options.rarity || pick(RARITIES, rng),
+    stats: rollStats(form, rng),
+    specialty_stats: template.specialtyStats,
+    image_url: getCreatureImageUrl(template.id, form),
+    evolution_progress: { stat_upgrades_completed: 0, total_points_allocated: 0 },
+    final_form_upgrades: 0,
+    combination_level: 0,
+    preferred_token: pick(PREFERRED_TOKENS, rng)
+  };
+};
+
+/**
+ * Fake tool or spell shaped like the backend's /api/getUserItems entries
+ * @param {string} type - 'tool' or 'spell'
+ * @param {Function} rng - Random source (defaults to Math.random)
+ * @returns {Object} Item
+ */
+export const createMockItem = (type, rng = Math.random) => {
+  const stat = pick(STAT_NAMES, rng);
+  const effect = pick(ITEM_EFFECTS, rng);
+  const isTool = type === 'tool';
+
+  return {
+    id: nextMockId(type),
+    type,
+    name: pick(isTool ? TOOL_NAMES : SPELL_NAMES, rng),
+    [isTool ? 'tool_type' : 'spell_type']: stat,
+    [isTool ? 'tool_effect' : 'spell_effect']: effect,
+    rarity: pick(RARITIES, rng),
+    image_url: ITEM_IMAGE_URL,
+    description: `A mock ${type} that affects ${stat}.`
+  };
+};
+
+/**
+ * Turn a battle reward item into a wallet item - Evolution Crystals are kept with the tools
+ * @param {Object} reward - Item from calculateBattleRewards
+ * @returns {Object} Item
+ */
+export const createRewardItem = (reward) => {
+  const isSpell = reward.type === 'spell';
+  const item = {
+    ...reward,
+    id: nextMockId(isSpell ? 'spell' : 'tool'),
+    type: isSpell ? 'spell' : 'tool',
+    image_url: ITEM_IMAGE_URL
+  };
+
+  if (reward.type === 'enhancement') {
+    item.tool_type = 'enhancement';
+    item.tool_effect = 'Evolve';
+  }
+
+  return item;
+};
+
+const createMockWallet = (rng) => ({
+  balances: { XRD: 5000, CVX: 2000, HUG: 1000, EARLY: 1000, FLOOP: 1000 },
+  creatures: [
+    createMockCreature({ form: 0 }, rng),
+    createMockCreature({ form: 1 }, rng),
+    createMockCreature({ form: 2, rarity: 'Epic' }, rng)
+  ],
+  tools: [createMockItem('tool', rng), createMockItem('tool', rng)],
+  spells: [createMockItem('spell', rng)]
+});
+
+/**
+ * Fresh game state for a new mock server
+ * @param {Function} rng - Random source (defaults to Math.random)
+ * @returns {Object} { player, machines, pets, wallets, operations, transactions, battleResults, rewardSecret, campaign, dailyScores, gauntlet, version, changeLog }
+ */
+export const createMockState = (rng = Math.random) => ({
+  player: {
+    firstName: 'Mock Player',
+    tcorvax: 2000,
+    catNips: 2000,
+    energy: 2000,
+    eggs: 0,
+    seenRoomUnlock: 0,
+    roomsUnlocked: 1,
+    battleExperience: 0
+  },
+  machines: [
+    { id: 1, type: 'catLair', x: 128, y: 128, level: 1, room: 1, lastActivated: 0, isOffline: 0, provisionalMint: 0 },
+    { id: 2, type: 'reactor', x: 320, y: 128, level: 1, room: 1, lastActivated: 0, isOffline: 0, provisionalMint: 0 }
+  ],
+  nextMachineId: 3,
+  pets: [],
+  wallets: Object.fromEntries(MOCK_ACCOUNTS.map(account => [account.address, createMockWallet(rng)])),
+  operations: {},   // op id -> what a signed manifest will do
+  transactions: {}, // intent hash -> { opId, submittedAt, status, result }
+  battleResults: [], // submitted battles, oldest first
+  rewardSecret: Math.floor(rng() * 0x100000000).toString(16), // seeds battle reward items - never sent to clients
+  campaign: { clearedStages: [] }, // campaign stage ids won, in the order first cleared
+  dailyScores: {},  // date -> account address -> best daily challenge win
+  gauntlet: { bestWave: 0, runWave: 0 }, // best wave reached, and the last wave won in the current run
+  version: 0,       // number of the last change recorded for the live sync
+  changeLog: []     // recent changes, replayed to clients that reconnect
+});
@@ -11,6 +11,7 @@ import HelpButton from './components/HelpButton';
 import MobileRadixWrapper from './components/MobileRadixWrapper';
 import RoomUnlockMessage from './components/RoomUnlockMessage';
 import BattleGame from './components/BattleGame'; // Import BattleGame component
+import TransactionConfirmDialog from './components/TransactionConfirmDialog';
 
 // Import the Radix Connect Provider & Button
 import { RadixConnectProvider } from './context/RadixConnectContext';
@@ -174,6 +175,9 @@ function App() {
         {showBattleGame && (
           <BattleGame onClose={() => setShowBattleGame(false)} />
         )}
+        
+        {/* Cost and balance check before any manifest goes to the wallet */}
+        <TransactionConfirmDialog />
       </div>
     </RadixConnectProvider>
   );
@@ -0,0 +1,62 @@
+// src/components/AccountSwitcher.jsx
+import { useRadixConnect } from '../context/RadixConnectContext';
+
+const shortenAddress = (address) => `${address.slice(0, 10)}...${address.slice(-6)}`;
+
+/**
+ * Pick which shared Radix account drives NFT queries and manifests
+ */
+const AccountSwitcher = () => {
+  const { connected, accounts, selectedAccount, selectAccount, updateAccountSharing } = useRadixConnect();
+
+  if (!connected || !accounts || accounts.length === 0) return null;
+
+  return (
+    <div style={{
+      margin: '10px 0',
+      padding: '10px',
+      background: 'rgba(0, 0, 0, 0.3)',
+      borderRadius: '8px',
+      fontSize: '13px',
+      color: '#ccc'
+    }}>
+      <label style={{ display: 'block', marginBottom: '5px' }}>🔑 Active account</label>
+      <select
+        value={selectedAccount?.address || ''}
+        onChange={(e) => selectAccount(e.target.value)}
+        disabled={accounts.length < 2}
+        style={{
+          width: '100%',
+          padding: '6px',
+          borderRadius: '5px',
+          border: '1px solid #444',
+          backgroundColor: '#222',
+          color: '#fff'
+        }}
+      >
+        {accounts.map(account => (
+          <option key={account.address} value={account.address}>
+            {account.label ? `${account.label} (${shortenAddress(account.address)})` : shortenAddress(account.address)}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={updateAccountSharing}
+        style={{
+          marginTop: '6px',
+          background: 'none',
+          border: 'none',
+          color: '#2196F3',
+          cursor: 'pointer',
+          padding: 0,
+          fontSize: '12px',
+          textDecoration: 'underline'
+        }}
+      >
+        Share more accounts
+      </button>
+    </div>
+  );
+};
+
+export default AccountSwitcher;
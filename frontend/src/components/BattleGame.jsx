@@ -1,5 +1,5 @@
 // src/components/BattleGame.jsx - FIXED PRODUCTION VERSION
-import React, { useState, useEffect, useContext, useCallback, useReducer } from 'react';
+import React, { useState, useEffect, useContext, useCallback, useReducer, useRef, useMemo } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
 import Battlefield from './battle/Battlefield';
@@ -9,806 +9,163 @@ import BattleLog from './battle/BattleLog';
 import BattleHeader from './battle/BattleHeader';
 import DifficultySelector from './battle/DifficultySelector';
 import BattleResult from './battle/BattleResult';
-import { calculateDerivedStats } from '../utils/battleCalculations';
+import ReplayViewer from './battle/ReplayViewer';
+import EnemyIntentPanel from './battle/EnemyIntentPanel';
+import GauntletWaveCleared from './battle/GauntletWaveCleared';
+import { calculateDerivedStats, calculateTeamRating } from '../utils/battleCalculations';
 import { determineAIAction } from '../utils/battleAI';
 import { processAttack, applyTool, applySpell, defendCreature } from '../utils/battleCore';
-import { generateEnemyCreatures, getDifficultySettings, generateEnemyItems } from '../utils/difficultySettings';
+import {
+  generateCompleteEnemyLoadout,
+  getDifficultySettings,
+  getFieldSizeLimits,
+  getStartingEnergy,
+  filterAllowedSpells
+} from '../utils/difficultySettings';
+import { getDailyChallenge } from '../utils/dailyChallenge';
+import {
+  getGauntletDifficulty,
+  getGauntletWave,
+  isGauntletDifficulty,
+  getWaveRewardChoices,
+  createNextWaveRun,
+  applyWaveReward
+} from '../utils/gauntlet';
+import { createSeededRandom, createBattleSeed } from '../utils/seededRandom';
+import { startReplayRecording, recordReplayAction, finishReplayRecording, buildReplayFrames, hashReplay } from '../utils/battleReplay';
+import {
+  ACTIONS,
+  ATTACK_ENERGY_COST,
+  DEFEND_ENERGY_COST,
+  MAX_ENERGY,
+  battleReducer,
+  initialBattleState,
+  getBattleOutcome,
+  getSpellEnergyCost,
+  getMaxEnergy
+} from '../utils/battleStateMachine';
+import { validateAction } from '../utils/actionValidator';
+import { DEFAULT_AI_PERSONALITY } from '../utils/aiPersonalities';
+import { describeAction } from '../utils/aiRationale';
 
-// BALANCED CONSTANTS for strategic gameplay
-const ATTACK_ENERGY_COST = 2;           
-const DEFEND_ENERGY_COST = 1;           
-const BASE_ENERGY_REGEN = 3;            
-const SPELL_ENERGY_COST = 4;            
-const TOOL_ENERGY_COST = 0;             
-const MAX_ENERGY = 25;                  // Increased from 15 to accommodate higher energy generation
-const ENERGY_DECAY_RATE = 0.1;          
-
-// Action types for our reducer
-const ACTIONS = {
-  START_BATTLE: 'START_BATTLE',
-  DEPLOY_CREATURE: 'DEPLOY_CREATURE',
-  ENEMY_DEPLOY_CREATURE: 'ENEMY_DEPLOY_CREATURE',
-  UPDATE_CREATURE: 'UPDATE_CREATURE',
-  ATTACK: 'ATTACK',
-  USE_TOOL: 'USE_TOOL',
-  USE_SPELL: 'USE_SPELL',
-  DEFEND: 'DEFEND',
-  DRAW_CARD: 'DRAW_CARD',
-  REGENERATE_ENERGY: 'REGENERATE_ENERGY',
-  APPLY_ENERGY_DECAY: 'APPLY_ENERGY_DECAY',
-  SET_ACTIVE_PLAYER: 'SET_ACTIVE_PLAYER',
-  INCREMENT_TURN: 'INCREMENT_TURN',
-  SET_GAME_STATE: 'SET_GAME_STATE',
-  APPLY_ONGOING_EFFECTS: 'APPLY_ONGOING_EFFECTS',
-  ADD_LOG: 'ADD_LOG',
-  SPEND_ENERGY: 'SPEND_ENERGY',
-  EXECUTE_AI_ACTION: 'EXECUTE_AI_ACTION',
-  EXECUTE_AI_ACTION_SEQUENCE: 'EXECUTE_AI_ACTION_SEQUENCE',
-  COMBO_BONUS: 'COMBO_BONUS'
+// Convert a player UI action into the shape the action validator and the AI use
+const toBattleAction = (action, targetCreature, sourceCreature) => {
+  switch (action.type) {
+    case 'deploy':
+    case 'defend':
+      return { type: action.type, creature: sourceCreature };
+    case 'attack':
+      return { type: 'attack', attacker: sourceCreature, target: targetCreature };
+    case 'useTool':
+      return { type: 'useTool', tool: action.tool, target: sourceCreature };
+    case 'useSpell':
+      return { type: 'useSpell', spell: action.spell, caster: sourceCreature, target: targetCreature };
+    default:
+      return { type: action.type };
+  }
 };
 
-// FIXED: Calculate energy cost for a creature (higher forms cost MORE)
-const calculateCreatureEnergyCost = (creature) => {
-  // Base cost depends on form: Form 0 = 5, Form 1 = 6, Form 2 = 7, Form 3 = 8
-  let energyCost = 5; // Base cost for form 0
-  
-  // Add cost based on form
-  if (creature.form !== undefined && creature.form !== null) {
-    energyCost += creature.form; // Form 0 = 5, Form 1 = 6, Form 2 = 7, Form 3 = 8
+// A creature as it ended the battle, as the results endpoint expects it
+const toBattleCreature = (creature, withHealth) => {
+  const summary = {
+    id: creature.id,
+    species_name: creature.species_name,
+    form: creature.form,
+    rarity: creature.rarity
+  };
+  if (withHealth) {
+    summary.currentHealth = creature.currentHealth;
+    summary.maxHealth = creature.battleStats?.maxHealth;
   }
-  
-  // No additional cost modifiers for rarity to keep it simple
-  // This keeps the costs exactly as requested: 5, 6, 7, 8
-  
-  return energyCost;
+  return summary;
 };
 
-// ENHANCED Battle state reducer with better energy management
-const battleReducer = (state, action) => {
-  switch (action.type) {
-    case ACTIONS.START_BATTLE:
-      return {
-        ...state,
-        gameState: 'battle',
-        playerDeck: action.playerDeck,
-        playerHand: action.playerHand,
-        playerField: [],
-        enemyDeck: action.enemyDeck,
-        enemyHand: action.enemyHand,
-        enemyField: [],
-        playerEnergy: 10,
-        enemyEnergy: 10,       
-        turn: 1,
-        activePlayer: 'player',
-        battleLog: [{
-          id: Date.now(),
-          turn: 1,
-          message: `Battle started! Difficulty: ${action.difficulty.charAt(0).toUpperCase() + action.difficulty.slice(1)} - Prepare for intense combat!`
-        }],
-        playerTools: action.playerTools,
-        playerSpells: action.playerSpells,
-        enemyTools: action.enemyTools || [],
-        enemySpells: action.enemySpells || [],
-        difficulty: action.difficulty,
-        consecutiveActions: { player: 0, enemy: 0 },
-        energyMomentum: { player: 0, enemy: 0 }
-      };
-    
-    case ACTIONS.DEPLOY_CREATURE:
-      console.log("=== DEPLOY_CREATURE ACTION ===");
-      console.log("Creature being deployed:", action.creature);
-      console.log("Creature form:", action.creature.form);
-      console.log("Creature battleStats:", action.creature.battleStats);
-      console.log("Energy cost from action:", action.energyCost);
-      console.log("Energy cost from battleStats:", action.creature.battleStats?.energyCost);
-      
-      // FIXED: Parse form as number to avoid string concatenation
-      const formLevel = parseInt(action.creature.form) || 0;
-      const correctCost = 5 + formLevel;
-      const deployEnergyCost = action.energyCost || action.creature.battleStats?.energyCost || correctCost;
-      console.log("Final deploy energy cost:", deployEnergyCost);
-      
-      // FIXED: Prevent negative energy
-      if (state.playerEnergy < deployEnergyCost) {
-        console.error("Not enough energy to deploy creature");
-        return state;
-      }
-      
-      return {
-        ...state,
-        playerHand: state.playerHand.filter(c => c.id !== action.creature.id),
-        playerField: [...state.playerField, action.creature],
-        playerEnergy: Math.max(0, state.playerEnergy - deployEnergyCost),
-        consecutiveActions: { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 },
-        energyMomentum: { ...state.energyMomentum, player: state.energyMomentum.player + deployEnergyCost }
-      };
-    
-    case ACTIONS.ENEMY_DEPLOY_CREATURE:
-      console.log(`REDUCER: Deploying enemy creature ${action.creature.species_name} to field`);
-      
-      const enemyDeployCost = action.energyCost || action.creature.battleStats.energyCost || 3;
-      
-      // FIXED: Prevent negative energy and duplicate deployment
-      if (state.enemyEnergy < enemyDeployCost) {
-        console.error("Enemy doesn't have enough energy to deploy");
-        return state;
-      }
-      
-      // FIXED: Check if creature already on field
-      if (state.enemyField.some(c => c.id === action.creature.id)) {
-        console.error("Creature already deployed!");
-        return state;
-      }
-      
-      const newEnemyField = [...state.enemyField, action.creature];
-      
-      return {
-        ...state,
-        enemyHand: state.enemyHand.filter(c => c.id !== action.creature.id),
-        enemyField: newEnemyField,
-        enemyEnergy: Math.max(0, state.enemyEnergy - enemyDeployCost),
-        consecutiveActions: { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
-        energyMomentum: { ...state.energyMomentum, enemy: state.energyMomentum.enemy + enemyDeployCost }
-      };
-    
-    case ACTIONS.UPDATE_CREATURE:
-      if (action.isPlayer) {
-        return {
-          ...state,
-          playerField: state.playerField.map(c => 
-            c.id === action.creature.id ? action.creature : c
-          )
-        };
-      } else {
-        return {
-          ...state,
-          enemyField: state.enemyField.map(c => 
-            c.id === action.creature.id ? action.creature : c
-          )
-        };
-      }
-    
-    case ACTIONS.ATTACK:
-      const { attackResult } = action;
-      const isPlayerAttacker = state.playerField.some(c => c.id === attackResult.updatedAttacker.id);
-      const isPlayerDefender = state.playerField.some(c => c.id === attackResult.updatedDefender.id);
-      
-      // Apply combo damage bonus for consecutive attacks
-      let comboMultiplier = 1.0;
-      if (isPlayerAttacker && state.consecutiveActions.player > 1) {
-        comboMultiplier = 1 + (state.consecutiveActions.player * 0.05);
-      } else if (!isPlayerAttacker && state.consecutiveActions.enemy > 1) {
-        comboMultiplier = 1 + (state.consecutiveActions.enemy * 0.05);
-      }
-      
-      // FIXED: Validate energy before spending
-      if (isPlayerAttacker && state.playerEnergy < action.energyCost) {
-        console.error("Not enough energy for attack");
-        return state;
-      }
-      if (!isPlayerAttacker && state.enemyEnergy < action.energyCost) {
-        console.error("Enemy doesn't have enough energy for attack");
-        return state;
-      }
-      
-      // Spend energy for attack
-      const updatedPlayerEnergy = isPlayerAttacker 
-        ? Math.max(0, state.playerEnergy - action.energyCost)
-        : state.playerEnergy;
-        
-      const updatedEnemyEnergy = !isPlayerAttacker 
-        ? Math.max(0, state.enemyEnergy - action.energyCost)
-        : state.enemyEnergy;
-      
-      return {
-        ...state,
-        playerEnergy: updatedPlayerEnergy,
-        enemyEnergy: updatedEnemyEnergy,
-        playerField: state.playerField.map(c => {
-          if (isPlayerAttacker && c.id === attackResult.updatedAttacker.id) {
-            return attackResult.updatedAttacker;
-          }
-          if (isPlayerDefender && c.id === attackResult.updatedDefender.id) {
-            return attackResult.updatedDefender;
-          }
-          return c;
-        }).filter(c => c.currentHealth > 0),
-        enemyField: state.enemyField.map(c => {
-          if (!isPlayerAttacker && c.id === attackResult.updatedAttacker.id) {
-            return attackResult.updatedAttacker;
-          }
-          if (!isPlayerDefender && c.id === attackResult.updatedDefender.id) {
-            return attackResult.updatedDefender;
-          }
-          return c;
-        }).filter(c => c.currentHealth > 0),
-        consecutiveActions: isPlayerAttacker 
-          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
-          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
-        energyMomentum: isPlayerAttacker
-          ? { ...state.energyMomentum, player: state.energyMomentum.player + action.energyCost }
-          : { ...state.energyMomentum, enemy: state.energyMomentum.enemy + action.energyCost }
-      };
-    
-    case ACTIONS.USE_TOOL:
-      const isPlayerToolTarget = state.playerField.some(c => c.id === action.result.updatedCreature.id);
-      
-      if (!action.result || !action.result.updatedCreature) {
-        console.error("Invalid tool result:", action.result);
-        return state;
-      }
-      
-      return {
-        ...state,
-        playerField: isPlayerToolTarget
-          ? state.playerField.map(c => c.id === action.result.updatedCreature.id ? action.result.updatedCreature : c)
-          : state.playerField,
-        enemyField: !isPlayerToolTarget
-          ? state.enemyField.map(c => c.id === action.result.updatedCreature.id ? action.result.updatedCreature : c)
-          : state.enemyField,
-        playerTools: action.isPlayerTool ? state.playerTools.filter(t => t.id !== action.tool.id) : state.playerTools,
-        enemyTools: action.isEnemyTool ? state.enemyTools.filter(t => t.id !== action.tool.id) : state.enemyTools,
-        consecutiveActions: action.isPlayerTool
-          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
-          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 }
-      };
-    
-    case ACTIONS.USE_SPELL:
-      const { spellResult, spell } = action;
-      
-      if (!spellResult || !spellResult.updatedCaster || !spellResult.updatedTarget) {
-        console.error("Invalid spell result:", spellResult);
-        return state;
-      }
-      
-      const isPlayerCaster = state.playerField.some(c => c.id === spellResult.updatedCaster.id);
-      const isPlayerTarget = state.playerField.some(c => c.id === spellResult.updatedTarget.id);
-      
-      // FIXED: Validate energy
-      if (isPlayerCaster && state.playerEnergy < (action.energyCost || SPELL_ENERGY_COST)) {
-        console.error("Not enough energy for spell");
-        return state;
-      }
-      if (!isPlayerCaster && state.enemyEnergy < (action.energyCost || SPELL_ENERGY_COST)) {
-        console.error("Enemy doesn't have enough energy for spell");
-        return state;
-      }
-      
-      return {
-        ...state,
-        playerField: state.playerField.map(c => {
-          if (isPlayerCaster && c.id === spellResult.updatedCaster.id) {
-            return spellResult.updatedCaster;
-          }
-          if (isPlayerTarget && c.id === spellResult.updatedTarget.id) {
-            return spellResult.updatedTarget;
-          }
-          return c;
-        }).filter(c => c.currentHealth > 0),
-        enemyField: state.enemyField.map(c => {
-          if (!isPlayerCaster && c.id === spellResult.updatedCaster.id) {
-            return spellResult.updatedCaster;
-          }
-          if (!isPlayerTarget && c.id === spellResult.updatedTarget.id) {
-            return spellResult.updatedTarget;
-          }
-          return c;
-        }).filter(c => c.currentHealth > 0),
-        playerEnergy: isPlayerCaster ? Math.max(0, state.playerEnergy - (action.energyCost || SPELL_ENERGY_COST)) : state.playerEnergy,
-        enemyEnergy: !isPlayerCaster ? Math.max(0, state.enemyEnergy - (action.energyCost || SPELL_ENERGY_COST)) : state.enemyEnergy,
-        playerSpells: isPlayerCaster ? state.playerSpells.filter(s => s.id !== spell.id) : state.playerSpells,
-        enemySpells: action.isEnemySpell ? state.enemySpells.filter(s => s.id !== spell.id) : state.enemySpells,
-        consecutiveActions: isPlayerCaster
-          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
-          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
-        energyMomentum: isPlayerCaster
-          ? { ...state.energyMomentum, player: state.energyMomentum.player + (action.energyCost || SPELL_ENERGY_COST) }
-          : { ...state.energyMomentum, enemy: state.energyMomentum.enemy + (action.energyCost || SPELL_ENERGY_COST) }
-      };
-    
-    case ACTIONS.DEFEND:
-      const isPlayerDefending = state.playerField.some(c => c.id === action.updatedCreature.id);
-      
-      // FIXED: Validate energy
-      if (isPlayerDefending && state.playerEnergy < DEFEND_ENERGY_COST) {
-        console.error("Not enough energy to defend");
-        return state;
-      }
-      if (!isPlayerDefending && state.enemyEnergy < DEFEND_ENERGY_COST) {
-        console.error("Enemy doesn't have enough energy to defend");
-        return state;
-      }
-      
-      const playerEnergyAfterDefend = isPlayerDefending 
-        ? Math.max(0, state.playerEnergy - DEFEND_ENERGY_COST)
-        : state.playerEnergy;
-        
-      const enemyEnergyAfterDefend = !isPlayerDefending 
-        ? Math.max(0, state.enemyEnergy - DEFEND_ENERGY_COST)
-        : state.enemyEnergy;
-      
-      return {
-        ...state,
-        playerEnergy: playerEnergyAfterDefend,
-        enemyEnergy: enemyEnergyAfterDefend,
-        playerField: isPlayerDefending
-          ? state.playerField.map(c => c.id === action.updatedCreature.id ? action.updatedCreature : c)
-          : state.playerField,
-        enemyField: !isPlayerDefending
-          ? state.enemyField.map(c => c.id === action.updatedCreature.id ? action.updatedCreature : c)
-          : state.enemyField,
-        consecutiveActions: isPlayerDefending
-          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
-          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 }
-      };
-    
-    case ACTIONS.SPEND_ENERGY:
-      if (action.player === 'player') {
-        return {
-          ...state,
-          playerEnergy: Math.max(0, state.playerEnergy - action.amount)
-        };
-      } else {
-        return {
-          ...state,
-          enemyEnergy: Math.max(0, state.enemyEnergy - action.amount)
-        };
-      }
-    
-    case ACTIONS.DRAW_CARD:
-      if (action.player === 'player') {
-        if (state.playerDeck.length === 0) return state;
-        const drawnCard = state.playerDeck[0];
-        return {
-          ...state,
-          playerHand: [...state.playerHand, drawnCard],
-          playerDeck: state.playerDeck.slice(1)
-        };
-      } else {
-        if (state.enemyDeck.length === 0) return state;
-        const drawnCard = state.enemyDeck[0];
-        return {
-          ...state,
-          enemyHand: [...state.enemyHand, drawnCard],
-          enemyDeck: state.enemyDeck.slice(1)
-        };
-      }
-    
-    case ACTIONS.REGENERATE_ENERGY:
-      // Apply energy momentum bonus
-      const playerMomentumBonus = Math.floor(state.energyMomentum.player / 10);
-      const enemyMomentumBonus = Math.floor(state.energyMomentum.enemy / 10);
-      
-      return {
-        ...state,
-        playerEnergy: Math.min(MAX_ENERGY, state.playerEnergy + action.playerRegen + playerMomentumBonus),
-        enemyEnergy: Math.min(MAX_ENERGY, state.enemyEnergy + action.enemyRegen + enemyMomentumBonus),
-        energyMomentum: { player: 0, enemy: 0 }
-      };
-    
-    case ACTIONS.APPLY_ENERGY_DECAY:
-      // Apply energy decay to prevent hoarding
-      const playerDecay = Math.floor(state.playerEnergy * ENERGY_DECAY_RATE);
-      const enemyDecay = Math.floor(state.enemyEnergy * ENERGY_DECAY_RATE);
-      
-      return {
-        ...state,
-        playerEnergy: Math.max(0, state.playerEnergy - playerDecay),
-        enemyEnergy: Math.max(0, state.enemyEnergy - enemyDecay)
-      };
-    
-    case ACTIONS.SET_ACTIVE_PLAYER:
-      // Reset consecutive actions when switching players
-      return {
-        ...state,
-        activePlayer: action.player,
-        consecutiveActions: { player: 0, enemy: 0 }
-      };
-    
-    case ACTIONS.INCREMENT_TURN:
-      return {
-        ...state,
-        turn: state.turn + 1
-      };
-    
-    case ACTIONS.SET_GAME_STATE:
-      return {
-        ...state,
-        gameState: action.gameState
-      };
-    
-    case ACTIONS.APPLY_ONGOING_EFFECTS: {
-      // Process player field effects
-      const processedPlayerField = state.playerField.map(creature => {
-        let updatedCreature = { ...creature };
-        
-        // Process active effects
-        const activeEffects = updatedCreature.activeEffects || [];
-        if (activeEffects.length > 0) {
-          const remainingEffects = [];
-          let effectLog = [];
-          
-          activeEffects.forEach(effect => {
-            if (!effect) return;
-            
-            // Apply effect
-            if (effect.healthEffect) {
-              const previousHealth = updatedCreature.currentHealth;
-              updatedCreature.currentHealth = Math.min(
-                updatedCreature.battleStats.maxHealth,
-                Math.max(0, updatedCreature.currentHealth + effect.healthEffect)
-              );
-              
-              const healthChange = updatedCreature.currentHealth - previousHealth;
-              if (healthChange !== 0) {
-                const changeType = healthChange > 0 ? 'healed' : 'damaged';
-                const amount = Math.abs(healthChange);
-                effectLog.push(`${updatedCreature.species_name} ${changeType} for ${amount} from ${effect.name}`);
-              }
-            }
-            
-            if (effect.statEffect) {
-              Object.entries(effect.statEffect).forEach(([stat, value]) => {
-                if (updatedCreature.battleStats[stat] !== undefined) {
-                  updatedCreature.battleStats[stat] += value;
-                }
-              });
-            }
-            
-            const updatedEffect = { ...effect, duration: effect.duration - 1 };
-            
-            if (updatedEffect.duration > 0) {
-              remainingEffects.push(updatedEffect);
-            } else {
-              effectLog.push(`${effect.name} effect has expired on ${updatedCreature.species_name}`);
-            }
-          });
-          
-          updatedCreature.activeEffects = remainingEffects;
-          
-          if (effectLog.length > 0 && action.addLog) {
-            action.addLog(effectLog.join('. '));
-          }
-        }
-        
-        // Reset defending status
-        if (updatedCreature.isDefending) {
-          updatedCreature.isDefending = false;
-        }
-        
-        return updatedCreature;
-      });
-      
-      // Process enemy field effects
-      const processedEnemyField = state.enemyField.map(creature => {
-        let updatedCreature = { ...creature };
-        
-        const activeEffects = updatedCreature.activeEffects || [];
-        if (activeEffects.length > 0) {
-          const remainingEffects = [];
-          let effectLog = [];
-          
-          activeEffects.forEach(effect => {
-            if (!effect) return;
-            
-            if (effect.healthEffect) {
-              const previousHealth = updatedCreature.currentHealth;
-              updatedCreature.currentHealth = Math.min(
-                updatedCreature.battleStats.maxHealth,
-                Math.max(0, updatedCreature.currentHealth + effect.healthEffect)
-              );
-              
-              const healthChange = updatedCreature.currentHealth - previousHealth;
-              if (healthChange !== 0) {
-                const changeType = healthChange > 0 ? 'healed' : 'damaged';
-                const amount = Math.abs(healthChange);
-                effectLog.push(`Enemy ${updatedCreature.species_name} ${changeType} for ${amount} from ${effect.name}`);
-              }
-            }
-            
-            if (effect.statEffect) {
-              Object.entries(effect.statEffect).forEach(([stat, value]) => {
-                if (updatedCreature.battleStats[stat] !== undefined) {
-                  updatedCreature.battleStats[stat] += value;
-                }
-              });
-            }
-            
-            const updatedEffect = { ...effect, duration: effect.duration - 1 };
-            
-            if (updatedEffect.duration > 0) {
-              remainingEffects.push(updatedEffect);
-            } else {
-              effectLog.push(`${effect.name} effect has expired on Enemy ${updatedCreature.species_name}`);
-            }
-          });
-          
-          updatedCreature.activeEffects = remainingEffects;
-          
-          if (effectLog.length > 0 && action.addLog) {
-            action.addLog(effectLog.join('. '));
-          }
-        }
-        
-        if (updatedCreature.isDefending) {
-          updatedCreature.isDefending = false;
-        }
-        
-        return updatedCreature;
-      });
-      
-      // Filter out defeated creatures
-      const updatedPlayerField = action.updatedPlayerField || 
-        processedPlayerField.filter(c => c.currentHealth > 0);
-      
-      const updatedEnemyField = action.updatedEnemyField || 
-        processedEnemyField.filter(c => c.currentHealth > 0);
-      
-      return {
-        ...state,
-        playerField: updatedPlayerField,
-        enemyField: updatedEnemyField
-      };
-    }
-    
-    case ACTIONS.ADD_LOG:
-      return {
-        ...state,
-        battleLog: [...state.battleLog, {
-          id: Date.now() + Math.random(),
-          turn: state.turn,
-          message: action.message
-        }]
-      };
-    
-    case ACTIONS.EXECUTE_AI_ACTION:
-      // Handle a single AI action with proper state management
-      const { aiAction } = action;
-      let updatedState = { ...state };
-      
-      switch (aiAction.type) {
-        case 'deploy':
-          if (aiAction.creature) {
-            // FIXED: Validate energy and prevent duplicates
-            const deployCost = aiAction.energyCost || 3;
-            if (updatedState.enemyEnergy < deployCost) {
-              console.error("AI tried to deploy without enough energy");
-              break;
-            }
-            if (updatedState.enemyField.some(c => c.id === aiAction.creature.id)) {
-              console.error("AI tried to deploy duplicate creature");
-              break;
-            }
-            
-            updatedState.enemyHand = updatedState.enemyHand.filter(c => c.id !== aiAction.creature.id);
-            updatedState.enemyField = [...updatedState.enemyField, aiAction.creature];
-            updatedState.enemyEnergy = Math.max(0, updatedState.enemyEnergy - deployCost);
-            updatedState.consecutiveActions.enemy += 1;
-            updatedState.energyMomentum.enemy += deployCost;
-          }
-          break;
-          
-        case 'attack':
-          if (aiAction.attacker && aiAction.target) {
-            const attackCost = aiAction.energyCost || 2;
-            if (updatedState.enemyEnergy < attackCost) {
-              console.error("AI tried to attack without enough energy");
-              break;
-            }
-            
-            const attackResult = processAttack(aiAction.attacker, aiAction.target);
-            updatedState.enemyEnergy = Math.max(0, updatedState.enemyEnergy - attackCost);
-            updatedState.consecutiveActions.enemy += 1;
-            updatedState.energyMomentum.enemy += attackCost;
-            
-            // Update creatures based on attack results
-            updatedState.playerField = updatedState.playerField.map(c => 
-              c.id === attackResult.updatedDefender.id ? attackResult.updatedDefender : c
-            ).filter(c => c.currentHealth > 0);
-            
-            updatedState.enemyField = updatedState.enemyField.map(c => 
-              c.id === attackResult.updatedAttacker.id ? attackResult.updatedAttacker : c
-            );
-          }
-          break;
-          
-        case 'defend':
-          if (aiAction.creature) {
-            const defendCost = aiAction.energyCost || 1;
-            if (updatedState.enemyEnergy < defendCost) {
-              console.error("AI tried to defend without enough energy");
-              break;
-            }
-            
-            const updatedDefender = defendCreature(aiAction.creature, state.difficulty);
-            updatedState.enemyEnergy = Math.max(0, updatedState.enemyEnergy - defendCost);
-            updatedState.consecutiveActions.enemy += 1;
-            
-            updatedState.enemyField = updatedState.enemyField.map(c => 
-              c.id === updatedDefender.id ? updatedDefender : c
-            );
-          }
-          break;
-          
-        case 'useTool':
-          if (aiAction.tool && aiAction.target) {
-            const result = applyTool(aiAction.target, aiAction.tool, state.difficulty);
-            
-            if (result && result.updatedCreature) {
-              const isEnemyTarget = updatedState.enemyField.some(c => c.id === aiAction.target.id);
-              
-              if (isEnemyTarget) {
-                updatedState.enemyField = updatedState.enemyField.map(c => 
-                  c.id === result.updatedCreature.id ? result.updatedCreature : c
-                );
-              } else {
-                updatedState.playerField = updatedState.playerField.map(c => 
-                  c.id === result.updatedCreature.id ? result.updatedCreature : c
-                );
-              }
-              
-              updatedState.enemyTools = updatedState.enemyTools.filter(t => t.id !== aiAction.tool.id);
-              updatedState.consecutiveActions.enemy += 1;
-            }
-          }
-          break;
-          
-        case 'useSpell':
-          if (aiAction.spell && aiAction.caster && aiAction.target) {
-            const spellCost = aiAction.energyCost || SPELL_ENERGY_COST;
-            if (updatedState.enemyEnergy < spellCost) {
-              console.error("AI tried to cast spell without enough energy");
-              break;
-            }
-            
-            const spellResult = applySpell(aiAction.caster, aiAction.target, aiAction.spell, state.difficulty);
-            
-            if (spellResult) {
-              updatedState.enemyEnergy = Math.max(0, updatedState.enemyEnergy - spellCost);
-              updatedState.consecutiveActions.enemy += 1;
-              updatedState.energyMomentum.enemy += spellCost;
-              
-              // Update caster and target
-              updatedState.enemyField = updatedState.enemyField.map(c => {
-                if (c.id === spellResult.updatedCaster.id) return spellResult.updatedCaster;
-                if (c.id === spellResult.updatedTarget.id) return spellResult.updatedTarget;
-                return c;
-              }).filter(c => c.currentHealth > 0);
-              
-              updatedState.playerField = updatedState.playerField.map(c => {
-                if (c.id === spellResult.updatedTarget.id) return spellResult.updatedTarget;
-                return c;
-              }).filter(c => c.currentHealth > 0);
-              
-              updatedState.enemySpells = updatedState.enemySpells.filter(s => s.id !== aiAction.spell.id);
-            }
-          }
-          break;
-      }
-      
-      return updatedState;
-    
-    case ACTIONS.EXECUTE_AI_ACTION_SEQUENCE:
-      // Handle multiple AI actions in sequence
-      let newState = { ...state };
-      
-      for (const aiAction of action.actionSequence) {
-        // FIXED: Validate each action in the sequence
-        const actionCost = aiAction.energyCost || 0;
-        if (newState.enemyEnergy < actionCost) {
-          console.log(`Skipping AI action ${aiAction.type} - not enough energy`);
-          continue;
-        }
-        
-        // Process each action in the sequence
-        switch (aiAction.type) {
-          case 'deploy':
-            if (newState.enemyField.some(c => c.id === aiAction.creature.id)) {
-              console.log("Skipping duplicate deployment");
-              continue;
-            }
-            newState.enemyHand = newState.enemyHand.filter(c => c.id !== aiAction.creature.id);
-            newState.enemyField = [...newState.enemyField, aiAction.creature];
-            newState.enemyEnergy = Math.max(0, newState.enemyEnergy - aiAction.energyCost);
-            break;
-            
-          case 'attack':
-            const attackResult = processAttack(aiAction.attacker, aiAction.target);
-            newState.enemyEnergy = Math.max(0, newState.enemyEnergy - aiAction.energyCost);
-            
-            // Update creatures based on attack results
-            newState.playerField = newState.playerField.map(c => 
-              c.id === attackResult.updatedDefender.id ? attackResult.updatedDefender : c
-            ).filter(c => c.currentHealth > 0);
-            
-            newState.enemyField = newState.enemyField.map(c => 
-              c.id === attackResult.updatedAttacker.id ? attackResult.updatedAttacker : c
-            );
-            break;
-            
-          case 'defend':
-            const updatedDefender = defendCreature(aiAction.creature);
-            newState.enemyEnergy = Math.max(0, newState.enemyEnergy - aiAction.energyCost);
-            
-            newState.enemyField = newState.enemyField.map(c => 
-              c.id === updatedDefender.id ? updatedDefender : c
-            );
-            break;
-        }
-      }
-      
-      return newState;
-    
-    case ACTIONS.COMBO_BONUS:
-      // Apply combo bonuses for consecutive actions
-      const comboLevel = action.player === 'player' 
-        ? state.consecutiveActions.player 
-        : state.consecutiveActions.enemy;
-      
-      if (comboLevel >= 3) {
-        // Apply a bonus effect to all creatures
-        const field = action.player === 'player' ? 'playerField' : 'enemyField';
-        
-        return {
-          ...state,
-          [field]: state[field].map(creature => ({
-            ...creature,
-            battleStats: {
-              ...creature.battleStats,
-              physicalAttack: creature.battleStats.physicalAttack + 2,
-              magicalAttack: creature.battleStats.magicalAttack + 2
-            }
-          }))
-        };
-      }
-      
-      return state;
-    
-    default:
-      return state;
-  }
+const toBattleItem = (item) => ({ id: item.id, name: item.name, rarity: item.rarity });
+
+// Entries of the starting list that are gone from the final one
+const missingFrom = (start, remaining) => {
+  const remainingIds = new Set(remaining.map(entry => entry.id));
+  return (start || []).filter(entry => !remainingIds.has(entry.id));
 };
 
-const BattleGame = ({ onClose }) => {
-  const { creatureNfts, toolNfts, spellNfts, addNotification } = useContext(GameContext);
+// Player creatures still standing - undeployed ones count too, as in the gauntlet.
+// The result screen and the results endpoint both use this list.
+const getSurvivors = ({ playerField, playerHand, playerDeck }) => [...playerField, ...playerHand, ...playerDeck];
+
+// What the results endpoint needs from a finished battle
+const buildBattleSummary = (replay, battleState) => {
+  const { turn, playerHand, playerDeck, playerTools, playerSpells, enemyField, enemyHand, enemyDeck } = battleState;
+  const { start } = replay;
+  const playerCreatures = [...(start.playerHand || []), ...(start.playerDeck || [])];
+  const enemies = [...(start.enemyHand || []), ...(start.enemyDeck || [])];
+
+  return {
+    result: replay.result,
+    difficulty: replay.difficulty,
+    turns: turn,
+    loadout: playerCreatures.map(c => toBattleCreature(c, false)),
+    survivors: getSurvivors(battleState).map(c => toBattleCreature(c, true)),
+    defeated: missingFrom(enemies, [...enemyField, ...enemyHand, ...enemyDeck]).map(c => toBattleCreature(c, false)),
+    // Creatures leave the hand and deck only by being deployed; tools and spells are used up
+    creaturesUsed: missingFrom(playerCreatures, [...playerHand, ...playerDeck]).map(c => toBattleCreature(c, false)),
+    toolsUsed: missingFrom(start.playerTools, playerTools).map(toBattleItem),
+    spellsUsed: missingFrom(start.playerSpells, playerSpells).map(toBattleItem),
+    teamRating: calculateTeamRating(playerCreatures),
+    replayHash: hashReplay(replay)
+  };
+};
+
+const BattleGame = ({ onClose, seed: fixedSeed }) => {
+  const { creatureNfts, toolNfts, spellNfts, addNotification, submitBattleResult } = useContext(GameContext);
   const { connected, accounts } = useRadixConnect();
   
   // ========== UI STATE ==========
   const [selectedCreature, setSelectedCreature] = useState(null);
   const [targetCreature, setTargetCreature] = useState(null);
   const [difficulty, setDifficulty] = useState('easy');
+  const [aiPersonality, setAIPersonality] = useState(DEFAULT_AI_PERSONALITY);
+  
+  // NEW: The enemy's reasoning for its current (or last) turn
+  const [enemyIntent, setEnemyIntent] = useState(null);
+  const [showEnemyIntent, setShowEnemyIntent] = useState(false);
   const [actionInProgress, setActionInProgress] = useState(false);
   
+  // Seeded random source for the current battle (replaced in initializeBattle)
+  // Same seed + same player inputs = same outcome
+  const rngRef = useRef(Math.random);
+  
   // ========== BATTLE STATE ==========
-  const [state, dispatch] = useReducer(battleReducer, {
-    gameState: 'setup',
-    turn: 1,
-    activePlayer: 'player',
-    difficulty: 'easy',
-    
-    // Player state
-    playerDeck: [],
-    playerHand: [],
-    playerField: [],
-    playerEnergy: 10,
-    playerTools: [],
-    playerSpells: [],
-    
-    // Enemy state
-    enemyDeck: [],
-    enemyHand: [],
-    enemyField: [],
-    enemyEnergy: 10,
-    enemyTools: [],
-    enemySpells: [],
-    
-    // Battle log
-    battleLog: [],
-    
-    // Combat tracking
-    consecutiveActions: { player: 0, enemy: 0 },
-    energyMomentum: { player: 0, enemy: 0 }
-  });
+  const [state, baseDispatch] = useReducer(battleReducer, initialBattleState);
+  
+  // Latest state for timer-driven AI callbacks that outlive their render
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  
+  // Latest handleEnemyTurn - executeAIAction calls back into it for the enemy's next action
+  const handleEnemyTurnRef = useRef(null);
+  
+  // ========== REPLAY RECORDING ==========
+  // Every reducer action is recorded with the starting loadout so battles can be replayed
+  const replayRecorderRef = useRef(null);
+  const [lastReplay, setLastReplay] = useState(null);
+  const [viewingReplay, setViewingReplay] = useState(null);
+  
+  // ========== BATTLE RESULTS ==========
+  // The server works out and credits the rewards - this tracks the submission for the result screen
+  // { summary, status: 'submitting' | 'credited' | 'failed', rewards?, battleExperience?, error? }
+  const [battleSubmission, setBattleSubmission] = useState(null);
+  
+  // NEW: Rewards offered after winning a gauntlet wave (null outside the gauntlet)
+  const [waveRewards, setWaveRewards] = useState(null);
+  
+  const dispatch = useCallback((action) => {
+    if (action.type === ACTIONS.START_BATTLE) {
+      replayRecorderRef.current = startReplayRecording(action);
+    } else if (replayRecorderRef.current) {
+      recordReplayAction(replayRecorderRef.current, action);
+    }
+    baseDispatch(action);
+  }, []);
   
   // Destructure state for easier access
   const {
@@ -825,11 +182,10 @@ const BattleGame = ({ onClose }) => {
     enemyHand,
     enemyField,
     enemyEnergy,
-    enemyTools,
-    enemySpells,
     battleLog,
     consecutiveActions,
-    energyMomentum
+    energyMomentum,
+    difficultySettings
   } = state;
   
   // ========== INITIALIZATION ==========
@@ -852,58 +208,9 @@ const BattleGame = ({ onClose }) => {
   // ========== BATTLE LOG ==========
   const addToBattleLog = useCallback((message) => {
     dispatch({ type: ACTIONS.ADD_LOG, message });
-  }, []);
+  }, [dispatch]);
   
   // ========== BATTLE MECHANICS ==========
-  // Regenerate energy with balanced scaling
-  const regenerateEnergy = useCallback(() => {
-    // Calculate player energy bonus from total energy stats of deployed creatures
-    let playerTotalEnergy = 0;
-    playerField.forEach(creature => {
-      if (creature.stats && creature.stats.energy) {
-        playerTotalEnergy += creature.stats.energy;
-      }
-    });
-    // For every 10 energy points total, get +1 energy per turn
-    const playerBonus = Math.floor(playerTotalEnergy / 10);
-    
-    // Calculate enemy energy bonus from total energy stats of deployed creatures
-    let enemyTotalEnergy = 0;
-    enemyField.forEach(creature => {
-      if (creature.stats && creature.stats.energy) {
-        enemyTotalEnergy += creature.stats.energy;
-      }
-    });
-    // For every 10 energy points total, get +1 energy per turn
-    const enemyBonus = Math.floor(enemyTotalEnergy / 10);
-    
-    // Add difficulty-based energy regen bonuses for enemies
-    const difficultySettings = getDifficultySettings(difficulty);
-    const enemyDifficultyBonus = Math.floor(difficultySettings.enemyEnergyRegen || 0) - 2;
-    
-    // Total regeneration amounts
-    const playerRegen = BASE_ENERGY_REGEN + playerBonus;
-    const enemyRegen = BASE_ENERGY_REGEN + enemyBonus + enemyDifficultyBonus;
-    
-    console.log(`Energy Regen - Player: +${playerRegen} (${playerTotalEnergy} total energy), Enemy: +${enemyRegen} (${enemyTotalEnergy} total energy)`);
-    
-    dispatch({ type: ACTIONS.REGENERATE_ENERGY, playerRegen, enemyRegen });
-    
-    if (activePlayer === 'player') {
-      addToBattleLog(`You gained +${playerRegen} energy. (${playerTotalEnergy} total creature energy)`);
-    } else {
-      addToBattleLog(`Enemy gained +${enemyRegen} energy.`);
-    }
-  }, [activePlayer, playerField, enemyField, difficulty, addToBattleLog]);
-  
-  // Apply energy decay to prevent hoarding
-  const applyEnergyDecay = useCallback(() => {
-    if (playerEnergy > 10 || enemyEnergy > 10) {
-      dispatch({ type: ACTIONS.APPLY_ENERGY_DECAY });
-      console.log("Applied energy decay to prevent hoarding");
-    }
-  }, [playerEnergy, enemyEnergy]);
-  
   // Apply ongoing effects
   const applyOngoingEffects = useCallback(() => {
     console.log("Applying ongoing effects...");
@@ -916,15 +223,13 @@ const BattleGame = ({ onClose }) => {
   
   // Check for win condition
   const checkWinCondition = useCallback(() => {
-    const result = enemyField.length === 0 && enemyHand.length === 0 && enemyDeck.length === 0;
-    return result;
-  }, [enemyField, enemyHand, enemyDeck]);
+    return getBattleOutcome({ playerField, playerHand, playerDeck, enemyField, enemyHand, enemyDeck }) === 'victory';
+  }, [playerField, playerHand, playerDeck, enemyField, enemyHand, enemyDeck]);
   
   // Check for loss condition  
   const checkLossCondition = useCallback(() => {
-    const result = playerField.length === 0 && playerHand.length === 0 && playerDeck.length === 0;
-    return result;
-  }, [playerField, playerHand, playerDeck]);
+    return getBattleOutcome({ playerField, playerHand, playerDeck, enemyField, enemyHand, enemyDeck }) === 'defeat';
+  }, [playerField, playerHand, playerDeck, enemyField, enemyHand, enemyDeck]);
   
   // ========== PLAYER ACTIONS ==========
   // Deploy a creature from hand to field
@@ -937,7 +242,7 @@ const BattleGame = ({ onClose }) => {
     console.log("Creature battleStats:", creature.battleStats);
     
     // Get max field size for player
-    const maxPlayerFieldSize = 4;
+    const maxPlayerFieldSize = getFieldSizeLimits(difficulty).player;
     
     if (playerField.length >= maxPlayerFieldSize) {
       addToBattleLog("Your battlefield is full! Cannot deploy more creatures.");
@@ -989,7 +294,7 @@ const BattleGame = ({ onClose }) => {
     }
     
     console.log(`Deployed ${creature.species_name} to player field`);
-  }, [playerField, playerEnergy, consecutiveActions, addToBattleLog]);
+  }, [playerField, playerEnergy, consecutiveActions, difficulty, addToBattleLog, dispatch]);
   
   // Attack with a creature
   const attackCreature = useCallback((attacker, defender) => {
@@ -1010,7 +315,7 @@ const BattleGame = ({ onClose }) => {
       : 'magical';
     
     // Process attack
-    const attackResult = processAttack(attacker, defender, attackType);
+    const attackResult = processAttack(attacker, defender, attackType, rngRef.current);
     
     // Update attacker and defender in state
     dispatch({ 
@@ -1028,7 +333,7 @@ const BattleGame = ({ onClose }) => {
     // Log attack result and energy cost
     const energyMessage = isPlayerAttacker ? ` (-${ATTACK_ENERGY_COST} energy)` : '';
     addToBattleLog(attackResult.battleLog + energyMessage + comboMessage);
-  }, [playerField, playerEnergy, consecutiveActions, addToBattleLog]);
+  }, [playerField, playerEnergy, consecutiveActions, addToBattleLog, dispatch]);
   
   // Use a tool on a creature
   const useTool = useCallback((tool, targetCreature, isPlayerTool = true) => {
@@ -1075,7 +380,7 @@ const BattleGame = ({ onClose }) => {
         addToBattleLog(`Healed for ${result.toolEffect.healthChange} health.`);
       }
     }
-  }, [playerField, difficulty, addToBattleLog]);
+  }, [playerField, difficulty, addToBattleLog, dispatch]);
   
   // Cast a spell
   const useSpell = useCallback((spell, caster, target, isPlayerSpell = true) => {
@@ -1084,7 +389,7 @@ const BattleGame = ({ onClose }) => {
       return;
     }
     
-    const energyCost = SPELL_ENERGY_COST;
+    const energyCost = getSpellEnergyCost(difficulty);
     
     if (isPlayerSpell && playerEnergy < energyCost) {
       addToBattleLog(`Not enough energy to cast ${spell.name}. Needs ${energyCost} energy.`);
@@ -1093,7 +398,7 @@ const BattleGame = ({ onClose }) => {
     
     const effectiveTarget = target || caster;
     
-    const spellResult = applySpell(caster, effectiveTarget, spell, difficulty);
+    const spellResult = applySpell(caster, effectiveTarget, spell, difficulty, rngRef.current);
     
     if (!spellResult) {
       addToBattleLog(`Failed to cast ${spell.name}.`);
@@ -1121,7 +426,7 @@ const BattleGame = ({ onClose }) => {
     if (spellResult.spellEffect && spellResult.spellEffect.healing) {
       addToBattleLog(`The spell healed for ${spellResult.spellEffect.healing} health!`);
     }
-  }, [playerEnergy, playerField, difficulty, addToBattleLog]);
+  }, [playerEnergy, playerField, difficulty, addToBattleLog, dispatch]);
   
   // Put a creature in defensive stance
   const defendCreatureAction = useCallback((creature) => {
@@ -1144,17 +449,19 @@ const BattleGame = ({ onClose }) => {
     addToBattleLog(
       `${isPlayerCreature ? '' : 'Enemy '}${creature.species_name} took a defensive stance!${energyCost}`
     );
-  }, [playerField, playerEnergy, difficulty, addToBattleLog]);
+  }, [playerField, playerEnergy, difficulty, addToBattleLog, dispatch]);
   
   // ========== BATTLE INITIALIZATION ==========
-  const initializeBattle = useCallback(() => {
-    if (!creatureNfts || creatureNfts.length === 0) {
+  // `run` carries a gauntlet run's creatures, tools and spells into its next wave
+  const startBattle = useCallback((battleDifficulty, run = null) => {
+    if (!run && (!creatureNfts || creatureNfts.length === 0)) {
       addNotification("You need creatures to battle!", 400, 300, "#FF5722");
       return;
     }
     
     // FIXED: Create battle-ready versions of player creatures with proper energy costs
-    const battleCreatures = creatureNfts.map(creature => {
+    // (gauntlet creatures come in with the health and effects they ended the last wave with)
+    const battleCreatures = run ? run.creatures : creatureNfts.map(creature => {
       console.log("=== INITIALIZING PLAYER CREATURE ===");
       console.log("Original creature:", creature);
       
@@ -1198,11 +505,23 @@ const BattleGame = ({ onClose }) => {
       return battleCreature;
     });
     
-    // Get the difficulty settings
-    const diffSettings = getDifficultySettings(difficulty);
+    // Start a fresh seeded random source for this battle - the daily challenge uses
+    // the day's seed, so everyone meets the same enemies
+    const dailyChallenge = getDailyChallenge(battleDifficulty);
+    const battleSeed = fixedSeed ?? dailyChallenge?.seed ?? createBattleSeed();
+    rngRef.current = createSeededRandom(battleSeed);
     
-    // Generate enemy deck
-    const enemyCreatures = generateEnemyCreatures(difficulty, diffSettings.enemyDeckSize, battleCreatures);
+    // Get the difficulty settings
+    const diffSettings = getDifficultySettings(battleDifficulty);
+    
+    // Generate enemy deck and items (the daily challenge ignores the player's species)
+    const enemyLoadout = generateCompleteEnemyLoadout(
+      battleDifficulty,
+      diffSettings.enemyDeckSize,
+      dailyChallenge ? [] : battleCreatures,
+      rngRef.current
+    );
+    const enemyCreatures = enemyLoadout.creatures;
     
     // FIXED: Calculate battle stats for enemy creatures with proper energy costs
     const enemyWithStats = enemyCreatures.map((creature, index) => {
@@ -1238,15 +557,14 @@ const BattleGame = ({ onClose }) => {
     const enemyInitialHand = enemyWithStats.slice(0, enemyInitialHandSize);
     const remainingEnemyDeck = enemyWithStats.slice(enemyInitialHandSize);
     
-    const initialPlayerTools = toolNfts || [];
-    const initialPlayerSpells = spellNfts || [];
+    const initialPlayerTools = run ? run.tools : toolNfts || [];
+    // NEW: Campaign stages can ban spell effects for both sides
+    const initialPlayerSpells = filterAllowedSpells(run ? run.spells : spellNfts || [], battleDifficulty);
     
-    // Generate enemy items
-    const enemyItems = generateEnemyItems(difficulty);
-    const enemyTools = enemyItems.tools || [];
-    const enemySpells = enemyItems.spells || [];
+    const enemyTools = enemyLoadout.tools || [];
+    const enemySpells = filterAllowedSpells(enemyLoadout.spells || [], battleDifficulty);
     
-    console.log(`Generated ${enemyTools.length} enemy tools and ${enemySpells.length} enemy spells for ${difficulty} difficulty`);
+    console.log(`Generated ${enemyTools.length} enemy tools and ${enemySpells.length} enemy spells for ${battleDifficulty} difficulty`);
     
     // Initialize the game state
     dispatch({
@@ -1259,96 +577,53 @@ const BattleGame = ({ onClose }) => {
       enemyHand: enemyInitialHand,
       enemyTools: enemyTools,
       enemySpells: enemySpells,
-      difficulty
+      difficulty: battleDifficulty,
+      difficultySettings: diffSettings,
+      startingEnergy: getStartingEnergy(battleDifficulty),
+      seed: battleSeed
     });
+    setEnemyIntent(null);
+    setWaveRewards(null);
     
     addToBattleLog(`Your turn. The enemy has ${enemyTools.length + enemySpells.length} special items!`);
-  }, [creatureNfts, toolNfts, spellNfts, difficulty, addNotification, addToBattleLog]);
+  }, [creatureNfts, toolNfts, spellNfts, fixedSeed, addNotification, addToBattleLog, dispatch]);
   
-  // ========== ENEMY AI ==========
-  // Execute enemy turn
-  const handleEnemyTurn = useCallback(() => {
-    console.log("Enemy turn. Energy:", enemyEnergy, "Hand:", enemyHand.length, "Field:", enemyField.length);
-    console.log("Enemy tools:", enemyTools.length, "Enemy spells:", enemySpells.length);
-    
-    setActionInProgress(true);
-    
-    // Get the current game state
-    const currentGameState = {
-      enemyHand,
-      enemyField,
-      playerField,
-      enemyTools,
-      enemySpells,
-      enemyEnergy,
-      difficulty,
-      turn,
-      enemyDeck,
-      playerDeck
-    };
-    
-    // Use enhanced AI to determine action
-    const aiAction = determineAIAction(
-      difficulty,
-      enemyHand,
-      enemyField,
-      playerField,
-      enemyTools,
-      enemySpells,
-      enemyEnergy
-    );
-    
-    console.log("AI determined action:", aiAction);
-    
-    // FIXED: Handle endTurn action properly
-    if (aiAction.type === 'endTurn') {
-      console.log("AI ending turn immediately");
-      setTimeout(() => finishEnemyTurn(), 500);
-      return;
-    }
-    
-    // Check if it's an array of actions (multi-action) or single action
-    if (Array.isArray(aiAction)) {
-      // Multi-action sequence
-      console.log(`AI executing ${aiAction.length} actions`);
-      executeActionSequence(aiAction, 0);
-    } else {
-      // Single action
-      executeAIAction(aiAction);
-    }
-  }, [
-    difficulty, 
-    enemyHand, 
-    enemyField, 
-    playerField,
-    enemyTools,
-    enemySpells,
-    enemyEnergy,
-    turn,
-    enemyDeck,
-    playerDeck
-  ]);
+  // Start a battle at the selected difficulty
+  const initializeBattle = useCallback(() => {
+    startBattle(difficulty);
+  }, [startBattle, difficulty]);
   
-  // Execute a sequence of AI actions
-  const executeActionSequence = useCallback((actionSequence, index) => {
-    if (index >= actionSequence.length) {
-      // Sequence complete - finish the turn
-      console.log("Action sequence complete, finishing turn");
-      setTimeout(() => finishEnemyTurn(), 500);
-      return;
+  // Back to the difficulty selector - a gauntlet run that ended starts over from wave 1
+  const handlePlayAgain = useCallback(() => {
+    if (isGauntletDifficulty(difficulty)) {
+      setDifficulty(getGauntletDifficulty(1));
     }
+    dispatch({ type: ACTIONS.SET_GAME_STATE, gameState: 'setup' });
+  }, [difficulty, dispatch]);
+  
+  // NEW: Take the picked reward and the surviving creatures into the next gauntlet wave
+  const handlePickWaveReward = useCallback((reward) => {
+    const run = applyWaveReward(createNextWaveRun(stateRef.current), reward);
+    const nextDifficulty = getGauntletDifficulty(run.wave);
     
-    const action = actionSequence[index];
-    console.log(`Executing AI action ${index + 1}/${actionSequence.length}: ${action.type}`);
+    setDifficulty(nextDifficulty);
+    setSelectedCreature(null);
+    setTargetCreature(null);
+    dispatch({ type: ACTIONS.SET_GAME_STATE, gameState: 'setup' });
+    startBattle(nextDifficulty, run);
+  }, [startBattle, dispatch]);
+  
+  // ========== ENEMY AI ==========
+  // Finish the enemy turn - the state machine runs the end-of-round upkeep
+  const finishEnemyTurn = useCallback(() => {
+    console.log("Finishing enemy turn...");
     
-    // Execute the current action
-    executeSingleAIAction(action);
+    dispatch({ type: ACTIONS.BEGIN_RESOLUTION });
+    dispatch({ type: ACTIONS.RESOLVE_ROUND });
     
-    // Schedule the next action
-    setTimeout(() => {
-      executeActionSequence(actionSequence, index + 1);
-    }, 800);
-  }, []);
+    setActionInProgress(false);
+    console.log("Enemy turn complete");
+  }, [dispatch]);
   
   // Execute a single AI action
   const executeSingleAIAction = useCallback((aiAction) => {
@@ -1357,23 +632,24 @@ const BattleGame = ({ onClose }) => {
     // FIXED: Check for endTurn action
     if (aiAction.type === 'endTurn') {
       addToBattleLog("Enemy ended their turn.");
-      return;
+      return false;
+    }
+    
+    // The enemy plays by the same rules as the player - validate against the latest state
+    const rejections = validateAction(stateRef.current, 'enemy', aiAction);
+    if (rejections.length > 0) {
+      console.log(`AI action ${aiAction.type} rejected:`, rejections.map(r => r.code).join(', '));
+      return false;
     }
     
+    // Use the current versions of the creatures involved - the plan may be several actions old
+    const { enemyField: currentEnemyField, playerField: currentPlayerField } = stateRef.current;
+    const current = (creature) => [...currentEnemyField, ...currentPlayerField].find(c => c.id === creature.id) || creature;
+    
     switch(aiAction.type) {
       case 'deploy':
-        if (!aiAction.creature) {
-          console.log("AI Error: No creature to deploy");
-          break;
-        }
-        
         const energyCost = aiAction.energyCost || aiAction.creature.battleStats?.energyCost || 3;
         
-        if (enemyEnergy < energyCost) {
-          console.log("AI Error: Not enough energy to deploy");
-          break;
-        }
-        
         console.log("AI deploying creature:", aiAction.creature.species_name, "Cost:", energyCost);
         
         dispatch({
@@ -1386,21 +662,11 @@ const BattleGame = ({ onClose }) => {
         break;
         
       case 'attack':
-        if (!aiAction.attacker || !aiAction.target) {
-          console.log("AI Error: Missing attacker or target");
-          break;
-        }
-        
         const attackCost = aiAction.energyCost || ATTACK_ENERGY_COST;
         
-        if (enemyEnergy < attackCost) {
-          console.log("AI Error: Not enough energy to attack");
-          break;
-        }
-        
         console.log("AI attacking with:", aiAction.attacker.species_name, "Target:", aiAction.target.species_name);
         
-        const attackResult = processAttack(aiAction.attacker, aiAction.target);
+        const attackResult = processAttack(current(aiAction.attacker), current(aiAction.target), 'auto', rngRef.current);
         
         dispatch({
           type: ACTIONS.ATTACK,
@@ -1412,21 +678,11 @@ const BattleGame = ({ onClose }) => {
         break;
         
       case 'defend':
-        if (!aiAction.creature) {
-          console.log("AI Error: No creature to defend");
-          break;
-        }
-        
         const defendCost = aiAction.energyCost || DEFEND_ENERGY_COST;
         
-        if (enemyEnergy < defendCost) {
-          console.log("AI Error: Not enough energy to defend");
-          break;
-        }
-        
         console.log("AI defending with:", aiAction.creature.species_name);
         
-        const updatedDefender = defendCreature(aiAction.creature, difficulty);
+        const updatedDefender = defendCreature(current(aiAction.creature), difficulty);
         
         dispatch({
           type: ACTIONS.DEFEND,
@@ -1437,14 +693,9 @@ const BattleGame = ({ onClose }) => {
         break;
         
       case 'useTool':
-        if (!aiAction.tool || !aiAction.target) {
-          console.log("AI Error: Missing tool or target");
-          break;
-        }
-        
         console.log("AI using tool:", aiAction.tool.name, "on", aiAction.target.species_name);
         
-        const toolResult = applyTool(aiAction.target, aiAction.tool, difficulty);
+        const toolResult = applyTool(current(aiAction.target), aiAction.tool, difficulty);
         
         if (toolResult && toolResult.updatedCreature) {
           dispatch({
@@ -1460,21 +711,11 @@ const BattleGame = ({ onClose }) => {
         break;
         
       case 'useSpell':
-        if (!aiAction.spell || !aiAction.caster || !aiAction.target) {
-          console.log("AI Error: Missing spell, caster, or target");
-          break;
-        }
-        
-        const spellCost = aiAction.energyCost || SPELL_ENERGY_COST;
-        
-        if (enemyEnergy < spellCost) {
-          console.log("AI Error: Not enough energy for spell");
-          break;
-        }
+        const spellCost = getSpellEnergyCost(difficulty);
         
         console.log("AI casting spell:", aiAction.spell.name);
         
-        const spellResult = applySpell(aiAction.caster, aiAction.target, aiAction.spell, difficulty);
+        const spellResult = applySpell(current(aiAction.caster), current(aiAction.target), aiAction.spell, difficulty, rngRef.current);
         
         if (spellResult) {
           dispatch({
@@ -1492,8 +733,34 @@ const BattleGame = ({ onClose }) => {
         
       default:
         console.log("Unknown AI action type:", aiAction.type);
+        return false;
     }
-  }, [enemyEnergy, difficulty, addToBattleLog]);
+    
+    return true;
+  }, [difficulty, addToBattleLog, dispatch]);
+  
+  // Execute a sequence of AI actions
+  const executeActionSequence = useCallback((actionSequence) => {
+    const executeFrom = (index) => {
+      if (index >= actionSequence.length) {
+        // Sequence complete - finish the turn
+        console.log("Action sequence complete, finishing turn");
+        setTimeout(() => finishEnemyTurn(), 500);
+        return;
+      }
+      
+      const action = actionSequence[index];
+      console.log(`Executing AI action ${index + 1}/${actionSequence.length}: ${action.type}`);
+      
+      // Execute the current action
+      executeSingleAIAction(action);
+      
+      // Schedule the next action
+      setTimeout(() => executeFrom(index + 1), 800);
+    };
+    
+    executeFrom(0);
+  }, [executeSingleAIAction, finishEnemyTurn]);
   
   // Execute AI action wrapper
   const executeAIAction = useCallback((aiAction) => {
@@ -1507,78 +774,83 @@ const BattleGame = ({ onClose }) => {
     }
     
     // Execute the action
-    executeSingleAIAction(aiAction);
+    const executed = executeSingleAIAction(aiAction);
     
     // Schedule next action or end turn
     setTimeout(() => {
       // Check if AI has more energy and can perform another action
-      const currentEnemyEnergy = state.enemyEnergy;
-      const canMultiAction = Math.random() < (getDifficultySettings(difficulty).multiActionChance || 0.3);
+      const currentEnemyEnergy = stateRef.current.enemyEnergy;
+      const canMultiAction = rngRef.current() < (getDifficultySettings(difficulty).multiActionChance || 0.3);
       
-      if (canMultiAction && currentEnemyEnergy >= 2 && aiAction.type !== 'endTurn') {
+      // FIXED: Stop after a rejected action so the AI can't retry it forever
+      if (executed && canMultiAction && currentEnemyEnergy >= 2) {
         // AI can perform another action
         console.log("AI performing another action...");
-        handleEnemyTurn();
+        handleEnemyTurnRef.current();
       } else {
         // End enemy turn
         finishEnemyTurn();
       }
     }, 1000);
-  }, [difficulty, state.enemyEnergy, executeSingleAIAction, addToBattleLog]);
+  }, [difficulty, executeSingleAIAction, finishEnemyTurn, addToBattleLog]);
   
-  // Finish the enemy turn
-  const finishEnemyTurn = useCallback(() => {
-    console.log("Finishing enemy turn...");
+  // Execute enemy turn
+  const handleEnemyTurn = useCallback(() => {
+    // FIXED: Read the latest state - this runs again from a timeout after each
+    // enemy action, when the closure's copy of the state is already stale
+    const { enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, turn: currentTurn } = stateRef.current;
     
-    // Apply ongoing effects
-    dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS, addLog: addToBattleLog });
+    console.log("Enemy turn. Energy:", enemyEnergy, "Hand:", enemyHand.length, "Field:", enemyField.length);
+    console.log("Enemy tools:", enemyTools.length, "Enemy spells:", enemySpells.length);
     
-    // Apply energy decay
-    applyEnergyDecay();
+    setActionInProgress(true);
     
-    // Increment turn counter
-    dispatch({ type: ACTIONS.INCREMENT_TURN });
+    // Use enhanced AI to determine action
+    const aiAction = determineAIAction(
+      difficulty,
+      enemyHand,
+      enemyField,
+      playerField,
+      enemyTools,
+      enemySpells,
+      enemyEnergy,
+      rngRef.current,
+      aiPersonality
+    );
     
-    // Switch back to player turn
-    dispatch({ type: ACTIONS.SET_ACTIVE_PLAYER, player: 'player' });
+    console.log("AI determined action:", aiAction);
     
-    // Draw cards
-    const maxHandSize = 5;
-    if (playerHand.length < maxHandSize && playerDeck.length > 0) {
-      dispatch({ type: ACTIONS.DRAW_CARD, player: 'player' });
-      addToBattleLog(`You drew ${playerDeck[0].species_name}.`);
-    }
+    // NEW: Collect the rationale for every decision of this enemy turn
+    const decisions = (Array.isArray(aiAction) ? aiAction : [aiAction]).map(action => ({
+      label: describeAction(action),
+      reason: action.rationale?.reason || 'No explanation available',
+      candidates: action.rationale?.candidates || [],
+      board: action.rationale?.board || null
+    }));
+    setEnemyIntent(previous => (
+      previous && previous.turn === currentTurn
+        ? { ...previous, decisions: [...previous.decisions, ...decisions] }
+        : { turn: currentTurn, decisions }
+    ));
     
-    if (enemyHand.length < getDifficultySettings(difficulty).initialHandSize + 1 && enemyDeck.length > 0) {
-      dispatch({ type: ACTIONS.DRAW_CARD, player: 'enemy' });
-      addToBattleLog(`Enemy drew a card.`);
+    // FIXED: Handle endTurn action properly
+    if (aiAction.type === 'endTurn') {
+      console.log("AI ending turn immediately");
+      setTimeout(() => finishEnemyTurn(), 500);
+      return;
     }
     
-    // Regenerate energy
-    regenerateEnergy();
-    
-    // Check for combo bonuses
-    if (consecutiveActions.enemy >= 3) {
-      dispatch({ type: ACTIONS.COMBO_BONUS, player: 'enemy' });
-      addToBattleLog("Enemy achieved a combo bonus!");
+    // Check if it's an array of actions (multi-action) or single action
+    if (Array.isArray(aiAction)) {
+      // Multi-action sequence
+      console.log(`AI executing ${aiAction.length} actions`);
+      executeActionSequence(aiAction);
+    } else {
+      // Single action
+      executeAIAction(aiAction);
     }
-    
-    addToBattleLog(`Turn ${turn + 1} - Your turn.`);
-    
-    setActionInProgress(false);
-    console.log("Enemy turn complete");
-  }, [
-    playerHand,
-    playerDeck,
-    enemyHand,
-    enemyDeck,
-    difficulty,
-    turn,
-    consecutiveActions,
-    regenerateEnergy,
-    applyEnergyDecay,
-    addToBattleLog
-  ]);
+  }, [difficulty, aiPersonality, finishEnemyTurn, executeActionSequence, executeAIAction]);
+  handleEnemyTurnRef.current = handleEnemyTurn;
   
   // Process enemy turn wrapper
   const processEnemyTurn = useCallback(() => {
@@ -1603,6 +875,14 @@ const BattleGame = ({ onClose }) => {
     
     console.log("Player action:", action.type);
     
+    // NEW: Same legality rules the AI plays by
+    const rejections = validateAction(state, 'player', toBattleAction(action, targetCreature, sourceCreature));
+    if (rejections.length > 0) {
+      console.log(`Player action ${action.type} rejected:`, rejections.map(r => r.code).join(', '));
+      addToBattleLog(rejections[0].message);
+      return;
+    }
+    
     const clearSelections = () => {
       setSelectedCreature(null);
       setTargetCreature(null);
@@ -1617,11 +897,6 @@ const BattleGame = ({ onClose }) => {
         break;
         
       case 'attack':
-        if (playerEnergy < ATTACK_ENERGY_COST) {
-          addToBattleLog(`Not enough energy to attack. Needs ${ATTACK_ENERGY_COST} energy.`);
-          return;
-        }
-        
         setActionInProgress(true);
         attackCreature(sourceCreature, targetCreature);
         clearSelections();
@@ -1643,11 +918,6 @@ const BattleGame = ({ onClose }) => {
         break;
         
       case 'defend':
-        if (playerEnergy < DEFEND_ENERGY_COST) {
-          addToBattleLog(`Not enough energy to defend. Needs ${DEFEND_ENERGY_COST} energy.`);
-          return;
-        }
-        
         setActionInProgress(true);
         defendCreatureAction(sourceCreature);
         clearSelections();
@@ -1658,21 +928,8 @@ const BattleGame = ({ onClose }) => {
         setActionInProgress(true);
         clearSelections();
         
-        // Check for combo bonuses before ending turn
-        if (consecutiveActions.player >= 3) {
-          dispatch({ type: ACTIONS.COMBO_BONUS, player: 'player' });
-          addToBattleLog("You achieved a combo bonus! All creatures gain +2 attack!");
-        }
-        
-        // Apply ongoing effects for player's turn
-        dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS, addLog: addToBattleLog });
-        
-        // Apply energy decay
-        applyEnergyDecay();
-        
-        // Set active player to enemy
-        dispatch({ type: ACTIONS.SET_ACTIVE_PLAYER, player: 'enemy' });
-        addToBattleLog(`Turn ${turn} - Enemy's turn.`);
+        // Combo bonus, ongoing effects and energy decay, then over to the enemy
+        dispatch({ type: ACTIONS.END_PLAYER_TURN });
         
         // Handle enemy turn
         setTimeout(() => {
@@ -1688,20 +945,18 @@ const BattleGame = ({ onClose }) => {
         addToBattleLog('Invalid action');
     }
   }, [
+    state,
     gameState,
     activePlayer,
     actionInProgress,
-    turn,
-    playerEnergy,
-    consecutiveActions,
     deployCreature,
     attackCreature,
     useTool,
     useSpell,
     defendCreatureAction,
-    applyEnergyDecay,
     addToBattleLog,
-    processEnemyTurn
+    processEnemyTurn,
+    dispatch
   ]);
   
   // Handle creature selection
@@ -1730,7 +985,8 @@ const BattleGame = ({ onClose }) => {
   }, [activePlayer, actionInProgress]);
   
   // Get available actions for the selected creature
-  const getAvailableActions = useCallback((selectedCreature, targetCreature) => {
+  // (actions that apply to it - see getActionRejections for whether they are legal right now)
+  const getAvailableActions = useCallback((selectedCreature) => {
     if (!selectedCreature) return [];
     
     const actions = [];
@@ -1740,27 +996,59 @@ const BattleGame = ({ onClose }) => {
     }
     
     if (playerField.some(c => c.id === selectedCreature.id)) {
-      if (targetCreature && enemyField.some(c => c.id === targetCreature.id) && playerEnergy >= ATTACK_ENERGY_COST) {
-        actions.push('attack');
-      }
+      actions.push('attack');
       
       if (playerTools.length > 0) {
         actions.push('useTool');
       }
       
-      if (playerSpells.length > 0 && playerEnergy >= SPELL_ENERGY_COST) {
+      if (playerSpells.length > 0) {
         actions.push('useSpell');
       }
       
-      if (playerEnergy >= DEFEND_ENERGY_COST) {
-        actions.push('defend');
-      }
+      actions.push('defend');
     }
     
     actions.push('endTurn');
     
     return actions;
-  }, [playerHand, playerField, enemyField, playerTools, playerSpells, playerEnergy]);
+  }, [playerHand, playerField, playerTools, playerSpells]);
+  
+  // NEW: Rejection reasons per action type for the selected creature
+  const getActionRejections = useCallback((selectedCreature, targetCreature) => {
+    if (!selectedCreature) return {};
+    
+    // Tools and spells are checked with the first item - the modal picks the actual one
+    const candidates = [
+      { type: 'deploy' },
+      { type: 'attack' },
+      { type: 'defend' },
+      { type: 'useTool', tool: playerTools[0] },
+      { type: 'useSpell', spell: playerSpells[0] }
+    ];
+    
+    const rejections = {};
+    candidates.forEach(action => {
+      const reasons = validateAction(state, 'player', toBattleAction(action, targetCreature, selectedCreature));
+      if (reasons.length > 0) {
+        rejections[action.type] = reasons;
+      }
+    });
+    
+    return rejections;
+  }, [state, playerTools, playerSpells]);
+  
+  // NEW: Why each card in hand can't be deployed right now (keyed by card id)
+  const handRejections = useMemo(() => {
+    const rejections = {};
+    playerHand.forEach(creature => {
+      const reasons = validateAction(state, 'player', { type: 'deploy', creature });
+      if (reasons.length > 0) {
+        rejections[creature.id] = reasons;
+      }
+    });
+    return rejections;
+  }, [state, playerHand]);
   
   // ========== EFFECTS ==========
   // Check win conditions
@@ -1808,21 +1096,87 @@ const BattleGame = ({ onClose }) => {
     playerDeck.length, 
     checkWinCondition, 
     checkLossCondition, 
-    addToBattleLog
+    addToBattleLog,
+    dispatch
   ]);
   
+  // Submit a finished battle; safe to repeat, the server credits each replay hash once
+  const submitBattle = useCallback(async (summary) => {
+    setBattleSubmission({ summary, status: 'submitting' });
+    
+    // Ignore answers for a battle the player has already moved on from
+    const updateIfCurrent = (changes) => setBattleSubmission(prev => (
+      prev?.summary.replayHash === summary.replayHash ? { ...prev, ...changes } : prev
+    ));
+    
+    try {
+      const data = await submitBattleResult(summary);
+      updateIfCurrent({
+        status: 'credited',
+        rewards: data.rewards,
+        battleExperience: data.battleExperience,
+        campaign: data.campaign,
+        daily: data.daily,
+        gauntlet: data.gauntlet
+      });
+    } catch (error) {
+      console.error("Error submitting battle result:", error);
+      updateIfCurrent({ status: 'failed', error: error.message });
+    }
+  }, [submitBattleResult]);
+  
+  // Close the replay once the battle is decided (the final log entry is already recorded)
+  useEffect(() => {
+    if ((gameState === 'victory' || gameState === 'defeat') && replayRecorderRef.current) {
+      const replay = finishReplayRecording(replayRecorderRef.current, gameState);
+      setLastReplay(replay);
+      replayRecorderRef.current = null;
+      submitBattle(buildBattleSummary(replay, stateRef.current));
+      
+      // A won gauntlet wave offers its rewards, rolled from the battle's seed
+      const gauntletWave = getGauntletWave(stateRef.current.difficulty);
+      if (gauntletWave && gameState === 'victory') {
+        setWaveRewards(getWaveRewardChoices(gauntletWave.wave, rngRef.current));
+      }
+    }
+  }, [gameState, submitBattle]);
+  
+  // Rebuild the battle states for the replay being watched
+  const replayFrames = useMemo(() => {
+    if (!viewingReplay) return [];
+    return buildReplayFrames(viewingReplay, battleReducer, initialBattleState);
+  }, [viewingReplay]);
+  
   // ========== RENDER ==========
   const isDesktop = window.innerWidth >= 769;
   
+  if (viewingReplay) {
+    return (
+      <div className="battle-game-overlay">
+        <div className="battle-game" data-difficulty={viewingReplay.difficulty}>
+          <ReplayViewer 
+            replay={viewingReplay}
+            frames={replayFrames}
+            maxEnergy={getMaxEnergy(viewingReplay.start.difficultySettings)}
+            onClose={() => setViewingReplay(null)}
+          />
+        </div>
+      </div>
+    );
+  }
+  
   return (
     <div className="battle-game-overlay">
       <div className="battle-game" data-difficulty={difficulty}>
         {gameState === 'setup' && (
           <DifficultySelector 
             onSelectDifficulty={setDifficulty} 
+            onSelectPersonality={setAIPersonality}
             onStartBattle={initializeBattle}
             creatureCount={creatureNfts?.length || 0} 
             difficulty={difficulty}
+            personality={aiPersonality}
+            onWatchReplay={setViewingReplay}
           />
         )}
         
@@ -1833,12 +1187,22 @@ const BattleGame = ({ onClose }) => {
               playerEnergy={playerEnergy} 
               enemyEnergy={enemyEnergy}
               difficulty={difficulty}
+              personality={aiPersonality}
               activePlayer={activePlayer}
-              maxEnergy={MAX_ENERGY}
+              maxEnergy={getMaxEnergy(difficultySettings)}
               consecutiveActions={consecutiveActions}
               energyMomentum={energyMomentum}
+              showEnemyIntent={showEnemyIntent}
+              onToggleEnemyIntent={() => setShowEnemyIntent(shown => !shown)}
             />
             
+            {showEnemyIntent && (
+              <EnemyIntentPanel
+                intent={enemyIntent}
+                onClose={() => setShowEnemyIntent(false)}
+              />
+            )}
+            
             <div className="battle-content-wrapper">
               <div className="battle-main-area">
                 <div className="battlefield-container">
@@ -1852,7 +1216,8 @@ const BattleGame = ({ onClose }) => {
                     targetCreature={targetCreature}
                     isDesktop={isDesktop}
                     battleLog={battleLog}
-                    availableActions={getAvailableActions(selectedCreature, targetCreature)}
+                    availableActions={getAvailableActions(selectedCreature)}
+                    actionRejections={getActionRejections(selectedCreature, targetCreature)}
                     onAction={handlePlayerAction}
                     disabled={activePlayer !== 'player' || actionInProgress}
                     availableTools={playerTools}
@@ -1868,6 +1233,7 @@ const BattleGame = ({ onClose }) => {
                   selectedCardId={selectedCreature?.id}
                   hasFieldSelection={selectedCreature && playerField.some(c => c.id === selectedCreature.id)}
                   hasHandSelection={selectedCreature && playerHand.some(c => c.id === selectedCreature.id)}
+                  rejections={activePlayer === 'player' ? handRejections : {}}
                 />
               </div>
               
@@ -1876,7 +1242,8 @@ const BattleGame = ({ onClose }) => {
                   <ActionPanel 
                     selectedCreature={selectedCreature}
                     targetCreature={targetCreature}
-                    availableActions={getAvailableActions(selectedCreature, targetCreature)}
+                    availableActions={getAvailableActions(selectedCreature)}
+                    actionRejections={getActionRejections(selectedCreature, targetCreature)}
                     onAction={handlePlayerAction}
                     disabled={activePlayer !== 'player' || actionInProgress}
                     availableTools={playerTools}
@@ -1890,18 +1257,35 @@ const BattleGame = ({ onClose }) => {
           </>
         )}
         
-        {(gameState === 'victory' || gameState === 'defeat') && (
+        {/* NEW: A won gauntlet wave leads to the reward pick instead of the result screen */}
+        {gameState === 'victory' && isGauntletDifficulty(difficulty) && (
+          <GauntletWaveCleared
+            wave={getGauntletWave(difficulty)?.wave}
+            rewardChoices={waveRewards || []}
+            survivors={[...playerField, ...playerHand, ...playerDeck]}
+            submission={battleSubmission}
+            onRetrySubmission={battleSubmission ? () => submitBattle(battleSubmission.summary) : null}
+            onPickReward={handlePickWaveReward}
+            onWatchReplay={lastReplay ? () => setViewingReplay(lastReplay) : null}
+            onClose={onClose}
+          />
+        )}
+        
+        {(gameState === 'defeat' || (gameState === 'victory' && !isGauntletDifficulty(difficulty))) && (
           <BattleResult 
             result={gameState} 
-            onPlayAgain={() => dispatch({ type: ACTIONS.SET_GAME_STATE, gameState: 'setup' })}
+            onPlayAgain={handlePlayAgain}
             onClose={onClose}
+            onWatchReplay={lastReplay ? () => setViewingReplay(lastReplay) : null}
             stats={{
               turns: turn,
-              remainingCreatures: playerField.length + playerHand.length,
+              remainingCreatures: getSurvivors(state).length,
               enemiesDefeated: (getDifficultySettings(difficulty).enemyDeckSize || 5) - (enemyField.length + enemyHand.length),
               combosAchieved: Math.max(consecutiveActions.player, consecutiveActions.enemy)
             }}
             difficulty={difficulty}
+            submission={battleSubmission}
+            onRetrySubmission={battleSubmission ? () => submitBattle(battleSubmission.summary) : null}
           />
         )}
       </div>
@@ -0,0 +1,370 @@
+// src/components/BattleProfilePanel.jsx
+import { useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { GameContext } from '../context/GameContext';
+import { api } from '../utils/apiClient';
+import { calculateTeamRating } from '../utils/battleCalculations';
+import { calculateDifficultyRating, getDifficultyLabel } from '../utils/difficultySettings';
+import { PROFILE_DIFFICULTIES } from '../utils/battleProfile';
+import { isCampaignDifficulty } from '../utils/campaign';
+import { isDailyDifficulty } from '../utils/dailyChallenge';
+import { isGauntletDifficulty } from '../utils/gauntlet';
+
+// Matches loaded per page of the history
+const HISTORY_PAGE_SIZE = 20;
+
+// Start loading the next page this close to the bottom of the history list
+const LOAD_MORE_THRESHOLD_PX = 80;
+
+const DIFFICULTY_COLORS = {
+  easy: '#4CAF50',
+  medium: '#FFC107',
+  hard: '#FF9800',
+  expert: '#FF5722',
+  master: '#B71C1C',
+  campaign: '#795548',
+  daily: '#00897B',
+  gauntlet: '#3949AB',
+  custom: '#9C27B0'
+};
+
+const RARITY_COLORS = {
+  Legendary: '#FFD700',
+  Epic: '#9C27B0',
+  Rare: '#2196F3',
+  Common: '#4CAF50'
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Colour group for a match in the history
+const getHistoryGroup = (difficulty) => {
+  if (isCampaignDifficulty(difficulty)) return 'campaign';
+  if (isDailyDifficulty(difficulty)) return 'daily';
+  if (isGauntletDifficulty(difficulty)) return 'gauntlet';
+  return difficulty;
+};
+
+const cardStyle = {
+  background: 'rgba(0, 0, 0, 0.3)',
+  borderRadius: '6px',
+  padding: '10px',
+  marginBottom: '12px'
+};
+
+const sectionTitleStyle = { margin: '0 0 8px 0', fontSize: '15px', color: '#4CAF50' };
+
+const Stat = ({ label, value }) => (
+  <div style={{ textAlign: 'center', flex: 1 }}>
+    <div style={{ fontSize: '18px', fontWeight: 'bold' }}>{value}</div>
+    <div style={{ color: '#aaa', fontSize: '11px' }}>{label}</div>
+  </div>
+);
+
+const UsageList = ({ title, entries, emptyText, renderDetail }) => (
+  <div style={{ flex: 1, minWidth: 0 }}>
+    <h4 style={{ margin: '0 0 6px 0', color: '#ccc', fontSize: '13px' }}>{title}</h4>
+    {entries.length === 0 && <div style={{ color: '#777' }}>{emptyText}</div>}
+    {entries.map(entry => (
+      <div key={entry.id || entry.name} style={{ marginBottom: '4px' }}>
+        <span style={{ color: RARITY_COLORS[entry.rarity] || '#eee' }}>{entry.species_name || entry.name}</span>
+        <span style={{ color: '#999', fontSize: '11px' }}> {renderDetail(entry)}</span>
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * Drawer with the player's battle record: wins and losses per difficulty, streaks,
+ * favourite creatures, most-used items and the match history
+ * @param {Object} props
+ * @param {Function} props.onClose - Close handler
+ */
+const BattleProfilePanel = ({ onClose }) => {
+  const { isMobile, creatureNfts } = useContext(GameContext);
+
+  const [profile, setProfile] = useState(null);
+  const [battleExperience, setBattleExperience] = useState(0);
+  const [matches, setMatches] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadFirstPage = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await api.getBattleHistory({ limit: HISTORY_PAGE_SIZE });
+      setProfile(data.profile || null);
+      setBattleExperience(data.battleExperience || 0);
+      setMatches(data.results || []);
+      setHasMore(Boolean(data.hasMore));
+    } catch (loadError) {
+      console.error("Error loading battle history:", loadError);
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFirstPage();
+  }, [loadFirstPage]);
+
+  const loadMore = async () => {
+    if (isLoadingMore || !hasMore || matches.length === 0) return;
+    setIsLoadingMore(true);
+    try {
+      const data = await api.getBattleHistory({
+        before: matches[matches.length - 1].id,
+        limit: HISTORY_PAGE_SIZE
+      });
+      setMatches(prev => [...prev, ...(data.results || [])]);
+      setHasMore(Boolean(data.hasMore));
+    } catch (loadError) {
+      console.error("Error loading more battles:", loadError);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleHistoryScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollHeight - scrollTop - clientHeight < LOAD_MORE_THRESHOLD_PX) {
+      loadMore();
+    }
+  };
+
+  const teamRating = useMemo(() => calculateTeamRating(creatureNfts), [creatureNfts]);
+
+  return (
+    <>
+      {/* Overlay background */}
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          width: '100%',
+          height: '100%',
+          backgroundColor: 'rgba(0, 0, 0, 0.6)',
+          zIndex: 10002
+        }}
+        onClick={onClose}
+      />
+
+      {/* Drawer */}
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          right: 0,
+          width: isMobile ? '100vw' : '420px',
+          height: '100vh',
+          backgroundColor: '#222',
+          boxShadow: '-5px 0 25px rgba(0, 0, 0, 0.5)',
+          zIndex: 10003,
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{
+          padding: '15px',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          borderBottom: '1px solid #444'
+        }}>
+          <h2 style={{ margin: 0, color: '#4CAF50', fontSize: '18px' }}>Battle Profile</h2>
+          <button
+            onClick={onClose}
+            style={{
+              backgroundColor: '#333',
+              padding: '8px 16px',
+              borderRadius: '5px',
+              border: 'none',
+              color: '#fff',
+              cursor: 'pointer'
+            }}
+          >
+            Close
+          </button>
+        </div>
+
+        <div
+          style={{ overflowY: 'auto', padding: '15px', flex: '1', color: '#eee', fontSize: '13px' }}
+          onScroll={handleHistoryScroll}
+        >
+          {isLoading && <p style={{ color: '#aaa' }}>Loading your battles...</p>}
+
+          {!isLoading && error && (
+            <div style={{ color: '#FF9800' }}>
+              <p>Couldn't load your battles: {error}</p>
+              <button
+                onClick={loadFirstPage}
+                style={{
+                  backgroundColor: '#333',
+                  padding: '6px 12px',
+                  borderRadius: '5px',
+                  border: 'none',
+                  color: '#fff',
+                  cursor: 'pointer'
+                }}
+              >
+                Try Again
+              </button>
+            </div>
+          )}
+
+          {!isLoading && !error && profile && (
+            <>
+              {/* Overall record */}
+              <div style={{ ...cardStyle, display: 'flex', flexWrap: 'wrap', rowGap: '10px' }}>
+                <Stat label="Battles" value={profile.totals.battles} />
+                <Stat label="Won / Lost" value={`${profile.totals.wins} / ${profile.totals.losses}`} />
+                <Stat label="Win Rate" value={`${profile.totals.winRate}%`} />
+                <div style={{ flexBasis: '100%' }} />
+                <Stat label="Win Streak" value={profile.currentStreak} />
+                <Stat label="Best Streak" value={profile.bestStreak} />
+                <Stat label="Avg Turns to Win" value={profile.totals.averageWinTurns || '-'} />
+              </div>
+
+              {/* Ratings */}
+              <div style={{ ...cardStyle, display: 'flex' }}>
+                <Stat label="Team Rating" value={teamRating} />
+                <Stat label="Best Team Rating" value={profile.bestTeamRating || '-'} />
+                <Stat label="Battle XP" value={battleExperience} />
+              </div>
+
+              {/* Per difficulty */}
+              <h3 style={sectionTitleStyle}>By Difficulty</h3>
+              <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '12px' }}>
+                <thead>
+                  <tr style={{ color: '#aaa', textAlign: 'right' }}>
+                    <th style={{ textAlign: 'left', padding: '4px' }}>Difficulty</th>
+                    <th style={{ padding: '4px' }}>W</th>
+                    <th style={{ padding: '4px' }}>L</th>
+                    <th style={{ padding: '4px' }}>Avg Turns</th>
+                    <th style={{ padding: '4px' }} title="Expected enemy rating for your current creatures">Enemy</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {PROFILE_DIFFICULTIES.map(difficulty => {
+                    const group = profile.byDifficulty[difficulty];
+                    // Only the built-in difficulties have a fixed strength to rate against
+                    const rating = ['custom', 'campaign', 'daily', 'gauntlet'].includes(difficulty) || creatureNfts.length === 0
+                      ? null
+                      : calculateDifficultyRating(creatureNfts, difficulty);
+                    return (
+                      <tr key={difficulty} style={{ borderTop: '1px solid #333', textAlign: 'right' }}>
+                        <td style={{ textAlign: 'left', padding: '4px', color: DIFFICULTY_COLORS[difficulty] }}>
+                          {capitalize(difficulty)}
+                        </td>
+                        <td style={{ padding: '4px' }}>{group.wins}</td>
+                        <td style={{ padding: '4px' }}>{group.losses}</td>
+                        <td style={{ padding: '4px' }}>{group.averageTurns || '-'}</td>
+                        <td style={{ padding: '4px', color: rating?.balanced ? '#4CAF50' : '#ccc' }}>
+                          {rating ? rating.enemyRating : '-'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {/* Favourites */}
+              <div style={{ ...cardStyle }}>
+                <UsageList
+                  title="Favourite Creatures"
+                  entries={profile.favouriteCreatures}
+                  emptyText="No creatures fielded yet"
+                  renderDetail={(creature) => `Form ${creature.form} · ${creature.count} battles · ${creature.wins} wins`}
+                />
+              </div>
+              <div style={{ ...cardStyle, display: 'flex', gap: '12px' }}>
+                <UsageList
+                  title="Most-Used Tools"
+                  entries={profile.topTools}
+                  emptyText="None yet"
+                  renderDetail={(tool) => `×${tool.count}`}
+                />
+                <UsageList
+                  title="Most-Used Spells"
+                  entries={profile.topSpells}
+                  emptyText="None yet"
+                  renderDetail={(spell) => `×${spell.count}`}
+                />
+              </div>
+
+              {/* Match history */}
+              <h3 style={sectionTitleStyle}>Match History</h3>
+              {matches.length === 0 && (
+                <p style={{ color: '#aaa' }}>No battles yet. Win one to start your record!</p>
+              )}
+              {matches.map(match => {
+                const isWin = match.result === 'victory';
+                const itemCount = match.rewards?.items?.length || 0;
+                return (
+                  <div
+                    key={match.id}
+                    style={{
+                      background: 'rgba(0, 0, 0, 0.3)',
+                      borderLeft: `4px solid ${isWin ? '#4CAF50' : '#F44336'}`,
+                      borderRadius: '6px',
+                      padding: '8px 10px',
+                      marginBottom: '8px'
+                    }}
+                  >
+                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+                      <strong style={{ color: isWin ? '#4CAF50' : '#F44336' }}>{isWin ? 'Victory' : 'Defeat'}</strong>
+                      <span style={{
+                        color: DIFFICULTY_COLORS[getHistoryGroup(match.difficulty)] || DIFFICULTY_COLORS.custom
+                      }}>
+                        {getDifficultyLabel(match.difficulty || 'custom')}
+                      </span>
+                      <span style={{ color: '#999', fontSize: '11px' }}>{new Date(match.submittedAt).toLocaleString()}</span>
+                    </div>
+                    <div style={{ color: '#ccc', marginTop: '3px' }}>
+                      {match.turns} turns · {match.survivors.length} survived · {match.defeated.length} enemies defeated
+                    </div>
+                    {match.creaturesUsed?.length > 0 && (
+                      <div style={{ color: '#999', fontSize: '11px', marginTop: '3px' }}>
+                        {match.creaturesUsed.map(creature => creature.species_name).join(', ')}
+                      </div>
+                    )}
+                    {isWin && match.rewards && (
+                      <div style={{ color: '#FFD700', fontSize: '11px', marginTop: '3px' }}>
+                        +{match.rewards.experience} XP · +{match.rewards.currency} TCorvax
+                        {itemCount > 0 && ` · ${itemCount} item${itemCount === 1 ? '' : 's'}`}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+              {isLoadingMore && <p style={{ color: '#aaa', textAlign: 'center' }}>Loading more...</p>}
+              {hasMore && !isLoadingMore && (
+                <button
+                  onClick={loadMore}
+                  style={{
+                    width: '100%',
+                    backgroundColor: '#333',
+                    padding: '6px 0',
+                    borderRadius: '5px',
+                    border: 'none',
+                    color: '#fff',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Load More
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default BattleProfilePanel;
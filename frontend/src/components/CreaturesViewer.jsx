@@ -1,38 +1,34 @@
 // src/components/CreaturesViewer.jsx
-import { useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
 import UpgradeStatsModal from './UpgradeStatsModal';
 import EvolveModal from './EvolveModal';
 import ItemsViewer from './ItemsViewer';
+import { NFT_COLLECTIONS } from '../utils/NftStore';
 
 const CreaturesViewer = ({ onClose }) => {
   // Game context
   const {
     isMobile,
     formatResource,
-    addNotification
+    addNotification,
+    getNftEntry,
+    loadAccountNfts
   } = useContext(GameContext);
 
   // From the RadixConnect context
   const {
     connected,
     accounts,
+    selectedAccount,
     updateAccountSharing
   } = useRadixConnect();
 
   // Component states
-  const [isLoading, setIsLoading] = useState(true);
   const [connectionStatus, setConnectionStatus] = useState('checking');
   const [showConnectionDetails, setShowConnectionDetails] = useState(false);
-  const [creatures, setCreatures] = useState([]);
   const [selectedCreatureId, setSelectedCreatureId] = useState(null);
-  const [error, setError] = useState(null);
-  const [showRefreshButton, setShowRefreshButton] = useState(false);
-  const [lastLoadTime, setLastLoadTime] = useState(0);
-  const [loadingCount, setLoadingCount] = useState(0);
-  const [lastSuccessfulCreatures, setLastSuccessfulCreatures] = useState([]);
-  const loadLockRef = useRef(false);
   
   // Stats details modal state
   const [showStatsDetail, setShowStatsDetail] = useState(false);
@@ -48,151 +44,45 @@ const CreaturesViewer = ({ onClose }) => {
   
   // Items viewer modal state
   const [showItemsViewer, setShowItemsViewer] = useState(false);
+  
+  // NEW: Merged roster across every shared account
+  const [showAllAccounts, setShowAllAccounts] = useState(false);
+  
+  // Which roster is on screen
+  const rosterKey = showAllAccounts ? 'all_accounts' : selectedAccount?.address;
+  const rosterKeyRef = useRef(rosterKey);
 
-  // Load creatures from the API
-  const loadCreatures = useCallback(async (force = false) => {
-    if (!connected || !accounts || accounts.length === 0) return;
-    
-    // Implement a lock to prevent concurrent loads
-    if (loadLockRef.current && !force) {
-      console.log("Load creatures locked - skipping duplicate request");
-      return;
-    }
-    
-    // Add rate limiting - prevent loading more than once every 3 seconds
-    const now = Date.now();
-    if (!force && now - lastLoadTime < 3000 && creatures.length > 0) {
-      console.log("Rate limiting creatures load - too soon since last load");
-      return;
-    }
-    
-    // Activate lock
-    loadLockRef.current = true;
-    
-    // Increment loading count so UI knows we're making a request
-    setLoadingCount(prev => prev + 1);
-    setIsLoading(true);
-    setError(null);
-    setLastLoadTime(now);
-    
-    try {
-      const accountAddress = accounts[0].address;
-      
-      // Try to get cached creatures first if we have empty results
-      const cachedCreatures = localStorage.getItem(`creatures_${accountAddress}`);
-      let parsedCache = null;
-      
-      if (cachedCreatures) {
-        try {
-          parsedCache = JSON.parse(cachedCreatures);
-          // Check if cache is fresh (less than 5 minutes old)
-          const cacheAge = now - (parsedCache.timestamp || 0);
-          if (cacheAge > 5 * 60 * 1000) {
-            console.log("Cache expired, fetching fresh data");
-            parsedCache = null;
-          }
-        } catch (e) {
-          console.error("Error parsing cached creatures:", e);
-        }
-      }
-      
-      // Use our API endpoint to get all user creatures
-      const response = await fetch('/api/getUserCreatures', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          accountAddress: accountAddress
-        }),
-        credentials: 'same-origin'
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      console.log("Creatures data:", data);
-      
-      if (data.creatures && Array.isArray(data.creatures) && data.creatures.length > 0) {
-        // Update cache with fresh data
-        localStorage.setItem(`creatures_${accountAddress}`, JSON.stringify({
-          creatures: data.creatures,
-          timestamp: Date.now()
-        }));
-        
-        setCreatures(data.creatures);
-        setLastSuccessfulCreatures(data.creatures);
-        
-        // If we have creatures, select the first one by default if none selected
-        if (data.creatures.length > 0 && !selectedCreatureId) {
-          setSelectedCreatureId(data.creatures[0].id);
-        }
-      } else if (data.creatures && Array.isArray(data.creatures) && data.creatures.length === 0) {
-        // Empty array returned
-        if (creatures.length > 0) {
-          console.log("Received empty creatures array but keeping existing data");
-        } else if (parsedCache && parsedCache.creatures && parsedCache.creatures.length > 0) {
-          // Use cached data as fallback
-          console.log("Using cached creatures data as fallback");
-          setCreatures(parsedCache.creatures);
-          if (!selectedCreatureId && parsedCache.creatures.length > 0) {
-            setSelectedCreatureId(parsedCache.creatures[0].id);
-          }
-        } else {
-          // No existing data, no cache, empty response
-          setCreatures([]);
-        }
-      }
-      
-      // Show refresh button after first load
-      setShowRefreshButton(true);
-    } catch (error) {
-      console.error("Error loading creatures:", error);
-      setError(`Failed to load creatures: ${error.message}`);
-      
-      // Try to use cached data on error
-      try {
-        const accountAddress = accounts[0].address;
-        const cachedCreatures = localStorage.getItem(`creatures_${accountAddress}`);
-        if (cachedCreatures) {
-          const parsedCache = JSON.parse(cachedCreatures);
-          if (parsedCache.creatures && parsedCache.creatures.length > 0) {
-            console.log("Using cached creatures data on API error");
-            if (creatures.length === 0) {
-              setCreatures(parsedCache.creatures);
-              if (!selectedCreatureId && parsedCache.creatures.length > 0) {
-                setSelectedCreatureId(parsedCache.creatures[0].id);
-              }
-            }
-          }
-        } else if (lastSuccessfulCreatures.length > 0) {
-          // Fallback to the last successful load
-          setCreatures(lastSuccessfulCreatures);
-        }
-      } catch (cacheError) {
-        console.error("Error using cached creatures:", cacheError);
-      }
-    } finally {
-      setIsLoading(false);
-      setLoadingCount(prev => prev - 1);
-      // Release lock after a short delay to prevent immediate subsequent requests
-      setTimeout(() => {
-        loadLockRef.current = false;
-      }, 500);
-    }
-  }, [connected, accounts, lastLoadTime, creatures, selectedCreatureId, lastSuccessfulCreatures]);
+  // Accounts whose creatures are on screen
+  const rosterAddresses = useMemo(() => {
+    if (!connected || !accounts) return [];
+    if (showAllAccounts) return accounts.map(account => account.address);
+    return selectedAccount ? [selectedAccount.address] : [];
+  }, [connected, accounts, selectedAccount, showAllAccounts]);
+
+  // FIXED: Creatures come from the shared NFT store - cached per account (also across reloads)
+  // and refreshed in the background, so reopening the viewer shows them straight away
+  const rosterEntries = rosterAddresses.map(address => getNftEntry(NFT_COLLECTIONS.CREATURES, address));
+  const creatures = rosterEntries.flatMap(entry => entry.data || []);
+  const rosterError = rosterEntries.find(entry => entry.error && !entry.data)?.error;
+  const error = rosterError ? `Failed to load creatures: ${rosterError}` : null;
+  const isLoading = !error && rosterEntries.some(entry => !entry.data);
+  const isRefreshing = rosterEntries.some(entry => entry.loading);
+  const showRefreshButton = rosterEntries.some(entry => entry.data || entry.error);
+
+  // Load creatures through the store (force skips the cache)
+  const loadCreatures = useCallback((force = false) => {
+    rosterAddresses.forEach(accountAddress => {
+      // Failures are kept on the store entry and shown from there
+      loadAccountNfts(NFT_COLLECTIONS.CREATURES, accountAddress, { force }).catch(() => {});
+    });
+  }, [rosterAddresses, loadAccountNfts]);
 
   // Check connection status
   useEffect(() => {
     if (!connected) {
       setConnectionStatus('disconnected');
-      setIsLoading(false);
     } else if (!accounts || accounts.length === 0) {
       setConnectionStatus('connected-no-accounts');
-      setIsLoading(false);
     } else {
       setConnectionStatus('ready');
       // Only load creatures if we have an account
@@ -200,6 +90,29 @@ const CreaturesViewer = ({ onClose }) => {
     }
   }, [connected, accounts, loadCreatures]);
 
+  // Start over when the active account changes or the merged roster is toggled
+  useEffect(() => {
+    if (rosterKeyRef.current === rosterKey) return;
+    
+    rosterKeyRef.current = rosterKey;
+    setSelectedCreatureId(null);
+  }, [rosterKey]);
+
+  // Select the first creature by default
+  const firstCreatureId = creatures[0]?.id;
+  useEffect(() => {
+    if (!selectedCreatureId && firstCreatureId) {
+      setSelectedCreatureId(firstCreatureId);
+    }
+  }, [selectedCreatureId, firstCreatureId]);
+
+  // Label of the account that holds a creature (merged roster)
+  const getAccountLabel = (accountAddress) => {
+    const account = accounts?.find(item => item.address === accountAddress);
+    if (account?.label) return account.label;
+    return accountAddress ? `${accountAddress.slice(0, 10)}...${accountAddress.slice(-6)}` : 'Unknown account';
+  };
+
   // Function to open the upgrade modal with the selected creature
   const handleUpgradeStats = (creature) => {
     setCreatureToUpgrade(creature);
@@ -207,7 +120,7 @@ const CreaturesViewer = ({ onClose }) => {
   };
 
   // Function to handle successful upgrades
-  const handleUpgradeSuccess = useCallback((updatedCreature) => {
+  const handleUpgradeSuccess = useCallback(() => {
     // Prevent duplicate notifications by checking timing
     const now = Date.now();
     const lastNotificationTime = parseInt(localStorage.getItem('last_upgrade_notification') || '0');
@@ -221,32 +134,8 @@ const CreaturesViewer = ({ onClose }) => {
       addNotification?.('Creature upgraded successfully!', 400, 300, '#4CAF50', notificationId);
     }
     
-    // If we have an updated creature directly, use it
-    if (updatedCreature) {
-      // Update the creature in the local state instead of reloading everything
-      setCreatures(prevCreatures => {
-        const newCreatures = prevCreatures.map(c => 
-          c.id === updatedCreature.id ? updatedCreature : c
-        );
-        
-        // Also update cache
-        if (accounts && accounts.length > 0) {
-          const accountAddress = accounts[0].address;
-          localStorage.setItem(`creatures_${accountAddress}`, JSON.stringify({
-            creatures: newCreatures,
-            timestamp: Date.now()
-          }));
-        }
-        
-        return newCreatures;
-      });
-    } else {
-      // If no direct creature data, reload immediately
-      // MODIFIED: Changed from delayed reload to immediate reload for consistency
-      console.log("No updated creature data - forcing immediate reload");
-      loadCreatures(true); // Force reload
-    }
-  }, [accounts, addNotification, loadCreatures]);
+    // The NFT store refreshes just this creature once the transaction settles (see GameContext)
+  }, [addNotification]);
 
   // Function to handle evolution
   const handleEvolveCreature = (creature) => {
@@ -255,7 +144,7 @@ const CreaturesViewer = ({ onClose }) => {
   };
 
   // Function to handle successful evolution
-  const handleEvolveSuccess = useCallback((updatedCreature) => {
+  const handleEvolveSuccess = useCallback(() => {
     // Prevent duplicate notifications by checking timing
     const now = Date.now();
     const lastNotificationTime = parseInt(localStorage.getItem('last_evolve_notification') || '0');
@@ -269,31 +158,8 @@ const CreaturesViewer = ({ onClose }) => {
       addNotification?.('Creature evolved successfully!', 400, 300, '#FF9800', notificationId);
     }
     
-    // If we have an updated creature directly, use it
-    if (updatedCreature) {
-      // Update the creature in the local state instead of reloading everything
-      setCreatures(prevCreatures => {
-        const newCreatures = prevCreatures.map(c => 
-          c.id === updatedCreature.id ? updatedCreature : c
-        );
-        
-        // Also update cache
-        if (accounts && accounts.length > 0) {
-          const accountAddress = accounts[0].address;
-          localStorage.setItem(`creatures_${accountAddress}`, JSON.stringify({
-            creatures: newCreatures,
-            timestamp: Date.now()
-          }));
-        }
-        
-        return newCreatures;
-      });
-    } else {
-      // No direct creature data - IMMEDIATELY reload creatures
-      console.log("No updated creature data - forcing immediate reload");
-      loadCreatures(true); // Force reload
-    }
-  }, [accounts, addNotification, loadCreatures]);
+    // The NFT store refreshes just this creature once the transaction settles (see GameContext)
+  }, [addNotification]);
 
   // Use useEffect to setup periodic refresh attempts after failed loads
   useEffect(() => {
@@ -307,7 +173,7 @@ const CreaturesViewer = ({ onClose }) => {
       
       return () => clearTimeout(recoveryTimeout);
     }
-  }, [error, creatures, connected, accounts, loadCreatures]);
+  }, [error, creatures.length, connected, accounts, loadCreatures]);
 
   // Cancel any pending timeouts when unmounting
   useEffect(() => {
@@ -513,21 +379,21 @@ const CreaturesViewer = ({ onClose }) => {
             {showRefreshButton && (
               <button
                 onClick={() => loadCreatures(true)} // Force refresh
-                disabled={isLoading}
+                disabled={isRefreshing}
                 style={{
-                  backgroundColor: isLoading ? '#555' : '#2196F3',
+                  backgroundColor: isRefreshing ? '#555' : '#2196F3',
                   padding: '8px 16px',
                   borderRadius: '5px',
                   border: 'none',
                   color: '#fff',
-                  cursor: isLoading ? 'not-allowed' : 'pointer',
+                  cursor: isRefreshing ? 'not-allowed' : 'pointer',
                   display: 'flex',
                   alignItems: 'center',
                   gap: '5px'
                 }}
               >
-                {isLoading ? 'Loading...' : 'Refresh'}
-                {isLoading && (
+                {isRefreshing ? 'Loading...' : 'Refresh'}
+                {isRefreshing && (
                   <div
                     style={{
                       width: '14px',
@@ -605,12 +471,39 @@ const CreaturesViewer = ({ onClose }) => {
                   <strong>Accounts Shared:</strong> {accounts?.length > 0 ? 'Yes' : 'No'}
                 </p>
                 <p style={{ fontSize: '11px', margin: '2px 0' }}>
-                  <strong>Account Address:</strong> {accounts[0]?.address || 'N/A'}
+                  <strong>Account Address:</strong> {selectedAccount?.address || 'N/A'}
                 </p>
               </div>
             </div>
           )}
 
+          {/* NEW: Roster switch - only useful with more than one shared account */}
+          {connectionStatus === 'ready' && accounts.length > 1 && (
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '15px', flexWrap: 'wrap' }}>
+              {[
+                { allAccounts: false, label: `This account (${getAccountLabel(selectedAccount?.address)})` },
+                { allAccounts: true, label: `All accounts (${accounts.length})` }
+              ].map(option => (
+                <button
+                  key={option.label}
+                  onClick={() => setShowAllAccounts(option.allAccounts)}
+                  disabled={isLoading}
+                  style={{
+                    backgroundColor: showAllAccounts === option.allAccounts ? '#4CAF50' : '#333',
+                    color: '#fff',
+                    padding: '6px 12px',
+                    borderRadius: '5px',
+                    border: 'none',
+                    cursor: isLoading ? 'not-allowed' : 'pointer',
+                    fontSize: '13px'
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* A) Wallet is disconnected */}
           {connectionStatus === 'disconnected' && (
             <div
@@ -824,6 +717,11 @@ const CreaturesViewer = ({ onClose }) => {
                           {getFormDescription(creature.form)}
                         </span>
                       </div>
+                      {showAllAccounts && (
+                        <p style={{ margin: '4px 0 0 0', fontSize: '10px', color: '#aaa' }}>
+                          🔑 {getAccountLabel(creature.accountAddress)}
+                        </p>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -924,6 +822,12 @@ const CreaturesViewer = ({ onClose }) => {
                           {selectedCreature.species_name}
                         </h3>
                         
+                        {showAllAccounts && (
+                          <span style={{ fontSize: '12px', color: '#aaa' }}>
+                            Held by {getAccountLabel(selectedCreature.accountAddress)}
+                          </span>
+                        )}
+                        
                         {/* Evolution progress - for forms 0-2 */}
                         {selectedCreature.form < 3 && selectedCreature.evolution_progress && (
                           <div style={{
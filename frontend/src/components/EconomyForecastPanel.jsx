@@ -0,0 +1,276 @@
+// src/components/EconomyForecastPanel.jsx
+import { useContext, useMemo, useState } from 'react';
+import { GameContext } from '../context/GameContext';
+import {
+  ECONOMY_RESOURCES,
+  forecastEconomy,
+  findAffordableAt,
+  getMachineUpgradeCost
+} from '../utils/economyModel';
+
+// Forecast lengths the player can pick
+const HORIZON_OPTIONS = [6, 24, 72];
+
+const RESOURCE_LABELS = {
+  tcorvax: { icon: '💎', name: 'TCorvax', color: '#4CAF50' },
+  catNips: { icon: '🐱', name: 'Cat Nips', color: '#FFA726' },
+  energy: { icon: '⚡', name: 'Energy', color: '#FFD700' },
+  eggs: { icon: '🥚', name: 'Eggs', color: '#FF5722' }
+};
+
+// Rows shown in the projection table
+const TABLE_ROWS = 6;
+
+const formatAmount = (value) => (Math.round(value * 10) / 10).toFixed(1);
+
+const formatCost = (cost) => Object.entries(cost)
+  .map(([resource, amount]) => `${amount} ${RESOURCE_LABELS[resource]?.icon || resource}`)
+  .join(' + ');
+
+// "Now", "in 45m", "in 3h 20m"
+const formatWait = (ms) => {
+  if (ms <= 0) return 'Now';
+  const totalMinutes = Math.ceil(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `in ${minutes}m`;
+  return minutes === 0 ? `in ${hours}h` : `in ${hours}h ${minutes}m`;
+};
+
+/**
+ * Drawer projecting what the current machine layout earns, with how long until
+ * each machine can be built or upgraded
+ * @param {Object} props
+ * @param {Function} props.onClose - Close handler
+ */
+const EconomyForecastPanel = ({ onClose }) => {
+  const {
+    isMobile,
+    machines,
+    machineTypes,
+    tcorvax,
+    catNips,
+    energy,
+    eggs,
+    canBuildMachine,
+    calculateMachineCost
+  } = useContext(GameContext);
+
+  const [hours, setHours] = useState(24);
+  const [stakedCvx, setStakedCvx] = useState(0);
+
+  const hasIncubator = machines.some(m => m.type === 'incubator');
+
+  const forecast = useMemo(() => forecastEconomy({
+    machineTypes,
+    machines,
+    resources: { tcorvax, catNips, energy, eggs },
+    hours,
+    stakedCvx
+  }), [machineTypes, machines, tcorvax, catNips, energy, eggs, hours, stakedCvx]);
+
+  // Everything the player could spend on next, with when the forecast covers its cost
+  const targets = useMemo(() => {
+    const list = [];
+
+    Object.keys(machineTypes).forEach(type => {
+      if (canBuildMachine(type)) {
+        list.push({ key: `build-${type}`, label: `Build ${machineTypes[type].name}`, cost: calculateMachineCost(type) });
+      }
+    });
+
+    machines.forEach(machine => {
+      // FOMO HIT has no level upgrades, only its NFT mint
+      if (machine.type === 'fomoHit') return;
+      const cost = getMachineUpgradeCost(machineTypes, machine);
+      if (cost) {
+        list.push({
+          key: `upgrade-${machine.id}`,
+          label: `Upgrade ${machineTypes[machine.type]?.name || machine.type} (Lvl ${machine.level} → ${machine.level + 1})`,
+          cost
+        });
+      }
+    });
+
+    return list.map(target => {
+      const affordableAt = findAffordableAt(forecast, target.cost);
+      return { ...target, waitMs: affordableAt === null ? null : affordableAt - forecast.startAt };
+    });
+  }, [machineTypes, machines, canBuildMachine, calculateMachineCost, forecast]);
+
+  const tableStep = Math.max(1, Math.round(hours / TABLE_ROWS));
+  const tableRows = forecast.hourly.filter(row => row.hour % tableStep === 0 || row.hour === hours);
+
+  return (
+    <>
+      {/* Overlay background */}
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          width: '100%',
+          height: '100%',
+          backgroundColor: 'rgba(0, 0, 0, 0.6)',
+          zIndex: 10002
+        }}
+        onClick={onClose}
+      />
+
+      {/* Drawer */}
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          right: 0,
+          width: isMobile ? '100vw' : '420px',
+          height: '100vh',
+          backgroundColor: '#222',
+          boxShadow: '-5px 0 25px rgba(0, 0, 0, 0.5)',
+          zIndex: 10003,
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{
+          padding: '15px',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          borderBottom: '1px solid #444'
+        }}>
+          <h2 style={{ margin: 0, color: '#4CAF50', fontSize: '18px' }}>Economy Forecast</h2>
+          <button
+            onClick={onClose}
+            style={{
+              backgroundColor: '#333',
+              padding: '8px 16px',
+              borderRadius: '5px',
+              border: 'none',
+              color: '#fff',
+              cursor: 'pointer'
+            }}
+          >
+            Close
+          </button>
+        </div>
+
+        <div style={{ overflowY: 'auto', padding: '15px', flex: '1', color: '#eee', fontSize: '13px' }}>
+          <p style={{ margin: '0 0 10px 0', color: '#aaa' }}>
+            Assumes every machine is activated the moment its cooldown ends. Estimates only - the server has the final say.
+          </p>
+
+          {/* Horizon */}
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+            {HORIZON_OPTIONS.map(option => (
+              <button
+                key={option}
+                onClick={() => setHours(option)}
+                style={{
+                  flex: 1,
+                  backgroundColor: hours === option ? '#4CAF50' : '#333',
+                  color: 'white',
+                  padding: '6px 0',
+                  borderRadius: '5px',
+                  border: 'none',
+                  cursor: 'pointer',
+                  fontWeight: hours === option ? 'bold' : 'normal'
+                }}
+              >
+                {option}h
+              </button>
+            ))}
+          </div>
+
+          {hasIncubator && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px', color: '#ccc' }}>
+              sCVX staked (for Incubator rewards):
+              <input
+                type="number"
+                min="0"
+                value={stakedCvx}
+                onChange={(e) => setStakedCvx(Math.max(0, parseFloat(e.target.value) || 0))}
+                style={{
+                  width: '90px',
+                  backgroundColor: '#333',
+                  color: '#fff',
+                  border: '1px solid #555',
+                  borderRadius: '4px',
+                  padding: '4px'
+                }}
+              />
+            </label>
+          )}
+
+          {/* Totals */}
+          <div style={{ background: 'rgba(0, 0, 0, 0.3)', borderRadius: '6px', padding: '10px', marginBottom: '12px' }}>
+            <strong>Next {hours} hours ({forecast.activations} activations)</strong>
+            {ECONOMY_RESOURCES.map(resource => {
+              const label = RESOURCE_LABELS[resource];
+              const finalAmount = forecast.hourly[forecast.hourly.length - 1].resources[resource];
+              return (
+                <div key={resource} style={{ display: 'flex', justifyContent: 'space-between', marginTop: '5px' }}>
+                  <span style={{ color: label.color }}>{label.icon} {label.name}</span>
+                  <span>
+                    +{formatAmount(forecast.produced[resource])} ({formatAmount(forecast.produced[resource] / hours)}/h) → {formatAmount(finalAmount)}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Projection table */}
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '12px' }}>
+            <thead>
+              <tr style={{ color: '#aaa', textAlign: 'right' }}>
+                <th style={{ textAlign: 'left', padding: '4px' }}>Hour</th>
+                {ECONOMY_RESOURCES.map(resource => (
+                  <th key={resource} style={{ padding: '4px' }}>{RESOURCE_LABELS[resource].icon}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {tableRows.map(row => (
+                <tr key={row.hour} style={{ borderTop: '1px solid #333', textAlign: 'right' }}>
+                  <td style={{ textAlign: 'left', padding: '4px' }}>+{row.hour}h</td>
+                  {ECONOMY_RESOURCES.map(resource => (
+                    <td key={resource} style={{ padding: '4px' }}>{formatAmount(row.resources[resource])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Time until affordable */}
+          <h3 style={{ margin: '0 0 8px 0', fontSize: '15px', color: '#4CAF50' }}>When can I afford it?</h3>
+          {targets.length === 0 && (
+            <p style={{ color: '#aaa' }}>Nothing left to build or upgrade.</p>
+          )}
+          {targets.map(target => (
+            <div
+              key={target.key}
+              style={{
+                background: 'rgba(0, 0, 0, 0.3)',
+                borderLeft: `4px solid ${target.waitMs === null ? '#FF3D00' : target.waitMs === 0 ? '#4CAF50' : '#2196F3'}`,
+                borderRadius: '6px',
+                padding: '8px 10px',
+                marginBottom: '8px'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+                <strong>{target.label}</strong>
+                <span style={{ fontWeight: 'bold', whiteSpace: 'nowrap' }}>
+                  {target.waitMs === null ? `Not within ${hours}h` : formatWait(target.waitMs)}
+                </span>
+              </div>
+              <div style={{ color: '#999', fontSize: '11px', marginTop: '3px' }}>{formatCost(target.cost)}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default EconomyForecastPanel;
@@ -1,13 +1,16 @@
 // src/components/EvolveModal.jsx
-import { useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { useContext, useState, useEffect, useRef } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
+import { TRANSACTION_KINDS, TRANSACTION_STATUS } from '../utils/TransactionService';
+import { api, API_ERROR_CODES } from '../utils/apiClient';
 
 const EvolveModal = ({ onClose, creature, onSuccess }) => {
   // Context access
   const {
     initiateMintTransaction,
-    pollTransactionStatus,
+    trackTransaction,
+    watchTransaction,
     formatResource,
     isMobile,
     addNotification,
@@ -17,7 +20,11 @@ const EvolveModal = ({ onClose, creature, onSuccess }) => {
   const {
     connected,
     accounts,
+    selectedAccount,
   } = useRadixConnect();
+  
+  // Creatures from the "all accounts" roster carry the account that holds them
+  const accountAddress = creature?.accountAddress || selectedAccount?.address;
 
   // Component states
   const [isLoading, setIsLoading] = useState(false);
@@ -30,10 +37,7 @@ const EvolveModal = ({ onClose, creature, onSuccess }) => {
   
   // New polling states and refs
   const [pollCount, setPollCount] = useState(0);
-  const pollTimerRef = useRef(null);
-  const pollStartedRef = useRef(false);
   const successHandledRef = useRef(false);
-  const hardTimeoutRef = useRef(null);
   
   // Evolution cost states
   const [evolveCost, setEvolveCost] = useState(null);
@@ -84,31 +88,19 @@ const EvolveModal = ({ onClose, creature, onSuccess }) => {
       setError(null);
       
       try {
-        const response = await fetch('/api/getEvolveManifest', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            accountAddress: accounts[0].address,
-            creatureId: creature.id,
-            creatureData: creature
-          }),
-          credentials: 'same-origin'
+        const data = await api.getEvolveManifest({
+          accountAddress: accountAddress,
+          creatureId: creature.id,
+          creatureData: creature
         });
         
-        const data = await response.json();
-        
-        if (response.ok) {
-          setEvolveCost(data.cost);
-          setTokenSymbol(data.cost.token);
-        } else {
-          setError(data.error || "Failed to calculate evolution cost");
-          setEvolveCost(null);
-        }
+        setEvolveCost(data.cost);
+        setTokenSymbol(data.cost.token);
       } catch (error) {
         console.error("Error calculating evolution cost:", error);
-        setError("Network error calculating cost");
+        setError(error.code === API_ERROR_CODES.HTTP
+          ? error.data?.error || "Failed to calculate evolution cost"
+          : "Network error calculating cost");
         setEvolveCost(null);
       } finally {
         setCostFetching(false);
@@ -116,7 +108,7 @@ const EvolveModal = ({ onClose, creature, onSuccess }) => {
     };
     
     fetchEvolutionCost();
-  }, [connected, accounts, creature]);
+  }, [connected, accounts, accountAddress, creature]);
   
   // Fetch token balance when ready and when token symbol changes
   useEffect(() => {
@@ -127,28 +119,13 @@ const EvolveModal = ({ onClose, creature, onSuccess }) => {
       
       try {
         // Use our backend endpoint to check token balance
-        const response = await fetch('/api/checkTokenBalance', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            accountAddress: accounts[0].address,
-            tokenSymbol: tokenSymbol
-          }),
-          credentials: 'same-origin'
+        const data = await api.checkTokenBalance({
+          accountAddress: accountAddress,
+          tokenSymbol: tokenSymbol
         });
         
-        const data = await response.json();
-        
-        if (response.ok) {
-          setTokenBalance(data.tokenBalance || 0);
-          setHasEnoughTokens(evolveCost && data.tokenBalance >= evolveCost.amount);
-        } else {
-          console.error("Token balance check failed:", data.error || "Unknown error");
-          setTokenBalance(0);
-          setHasEnoughTokens(false);
-        }
+        setTokenBalance(data.tokenBalance || 0);
+        setHasEnoughTokens(evolveCost && data.tokenBalance >= evolveCost.amount);
       } catch (error) {
         console.error("Error checking token balance:", error);
         setTokenBalance(0);
@@ -162,168 +139,40 @@ const EvolveModal = ({ onClose, creature, onSuccess }) => {
       setTokenSymbol(evolveCost.token);
       checkTokenBalance();
     }
-  }, [connected, accounts, tokenSymbol, evolveCost]);
+  }, [connected, accounts, accountAddress, tokenSymbol, evolveCost]);
 
-  // This function will be called just once to start polling
-  const startPolling = useCallback(() => {
-    // If polling already started, don't start again
-    if (pollStartedRef.current) return;
-    pollStartedRef.current = true;
-    
-    console.log("[CRITICAL] Starting new polling sequence");
+  // Follow the transaction through the shared transaction tracker
+  useEffect(() => {
+    if (!intentHash) return undefined;
     
-    // Set a hard timeout to force success after 60 seconds regardless
-    hardTimeoutRef.current = setTimeout(() => {
-      console.log("[CRITICAL] Hard timeout reached - forcing success");
-      // Force success state and cleanup
+    return watchTransaction(intentHash, (record) => {
+      setPollCount(record.attempts);
+      if (record.result) {
+        setTransactionDetails(record.result.transactionStatus);
+      }
+      
+      if (record.status === TRANSACTION_STATUS.PENDING || record.status === TRANSACTION_STATUS.CANCELLED) return;
+      
+      if (record.status === TRANSACTION_STATUS.FAILED) {
+        setEvolvingStage('failed');
+        setIsLoading(false);
+        return;
+      }
+      
+      // Confirmed - or the tracker gave up waiting, in which case it most likely went through
       setEvolvingStage('success');
       setIsLoading(false);
       
-      // Handle success callback if not already done
+      // Handle success callback (only once)
       if (!successHandledRef.current) {
         successHandledRef.current = true;
         if (onSuccess) onSuccess();
-        addNotification("Evolution likely completed. Please refresh to see latest data.", 400, 300, "#4CAF50");
-      }
-      
-      // Clear any pending timers
-      if (pollTimerRef.current) {
-        clearTimeout(pollTimerRef.current);
-        pollTimerRef.current = null;
-      }
-    }, 60000);
-    
-    // Function that does the actual polling
-    const pollStatus = async (currentCount) => {
-      console.log(`[CRITICAL] Polling attempt ${currentCount}`);
-      
-      try {
-        const response = await fetch('/api/checkUpgradeStatus', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            intentHash,
-            creatureId: creature?.id,
-            checkCount: currentCount
-          }),
-          credentials: 'same-origin'
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        console.log(`[CRITICAL] Poll response (count=${currentCount}):`, data);
-        
-        // Update the UI with new count
-        setPollCount(currentCount);
-        
-        // Extract status information
-        const txSuccessful = data.forceSuccess === true || 
-                            (data.transactionStatus && data.transactionStatus.status === "CommittedSuccess");
-        
-        // If success or server says stop retrying
-        if (txSuccessful || data.shouldRetry === false) {
-          console.log("[CRITICAL] Success condition reached");
-          
-          // Transition to success state and stop loading
-          setEvolvingStage('success');
-          setIsLoading(false);
-          
-          // Clear timers
-          if (hardTimeoutRef.current) {
-            clearTimeout(hardTimeoutRef.current);
-            hardTimeoutRef.current = null;
-          }
-          
-          // Handle success callback (only once)
-          if (!successHandledRef.current) {
-            successHandledRef.current = true;
-            if (onSuccess) onSuccess();
-          }
-          
-          return; // Exit polling loop
+        if (record.status !== TRANSACTION_STATUS.SUCCESS) {
+          addNotification("Evolution likely completed. Please refresh to see latest data.", 400, 300, "#4CAF50");
         }
-        
-        // Continue polling with next count
-        const nextCount = currentCount + 1;
-        
-        // Schedule next poll
-        pollTimerRef.current = setTimeout(() => {
-          pollStatus(nextCount);
-        }, 5000); // Fixed 5 second wait time
-        
-      } catch (error) {
-        console.error("[CRITICAL] Polling error:", error);
-        
-        // On error, increment count and try again (up to 3 times)
-        const nextCount = currentCount + 1;
-        setPollCount(nextCount);
-        
-        if (nextCount < 3) {
-          // Retry with slightly longer delay
-          pollTimerRef.current = setTimeout(() => {
-            pollStatus(nextCount);
-          }, 7000);
-        } else {
-          // Too many errors, force success after 3 attempts
-          console.log("[CRITICAL] Too many errors, forcing success");
-          setEvolvingStage('success');
-          setIsLoading(false);
-          
-          // Clear hard timeout
-          if (hardTimeoutRef.current) {
-            clearTimeout(hardTimeoutRef.current);
-            hardTimeoutRef.current = null;
-          }
-          
-          // Handle success callback
-          if (!successHandledRef.current) {
-            successHandledRef.current = true;
-            if (onSuccess) onSuccess();
-            addNotification("Evolution might have completed. Please refresh to check.", 400, 300, "#4CAF50");
-          }
-        }
-      }
-    };
-    
-    // Start the first poll with count 0
-    pollStatus(0);
-  }, [intentHash, creature, onSuccess, addNotification]);
-
-  // REPLACE existing useEffect with this one for transaction polling
-  useEffect(() => {
-    // Only start polling when we have an intent hash and we're in pending state
-    if (intentHash && evolvingStage === 'pending') {
-      // Start polling sequence (will only start once)
-      startPolling();
-    }
-    
-    // Cleanup function
-    return () => {
-      // Clear all timers on unmount
-      if (pollTimerRef.current) {
-        clearTimeout(pollTimerRef.current);
-        pollTimerRef.current = null;
-      }
-      
-      if (hardTimeoutRef.current) {
-        clearTimeout(hardTimeoutRef.current);
-        hardTimeoutRef.current = null;
       }
-    };
-  }, [intentHash, evolvingStage, startPolling]);
-
-  // When transitioning from 'sending' to 'pending', reset the refs
-  useEffect(() => {
-    if (evolvingStage === 'pending') {
-      // Reset poll state on new 'pending' stage
-      pollStartedRef.current = false;
-      successHandledRef.current = false;
-      setPollCount(0);
-    }
-  }, [evolvingStage]);
+    });
+  }, [intentHash, watchTransaction, onSuccess, addNotification]);
 
   // Handler for the evolve transaction
   const handleEvolve = async () => {
@@ -337,29 +186,17 @@ const EvolveModal = ({ onClose, creature, onSuccess }) => {
     setEvolvingStage('sending');
     setError(null);
     setStatusCheckCount(0);  // Reset status check count when starting new transaction
+    setPollCount(0);
+    successHandledRef.current = false;
     
     try {
       // Fetch the manifest for evolving
-      const response = await fetch('/api/getEvolveManifest', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          accountAddress: accounts[0].address,
-          creatureId: creature.id,
-          creatureData: creature
-        }),
-        credentials: 'same-origin'
+      const data = await api.getEvolveManifest({
+        accountAddress: accountAddress,
+        creatureId: creature.id,
+        creatureData: creature
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
       if (!data.manifest) {
         throw new Error("Server didn't return evolution manifest");
       }
@@ -368,6 +205,12 @@ const EvolveModal = ({ onClose, creature, onSuccess }) => {
       const hash = await initiateMintTransaction(data.manifest, 'evolveCreature');
       
       if (hash) {
+        trackTransaction(TRANSACTION_KINDS.EVOLVE_CREATURE, hash, {
+          accountAddress,
+          creatureId: creature.id,
+          subject: creature.species_name,
+          cost: evolveCost
+        });
         setIntentHash(hash);
         setEvolvingStage('pending');
         addNotification("Evolution transaction sent to wallet", 400, 300, "#2196F3");
@@ -656,7 +499,7 @@ const EvolveModal = ({ onClose, creature, onSuccess }) => {
                   <strong>Accounts Shared:</strong> {accounts?.length > 0 ? 'Yes' : 'No'}
                 </p>
                 <p style={{ fontSize: '11px', margin: '2px 0' }}>
-                  <strong>Account Address:</strong> {accounts?.[0]?.address || 'N/A'}
+                  <strong>Account Address:</strong> {accountAddress || 'N/A'}
                 </p>
                 <p style={{ fontSize: '11px', margin: '2px 0' }}>
                   <strong>Evolving Stage:</strong> {evolvingStage}
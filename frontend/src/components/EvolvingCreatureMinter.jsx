@@ -2,12 +2,15 @@
 import { useContext, useState, useEffect } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
+import { TRANSACTION_KINDS, TRANSACTION_STATUS } from '../utils/TransactionService';
+import { api, API_ERROR_CODES } from '../utils/apiClient';
 
 const EvolvingCreatureMinter = ({ onClose }) => {
   // Game context
   const {
     initiateMintTransaction,
-    pollTransactionStatus,
+    trackTransaction,
+    watchTransaction,
     formatResource,
     isMobile
   } = useContext(GameContext);
@@ -16,6 +19,7 @@ const EvolvingCreatureMinter = ({ onClose }) => {
   const {
     connected,
     accounts,
+    selectedAccount,
     updateAccountSharing
   } = useRadixConnect();
 
@@ -25,7 +29,6 @@ const EvolvingCreatureMinter = ({ onClose }) => {
   const [mintingStage, setMintingStage] = useState('init'); // 'init', 'sending', 'pending', 'success', 'failed'
   const [intentHash, setIntentHash] = useState(null);
   const [transactionDetails, setTransactionDetails] = useState(null);
-  const [statusCheckCount, setStatusCheckCount] = useState(0);
   const [showConnectionDetails, setShowConnectionDetails] = useState(false);
   const [mintedCreature, setMintedCreature] = useState(null);
   const [mintedItem, setMintedItem] = useState(null);
@@ -63,45 +66,36 @@ const EvolvingCreatureMinter = ({ onClose }) => {
       
       try {
         // Use our backend endpoint to check XRD balance
-        const response = await fetch('/api/checkXrdBalance', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            accountAddress: accounts[0].address
-          }),
-          credentials: 'same-origin'
+        const data = await api.checkXrdBalance({
+          accountAddress: selectedAccount.address
         });
-        
-        const data = await response.json();
         console.log("XRD balance check:", data);
         
-        if (response.ok) {
-          // Just store the balance for display - don't block the mint button
-          setXrdBalance(data.xrdBalance);
-          
-          // Store any status message, but don't block minting
-          if (data.statusMessage) {
-            setBalanceErrorMessage(data.statusMessage);
-          } else {
-            setBalanceErrorMessage("");
-          }
+        // Just store the balance for display - don't block the mint button
+        setXrdBalance(data.xrdBalance);
+        
+        // Store any status message, but don't block minting
+        if (data.statusMessage) {
+          setBalanceErrorMessage(data.statusMessage);
         } else {
-          console.error("XRD balance check failed:", data.error || "Unknown error");
-          // Store the error message
-          setBalanceErrorMessage(data.statusMessage || "Failed to check XRD balance");
+          setBalanceErrorMessage("");
         }
       } catch (error) {
-        console.error("Error checking XRD balance:", error);
-        setBalanceErrorMessage("Network error checking balance");
+        if (error.code === API_ERROR_CODES.HTTP) {
+          console.error("XRD balance check failed:", error.message);
+          // Store the error message
+          setBalanceErrorMessage(error.data?.statusMessage || "Failed to check XRD balance");
+        } else {
+          console.error("Error checking XRD balance:", error);
+          setBalanceErrorMessage("Network error checking balance");
+        }
       } finally {
         setIsLoadingBalance(false);
       }
     };
     
     checkXrdBalance();
-  }, [connected, accounts]);
+  }, [connected, accounts, selectedAccount]);
 
   // Add this function to refresh the balance manually
   const refreshBalance = async () => {
@@ -110,19 +104,10 @@ const EvolvingCreatureMinter = ({ onClose }) => {
     setIsLoadingBalance(true);
     
     try {
-      const response = await fetch('/api/checkXrdBalance', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          accountAddress: accounts[0].address,
-          forceRefresh: true // Add this flag to indicate a refresh request
-        }),
-        credentials: 'same-origin'
+      const data = await api.checkXrdBalance({
+        accountAddress: selectedAccount.address,
+        forceRefresh: true // Add this flag to indicate a refresh request
       });
-      
-      const data = await response.json();
       console.log("XRD balance refresh:", data);
       
       setXrdBalance(data.xrdBalance);
@@ -165,72 +150,35 @@ const EvolvingCreatureMinter = ({ onClose }) => {
     }
   }, []);
 
-  // Poll transaction status if we have an intent hash
+  // Follow the mint through the shared transaction tracker
   useEffect(() => {
-    if (intentHash && mintingStage === 'pending') {
-      const maxStatusChecks = 30; // Limit how many times we check
+    if (!intentHash) return undefined;
+    
+    return watchTransaction(intentHash, (record) => {
+      if (record.result) {
+        setTransactionDetails(record.result.transactionStatus);
+      }
       
-      const checkStatus = async () => {
-        try {
-          const response = await fetch('/api/checkCreatureMintStatus', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              intentHash
-            }),
-            credentials: 'same-origin'
-          });
-          
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-          
-          const data = await response.json();
-          console.log("Transaction status:", data);
-          setTransactionDetails(data.transactionStatus);
-          
-          const txStatus = data.transactionStatus?.status;
-          
-          if (txStatus === "CommittedSuccess") {
-            setMintingStage('success');
-            setIsLoading(false);
-            
-            // If the transaction was successful and we have NFT details, set them
-            if (data.creatureNft) {
-              setMintedCreature(data.creatureNft);
-            }
-            if (data.bonusItem) {
-              setMintedItem(data.bonusItem);
-            }
-            
-            return;
-          } else if (txStatus === "Failed" || txStatus === "Rejected") {
-            setMintingStage('failed');
-            setIsLoading(false);
-            return;
-          }
-          
-          setStatusCheckCount(prev => prev + 1);
-          
-          // If we're still pending and haven't reached max checks
-          if (statusCheckCount < maxStatusChecks) {
-            setTimeout(checkStatus, 3000);
-          } else {
-            // Max checks reached, but not failed - tell user to check later
-            setIsLoading(false);
-          }
-        } catch (error) {
-          console.error("Error checking transaction status:", error);
-          setIsLoading(false);
-          setMintingStage('failed');
+      if (record.status === TRANSACTION_STATUS.SUCCESS) {
+        setMintingStage('success');
+        setIsLoading(false);
+        
+        // If the transaction was successful and we have NFT details, set them
+        if (record.result?.creatureNft) {
+          setMintedCreature(record.result.creatureNft);
         }
-      };
-      
-      setTimeout(checkStatus, 3000);
-    }
-  }, [intentHash, mintingStage, statusCheckCount]);
+        if (record.result?.bonusItem) {
+          setMintedItem(record.result.bonusItem);
+        }
+      } else if (record.status === TRANSACTION_STATUS.FAILED || record.status === TRANSACTION_STATUS.ERROR) {
+        setMintingStage('failed');
+        setIsLoading(false);
+      } else if (record.status === TRANSACTION_STATUS.TIMEOUT) {
+        // Max checks reached, but not failed - tell user to check later
+        setIsLoading(false);
+      }
+    });
+  }, [intentHash, watchTransaction]);
 
   // Handle the minting process
   const handleMint = async () => {
@@ -241,24 +189,10 @@ const EvolvingCreatureMinter = ({ onClose }) => {
     
     try {
       // Generate the manifest for minting a creature egg
-      const response = await fetch('/api/getCreatureMintManifest', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          accountAddress: accounts[0].address
-        }),
-        credentials: 'same-origin'
+      const data = await api.getCreatureMintManifest({
+        accountAddress: selectedAccount.address
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
       if (!data.manifest) {
         throw new Error("Server didn't return minting manifest");
       }
@@ -267,6 +201,11 @@ const EvolvingCreatureMinter = ({ onClose }) => {
       const hash = await initiateMintTransaction(data.manifest, 'evolvingCreature');
       
       if (hash) {
+        trackTransaction(TRANSACTION_KINDS.CREATURE_MINT, hash, {
+          accountAddress: selectedAccount.address,
+          subject: 'Creature egg',
+          cost: { amount: MINT_PRICE, token: 'XRD' }
+        });
         setIntentHash(hash);
         setMintingStage('pending');
       } else {
@@ -289,7 +228,6 @@ const EvolvingCreatureMinter = ({ onClose }) => {
     setMintingStage('init');
     setIntentHash(null);
     setTransactionDetails(null);
-    setStatusCheckCount(0);
     setMintedCreature(null);
     setMintedItem(null);
   };
@@ -454,7 +392,7 @@ const EvolvingCreatureMinter = ({ onClose }) => {
                   <strong>Accounts Shared:</strong> {accounts?.length > 0 ? 'Yes' : 'No'}
                 </p>
                 <p style={{ fontSize: '11px', margin: '2px 0' }}>
-                  <strong>Account Address:</strong> {accounts[0]?.address || 'N/A'}
+                  <strong>Account Address:</strong> {selectedAccount?.address || 'N/A'}
                 </p>
                 <p style={{ fontSize: '11px', margin: '2px 0' }}>
                   <strong>Minting Stage:</strong> {mintingStage}
@@ -516,9 +454,9 @@ const EvolvingCreatureMinter = ({ onClose }) => {
               <p>
                 Connected to account:{' '}
                 <strong>
-                  {accounts[0]?.label ||
-                    (accounts[0]?.address
-                      ? accounts[0].address.slice(0, 10) + '...'
+                  {selectedAccount?.label ||
+                    (selectedAccount?.address
+                      ? selectedAccount.address.slice(0, 10) + '...'
                       : 'N/A')}
                 </strong>
               </p>
@@ -622,7 +560,7 @@ const EvolvingCreatureMinter = ({ onClose }) => {
                   )}
                   
                   <p style={{ fontSize: '14px', margin: '10px 0 0 0', opacity: 0.7 }}>
-                    Your NFTs will be sent to: <span style={{ fontWeight: 'bold' }}>{accounts[0]?.address.slice(0, 10) + '...' + accounts[0]?.address.slice(-10)}</span>
+                    Your NFTs will be sent to: <span style={{ fontWeight: 'bold' }}>{selectedAccount?.address.slice(0, 10) + '...' + selectedAccount?.address.slice(-10)}</span>
                   </p>
                 </div>
               </div>
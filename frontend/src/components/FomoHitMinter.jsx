@@ -2,6 +2,8 @@
 import { useContext, useEffect, useState } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
+import { TRANSACTION_KINDS, TRANSACTION_STATUS } from '../utils/TransactionService';
+import { api } from '../utils/apiClient';
 
 const FomoHitMinter = ({ machineId, onClose }) => {
   // Game context
@@ -9,7 +11,8 @@ const FomoHitMinter = ({ machineId, onClose }) => {
     machines,
     activateMachine,
     initiateMintTransaction,
-    pollTransactionStatus
+    trackTransaction,
+    watchTransaction
   } = useContext(GameContext);
 
   // Radix Connect context
@@ -29,7 +32,6 @@ const FomoHitMinter = ({ machineId, onClose }) => {
   const [mintingStage, setMintingStage] = useState('init'); // 'init', 'sending', 'pending', 'success', 'failed'
   const [intentHash, setIntentHash] = useState(null);
   const [transactionDetails, setTransactionDetails] = useState(null);
-  const [statusCheckCount, setStatusCheckCount] = useState(0);
   const [showConnectionDetails, setShowConnectionDetails] = useState(false);
 
   // Check connection status
@@ -43,64 +45,27 @@ const FomoHitMinter = ({ machineId, onClose }) => {
     }
   }, [connected, accounts]);
 
-  // Poll transaction status if we have an intent hash
+  // Follow the mint through the shared transaction tracker
   useEffect(() => {
-    if (intentHash && mintingStage === 'pending') {
-      const maxStatusChecks = 30; // Limit how many times we check
-      
-      const checkStatus = async () => {
-        try {
-          const response = await fetch('/api/checkMintStatus', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              intentHash,
-              machineId
-            }),
-            credentials: 'same-origin'
-          });
-          
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-          
-          const data = await response.json();
-          console.log("Transaction status:", data);
-          setTransactionDetails(data.transactionStatus);
-          
-          const txStatus = data.transactionStatus?.status;
-          
-          if (txStatus === "CommittedSuccess") {
-            setMintingStage('success');
-            setIsLoading(false);
-            return;
-          } else if (txStatus === "Failed" || txStatus === "Rejected") {
-            setMintingStage('failed');
-            setIsLoading(false);
-            return;
-          }
-          
-          setStatusCheckCount(prev => prev + 1);
-          
-          // If we're still pending and haven't reached max checks
-          if (statusCheckCount < maxStatusChecks) {
-            setTimeout(checkStatus, 3000);
-          } else {
-            // Max checks reached, but not failed - tell user to check later
-            setIsLoading(false);
-          }
-        } catch (error) {
-          console.error("Error checking transaction status:", error);
-          setIsLoading(false);
-          setMintingStage('failed');
-        }
-      };
+    if (!intentHash) return undefined;
+    
+    return watchTransaction(intentHash, (record) => {
+      if (record.result) {
+        setTransactionDetails(record.result.transactionStatus);
+      }
       
-      setTimeout(checkStatus, 3000);
-    }
-  }, [intentHash, mintingStage, machineId, statusCheckCount]);
+      if (record.status === TRANSACTION_STATUS.SUCCESS) {
+        setMintingStage('success');
+        setIsLoading(false);
+      } else if (record.status === TRANSACTION_STATUS.FAILED || record.status === TRANSACTION_STATUS.ERROR) {
+        setMintingStage('failed');
+        setIsLoading(false);
+      } else if (record.status === TRANSACTION_STATUS.TIMEOUT) {
+        // Max checks reached, but not failed - tell user to check later
+        setIsLoading(false);
+      }
+    });
+  }, [intentHash, watchTransaction]);
 
   // Handle the minting process
   const handleMint = async () => {
@@ -111,25 +76,11 @@ const FomoHitMinter = ({ machineId, onClose }) => {
     
     try {
       // First, activate the machine which will return a manifest
-      const response = await fetch('/api/activateMachine', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          machineId: machine.id,
-          accountAddress: accounts[0].address
-        }),
-        credentials: 'same-origin'
+      const data = await api.activateMachine({
+        machineId: machine.id,
+        accountAddress: selectedAccount.address
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
       if (!data.requiresMint || !data.manifest) {
         throw new Error("Server didn't return minting manifest");
       }
@@ -138,6 +89,10 @@ const FomoHitMinter = ({ machineId, onClose }) => {
       const hash = await initiateMintTransaction(data.manifest, machine.id);
       
       if (hash) {
+        trackTransaction(TRANSACTION_KINDS.MACHINE_MINT, hash, {
+          machineId: machine.id,
+          subject: `FOMO HIT #${machine.id}`
+        });
         setIntentHash(hash);
         setMintingStage('pending');
       } else {
@@ -165,7 +120,6 @@ const FomoHitMinter = ({ machineId, onClose }) => {
     setMintingStage('init');
     setIntentHash(null);
     setTransactionDetails(null);
-    setStatusCheckCount(0);
   };
 
   // If machine not found, return nothing
@@ -251,8 +205,8 @@ const FomoHitMinter = ({ machineId, onClose }) => {
               {selectedAccount?.label ||
                 (selectedAccount?.address
                   ? selectedAccount.address.slice(0, 10) + '...'
-                  : accounts[0]?.address
-                  ? accounts[0].address.slice(0, 10) + '...'
+                  : selectedAccount?.address
+                  ? selectedAccount.address.slice(0, 10) + '...'
                   : 'N/A')}
             </strong>
           </p>
@@ -282,7 +236,7 @@ const FomoHitMinter = ({ machineId, onClose }) => {
             <div style={{ textAlign: 'center' }}>
               <p style={{ fontSize: '14px', margin: '0 0 5px 0', opacity: 0.7 }}>Your NFT will be sent to:</p>
               <p style={{ fontSize: '18px', fontWeight: 'bold', margin: '0', color: '#FF3D00' }}>
-                {accounts[0]?.address || 'Unknown address'}
+                {selectedAccount?.address || 'Unknown address'}
               </p>
             </div>
           </div>
@@ -486,7 +440,7 @@ const FomoHitMinter = ({ machineId, onClose }) => {
               <strong>Accounts Shared:</strong> {accounts?.length > 0 ? 'Yes' : 'No'}
             </p>
             <p style={{ fontSize: '11px', margin: '2px 0' }}>
-              <strong>Account Address:</strong> {selectedAccount?.address || accounts[0]?.address || 'N/A'}
+              <strong>Account Address:</strong> {selectedAccount?.address || 'N/A'}
             </p>
             <p style={{ fontSize: '11px', margin: '2px 0' }}>
               <strong>Minting Stage:</strong> {mintingStage}
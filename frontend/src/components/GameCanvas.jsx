@@ -1,6 +1,7 @@
 // src/components/GameCanvas.jsx - Update with all fixes and pet integration
 import { useContext, useEffect, useRef, useState } from 'react';
 import { GameContext } from '../context/GameContext';
+import { OPTIMISTIC_ENTITIES } from '../utils/optimisticActions';
 // Import from your RadixConnectContext
 import { useRadixConnect } from '../context/RadixConnectContext';
 import IncubatorWidget from './IncubatorWidget';
@@ -10,6 +11,13 @@ import PetBuyPrompt from './PetBuyPrompt';
 import PetInteractionMenu from './PetInteractionMenu';
 import EvolvingCreatureMinter from './EvolvingCreatureMinter';
 
+// Labels for entities waiting on the server (see optimistic actions in GameContext)
+const PENDING_ACTION_LABELS = {
+  build: 'BUILDING...',
+  upgrade: 'UPGRADING...',
+  move: 'SAVING...'
+};
+
 const GameCanvas = () => {
   const canvasRef = useRef(null);
   const gameContainerRef = useRef(null); // Add ref for game container
@@ -36,6 +44,7 @@ const GameCanvas = () => {
     gridSize,
     activateMachine,
     moveMachine,
+    getPendingAction,
     saveLayout,
     MACHINE_COOLDOWN_MS,
     INTERACTION_RANGE,
@@ -656,24 +665,24 @@ const GameCanvas = () => {
     
     console.log(`Confirming move of machine ${movingMachine.id} to (${moveCursorPosition.x}, ${moveCursorPosition.y}) in room ${moveTargetRoom}`);
     
-    const success = await moveMachine(
-      movingMachine.id, 
-      moveCursorPosition.x, 
-      moveCursorPosition.y,
-      moveTargetRoom  // Important: use the target room, not current room
-    );
-    
-    if (success) {
-      addNotification("Machine moved!", moveCursorPosition.x, moveCursorPosition.y, "#4CAF50");
-    }
+    const { x, y } = moveCursorPosition;
+    const machineId = movingMachine.id;
     
-    // Reset move mode
+    // Reset move mode - FIXED: right away, the move shows optimistically while the server saves it
     setMovingMachine(null);
     setShowMovePreview(false);
     setMoveConfirmationOpen(false);
     setSelectedMachineToMove(null);
     setInMoveMode(false);
     setPositionSelected(false); // Reset position selected state
+    
+    // moveMachine shows the result (or the rollback reason) itself
+    await moveMachine(
+      machineId, 
+      x, 
+      y,
+      moveTargetRoom  // Important: use the target room, not current room
+    );
   };
 
   const handleMoveCancel = () => {
@@ -703,11 +712,19 @@ const GameCanvas = () => {
       return;
     }
     
+    const { x, y } = moveCursorPosition;
+    
+    // Reset move mode - FIXED: right away, the move shows optimistically while the server saves it
+    setShowMovePreview(false);
+    setSelectedPetToMove(null);
+    setInPetMoveMode(false);
+    setPositionSelected(false);
+    
     // Only call movePet once with the final position
     const success = await movePet(
-      selectedPetToMove, 
-      moveCursorPosition.x, 
-      moveCursorPosition.y,
+      petToMove.id, 
+      x, 
+      y,
       currentRoom
     );
     
@@ -716,12 +733,6 @@ const GameCanvas = () => {
     } else {
       console.error("Pet move failed");
     }
-    
-    // Reset move mode
-    setShowMovePreview(false);
-    setSelectedPetToMove(null);
-    setInPetMoveMode(false);
-    setPositionSelected(false);
   };
 
   // Handle pet cancellation
@@ -1316,6 +1327,12 @@ const GameCanvas = () => {
         ctx.fillText(mintingText, mintingX + mintingWidth / 2, mintingY + mintingHeight / 2);
         ctx.restore();
       }
+      
+      // NEW: Mark machines whose last action the server hasn't confirmed yet
+      const pendingAction = getPendingAction(OPTIMISTIC_ENTITIES.MACHINE, m.id);
+      if (pendingAction) {
+        drawPendingMarker(ctx, m.x, m.y, machineSize, pendingAction);
+      }
     });
     
     // Draw the machine move preview if in move mode and in the target room
@@ -1446,6 +1463,31 @@ const GameCanvas = () => {
     }
   };
   
+  // Spinning dashed outline and label over an entity waiting on the server
+  const drawPendingMarker = (ctx, x, y, size, action) => {
+    ctx.save();
+    ctx.strokeStyle = '#FF9800';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.lineDashOffset = -(Date.now() % 1000) / 1000 * 20;
+    ctx.strokeRect(x - 3, y - 3, size + 6, size + 6);
+    ctx.setLineDash([]);
+    
+    const label = PENDING_ACTION_LABELS[action] || 'SAVING...';
+    const labelWidth = 100;
+    const labelHeight = 18;
+    const labelX = x + size / 2 - labelWidth / 2;
+    const labelY = y + size / 2 - labelHeight / 2;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(labelX, labelY, labelWidth, labelHeight);
+    ctx.fillStyle = '#FF9800';
+    ctx.font = 'bold 12px Orbitron';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, labelX + labelWidth / 2, labelY + labelHeight / 2);
+    ctx.restore();
+  };
+  
   // Function to draw pets
   const drawPets = (ctx) => {
     // Get only pets in the current room
@@ -1505,6 +1547,12 @@ const GameCanvas = () => {
         ctx.textBaseline = 'middle';
         ctx.fillText('Cat', pet.x + petSize / 2, pet.y + petSize / 2);
       }
+      
+      // NEW: Mark pets whose move the server hasn't confirmed yet
+      const pendingAction = getPendingAction(OPTIMISTIC_ENTITIES.PET, pet.id);
+      if (pendingAction) {
+        drawPendingMarker(ctx, pet.x, pet.y, petSize, pendingAction);
+      }
     });
     
     // Draw pet move preview if in pet move mode
@@ -2,6 +2,7 @@
 import { useContext, useEffect, useState } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
+import { api } from '../utils/apiClient';
 
 const IncubatorWidget = ({ machineId, onClose }) => {
   // From your GameContext
@@ -73,27 +74,12 @@ const IncubatorWidget = ({ machineId, onClose }) => {
           
           // Only add account address when connected with accounts
           if (connected && accounts && accounts.length > 0) {
-            requestData.accountAddress = accounts[0].address;
-            console.log('Including account address in request:', accounts[0].address);
+            requestData.accountAddress = selectedAccount.address;
+            console.log('Including account address in request:', selectedAccount.address);
           }
           
-          // Make the activation request directly with fetch
-          const response = await fetch('/api/activateMachine', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestData),
-            credentials: 'same-origin'
-          });
-          
-          if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-          }
-          
-          // Parse the response
-          const data = await response.json();
+          // Make the activation request through the API client
+          const data = await api.activateMachine(requestData);
           console.log('Activation response:', data);
           
           // Important: Force reload game state to update HUD immediately
@@ -266,8 +252,8 @@ const IncubatorWidget = ({ machineId, onClose }) => {
               {selectedAccount?.label ||
                 (selectedAccount?.address
                   ? selectedAccount.address.slice(0, 10) + '...'
-                  : accounts[0]?.address
-                  ? accounts[0].address.slice(0, 10) + '...'
+                  : selectedAccount?.address
+                  ? selectedAccount.address.slice(0, 10) + '...'
                   : 'N/A')}
             </strong>
           </p>
@@ -808,7 +794,7 @@ const IncubatorWidget = ({ machineId, onClose }) => {
               <strong>Accounts Shared:</strong> {accounts?.length > 0 ? 'Yes' : 'No'}
             </p>
             <p style={{ fontSize: '11px', margin: '2px 0' }}>
-              <strong>Account Address:</strong> {selectedAccount?.address || accounts[0]?.address || 'N/A'}
+              <strong>Account Address:</strong> {selectedAccount?.address || 'N/A'}
             </p>
           </div>
           
@@ -1,134 +1,80 @@
 // src/components/ItemsViewer.jsx
-import { useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useContext, useState, useEffect, useCallback } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
+import { NFT_COLLECTIONS } from '../utils/NftStore';
+
+// Stable empty list while nothing is cached
+const NO_ITEMS = [];
 
 const ItemsViewer = ({ onClose }) => {
     // Context access
     const {
         isMobile,
         formatResource,
-        addNotification
+        addNotification,
+        getNftEntry,
+        loadAccountNfts
     } = useContext(GameContext);
 
     // From the RadixConnect context
     const {
         connected,
         accounts,
+        selectedAccount,
         updateAccountSharing
     } = useRadixConnect();
 
     // Component states
-    const [isLoading, setIsLoading] = useState(true);
     const [connectionStatus, setConnectionStatus] = useState('checking');
     const [showConnectionDetails, setShowConnectionDetails] = useState(false);
-    const [tools, setTools] = useState([]);
-    const [spells, setSpells] = useState([]);
     const [activeTab, setActiveTab] = useState('tools'); // 'tools' or 'spells'
     const [selectedItemId, setSelectedItemId] = useState(null);
-    const [error, setError] = useState(null);
-    const [showRefreshButton, setShowRefreshButton] = useState(false);
-    const [lastLoadTime, setLastLoadTime] = useState(0);
-    const [loadingCount, setLoadingCount] = useState(0);
-    const loadLockRef = useRef(false);
+
+    // FIXED: Items come from the shared NFT store - cached per account and refreshed in the background
+    const accountAddress = connected ? selectedAccount?.address : null;
+    const itemsEntry = getNftEntry(NFT_COLLECTIONS.ITEMS, accountAddress);
+    const tools = itemsEntry.data?.tools || NO_ITEMS;
+    const spells = itemsEntry.data?.spells || NO_ITEMS;
+    const error = itemsEntry.error && !itemsEntry.data ? `Failed to load items: ${itemsEntry.error}` : null;
+    const isLoading = Boolean(accountAddress) && !error && !itemsEntry.data;
+    const isRefreshing = itemsEntry.loading;
+    const showRefreshButton = Boolean(itemsEntry.data || itemsEntry.error);
+
+    // Load items through the store (force skips the cache)
+    const loadItems = useCallback((force = false) => {
+        if (!accountAddress) return;
+        
+        // Failures are kept on the store entry and shown from there
+        loadAccountNfts(NFT_COLLECTIONS.ITEMS, accountAddress, { force }).catch(() => {});
+    }, [accountAddress, loadAccountNfts]);
 
     // Check connection status
     useEffect(() => {
         if (!connected) {
             setConnectionStatus('disconnected');
-            setIsLoading(false);
         } else if (!accounts || accounts.length === 0) {
             setConnectionStatus('connected-no-accounts');
-            setIsLoading(false);
         } else {
             setConnectionStatus('ready');
             // Only load items if we have an account
             loadItems();
         }
-    }, [connected, accounts]);
+    }, [connected, accounts, loadItems]);
 
-    // Load items from the API
-    const loadItems = useCallback(async (force = false) => {
-        if (!connected || !accounts || accounts.length === 0) return;
-        
-        // Implement a lock to prevent concurrent loads
-        if (loadLockRef.current && !force) {
-            console.log("Load items locked - skipping duplicate request");
-            return;
-        }
-        
-        // Add rate limiting - prevent loading more than once every 3 seconds
-        const now = Date.now();
-        if (!force && now - lastLoadTime < 3000 && (tools.length > 0 || spells.length > 0)) {
-            console.log("Rate limiting items load - too soon since last load");
-            return;
-        }
-        
-        // Activate lock
-        loadLockRef.current = true;
-        
-        // Increment loading count so UI knows we're making a request
-        setLoadingCount(prev => prev + 1);
-        setIsLoading(true);
-        setError(null);
-        setLastLoadTime(now);
+    // Select the first tool by default, or the first spell when there are no tools
+    const firstToolId = tools[0]?.id;
+    const firstSpellId = spells[0]?.id;
+    useEffect(() => {
+        if (selectedItemId) return;
         
-        try {
-            const accountAddress = accounts[0].address;
-            
-            // Use our API endpoint to get all user items
-            const response = await fetch('/api/getUserItems', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    accountAddress: accountAddress
-                }),
-                credentials: 'same-origin'
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            console.log("Items data:", data);
-            
-            if (data.tools) {
-                setTools(data.tools);
-                
-                // If we have tools, select the first one by default if none selected
-                if (data.tools.length > 0 && !selectedItemId && activeTab === 'tools') {
-                    setSelectedItemId(data.tools[0].id);
-                }
-            }
-            
-            if (data.spells) {
-                setSpells(data.spells);
-                
-                // If we have spells and no tools, select the first spell by default
-                if (data.spells.length > 0 && data.tools.length === 0 && !selectedItemId) {
-                    setActiveTab('spells');
-                    setSelectedItemId(data.spells[0].id);
-                }
-            }
-            
-            // Show refresh button after first load
-            setShowRefreshButton(true);
-        } catch (error) {
-            console.error("Error loading items:", error);
-            setError(`Failed to load items: ${error.message}`);
-        } finally {
-            setIsLoading(false);
-            setLoadingCount(prev => prev - 1);
-            // Release lock after a short delay to prevent immediate subsequent requests
-            setTimeout(() => {
-                loadLockRef.current = false;
-            }, 500);
+        if (firstToolId && activeTab === 'tools') {
+            setSelectedItemId(firstToolId);
+        } else if (!firstToolId && firstSpellId) {
+            setActiveTab('spells');
+            setSelectedItemId(firstSpellId);
         }
-    }, [connected, accounts, lastLoadTime, tools, spells, selectedItemId, activeTab]);
+    }, [selectedItemId, activeTab, firstToolId, firstSpellId]);
 
     // Get the selected item
     const selectedItem = 
@@ -250,21 +196,21 @@ const ItemsViewer = ({ onClose }) => {
                         {showRefreshButton && (
                             <button
                                 onClick={() => loadItems(true)} // Force refresh
-                                disabled={isLoading}
+                                disabled={isRefreshing}
                                 style={{
-                                    backgroundColor: isLoading ? '#555' : '#2196F3',
+                                    backgroundColor: isRefreshing ? '#555' : '#2196F3',
                                     padding: '8px 16px',
                                     borderRadius: '5px',
                                     border: 'none',
                                     color: '#fff',
-                                    cursor: isLoading ? 'not-allowed' : 'pointer',
+                                    cursor: isRefreshing ? 'not-allowed' : 'pointer',
                                     display: 'flex',
                                     alignItems: 'center',
                                     gap: '5px'
                                 }}
                             >
-                                {isLoading ? 'Loading...' : 'Refresh'}
-                                {isLoading && (
+                                {isRefreshing ? 'Loading...' : 'Refresh'}
+                                {isRefreshing && (
                                     <div
                                         style={{
                                             width: '14px',
@@ -342,7 +288,7 @@ const ItemsViewer = ({ onClose }) => {
                                     <strong>Accounts Shared:</strong> {accounts?.length > 0 ? 'Yes' : 'No'}
                                 </p>
                                 <p style={{ fontSize: '11px', margin: '2px 0' }}>
-                                    <strong>Account Address:</strong> {accounts?.[0]?.address || 'N/A'}
+                                    <strong>Account Address:</strong> {selectedAccount?.address || 'N/A'}
                                 </p>
                             </div>
                         </div>
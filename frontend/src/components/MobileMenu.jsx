@@ -1,9 +1,15 @@
 import { useContext, useEffect, useState } from 'react';
 import { GameContext } from '../context/GameContext';
+import TransactionHistoryDrawer from './TransactionHistoryDrawer';
+import EconomyForecastPanel from './EconomyForecastPanel';
+import BattleProfilePanel from './BattleProfilePanel';
 
 const MobileMenu = ({ isOpen, setIsOpen }) => {
   const { tcorvax, catNips, energy, eggs, formatResource, isMobile, gameMode } = useContext(GameContext);
   const [hiddenDuringBattle, setHiddenDuringBattle] = useState(false);
+  const [showTransactionHistory, setShowTransactionHistory] = useState(false);
+  const [showEconomyForecast, setShowEconomyForecast] = useState(false);
+  const [showBattleProfile, setShowBattleProfile] = useState(false);
   
   // Update visibility based on game mode
   useEffect(() => {
@@ -67,8 +73,44 @@ const MobileMenu = ({ isOpen, setIsOpen }) => {
           <div className="mobile-resource">
             🥚 <span id="mobile-eggs">{formatResource(eggs)}</span>
           </div>
+          <div
+            className="mobile-resource"
+            onClick={() => setShowTransactionHistory(true)}
+            style={{ cursor: 'pointer' }}
+            title="Transaction history"
+          >
+            📜
+          </div>
+          <div
+            className="mobile-resource"
+            onClick={() => setShowEconomyForecast(true)}
+            style={{ cursor: 'pointer' }}
+            title="Economy forecast"
+          >
+            📈
+          </div>
+          <div
+            className="mobile-resource"
+            onClick={() => setShowBattleProfile(true)}
+            style={{ cursor: 'pointer' }}
+            title="Battle profile"
+          >
+            ⚔️
+          </div>
         </div>
       )}
+      
+      {showTransactionHistory && (
+        <TransactionHistoryDrawer onClose={() => setShowTransactionHistory(false)} />
+      )}
+      
+      {showEconomyForecast && (
+        <EconomyForecastPanel onClose={() => setShowEconomyForecast(false)} />
+      )}
+      
+      {showBattleProfile && (
+        <BattleProfilePanel onClose={() => setShowBattleProfile(false)} />
+      )}
     </>
   );
 };
@@ -212,7 +212,7 @@ const MobileRadixWrapper = () => {
                     fontSize: '14px',
                     textAlign: 'center'
                   }}>
-                    {selectedAccount?.label || accounts[0]?.label || 'Account'}
+                    {selectedAccount?.label || 'Account'}
                   </p>
                   <p style={{ 
                     margin: '5px 0 0 0', 
@@ -221,7 +221,7 @@ const MobileRadixWrapper = () => {
                     opacity: 0.7,
                     textAlign: 'center'
                   }}>
-                    {selectedAccount?.address || accounts[0]?.address || ''}
+                    {selectedAccount?.address || ''}
                   </p>
                 </div>
                 
@@ -17,6 +17,7 @@ const PetInteractionMenu = ({ pet, onClose }) => {
   const {
     connected: isRadixConnected,
     accounts: radixAccounts,
+    selectedAccount,
     updateAccountSharing
   } = useRadixConnect();
 
@@ -42,7 +43,7 @@ const PetInteractionMenu = ({ pet, onClose }) => {
 
     try {
       // Get account address
-      const accountAddress = radixAccounts[0].address;
+      const accountAddress = selectedAccount.address;
 
       // Initiate energy purchase
       const success = await initiateBuyEnergy(accountAddress);
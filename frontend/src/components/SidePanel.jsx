@@ -4,6 +4,10 @@ import { GameContext } from '../context/GameContext';
 import MachineControls from './MachineControls';
 import ViewCreaturesButton from './ViewCreaturesButton';
 import CreaturesViewer from './CreaturesViewer';
+import TransactionHistoryDrawer from './TransactionHistoryDrawer';
+import EconomyForecastPanel from './EconomyForecastPanel';
+import BattleProfilePanel from './BattleProfilePanel';
+import AccountSwitcher from './AccountSwitcher';
 
 const SidePanel = ({ isOpen }) => {
   const { 
@@ -18,6 +22,9 @@ const SidePanel = ({ isOpen }) => {
   
   // Add state for creatures viewer visibility
   const [showCreaturesViewer, setShowCreaturesViewer] = useState(false);
+  const [showTransactionHistory, setShowTransactionHistory] = useState(false);
+  const [showEconomyForecast, setShowEconomyForecast] = useState(false);
+  const [showBattleProfile, setShowBattleProfile] = useState(false);
 
   return (
     <>
@@ -48,6 +55,9 @@ const SidePanel = ({ isOpen }) => {
           </div>
         </div>
 
+        {/* NEW: Which Radix account NFT queries and manifests use */}
+        <AccountSwitcher />
+
         {/* Resource display section */}
         <div className="resources-container">
           <div className="resource">
@@ -75,6 +85,66 @@ const SidePanel = ({ isOpen }) => {
         {/* Add the ViewCreaturesButton component before MachineControls */}
         <ViewCreaturesButton onClick={() => setShowCreaturesViewer(true)} />
         
+        {/* NEW: Every transaction sent from the dApp */}
+        <button
+          onClick={() => setShowTransactionHistory(true)}
+          style={{
+            backgroundColor: '#455A64',
+            color: 'white',
+            padding: '8px 15px',
+            marginTop: '8px',
+            borderRadius: '6px',
+            border: 'none',
+            cursor: 'pointer',
+            fontSize: '14px',
+            fontWeight: 'bold',
+            boxShadow: '0 2px 4px rgba(0, 0, 0, 0.2)',
+            width: isMobile ? '100%' : 'auto'
+          }}
+        >
+          📜 Transaction History
+        </button>
+        
+        {/* NEW: What the current layout earns and when upgrades become affordable */}
+        <button
+          onClick={() => setShowEconomyForecast(true)}
+          style={{
+            backgroundColor: '#2E7D32',
+            color: 'white',
+            padding: '8px 15px',
+            marginTop: '8px',
+            borderRadius: '6px',
+            border: 'none',
+            cursor: 'pointer',
+            fontSize: '14px',
+            fontWeight: 'bold',
+            boxShadow: '0 2px 4px rgba(0, 0, 0, 0.2)',
+            width: isMobile ? '100%' : 'auto'
+          }}
+        >
+          📈 Economy Forecast
+        </button>
+        
+        {/* NEW: Wins, streaks and match history from submitted battles */}
+        <button
+          onClick={() => setShowBattleProfile(true)}
+          style={{
+            backgroundColor: '#6A1B9A',
+            color: 'white',
+            padding: '8px 15px',
+            marginTop: '8px',
+            borderRadius: '6px',
+            border: 'none',
+            cursor: 'pointer',
+            fontSize: '14px',
+            fontWeight: 'bold',
+            boxShadow: '0 2px 4px rgba(0, 0, 0, 0.2)',
+            width: isMobile ? '100%' : 'auto'
+          }}
+        >
+          ⚔️ Battle Profile
+        </button>
+        
         <MachineControls />
       </div>
       
@@ -82,6 +152,18 @@ const SidePanel = ({ isOpen }) => {
       {showCreaturesViewer && (
         <CreaturesViewer onClose={() => setShowCreaturesViewer(false)} />
       )}
+      
+      {showTransactionHistory && (
+        <TransactionHistoryDrawer onClose={() => setShowTransactionHistory(false)} />
+      )}
+      
+      {showEconomyForecast && (
+        <EconomyForecastPanel onClose={() => setShowEconomyForecast(false)} />
+      )}
+      
+      {showBattleProfile && (
+        <BattleProfilePanel onClose={() => setShowBattleProfile(false)} />
+      )}
     </>
   );
 };
@@ -0,0 +1,126 @@
+// src/components/TransactionConfirmDialog.jsx
+import { useContext } from 'react';
+import { GameContext } from '../context/GameContext';
+
+/**
+ * Shows what a manifest will spend before it is sent to the wallet.
+ * Driven by confirmManifest in GameContext; the confirm button is disabled while funds are short.
+ */
+const TransactionConfirmDialog = () => {
+  const { transactionConfirmation, resolveTransactionConfirmation, isMobile } = useContext(GameContext);
+
+  if (!transactionConfirmation) return null;
+
+  const { label, checking, spends, sufficient, reason } = transactionConfirmation;
+  const blocked = sufficient === false;
+
+  return (
+    <>
+      {/* Overlay background */}
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          width: '100%',
+          height: '100%',
+          backgroundColor: 'rgba(0, 0, 0, 0.75)',
+          zIndex: 20000
+        }}
+        onClick={() => resolveTransactionConfirmation(false)}
+      />
+
+      <div
+        style={{
+          position: 'fixed',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          zIndex: 20001,
+          width: isMobile ? '90%' : '420px',
+          backgroundColor: '#222',
+          borderRadius: '10px',
+          boxShadow: '0 5px 25px rgba(0, 0, 0, 0.5)',
+          padding: '20px',
+          color: '#eee'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 style={{ margin: '0 0 15px 0', color: '#4CAF50', fontSize: '18px' }}>Confirm {label}</h2>
+
+        {checking ? (
+          <p style={{ color: '#aaa' }}>Checking your balances...</p>
+        ) : (
+          <>
+            {spends.length === 0 ? (
+              <p style={{ color: '#aaa' }}>This transaction does not withdraw any tokens from your account (network fees still apply).</p>
+            ) : (
+              <div style={{ background: 'rgba(0, 0, 0, 0.3)', borderRadius: '8px', padding: '10px', marginBottom: '15px' }}>
+                {spends.map(spend => (
+                  <div
+                    key={`${spend.accountAddress}|${spend.resourceAddress}`}
+                    style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 0', fontSize: '14px' }}
+                  >
+                    <span>
+                      <strong>{spend.amount} {spend.symbol}</strong>
+                    </span>
+                    <span style={{ color: spend.shortBy > 0 ? '#FF3D00' : '#aaa' }}>
+                      {spend.balance === null ? 'Balance unknown' : `Balance: ${spend.balance}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {reason && (
+              <div
+                style={{
+                  background: blocked ? 'rgba(255, 61, 0, 0.2)' : 'rgba(255, 152, 0, 0.2)',
+                  color: blocked ? '#FF3D00' : '#FF9800',
+                  padding: '10px',
+                  borderRadius: '8px',
+                  marginBottom: '15px',
+                  fontSize: '13px'
+                }}
+              >
+                {reason}
+              </div>
+            )}
+          </>
+        )}
+
+        <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+          <button
+            onClick={() => resolveTransactionConfirmation(false)}
+            style={{
+              backgroundColor: '#333',
+              padding: '8px 16px',
+              borderRadius: '5px',
+              border: 'none',
+              color: '#fff',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => resolveTransactionConfirmation(true)}
+            disabled={checking || blocked}
+            style={{
+              backgroundColor: checking || blocked ? '#999' : '#4CAF50',
+              padding: '8px 16px',
+              borderRadius: '5px',
+              border: 'none',
+              color: '#fff',
+              cursor: checking || blocked ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {blocked ? 'Insufficient funds' : 'Continue to wallet'}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default TransactionConfirmDialog;
@@ -0,0 +1,175 @@
+// src/components/TransactionHistoryDrawer.jsx
+import { useContext, useState } from 'react';
+import { GameContext } from '../context/GameContext';
+import { TRANSACTION_STATUS } from '../utils/TransactionService';
+
+// Colour and text for every tracking status
+const STATUS_STYLES = {
+  [TRANSACTION_STATUS.PENDING]: { color: '#2196F3', label: 'Pending' },
+  [TRANSACTION_STATUS.SUCCESS]: { color: '#4CAF50', label: 'Confirmed' },
+  [TRANSACTION_STATUS.FAILED]: { color: '#FF3D00', label: 'Failed' },
+  [TRANSACTION_STATUS.TIMEOUT]: { color: '#FF9800', label: 'Timed out' },
+  [TRANSACTION_STATUS.ERROR]: { color: '#FF9800', label: 'Status unknown' },
+  [TRANSACTION_STATUS.CANCELLED]: { color: '#999', label: 'No longer tracked' }
+};
+
+// These can be polled again from the drawer
+const RECHECKABLE_STATUSES = [
+  TRANSACTION_STATUS.FAILED,
+  TRANSACTION_STATUS.TIMEOUT,
+  TRANSACTION_STATUS.ERROR
+];
+
+const shortenHash = (hash) => (hash && hash.length > 20 ? `${hash.slice(0, 12)}…${hash.slice(-6)}` : hash);
+
+const formatCost = (cost) => (cost && cost.amount != null ? `${cost.amount} ${cost.token || ''}`.trim() : '—');
+
+/**
+ * Drawer listing every transaction the dApp has sent, newest first
+ * @param {Object} props
+ * @param {Function} props.onClose - Close handler
+ */
+const TransactionHistoryDrawer = ({ onClose }) => {
+  const { isMobile, pendingTransactions, recheckTransaction } = useContext(GameContext);
+  const [copiedHash, setCopiedHash] = useState(null);
+
+  const entries = Object.values(pendingTransactions || {}).sort((a, b) => b.createdAt - a.createdAt);
+
+  const handleCopy = async (intentHash) => {
+    try {
+      await navigator.clipboard.writeText(intentHash);
+      setCopiedHash(intentHash);
+    } catch (error) {
+      console.error("Could not copy intent hash:", error);
+    }
+  };
+
+  return (
+    <>
+      {/* Overlay background */}
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          width: '100%',
+          height: '100%',
+          backgroundColor: 'rgba(0, 0, 0, 0.6)',
+          zIndex: 10002
+        }}
+        onClick={onClose}
+      />
+
+      {/* Drawer */}
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          right: 0,
+          width: isMobile ? '100vw' : '420px',
+          height: '100vh',
+          backgroundColor: '#222',
+          boxShadow: '-5px 0 25px rgba(0, 0, 0, 0.5)',
+          zIndex: 10003,
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{
+          padding: '15px',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          borderBottom: '1px solid #444'
+        }}>
+          <h2 style={{ margin: 0, color: '#4CAF50', fontSize: '18px' }}>Transaction History</h2>
+          <button
+            onClick={onClose}
+            style={{
+              backgroundColor: '#333',
+              padding: '8px 16px',
+              borderRadius: '5px',
+              border: 'none',
+              color: '#fff',
+              cursor: 'pointer'
+            }}
+          >
+            Close
+          </button>
+        </div>
+
+        <div style={{ overflowY: 'auto', padding: '15px', flex: '1' }}>
+          {entries.length === 0 && (
+            <p style={{ color: '#aaa', textAlign: 'center' }}>No transactions sent yet.</p>
+          )}
+
+          {entries.map(entry => {
+            const statusStyle = STATUS_STYLES[entry.status] || STATUS_STYLES[TRANSACTION_STATUS.PENDING];
+            const canRecheck = RECHECKABLE_STATUSES.includes(entry.status);
+
+            return (
+              <div
+                key={entry.intentHash}
+                style={{
+                  background: 'rgba(0, 0, 0, 0.3)',
+                  borderLeft: `4px solid ${statusStyle.color}`,
+                  borderRadius: '6px',
+                  padding: '10px',
+                  marginBottom: '10px',
+                  fontSize: '13px',
+                  color: '#eee'
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+                  <strong>{entry.label}</strong>
+                  <span style={{ color: statusStyle.color, fontWeight: 'bold' }}>{statusStyle.label}</span>
+                </div>
+
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '5px', color: '#ccc' }}>
+                  <span>{entry.payload?.subject || '—'}</span>
+                  <span>{formatCost(entry.payload?.cost)}</span>
+                </div>
+
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '5px', color: '#999', fontSize: '11px' }}>
+                  <span
+                    title={copiedHash === entry.intentHash ? 'Copied!' : `${entry.intentHash} (click to copy)`}
+                    onClick={() => handleCopy(entry.intentHash)}
+                    style={{ fontFamily: 'monospace', cursor: 'pointer' }}
+                  >
+                    {shortenHash(entry.intentHash)}
+                  </span>
+                  <span>{new Date(entry.createdAt).toLocaleString()}</span>
+                </div>
+
+                {entry.error && (
+                  <div style={{ marginTop: '5px', color: '#FF9800', fontSize: '11px' }}>{entry.error}</div>
+                )}
+
+                {canRecheck && (
+                  <button
+                    onClick={() => recheckTransaction(entry.intentHash)}
+                    style={{
+                      marginTop: '8px',
+                      backgroundColor: '#2196F3',
+                      color: 'white',
+                      padding: '5px 12px',
+                      borderRadius: '5px',
+                      border: 'none',
+                      cursor: 'pointer',
+                      fontSize: '12px'
+                    }}
+                  >
+                    Re-check status
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default TransactionHistoryDrawer;
@@ -1,13 +1,16 @@
 // src/components/UpgradeStatsModal.jsx
-import { useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { useContext, useState, useEffect, useRef } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
+import { TRANSACTION_KINDS, TRANSACTION_STATUS } from '../utils/TransactionService';
+import { api, API_ERROR_CODES } from '../utils/apiClient';
 
 const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
   // Context access
   const {
     initiateMintTransaction,
-    pollTransactionStatus,
+    trackTransaction,
+    watchTransaction,
     formatResource,
     isMobile,
     addNotification,
@@ -17,7 +20,11 @@ const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
   const {
     connected,
     accounts,
+    selectedAccount,
   } = useRadixConnect();
+  
+  // Creatures from the "all accounts" roster carry the account that holds them
+  const accountAddress = creature?.accountAddress || selectedAccount?.address;
 
   // Component states
   const [isLoading, setIsLoading] = useState(false);
@@ -30,10 +37,7 @@ const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
   
   // Transaction polling states - New implementation
   const [pollCount, setPollCount] = useState(0);
-  const pollTimerRef = useRef(null);
-  const pollStartedRef = useRef(false);
   const successHandledRef = useRef(false);
-  const hardTimeoutRef = useRef(null);
   
   // Add to the top of the component
   const successShownRef = useRef(false);
@@ -105,28 +109,13 @@ const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
       
       try {
         // Use our backend endpoint to check token balance
-        const response = await fetch('/api/checkTokenBalance', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            accountAddress: accounts[0].address,
-            tokenSymbol: tokenSymbol
-          }),
-          credentials: 'same-origin'
+        const data = await api.checkTokenBalance({
+          accountAddress: accountAddress,
+          tokenSymbol: tokenSymbol
         });
         
-        const data = await response.json();
-        
-        if (response.ok) {
-          setTokenBalance(data.tokenBalance || 0);
-          setHasEnoughTokens(upgradeCost && data.tokenBalance >= upgradeCost.amount);
-        } else {
-          console.error("Token balance check failed:", data.error || "Unknown error");
-          setTokenBalance(0);
-          setHasEnoughTokens(false);
-        }
+        setTokenBalance(data.tokenBalance || 0);
+        setHasEnoughTokens(upgradeCost && data.tokenBalance >= upgradeCost.amount);
       } catch (error) {
         console.error("Error checking token balance:", error);
         setTokenBalance(0);
@@ -140,7 +129,7 @@ const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
       setTokenSymbol(upgradeCost.token);
       checkTokenBalance();
     }
-  }, [connected, accounts, tokenSymbol, upgradeCost]);
+  }, [connected, accounts, accountAddress, tokenSymbol, upgradeCost]);
 
   // Calculate upgrade cost when points are allocated
   useEffect(() => {
@@ -152,36 +141,24 @@ const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
       setError(null);
       
       try {
-        const response = await fetch('/api/getUpgradeStatsManifest', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            accountAddress: accounts[0].address,
-            creatureId: creature.id,
-            energy: energyPoints,
-            strength: strengthPoints,
-            magic: magicPoints,
-            stamina: staminaPoints,
-            speed: speedPoints,
-            creatureData: creature
-          }),
-          credentials: 'same-origin'
+        const data = await api.getUpgradeStatsManifest({
+          accountAddress: accountAddress,
+          creatureId: creature.id,
+          energy: energyPoints,
+          strength: strengthPoints,
+          magic: magicPoints,
+          stamina: staminaPoints,
+          speed: speedPoints,
+          creatureData: creature
         });
         
-        const data = await response.json();
-        
-        if (response.ok) {
-          setUpgradeCost(data.cost);
-          setTokenSymbol(data.cost.token);
-        } else {
-          setError(data.error || "Failed to calculate upgrade cost");
-          setUpgradeCost(null);
-        }
+        setUpgradeCost(data.cost);
+        setTokenSymbol(data.cost.token);
       } catch (error) {
         console.error("Error calculating upgrade cost:", error);
-        setError("Network error calculating cost");
+        setError(error.code === API_ERROR_CODES.HTTP
+          ? error.data?.error || "Failed to calculate upgrade cost"
+          : "Network error calculating cost");
         setUpgradeCost(null);
       } finally {
         setCostFetching(false);
@@ -189,168 +166,40 @@ const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
     };
     
     calculateCost();
-  }, [connected, accounts, creature, totalAllocated, energyPoints, strengthPoints, magicPoints, staminaPoints, speedPoints]);
+  }, [connected, accounts, accountAddress, creature, totalAllocated, energyPoints, strengthPoints, magicPoints, staminaPoints, speedPoints]);
 
-  // This function will be called just once to start polling
-  const startPolling = useCallback(() => {
-    // If polling already started, don't start again
-    if (pollStartedRef.current) return;
-    pollStartedRef.current = true;
-    
-    console.log("[CRITICAL] Starting new polling sequence");
+  // Follow the transaction through the shared transaction tracker
+  useEffect(() => {
+    if (!intentHash) return undefined;
     
-    // Set a hard timeout to force success after 60 seconds regardless
-    hardTimeoutRef.current = setTimeout(() => {
-      console.log("[CRITICAL] Hard timeout reached - forcing success");
-      // Force success state and cleanup
+    return watchTransaction(intentHash, (record) => {
+      setPollCount(record.attempts);
+      if (record.result) {
+        setTransactionDetails(record.result.transactionStatus);
+      }
+      
+      if (record.status === TRANSACTION_STATUS.PENDING || record.status === TRANSACTION_STATUS.CANCELLED) return;
+      
+      if (record.status === TRANSACTION_STATUS.FAILED) {
+        setUpgradingStage('failed');
+        setIsLoading(false);
+        return;
+      }
+      
+      // Confirmed - or the tracker gave up waiting, in which case it most likely went through
       setUpgradingStage('success');
       setIsLoading(false);
       
-      // Handle success callback if not already done
+      // Handle success callback (only once)
       if (!successHandledRef.current) {
         successHandledRef.current = true;
         if (onSuccess) onSuccess();
-        addNotification("Transaction likely completed. Please refresh to see latest data.", 400, 300, "#4CAF50");
-      }
-      
-      // Clear any pending timers
-      if (pollTimerRef.current) {
-        clearTimeout(pollTimerRef.current);
-        pollTimerRef.current = null;
-      }
-    }, 60000);
-    
-    // Function that does the actual polling
-    const pollStatus = async (currentCount) => {
-      console.log(`[CRITICAL] Polling attempt ${currentCount}`);
-      
-      try {
-        const response = await fetch('/api/checkUpgradeStatus', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            intentHash,
-            creatureId: creature?.id,
-            checkCount: currentCount
-          }),
-          credentials: 'same-origin'
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        console.log(`[CRITICAL] Poll response (count=${currentCount}):`, data);
-        
-        // Update the UI with new count
-        setPollCount(currentCount);
-        
-        // Extract status information
-        const txSuccessful = data.forceSuccess === true || 
-                            (data.transactionStatus && data.transactionStatus.status === "CommittedSuccess");
-        
-        // If success or server says stop retrying
-        if (txSuccessful || data.shouldRetry === false) {
-          console.log("[CRITICAL] Success condition reached");
-          
-          // Transition to success state and stop loading
-          setUpgradingStage('success');
-          setIsLoading(false);
-          
-          // Clear timers
-          if (hardTimeoutRef.current) {
-            clearTimeout(hardTimeoutRef.current);
-            hardTimeoutRef.current = null;
-          }
-          
-          // Handle success callback (only once)
-          if (!successHandledRef.current) {
-            successHandledRef.current = true;
-            if (onSuccess) onSuccess();
-          }
-          
-          return; // Exit polling loop
-        }
-        
-        // Continue polling with next count
-        const nextCount = currentCount + 1;
-        
-        // Schedule next poll
-        pollTimerRef.current = setTimeout(() => {
-          pollStatus(nextCount);
-        }, 5000); // Fixed 5 second wait time
-        
-      } catch (error) {
-        console.error("[CRITICAL] Polling error:", error);
-        
-        // On error, increment count and try again (up to 3 times)
-        const nextCount = currentCount + 1;
-        setPollCount(nextCount);
-        
-        if (nextCount < 3) {
-          // Retry with slightly longer delay
-          pollTimerRef.current = setTimeout(() => {
-            pollStatus(nextCount);
-          }, 7000);
-        } else {
-          // Too many errors, force success after 3 attempts
-          console.log("[CRITICAL] Too many errors, forcing success");
-          setUpgradingStage('success');
-          setIsLoading(false);
-          
-          // Clear hard timeout
-          if (hardTimeoutRef.current) {
-            clearTimeout(hardTimeoutRef.current);
-            hardTimeoutRef.current = null;
-          }
-          
-          // Handle success callback
-          if (!successHandledRef.current) {
-            successHandledRef.current = true;
-            if (onSuccess) onSuccess();
-            addNotification("Transaction might have completed. Please refresh to check.", 400, 300, "#4CAF50");
-          }
+        if (record.status !== TRANSACTION_STATUS.SUCCESS) {
+          addNotification("Transaction likely completed. Please refresh to see latest data.", 400, 300, "#4CAF50");
         }
       }
-    };
-    
-    // Start the first poll with count 0
-    pollStatus(0);
-  }, [intentHash, creature, onSuccess, addNotification]);
-
-  // REPLACED: Improved transaction polling useEffect
-  useEffect(() => {
-    // Only start polling when we have an intent hash and we're in pending state
-    if (intentHash && upgradingStage === 'pending') {
-      // Start polling sequence (will only start once)
-      startPolling();
-    }
-    
-    // Cleanup function
-    return () => {
-      // Clear all timers on unmount
-      if (pollTimerRef.current) {
-        clearTimeout(pollTimerRef.current);
-        pollTimerRef.current = null;
-      }
-      
-      if (hardTimeoutRef.current) {
-        clearTimeout(hardTimeoutRef.current);
-        hardTimeoutRef.current = null;
-      }
-    };
-  }, [intentHash, upgradingStage, startPolling]);
-
-  // When transitioning from 'sending' to 'pending', reset the refs
-  useEffect(() => {
-    if (upgradingStage === 'pending') {
-      // Reset poll state on new 'pending' stage
-      pollStartedRef.current = false;
-      successHandledRef.current = false;
-      setPollCount(0);
-    }
-  }, [upgradingStage]);
+    });
+  }, [intentHash, watchTransaction, onSuccess, addNotification]);
 
   // Handler for stat increment/decrement
   const handleStatChange = (stat, change) => {
@@ -420,34 +269,22 @@ const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
     setUpgradingStage('sending');
     setError(null);
     setStatusCheckCount(0);  // Reset status check count when starting new transaction
+    setPollCount(0);
+    successHandledRef.current = false;
     
     try {
       // Fetch the manifest for upgrading stats
-      const response = await fetch('/api/getUpgradeStatsManifest', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          accountAddress: accounts[0].address,
-          creatureId: creature.id,
-          energy: energyPoints,
-          strength: strengthPoints,
-          magic: magicPoints,
-          stamina: staminaPoints,
-          speed: speedPoints,
-          creatureData: creature
-        }),
-        credentials: 'same-origin'
+      const data = await api.getUpgradeStatsManifest({
+        accountAddress: accountAddress,
+        creatureId: creature.id,
+        energy: energyPoints,
+        strength: strengthPoints,
+        magic: magicPoints,
+        stamina: staminaPoints,
+        speed: speedPoints,
+        creatureData: creature
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
       if (!data.manifest) {
         throw new Error("Server didn't return upgrade manifest");
       }
@@ -456,6 +293,12 @@ const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
       const hash = await initiateMintTransaction(data.manifest, 'upgradeStats');
       
       if (hash) {
+        trackTransaction(TRANSACTION_KINDS.UPGRADE_STATS, hash, {
+          accountAddress,
+          creatureId: creature.id,
+          subject: creature.species_name,
+          cost: upgradeCost
+        });
         setIntentHash(hash);
         setUpgradingStage('pending');
         addNotification("Upgrade transaction sent to wallet", 400, 300, "#2196F3");
@@ -753,7 +596,7 @@ const UpgradeStatsModal = ({ onClose, creature, onSuccess }) => {
                   <strong>Accounts Shared:</strong> {accounts?.length > 0 ? 'Yes' : 'No'}
                 </p>
                 <p style={{ fontSize: '11px', margin: '2px 0' }}>
-                  <strong>Account Address:</strong> {accounts?.[0]?.address || 'N/A'}
+                  <strong>Account Address:</strong> {accountAddress || 'N/A'}
                 </p>
                 <p style={{ fontSize: '11px', margin: '2px 0' }}>
                   <strong>Upgrading Stage:</strong> {upgradingStage}
@@ -6,6 +6,7 @@ const ActionPanel = ({
   selectedCreature, 
   targetCreature, 
   availableActions, 
+  actionRejections = {},
   onAction, 
   disabled,
   availableTools,
@@ -34,6 +35,15 @@ const ActionPanel = ({
     spell: availableSpells || []
   };
   
+  // First rejection reason for an action, if it is currently illegal
+  const getRejection = (type) => actionRejections[type]?.[0]?.message || null;
+  
+  // Special is only blocked when neither a tool nor a spell can be used
+  const specialRejection = (!availableActions.includes('useTool') || getRejection('useTool')) &&
+                           (!availableActions.includes('useSpell') || getRejection('useSpell'))
+    ? (getRejection('useSpell') || getRejection('useTool'))
+    : null;
+  
   // Get button configuration based on available actions
   const getButtonConfig = () => {
     const configs = [];
@@ -44,7 +54,8 @@ const ActionPanel = ({
         label: 'Deploy',
         icon: '📍',
         color: 'deploy',
-        action: () => onAction({ type: 'deploy' }, null, selectedCreature)
+        action: () => onAction({ type: 'deploy' }, null, selectedCreature),
+        rejection: getRejection('deploy')
       });
     }
     
@@ -55,7 +66,7 @@ const ActionPanel = ({
         icon: '⚔️',
         color: 'attack',
         action: () => onAction({ type: 'attack' }, targetCreature, selectedCreature),
-        disabled: !targetCreature
+        rejection: getRejection('attack')
       });
     }
     
@@ -65,7 +76,8 @@ const ActionPanel = ({
         label: 'Special',
         icon: '✨',
         color: 'special',
-        action: () => setShowSpecialModal(true)
+        action: () => setShowSpecialModal(true),
+        rejection: specialRejection
       });
     }
     
@@ -75,7 +87,8 @@ const ActionPanel = ({
         label: 'Defend',
         icon: '🛡️',
         color: 'defend',
-        action: () => onAction({ type: 'defend' }, null, selectedCreature)
+        action: () => onAction({ type: 'defend' }, null, selectedCreature),
+        rejection: getRejection('defend')
       });
     }
     
@@ -92,6 +105,7 @@ const ActionPanel = ({
   };
   
   const buttonConfigs = getButtonConfig();
+  const blockedReason = !disabled && buttonConfigs.find(config => config.rejection)?.rejection;
   
   return (
     <div className={`action-panel ${disabled ? 'disabled' : ''}`} style={{ zIndex: 30 }}>
@@ -140,10 +154,10 @@ const ActionPanel = ({
         {buttonConfigs.map(config => (
           <button 
             key={config.type}
-            className={`action-btn ${config.color}`}
+            className={`action-btn ${config.color} ${config.rejection ? 'rejected' : ''}`}
             onClick={config.action}
-            disabled={disabled || config.disabled}
-            title={config.label}
+            disabled={disabled || !!config.rejection}
+            title={config.rejection || config.label}
           >
             <span className="btn-icon">{config.icon}</span>
             <span className="btn-label">{config.label}</span>
@@ -151,6 +165,11 @@ const ActionPanel = ({
         ))}
       </div>
       
+      {/* NEW: Explain why an action is unavailable */}
+      {blockedReason && (
+        <div className="action-rejection-hint">{blockedReason}</div>
+      )}
+      
       {/* Special items modal */}
       {showSpecialModal && (
         <ToolSpellModal 
@@ -1,13 +1,28 @@
 // src/components/battle/BattleHeader.jsx
 import React from 'react';
+import { getAIPersonality } from '../../utils/aiPersonalities';
+import { getDifficultyLabel } from '../../utils/difficultySettings';
 
-const BattleHeader = ({ turn, playerEnergy, enemyEnergy, difficulty, activePlayer }) => {
+const BattleHeader = ({
+  turn,
+  playerEnergy,
+  enemyEnergy,
+  difficulty,
+  personality,
+  activePlayer,
+  maxEnergy = 15,
+  showEnemyIntent = false,
+  onToggleEnemyIntent
+}) => {
+  const enemyPersonality = getAIPersonality(personality);
+  
   const getDifficultyColor = (diff) => {
     switch (diff.toLowerCase()) {
       case 'easy': return '#4CAF50';
       case 'medium': return '#FFC107';
       case 'hard': return '#FF9800';
       case 'expert': return '#FF5722';
+      case 'master': return '#B71C1C';
       default: return '#4CAF50';
     }
   };
@@ -22,9 +37,23 @@ const BattleHeader = ({ turn, playerEnergy, enemyEnergy, difficulty, activePlaye
         
         <div className="difficulty-indicator" 
           style={{ backgroundColor: getDifficultyColor(difficulty) }}>
-          {difficulty.charAt(0).toUpperCase() + difficulty.slice(1)}
+          {getDifficultyLabel(difficulty)}
+        </div>
+        
+        <div className="personality-indicator" title={enemyPersonality.description}>
+          {enemyPersonality.icon} {enemyPersonality.name}
         </div>
         
+        {onToggleEnemyIntent && (
+          <button
+            className={`enemy-intent-toggle ${showEnemyIntent ? 'active' : ''}`}
+            onClick={onToggleEnemyIntent}
+            title="Show what the enemy considered and why"
+          >
+            🧠 Enemy Intent
+          </button>
+        )}
+        
         <div className="active-player-indicator">
           {activePlayer === 'player' ? (
             <span className="player-active">Your Turn</span>
@@ -40,7 +69,7 @@ const BattleHeader = ({ turn, playerEnergy, enemyEnergy, difficulty, activePlaye
           <div className="energy-value">{playerEnergy}</div>
           <div className="energy-bar-container">
             <div className="energy-bar" 
-              style={{ width: `${Math.min(100, (playerEnergy / 15) * 100)}%` }} />
+              style={{ width: `${Math.min(100, (playerEnergy / maxEnergy) * 100)}%` }} />
           </div>
         </div>
         
@@ -49,7 +78,7 @@ const BattleHeader = ({ turn, playerEnergy, enemyEnergy, difficulty, activePlaye
           <div className="energy-value">{enemyEnergy}</div>
           <div className="energy-bar-container">
             <div className="energy-bar enemy" 
-              style={{ width: `${Math.min(100, (enemyEnergy / 15) * 100)}%` }} />
+              style={{ width: `${Math.min(100, (enemyEnergy / maxEnergy) * 100)}%` }} />
           </div>
         </div>
       </div>
@@ -1,7 +1,9 @@
 // src/components/battle/BattleResult.jsx - FIXED VERSION WITH STABLE REWARDS
 import React, { useMemo } from 'react';
+import { getDifficultyLabel } from '../../utils/difficultySettings';
+import { CAMPAIGN_STAGES, getCampaignStage } from '../../utils/campaign';
 
-const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
+const BattleResult = ({ result, onPlayAgain, onClose, onWatchReplay, stats, difficulty, submission, onRetrySubmission }) => {
   const isVictory = result === 'victory';
   
   const getDifficultyColor = (diff) => {
@@ -10,164 +12,17 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
       case 'medium': return '#FFC107';
       case 'hard': return '#FF9800';
       case 'expert': return '#FF5722';
+      case 'master': return '#B71C1C';
       default: return '#4CAF50';
     }
   };
   
-  // FIXED: Use useMemo to generate rewards only once when component mounts
-  const rewards = useMemo(() => {
-    if (!isVictory) return null;
-    
-    // Create a seeded random number generator for consistency
-    let seed = 12345; // Base seed
-    if (stats) {
-      seed += stats.turns * 1000;
-      seed += stats.remainingCreatures * 100;
-      seed += stats.enemiesDefeated * 10;
-    }
-    seed += difficulty.charCodeAt(0) * 1000000; // Add difficulty to seed
-    
-    // Simple seeded random function for consistent results
-    const seededRandom = (seed) => {
-      const x = Math.sin(seed) * 10000;
-      return x - Math.floor(x);
-    };
-    
-    let currentSeed = seed;
-    const nextRandom = () => {
-      currentSeed += 1;
-      return seededRandom(currentSeed);
-    };
-    
-    const baseReward = {
-      experience: 100,
-      currency: 50,
-      items: []
-    };
-    
-    // Difficulty multipliers
-    const difficultyMultipliers = {
-      easy: 1.0,
-      medium: 1.5,
-      hard: 2.0,
-      expert: 3.0
-    };
-    
-    const multiplier = difficultyMultipliers[difficulty] || 1.0;
-    
-    // Performance bonuses
-    let performanceMultiplier = 1.0;
-    
-    // Bonus for finishing quickly (fewer turns)
-    if (stats.turns <= 5) performanceMultiplier += 0.5;
-    else if (stats.turns <= 10) performanceMultiplier += 0.3;
-    else if (stats.turns <= 15) performanceMultiplier += 0.1;
-    
-    // Bonus for having creatures survive
-    if (stats.remainingCreatures >= 3) performanceMultiplier += 0.4;
-    else if (stats.remainingCreatures >= 2) performanceMultiplier += 0.2;
-    else if (stats.remainingCreatures >= 1) performanceMultiplier += 0.1;
-    
-    // Bonus for defeating many enemies
-    const defeatRatio = stats.enemiesDefeated / Math.max(stats.enemiesDefeated + stats.remainingCreatures, 1);
-    if (defeatRatio >= 0.9) performanceMultiplier += 0.3;
-    else if (defeatRatio >= 0.7) performanceMultiplier += 0.2;
-    else if (defeatRatio >= 0.5) performanceMultiplier += 0.1;
-    
-    // Generate reward items with seeded randomization
-    const generateRewardItems = (difficulty, performanceMultiplier, randomFunc) => {
-      const items = [];
-      
-      // Base chance for items
-      const itemChances = {
-        easy: 0.3,
-        medium: 0.5,
-        hard: 0.7,
-        expert: 0.9
-      };
-      
-      const baseChance = itemChances[difficulty] || 0.3;
-      const adjustedChance = Math.min(0.95, baseChance * performanceMultiplier);
-      
-      // Tool rewards
-      if (randomFunc() < adjustedChance) {
-        const toolTypes = ['energy', 'strength', 'magic', 'stamina', 'speed'];
-        const toolEffects = ['Surge', 'Shield', 'Echo', 'Drain', 'Charge'];
-        
-        const randomType = toolTypes[Math.floor(randomFunc() * toolTypes.length)];
-        const randomEffect = toolEffects[Math.floor(randomFunc() * toolEffects.length)];
-        
-        items.push({
-          type: 'tool',
-          name: `${randomEffect} ${randomType.charAt(0).toUpperCase() + randomType.slice(1)} Tool`,
-          rarity: getRandomRarity(difficulty, randomFunc),
-          tool_type: randomType,
-          tool_effect: randomEffect
-        });
-      }
-      
-      // Spell rewards (higher difficulty only)
-      if ((difficulty === 'hard' || difficulty === 'expert') && randomFunc() < adjustedChance * 0.7) {
-        const spellTypes = ['energy', 'strength', 'magic', 'stamina', 'speed'];
-        const spellEffects = ['Surge', 'Shield', 'Echo', 'Drain', 'Charge'];
-        
-        const randomType = spellTypes[Math.floor(randomFunc() * spellTypes.length)];
-        const randomEffect = spellEffects[Math.floor(randomFunc() * spellEffects.length)];
-        
-        items.push({
-          type: 'spell',
-          name: `${randomEffect} ${randomType.charAt(0).toUpperCase() + randomType.slice(1)} Spell`,
-          rarity: getRandomRarity(difficulty, randomFunc),
-          spell_type: randomType,
-          spell_effect: randomEffect
-        });
-      }
-      
-      // Rare creature enhancement items (expert difficulty only)
-      if (difficulty === 'expert' && randomFunc() < 0.3) {
-        items.push({
-          type: 'enhancement',
-          name: 'Evolution Crystal',
-          rarity: 'Epic',
-          description: 'Can be used to enhance a creature\'s form'
-        });
-      }
-      
-      return items;
-    };
-    
-    // Get random rarity based on difficulty with seeded randomization
-    const getRandomRarity = (difficulty, randomFunc) => {
-      const rarityChances = {
-        easy: { Common: 0.7, Rare: 0.25, Epic: 0.05, Legendary: 0 },
-        medium: { Common: 0.5, Rare: 0.35, Epic: 0.13, Legendary: 0.02 },
-        hard: { Common: 0.3, Rare: 0.4, Epic: 0.25, Legendary: 0.05 },
-        expert: { Common: 0.1, Rare: 0.3, Epic: 0.45, Legendary: 0.15 }
-      };
-      
-      const chances = rarityChances[difficulty] || rarityChances.easy;
-      const random = randomFunc();
-      let cumulative = 0;
-      
-      for (const [rarity, chance] of Object.entries(chances)) {
-        cumulative += chance;
-        if (random <= cumulative) {
-          return rarity;
-        }
-      }
-      
-      return 'Common';
-    };
-    
-    // Calculate final rewards
-    const finalReward = {
-      experience: Math.round(baseReward.experience * multiplier * performanceMultiplier),
-      currency: Math.round(baseReward.currency * multiplier * performanceMultiplier),
-      items: generateRewardItems(difficulty, performanceMultiplier, nextRandom)
-    };
-    
-    return finalReward;
-  }, [isVictory, difficulty, stats]); // Only recalculate if these props change
+  // NEW: Rewards come from the server, which credits them when the result is submitted
+  const rewards = isVictory && submission?.status === 'credited' ? submission.rewards : null;
+  
+  // First win on a campaign stage opens the next one (or finishes the campaign)
+  const clearedStage = submission?.campaign?.firstClear ? getCampaignStage(difficulty) : null;
+  const isFinalStage = clearedStage?.id === CAMPAIGN_STAGES[CAMPAIGN_STAGES.length - 1].id;
   
   // FIXED: Generate performance bonuses list only once
   const performanceBonuses = useMemo(() => {
@@ -185,6 +40,9 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
     if (difficulty === 'expert') {
       bonuses.push({ icon: '👑', text: 'Elite Warrior: Conquered Expert difficulty!' });
     }
+    if (difficulty === 'master') {
+      bonuses.push({ icon: '🏆', text: 'Grandmaster: Outplayed the Master AI!' });
+    }
     
     return bonuses;
   }, [stats, difficulty]);
@@ -212,7 +70,7 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
             <div className="stat-item">
               <div className="stat-label">Difficulty</div>
               <div className="stat-value" style={{ color: getDifficultyColor(difficulty) }}>
-                {difficulty.charAt(0).toUpperCase() + difficulty.slice(1)}
+                {getDifficultyLabel(difficulty)}
               </div>
             </div>
             
@@ -232,6 +90,48 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
             </div>
           </div>
           
+          {isVictory && submission?.status === 'submitting' && (
+            <div className="rewards-section">
+              <h3>Rewards Earned</h3>
+              <p>Crediting your rewards...</p>
+            </div>
+          )}
+          
+          {isVictory && submission?.status === 'failed' && (
+            <div className="rewards-section">
+              <h3>Rewards Earned</h3>
+              <p style={{ color: '#FF9800' }}>Couldn't credit your rewards: {submission.error}</p>
+              {onRetrySubmission && (
+                <button className="close-btn" onClick={onRetrySubmission}>
+                  Try Again
+                </button>
+              )}
+            </div>
+          )}
+          
+          {submission?.daily && (
+            <div className="campaign-cleared">
+              📅 Daily score: {submission.daily.score}
+              {submission.daily.rank !== null && (
+                <> · Best today: {submission.daily.bestScore} (rank #{submission.daily.rank})</>
+              )}
+            </div>
+          )}
+          
+          {submission?.gauntlet && (
+            <div className="campaign-cleared">
+              ⚔️ Your gauntlet run ended on wave {submission.gauntlet.wave}.{' '}
+              {submission.gauntlet.newBest ? 'A new best!' : `Best: wave ${submission.gauntlet.bestWave}.`}
+            </div>
+          )}
+          
+          {clearedStage && (
+            <div className="campaign-cleared">
+              🏆 {clearedStage.name} cleared!{' '}
+              {isFinalStage ? 'You have conquered the whole campaign.' : 'The next stage is now open on the campaign map.'}
+            </div>
+          )}
+          
           {isVictory && rewards && (
             <div className="rewards-section">
               <h3>Rewards Earned</h3>
@@ -241,7 +141,9 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
                   <div className="reward-icon">⭐</div>
                   <div className="reward-details">
                     <div className="reward-amount">{rewards.experience}</div>
-                    <div className="reward-type">Experience</div>
+                    <div className="reward-type">
+                      Experience{submission.battleExperience !== undefined ? ` (${submission.battleExperience} total)` : ''}
+                    </div>
                   </div>
                 </div>
                 
@@ -249,7 +151,7 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
                   <div className="reward-icon">💰</div>
                   <div className="reward-details">
                     <div className="reward-amount">{rewards.currency}</div>
-                    <div className="reward-type">Currency</div>
+                    <div className="reward-type">TCorvax</div>
                   </div>
                 </div>
               </div>
@@ -259,11 +161,11 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
                   <h4>Items Received:</h4>
                   <div className="items-list">
                     {rewards.items.map((item, index) => (
-                      <div key={`reward-item-${index}`} className="reward-item-card">
+                      <div key={item.id || `reward-item-${index}`} className="reward-item-card">
                         <div className="item-icon">
-                          {item.type === 'tool' ? '🔧' : 
-                           item.type === 'spell' ? '✨' : 
-                           item.type === 'enhancement' ? '💎' : '❓'}
+                          {item.type === 'enhancement' || item.tool_type === 'enhancement' ? '💎' :
+                           item.type === 'tool' ? '🔧' : 
+                           item.type === 'spell' ? '✨' : '❓'}
                         </div>
                         <div className="item-info">
                           <div className="item-name" style={{ 
@@ -307,6 +209,15 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
           Play Again
         </button>
         
+        {onWatchReplay && (
+          <button 
+            className="close-btn"
+            onClick={onWatchReplay}
+          >
+            Watch Replay
+          </button>
+        )}
+        
         <button 
           className="close-btn"
           onClick={onClose}
@@ -3,17 +3,7 @@ import React from 'react';
 import CreatureCard from './CreatureCard';
 import BattleLog from './BattleLog';
 import ActionPanel from './ActionPanel';
-
-// Helper function to get max field size based on difficulty
-const getMaxFieldSize = (difficulty) => {
-  switch (difficulty) {
-    case 'easy': return 3;
-    case 'medium': return 4;
-    case 'hard': return 5;
-    case 'expert': return 6;
-    default: return 3;
-  }
-};
+import { getFieldSizeLimits } from '../../utils/difficultySettings';
 
 const Battlefield = ({ 
   playerField = [], 
@@ -27,17 +17,20 @@ const Battlefield = ({
   // Props passed through from BattleGame for desktop sidebars
   battleLog,
   availableActions,
+  actionRejections,
   onAction,
   disabled,
   availableTools,
-  availableSpells
+  availableSpells,
+  // Optional override for the center divider (used by the replay viewer)
+  centerMessage
 }) => {
-  // Use dynamic max field size based on difficulty
-  const maxEnemyFieldSize = getMaxFieldSize(difficulty);
-  const maxPlayerFieldSize = 3; // Player is always limited to 3 for balance
+  // FIXED: Slot counts come from the same rules the validator and AI enforce
+  const { player: maxPlayerFieldSize, enemy: maxEnemyFieldSize } = getFieldSizeLimits(difficulty);
   
   // Determine if we should apply the large-field class based on enemy field size
   const enemyFieldClass = maxEnemyFieldSize > 3 ? 'battlefield-enemy large-field' : 'battlefield-enemy';
+  const playerFieldClass = maxPlayerFieldSize > 3 ? 'battlefield-player compact-view' : 'battlefield-player';
   
   return (
     <div className="battlefield">
@@ -62,9 +55,9 @@ const Battlefield = ({
       {/* Center divider with game information */}
       <div className="battlefield-center-container">
         <div className="battlefield-center">
-          {activePlayer === 'player' 
+          {centerMessage || (activePlayer === 'player' 
             ? "👉 Your turn - select a creature to act" 
-            : "Enemy is thinking..."}
+            : "Enemy is thinking...")}
         </div>
       </div>
       
@@ -77,7 +70,7 @@ const Battlefield = ({
           </div>
           
           {/* Player field (center) */}
-          <div className="battlefield-player">
+          <div className={playerFieldClass}>
             {playerField.map((creature) => (
               <CreatureCard 
                 key={creature.id}
@@ -100,6 +93,7 @@ const Battlefield = ({
               selectedCreature={selectedCreature}
               targetCreature={targetCreature}
               availableActions={availableActions}
+              actionRejections={actionRejections}
               onAction={onAction}
               disabled={disabled}
               availableTools={availableTools}
@@ -109,7 +103,7 @@ const Battlefield = ({
         </div>
       ) : (
         // Mobile layout - just player field
-        <div className="battlefield-player">
+        <div className={playerFieldClass}>
           {playerField.map((creature) => (
             <CreatureCard 
               key={creature.id}
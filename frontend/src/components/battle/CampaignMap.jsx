@@ -0,0 +1,114 @@
+// src/components/battle/CampaignMap.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { api } from '../../utils/apiClient';
+import { getCampaignMap } from '../../utils/campaign';
+import { getCreatureTemplates } from '../../utils/enemyCreatures';
+
+const RARITY_COLORS = {
+  Legendary: '#FFD700',
+  Epic: '#9C27B0',
+  Rare: '#2196F3',
+  Common: '#4CAF50'
+};
+
+const speciesName = (speciesId) => (
+  getCreatureTemplates().find(template => template.id === speciesId)?.name || speciesId
+);
+
+/**
+ * Campaign stages by chapter. Progress comes from the server; locked stages can't be picked.
+ * @param {Object} props
+ * @param {string} props.selectedDifficulty - Currently selected difficulty id
+ * @param {Function} props.onSelectStage - Called with the stage's difficulty id
+ * @param {Function} props.onClose - Close handler
+ */
+const CampaignMap = ({ selectedDifficulty, onSelectStage, onClose }) => {
+  const [clearedStages, setClearedStages] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+
+  const loadProgress = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError('');
+    try {
+      const data = await api.getCampaignProgress();
+      setClearedStages(data.clearedStages || []);
+    } catch (error) {
+      console.error("Error loading campaign progress:", error);
+      setLoadError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProgress();
+  }, [loadProgress]);
+
+  const chapters = getCampaignMap(clearedStages);
+  const selectedStage = chapters
+    .flatMap(chapter => chapter.stages)
+    .find(stage => stage.difficulty === selectedDifficulty);
+
+  return (
+    <div className="campaign-map">
+      <div className="campaign-map-header">
+        <h3>Campaign</h3>
+        <span className="campaign-progress">
+          {clearedStages.length} / {chapters.reduce((total, chapter) => total + chapter.stages.length, 0)} cleared
+        </span>
+        <button className="custom-copy-btn" onClick={onClose}>Close</button>
+      </div>
+
+      {isLoading && <p className="campaign-status">Loading your progress...</p>}
+      {loadError && (
+        <p className="campaign-status campaign-error">
+          Couldn't load your progress: {loadError}{' '}
+          <button className="custom-copy-btn" onClick={loadProgress}>Try Again</button>
+        </p>
+      )}
+
+      {!isLoading && !loadError && chapters.map(chapter => (
+        <div key={chapter.name} className="campaign-chapter">
+          <h4>{chapter.name}</h4>
+          <div className="campaign-stages">
+            {chapter.stages.map((stage, index) => (
+              <button
+                key={stage.id}
+                className={`campaign-stage ${stage.cleared ? 'cleared' : ''} ${stage.difficulty === selectedDifficulty ? 'selected' : ''}`}
+                onClick={() => onSelectStage(stage.difficulty)}
+                disabled={!stage.unlocked}
+                title={stage.unlocked ? stage.description : 'Clear the previous stage to unlock'}
+              >
+                <span className="campaign-stage-number">
+                  {stage.cleared ? '✓' : stage.unlocked ? index + 1 : '🔒'}
+                </span>
+                <span className="campaign-stage-name">{stage.name}</span>
+                {stage.bossCount > 0 && <span className="campaign-stage-boss" title="Boss stage">👑</span>}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {selectedStage && (
+        <div className="campaign-stage-details">
+          <p>{selectedStage.description}</p>
+          <div className="campaign-enemies">
+            {selectedStage.enemies.map((enemy, index) => (
+              <span
+                key={`${enemy.speciesId}-${index}`}
+                className={`campaign-enemy ${enemy.boss ? 'boss' : ''}`}
+                style={{ borderColor: RARITY_COLORS[enemy.rarity] || RARITY_COLORS.Common }}
+              >
+                {enemy.boss && '👑 '}{enemy.name || speciesName(enemy.speciesId)} · Form {enemy.form}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CampaignMap;
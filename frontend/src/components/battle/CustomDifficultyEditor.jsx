@@ -0,0 +1,129 @@
+// src/components/battle/CustomDifficultyEditor.jsx - Edit and save a custom difficulty profile
+import React, { useState } from 'react';
+import {
+  BUILT_IN_DIFFICULTIES,
+  getDifficultySettings,
+  loadCustomProfile,
+  saveCustomProfile
+} from '../../utils/difficultySettings';
+
+// Editable numeric fields - path into the profile plus input range
+const NUMBER_FIELDS = [
+  { section: 'Enemy Creatures', label: 'Stats multiplier', path: ['enemyStatsMultiplier'], min: 0.5, max: 2.5, step: 0.05 },
+  { section: 'Enemy Creatures', label: 'Lowest form', path: ['enemyCreatureLevel', 'min'], min: 0, max: 3, step: 1 },
+  { section: 'Enemy Creatures', label: 'Highest form', path: ['enemyCreatureLevel', 'max'], min: 0, max: 3, step: 1 },
+  { section: 'Enemy Creatures', label: 'Deck size', path: ['enemyDeckSize'], min: 1, max: 10, step: 1 },
+  { section: 'Rarity Weights', label: 'Common', path: ['enemyRarity', 'common'], min: 0, max: 1, step: 0.05 },
+  { section: 'Rarity Weights', label: 'Rare', path: ['enemyRarity', 'rare'], min: 0, max: 1, step: 0.05 },
+  { section: 'Rarity Weights', label: 'Epic', path: ['enemyRarity', 'epic'], min: 0, max: 1, step: 0.05 },
+  { section: 'Rarity Weights', label: 'Legendary', path: ['enemyRarity', 'legendary'], min: 0, max: 1, step: 0.05 },
+  { section: 'Energy & Cards', label: 'Max energy', path: ['maxEnergy'], min: 8, max: 40, step: 1 },
+  { section: 'Energy & Cards', label: 'Energy regen', path: ['energyRegen'], min: 0, max: 10, step: 1 },
+  { section: 'Energy & Cards', label: 'Enemy energy regen', path: ['enemyEnergyRegen'], min: 0, max: 10, step: 1 },
+  { section: 'Energy & Cards', label: 'Enemy starting hand', path: ['initialHandSize'], min: 1, max: 6, step: 1 },
+  { section: 'Energy & Cards', label: 'Max hand size', path: ['maxHandSize'], min: 1, max: 8, step: 1 },
+  { section: 'Energy & Cards', label: 'Your field size', path: ['fieldSize', 'player'], min: 1, max: 6, step: 1 },
+  { section: 'Energy & Cards', label: 'Enemy field size', path: ['fieldSize', 'enemy'], min: 1, max: 6, step: 1 },
+  { section: 'Enemy AI', label: 'AI level (1-5)', path: ['enemyAILevel'], min: 1, max: 5, step: 1 },
+  { section: 'Enemy AI', label: 'Aggression', path: ['aggressionLevel'], min: 0, max: 1, step: 0.05 },
+  { section: 'Enemy AI', label: 'Multi-action chance', path: ['multiActionChance'], min: 0, max: 1, step: 0.05 }
+];
+
+const SECTIONS = [...new Set(NUMBER_FIELDS.map(field => field.section))];
+
+const getPath = (profile, path) => path.reduce((value, key) => value?.[key], profile);
+
+const setPath = (profile, path, value) => {
+  const [key, ...rest] = path;
+  return {
+    ...profile,
+    [key]: rest.length === 0 ? value : setPath(profile[key] || {}, rest, value)
+  };
+};
+
+const CustomDifficultyEditor = ({ onSave, onCancel }) => {
+  const [profile, setProfile] = useState(() => loadCustomProfile());
+
+  const handleNumberChange = (path, rawValue) => {
+    setProfile(current => setPath(current, path, rawValue === '' ? '' : Number(rawValue)));
+  };
+
+  // Start from one of the built-in profiles
+  const handleCopyFrom = (difficultyId) => {
+    const base = getDifficultySettings(difficultyId);
+    setProfile(current => ({ ...base, name: current.name, description: current.description }));
+  };
+
+  const handleSave = () => {
+    const saved = saveCustomProfile(profile);
+    setProfile(saved);
+    onSave(saved);
+  };
+
+  return (
+    <div className="custom-difficulty-editor">
+      <h3>Custom Difficulty</h3>
+
+      <div className="custom-copy-from">
+        <span>Start from:</span>
+        {BUILT_IN_DIFFICULTIES.map(difficultyId => (
+          <button key={difficultyId} className="custom-copy-btn" onClick={() => handleCopyFrom(difficultyId)}>
+            {getDifficultySettings(difficultyId).name}
+          </button>
+        ))}
+      </div>
+
+      <label className="custom-field custom-field-wide">
+        <span>Name</span>
+        <input
+          type="text"
+          value={profile.name}
+          maxLength={40}
+          onChange={(e) => setProfile(current => ({ ...current, name: e.target.value }))}
+        />
+      </label>
+
+      <label className="custom-field custom-field-wide">
+        <span>Rules description</span>
+        <input
+          type="text"
+          value={profile.description}
+          maxLength={200}
+          onChange={(e) => setProfile(current => ({ ...current, description: e.target.value }))}
+        />
+      </label>
+
+      {SECTIONS.map(section => (
+        <div key={section} className="custom-section">
+          <h4>{section}</h4>
+          <div className="custom-fields">
+            {NUMBER_FIELDS.filter(field => field.section === section).map(field => (
+              <label key={field.path.join('.')} className="custom-field">
+                <span>{field.label}</span>
+                <input
+                  type="number"
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  value={getPath(profile, field.path) ?? ''}
+                  onChange={(e) => handleNumberChange(field.path, e.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="custom-hint">
+        Values outside the allowed ranges are adjusted when saved. Rarity weights are scaled to add up to 100%.
+      </div>
+
+      <div className="result-actions">
+        <button className="play-again-btn" onClick={handleSave}>Save Profile</button>
+        <button className="close-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default CustomDifficultyEditor;
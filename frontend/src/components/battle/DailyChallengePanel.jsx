@@ -0,0 +1,105 @@
+// src/components/battle/DailyChallengePanel.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { useRadixConnect } from '../../context/RadixConnectContext';
+import { api } from '../../utils/apiClient';
+import { getDailyChallenge, getDailyDifficulty } from '../../utils/dailyChallenge';
+
+/**
+ * Today's shared battle: its modifier and the leaderboard. Scores come from the server.
+ * @param {Object} props
+ * @param {string} props.selectedDifficulty - Currently selected difficulty id
+ * @param {Function} props.onSelectChallenge - Called with today's daily difficulty id
+ * @param {Function} props.onClose - Close handler
+ */
+const DailyChallengePanel = ({ selectedDifficulty, onSelectChallenge, onClose }) => {
+  const { selectedAccount } = useRadixConnect();
+  const accountAddress = selectedAccount?.address || null;
+
+  // Worked out once, so the panel doesn't switch days while it is open
+  const [challenge] = useState(() => getDailyChallenge(getDailyDifficulty()));
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+
+  const loadLeaderboard = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError('');
+    try {
+      const data = await api.getDailyLeaderboard({ date: challenge.date, accountAddress });
+      setLeaderboard(data);
+    } catch (error) {
+      console.error("Error loading daily leaderboard:", error);
+      setLoadError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [challenge.date, accountAddress]);
+
+  useEffect(() => {
+    loadLeaderboard();
+  }, [loadLeaderboard]);
+
+  const isSelected = selectedDifficulty === challenge.difficulty;
+  const playerEntry = leaderboard?.playerEntry;
+
+  return (
+    <div className="daily-challenge">
+      <div className="campaign-map-header">
+        <h3>Daily Challenge</h3>
+        <span className="campaign-progress">{challenge.date} (UTC)</span>
+        <button className="custom-copy-btn" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="daily-modifier">
+        <strong>{challenge.modifier.name}</strong> - {challenge.modifier.description}
+      </div>
+      <p className="campaign-status">
+        Everyone faces the same enemies today. Win fast and keep your creatures healthy to climb the board.
+      </p>
+
+      <button
+        className={`campaign-stage ${isSelected ? 'selected' : ''}`}
+        onClick={() => onSelectChallenge(challenge.difficulty)}
+      >
+        {isSelected ? '✓ Selected' : "Take Today's Challenge"}
+      </button>
+
+      <h4>Leaderboard</h4>
+      {isLoading && <p className="campaign-status">Loading the leaderboard...</p>}
+      {loadError && (
+        <p className="campaign-status campaign-error">
+          Couldn't load the leaderboard: {loadError}{' '}
+          <button className="custom-copy-btn" onClick={loadLeaderboard}>Try Again</button>
+        </p>
+      )}
+      {!isLoading && !loadError && leaderboard && (
+        <>
+          {leaderboard.entries.length === 0 && (
+            <p className="campaign-status">No wins yet today - be the first!</p>
+          )}
+          {leaderboard.entries.map(entry => (
+            <div
+              key={entry.accountAddress}
+              className={`daily-entry ${entry.accountAddress === accountAddress ? 'own' : ''}`}
+            >
+              <span className="daily-rank">#{entry.rank}</span>
+              <span className="daily-name">{entry.playerName}</span>
+              <span className="daily-detail">{entry.turns} turns · {entry.survivingHp} HP</span>
+              <span className="daily-score">{entry.score}</span>
+            </div>
+          ))}
+          {playerEntry && !leaderboard.entries.some(entry => entry.accountAddress === playerEntry.accountAddress) && (
+            <div className="daily-entry own">
+              <span className="daily-rank">#{playerEntry.rank}</span>
+              <span className="daily-name">You</span>
+              <span className="daily-detail">{playerEntry.turns} turns · {playerEntry.survivingHp} HP</span>
+              <span className="daily-score">{playerEntry.score}</span>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DailyChallengePanel;
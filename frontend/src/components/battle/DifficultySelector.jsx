@@ -1,22 +1,67 @@
 // src/components/battle/DifficultySelector.jsx
 import React, { useState } from 'react';
+import { decodeReplay } from '../../utils/battleReplay';
+import {
+  BUILT_IN_DIFFICULTIES,
+  CUSTOM_DIFFICULTY,
+  getDifficultySettings,
+  getRulesSummary,
+  getAITier,
+  getDifficultyLabel
+} from '../../utils/difficultySettings';
+import { isCampaignDifficulty } from '../../utils/campaign';
+import { isDailyDifficulty } from '../../utils/dailyChallenge';
+import { isGauntletDifficulty } from '../../utils/gauntlet';
+import { AI_PERSONALITIES, DEFAULT_AI_PERSONALITY } from '../../utils/aiPersonalities';
+import CustomDifficultyEditor from './CustomDifficultyEditor';
+import CampaignMap from './CampaignMap';
+import DailyChallengePanel from './DailyChallengePanel';
+import GauntletPanel from './GauntletPanel';
 
-const DifficultySelector = ({ onSelectDifficulty, onStartBattle, creatureCount, difficulty: currentDifficulty }) => {
+const DifficultySelector = ({
+  onSelectDifficulty,
+  onSelectPersonality,
+  onStartBattle,
+  creatureCount,
+  difficulty: currentDifficulty,
+  personality: currentPersonality,
+  onWatchReplay
+}) => {
   const [selectedDifficulty, setSelectedDifficulty] = useState(currentDifficulty || 'easy');
+  const [selectedPersonality, setSelectedPersonality] = useState(currentPersonality || DEFAULT_AI_PERSONALITY);
+  const [replayCode, setReplayCode] = useState('');
+  const [replayError, setReplayError] = useState('');
+  const [isEditingCustom, setIsEditingCustom] = useState(false);
+  // Campaign map, daily challenge or gauntlet, reopened if one of their battles was selected
+  const [openMode, setOpenMode] = useState(() => {
+    if (isCampaignDifficulty(currentDifficulty)) return 'campaign';
+    if (isDailyDifficulty(currentDifficulty)) return 'daily';
+    if (isGauntletDifficulty(currentDifficulty)) return 'gauntlet';
+    return null;
+  });
   
-  const difficulties = [
-    { id: 'easy', name: 'Easy', description: 'For beginners. Enemy creatures are weaker and AI makes simple decisions.' },
-    { id: 'medium', name: 'Medium', description: 'Balanced challenge. Enemy creatures are evenly matched with yours.' },
-    { id: 'hard', name: 'Hard', description: 'For experienced players. Enemy creatures are stronger and AI makes smart decisions.' },
-    { id: 'expert', name: 'Expert', description: 'Ultimate challenge. Enemy creatures are much stronger and AI plays optimally.' }
-  ];
+  // Names and descriptions come from the difficulty profiles
+  // (read every render so a saved custom profile shows up immediately)
+  const difficulties = [...BUILT_IN_DIFFICULTIES, CUSTOM_DIFFICULTY].map(id => {
+    const profile = getDifficultySettings(id);
+    return {
+      id,
+      name: id === CUSTOM_DIFFICULTY ? `Custom: ${profile.name}` : profile.name,
+      description: profile.description || 'Your own challenge rules.'
+    };
+  });
   
   const getDifficultyColor = (diff) => {
+    if (isCampaignDifficulty(diff)) return '#795548';
+    if (isDailyDifficulty(diff)) return '#00897B';
+    if (isGauntletDifficulty(diff)) return '#3949AB';
     switch (diff) {
       case 'easy': return '#4CAF50';
       case 'medium': return '#FFC107';
       case 'hard': return '#FF9800';
       case 'expert': return '#FF5722';
+      case 'master': return '#B71C1C';
+      case 'custom': return '#9C27B0';
       default: return '#4CAF50';
     }
   };
@@ -26,10 +71,32 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, creatureCount,
     onSelectDifficulty(difficultyId);
   };
   
+  const handlePersonalitySelect = (personalityId) => {
+    setSelectedPersonality(personalityId);
+    onSelectPersonality(personalityId);
+  };
+  
   const handleStartBattle = () => {
     onStartBattle();
   };
   
+  const handleSaveCustom = () => {
+    setIsEditingCustom(false);
+    handleDifficultySelect(CUSTOM_DIFFICULTY);
+  };
+  
+  // Load a replay code shared by another player
+  const handleLoadReplay = () => {
+    const replay = decodeReplay(replayCode);
+    if (!replay) {
+      setReplayError('That replay code could not be read.');
+      return;
+    }
+    setReplayError('');
+    setReplayCode('');
+    onWatchReplay(replay);
+  };
+  
   return (
     <div className="difficulty-selector">
       <h2>Battle Arena</h2>
@@ -56,11 +123,104 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, creatureCount,
             </div>
             <div className="difficulty-content">
               <p>{difficulty.description}</p>
+              {difficulty.id === CUSTOM_DIFFICULTY && (
+                <button
+                  className="custom-edit-btn"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setIsEditingCustom(true);
+                  }}
+                >
+                  Edit Rules
+                </button>
+              )}
             </div>
           </div>
         ))}
       </div>
       
+      {isEditingCustom && (
+        <CustomDifficultyEditor
+          onSave={handleSaveCustom}
+          onCancel={() => setIsEditingCustom(false)}
+        />
+      )}
+      
+      {/* NEW: Authored campaign stages, the shared daily battle and the endless gauntlet */}
+      {openMode === 'campaign' && (
+        <CampaignMap
+          selectedDifficulty={selectedDifficulty}
+          onSelectStage={handleDifficultySelect}
+          onClose={() => setOpenMode(null)}
+        />
+      )}
+      {openMode === 'daily' && (
+        <DailyChallengePanel
+          selectedDifficulty={selectedDifficulty}
+          onSelectChallenge={handleDifficultySelect}
+          onClose={() => setOpenMode(null)}
+        />
+      )}
+      {openMode === 'gauntlet' && (
+        <GauntletPanel
+          selectedDifficulty={selectedDifficulty}
+          onSelectGauntlet={handleDifficultySelect}
+          onClose={() => setOpenMode(null)}
+        />
+      )}
+      {!openMode && (
+        <div className="battle-modes">
+          <button className="campaign-open-btn" onClick={() => setOpenMode('campaign')}>
+            🗺️ Campaign Map
+          </button>
+          <button className="campaign-open-btn daily-open-btn" onClick={() => setOpenMode('daily')}>
+            📅 Daily Challenge
+          </button>
+          <button className="campaign-open-btn gauntlet-open-btn" onClick={() => setOpenMode('gauntlet')}>
+            ⚔️ Endless Gauntlet
+          </button>
+        </div>
+      )}
+      
+      {/* NEW: Enemy play style, picked alongside the difficulty */}
+      <div className="personality-selector">
+        <h3>Enemy Personality</h3>
+        <div className="personality-options">
+          {Object.values(AI_PERSONALITIES).map(personality => (
+            <button
+              key={personality.id}
+              className={`personality-option ${selectedPersonality === personality.id ? 'selected' : ''}`}
+              onClick={() => handlePersonalitySelect(personality.id)}
+              title={personality.description}
+            >
+              <span className="personality-icon">{personality.icon}</span>
+              <span className="personality-name">{personality.name}</span>
+            </button>
+          ))}
+        </div>
+        <p className="personality-description">
+          {AI_PERSONALITIES[selectedPersonality]?.description}
+        </p>
+        {getAITier(selectedDifficulty) === 'master' && (
+          <p className="personality-note">
+            The Master AI simulates every move, so it plays without a personality.
+          </p>
+        )}
+      </div>
+      
+      {/* NEW: Rules for the selected difficulty */}
+      <div className="difficulty-rules">
+        <h3>Rules</h3>
+        <div className="rules-grid">
+          {getRulesSummary(selectedDifficulty).map(rule => (
+            <div key={rule.label} className="rule-item">
+              <span className="rule-label">{rule.label}</span>
+              <span className="rule-value">{rule.value}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+      
       <div className="battle-controls">
         <button 
           className="start-battle-btn"
@@ -68,9 +228,34 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, creatureCount,
           style={{ backgroundColor: getDifficultyColor(selectedDifficulty) }}
           disabled={creatureCount === 0}
         >
-          {creatureCount === 0 ? 'No Creatures Available' : 'Start Battle!'}
+          {creatureCount === 0 ? 'No Creatures Available' :
+           isCampaignDifficulty(selectedDifficulty) || isDailyDifficulty(selectedDifficulty) ||
+           isGauntletDifficulty(selectedDifficulty)
+             ? `Fight: ${getDifficultyLabel(selectedDifficulty)}`
+             : 'Start Battle!'}
         </button>
       </div>
+      
+      {onWatchReplay && (
+        <div className="replay-loader">
+          <h3>Watch a Shared Replay</h3>
+          <textarea
+            className="replay-code-input"
+            value={replayCode}
+            onChange={(e) => setReplayCode(e.target.value)}
+            placeholder="Paste a replay code here..."
+            rows={3}
+          />
+          {replayError && <div className="replay-error">{replayError}</div>}
+          <button 
+            className="close-btn"
+            onClick={handleLoadReplay}
+            disabled={!replayCode.trim()}
+          >
+            Watch Replay
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,56 @@
+// src/components/battle/EnemyIntentPanel.jsx - What the enemy AI considered and why
+import React from 'react';
+
+const EnemyIntentPanel = ({ intent, onClose }) => {
+  const decisions = intent?.decisions || [];
+  const board = decisions.find(decision => decision.board)?.board;
+
+  return (
+    <div className="enemy-intent-panel">
+      <div className="enemy-intent-title">
+        Enemy Intent {intent && <span className="enemy-intent-turn">(Turn {intent.turn})</span>}
+        <button className="enemy-intent-close" onClick={onClose} title="Hide enemy intent">✕</button>
+      </div>
+
+      {decisions.length === 0 ? (
+        <div className="enemy-intent-empty">The enemy has not acted yet.</div>
+      ) : (
+        <>
+          {board && (
+            <div className="enemy-intent-board">
+              <span>Power {board.enemyPower} vs your {board.playerPower}</span>
+              <span>{board.aggressive ? 'Playing aggressively' : 'Playing cautiously'}</span>
+              {board.personality && <span>Personality: {board.personality}</span>}
+              {board.threatened.length > 0 && <span>In danger: {board.threatened.join(', ')}</span>}
+              {board.weakTargets.length > 0 && <span>Weak targets: {board.weakTargets.join(', ')}</span>}
+            </div>
+          )}
+
+          <ol className="enemy-intent-decisions">
+            {decisions.map((decision, index) => (
+              <li key={index} className="enemy-intent-decision">
+                <div className="enemy-intent-action">{decision.label}</div>
+                <div className="enemy-intent-reason">{decision.reason}</div>
+                {decision.candidates.length > 1 && (
+                  <ul className="enemy-intent-candidates">
+                    {decision.candidates.map((candidate, candidateIndex) => (
+                      <li
+                        key={candidateIndex}
+                        className={`enemy-intent-candidate ${candidate.chosen ? 'chosen' : ''}`}
+                      >
+                        <span className="candidate-label">{candidate.label}</span>
+                        <span className="candidate-score">{candidate.score}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EnemyIntentPanel;
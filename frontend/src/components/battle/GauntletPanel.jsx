@@ -0,0 +1,70 @@
+// src/components/battle/GauntletPanel.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { api } from '../../utils/apiClient';
+import { getGauntletDifficulty } from '../../utils/gauntlet';
+
+/**
+ * The endless gauntlet: how it works and the best wave reached. The best wave comes from the server.
+ * @param {Object} props
+ * @param {string} props.selectedDifficulty - Currently selected difficulty id
+ * @param {Function} props.onSelectGauntlet - Called with the first wave's difficulty id
+ * @param {Function} props.onClose - Close handler
+ */
+const GauntletPanel = ({ selectedDifficulty, onSelectGauntlet, onClose }) => {
+  const [bestWave, setBestWave] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+
+  const loadProgress = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError('');
+    try {
+      const data = await api.getGauntletProgress();
+      setBestWave(data.bestWave || 0);
+    } catch (error) {
+      console.error("Error loading gauntlet progress:", error);
+      setLoadError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProgress();
+  }, [loadProgress]);
+
+  const firstWave = getGauntletDifficulty(1);
+  const isSelected = selectedDifficulty === firstWave;
+
+  return (
+    <div className="gauntlet-panel">
+      <div className="campaign-map-header">
+        <h3>Endless Gauntlet</h3>
+        <span className="campaign-progress">
+          {isLoading ? 'Loading...' : `Best: wave ${bestWave}`}
+        </span>
+        <button className="custom-copy-btn" onClick={onClose}>Close</button>
+      </div>
+
+      <p className="campaign-status">
+        Fight wave after wave of stronger enemies. Your creatures keep their health and effects
+        between waves, and after every win you pick a heal, a tool or a stat boost for the rest of the run.
+      </p>
+      {loadError && (
+        <p className="campaign-status campaign-error">
+          Couldn't load your best wave: {loadError}{' '}
+          <button className="custom-copy-btn" onClick={loadProgress}>Try Again</button>
+        </p>
+      )}
+
+      <button
+        className={`campaign-stage ${isSelected ? 'selected' : ''}`}
+        onClick={() => onSelectGauntlet(firstWave)}
+      >
+        {isSelected ? '✓ Selected' : 'Start a Run'}
+      </button>
+    </div>
+  );
+};
+
+export default GauntletPanel;
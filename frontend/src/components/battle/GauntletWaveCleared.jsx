@@ -0,0 +1,107 @@
+// src/components/battle/GauntletWaveCleared.jsx
+import React from 'react';
+import { GAUNTLET_REWARD_TYPES } from '../../utils/gauntlet';
+
+const REWARD_ICONS = {
+  [GAUNTLET_REWARD_TYPES.HEAL]: '❤️',
+  [GAUNTLET_REWARD_TYPES.TOOL]: '🔧',
+  [GAUNTLET_REWARD_TYPES.BUFF]: '💪'
+};
+
+/**
+ * Between gauntlet waves: the creatures still standing and the rewards to pick from.
+ * The next wave opens once the server has recorded this one.
+ * @param {Object} props
+ * @param {number} props.wave - The wave just cleared
+ * @param {Array} props.rewardChoices - From getWaveRewardChoices
+ * @param {Array} props.survivors - Player creatures going into the next wave
+ * @param {Object} props.submission - The wave's result submission (see BattleGame)
+ * @param {Function} props.onRetrySubmission - Resubmit after a failure
+ * @param {Function} props.onPickReward - Called with the picked reward
+ * @param {Function} props.onWatchReplay - Watch the wave's replay (optional)
+ * @param {Function} props.onClose - Leave the run
+ */
+const GauntletWaveCleared = ({
+  wave,
+  rewardChoices,
+  survivors,
+  submission,
+  onRetrySubmission,
+  onPickReward,
+  onWatchReplay,
+  onClose
+}) => {
+  const isRecorded = submission?.status === 'credited';
+  const rewards = isRecorded ? submission.rewards : null;
+
+  return (
+    <div className="battle-result victory">
+      <div className="result-header" style={{ backgroundColor: '#3949AB' }}>
+        <h2>Wave {wave} Cleared!</h2>
+      </div>
+
+      <div className="result-content">
+        <div className="result-message">
+          <p>Your creatures carry their wounds into wave {wave + 1}. Pick one reward to help them.</p>
+        </div>
+
+        <div className="gauntlet-survivors">
+          {survivors.map(creature => (
+            <span key={creature.id} className="gauntlet-survivor">
+              {creature.species_name} · {creature.currentHealth}/{creature.battleStats?.maxHealth} HP
+            </span>
+          ))}
+        </div>
+
+        {submission?.status === 'submitting' && (
+          <p className="campaign-status">Recording your wave...</p>
+        )}
+        {submission?.status === 'failed' && (
+          <p className="campaign-status campaign-error">
+            Couldn't record your wave: {submission.error}{' '}
+            {onRetrySubmission && (
+              <button className="custom-copy-btn" onClick={onRetrySubmission}>Try Again</button>
+            )}
+          </p>
+        )}
+        {rewards && (
+          <p className="campaign-status">
+            +{rewards.experience} experience · +{rewards.currency} TCorvax
+            {rewards.items?.length > 0 && ` · ${rewards.items.map(item => item.name).join(', ')}`}
+            {submission.gauntlet && ` · Best: wave ${submission.gauntlet.bestWave}`}
+          </p>
+        )}
+
+        <div className="gauntlet-rewards">
+          {rewardChoices.map(reward => (
+            <button
+              key={reward.type}
+              className="gauntlet-reward"
+              onClick={() => onPickReward(reward)}
+              disabled={!isRecorded}
+              title={isRecorded ? reward.description : 'Waiting for the server to record this wave'}
+            >
+              <span className="gauntlet-reward-icon">{REWARD_ICONS[reward.type]}</span>
+              <span className="gauntlet-reward-name">{reward.name}</span>
+              <span className="gauntlet-reward-description">{reward.description}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="result-actions">
+        {onWatchReplay && (
+          <button className="close-btn" onClick={onWatchReplay}>
+            Watch Replay
+          </button>
+        )}
+
+        <button className="close-btn" onClick={onClose}>
+          End Run
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GauntletWaveCleared;
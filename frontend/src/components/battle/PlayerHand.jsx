@@ -2,7 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 
-const PlayerHand = ({ hand, onSelectCard, disabled, selectedCreature, selectedCardId, hasFieldSelection, hasHandSelection }) => {
+const PlayerHand = ({ hand, onSelectCard, disabled, selectedCreature, selectedCardId, hasFieldSelection, hasHandSelection, rejections }) => {
   const [isHandExpanded, setIsHandExpanded] = useState(false);
 
   const handleCardClick = (creature) => {
@@ -51,8 +51,9 @@ const PlayerHand = ({ hand, onSelectCard, disabled, selectedCreature, selectedCa
             key={creature.id}
             className={`hand-card-wrapper ${
               selectedCardId === creature.id ? 'selected' : ''
-            }`}
+            } ${rejections[creature.id] ? 'unplayable' : ''}`}
             onClick={() => handleCardClick(creature)}
+            title={rejections[creature.id] ? `Can't deploy: ${rejections[creature.id][0].message}` : undefined}
             style={{ 
               zIndex: selectedCardId === creature.id ? 1002 : (index + 100),
               position: 'relative'
@@ -207,7 +208,12 @@ PlayerHand.propTypes = {
   selectedCreature: PropTypes.object,
   selectedCardId: PropTypes.string,
   hasFieldSelection: PropTypes.bool,
-  hasHandSelection: PropTypes.bool
+  hasHandSelection: PropTypes.bool,
+  // Deploy rejection reasons from validateAction, keyed by card id
+  rejections: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.shape({
+    code: PropTypes.string.isRequired,
+    message: PropTypes.string.isRequired
+  })))
 };
 
 PlayerHand.defaultProps = {
@@ -215,7 +221,8 @@ PlayerHand.defaultProps = {
   selectedCreature: null,
   selectedCardId: null,
   hasFieldSelection: false,
-  hasHandSelection: false
+  hasHandSelection: false,
+  rejections: {}
 };
 
 export default PlayerHand;
@@ -0,0 +1,168 @@
+// src/components/battle/ReplayViewer.jsx - Step-by-step battle replay playback
+import React, { useState, useEffect } from 'react';
+import Battlefield from './Battlefield';
+import BattleLog from './BattleLog';
+import BattleHeader from './BattleHeader';
+import { encodeReplay } from '../../utils/battleReplay';
+
+// Milliseconds per step at 1x speed
+const BASE_STEP_DELAY = 1200;
+const SPEED_OPTIONS = [0.5, 1, 2, 4];
+
+const formatActionType = (actionType) => {
+  return (actionType || '')
+    .toLowerCase()
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+const ReplayViewer = ({ replay, frames = [], maxEnergy, onClose }) => {
+  const [stepIndex, setStepIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const lastIndex = Math.max(0, frames.length - 1);
+  const frame = frames[Math.min(stepIndex, lastIndex)];
+
+  // Advance automatically while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    if (stepIndex >= lastIndex) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const timeoutId = setTimeout(() => {
+      setStepIndex(index => Math.min(index + 1, lastIndex));
+    }, BASE_STEP_DELAY / speed);
+
+    return () => clearTimeout(timeoutId);
+  }, [isPlaying, stepIndex, lastIndex, speed]);
+
+  const handleTogglePlay = () => {
+    // Restart from the beginning if playback already reached the end
+    if (!isPlaying && stepIndex >= lastIndex) {
+      setStepIndex(0);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  const handleStep = (delta) => {
+    setIsPlaying(false);
+    setStepIndex(index => Math.max(0, Math.min(index + delta, lastIndex)));
+  };
+
+  const handleCopyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(encodeReplay(replay));
+      setCopyStatus('Copied!');
+    } catch (error) {
+      console.error("Failed to copy replay code:", error);
+      setCopyStatus('Copy failed');
+    }
+    setTimeout(() => setCopyStatus(''), 2000);
+  };
+
+  if (!frame) {
+    return (
+      <div className="replay-viewer">
+        <div className="replay-empty">This replay has no recorded actions.</div>
+        <div className="result-actions">
+          <button className="close-btn" onClick={onClose}>Back</button>
+        </div>
+      </div>
+    );
+  }
+
+  const { state } = frame;
+
+  return (
+    <div className="replay-viewer">
+      <BattleHeader
+        turn={state.turn}
+        playerEnergy={state.playerEnergy}
+        enemyEnergy={state.enemyEnergy}
+        difficulty={state.difficulty}
+        activePlayer={state.activePlayer}
+        maxEnergy={maxEnergy}
+        consecutiveActions={state.consecutiveActions}
+        energyMomentum={state.energyMomentum}
+      />
+
+      <div className="replay-controls">
+        <button
+          className="replay-btn"
+          onClick={() => handleStep(-1)}
+          disabled={stepIndex === 0}
+          title="Step back"
+        >
+          ⏮
+        </button>
+        <button
+          className="replay-btn primary"
+          onClick={handleTogglePlay}
+          title={isPlaying ? 'Pause' : 'Play'}
+        >
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button
+          className="replay-btn"
+          onClick={() => handleStep(1)}
+          disabled={stepIndex >= lastIndex}
+          title="Step forward"
+        >
+          ⏭
+        </button>
+
+        <div className="replay-speed">
+          {SPEED_OPTIONS.map(option => (
+            <button
+              key={option}
+              className={`replay-speed-btn ${speed === option ? 'active' : ''}`}
+              onClick={() => setSpeed(option)}
+            >
+              {option}x
+            </button>
+          ))}
+        </div>
+
+        <div className="replay-progress">
+          Step {stepIndex + 1} / {frames.length}
+          <span className="replay-action">{formatActionType(frame.actionType)}</span>
+        </div>
+      </div>
+
+      <div className="battle-content-wrapper">
+        <div className="battle-main-area">
+          <div className="battlefield-container">
+            <Battlefield
+              playerField={state.playerField}
+              enemyField={state.enemyField}
+              activePlayer={state.activePlayer}
+              difficulty={state.difficulty}
+              onCreatureSelect={() => {}}
+              isDesktop={false}
+              centerMessage={`Replay - ${state.activePlayer === 'player' ? 'Player' : 'Enemy'} turn (Seed: ${replay.seed})`}
+            />
+          </div>
+        </div>
+
+        <BattleLog log={state.battleLog} />
+      </div>
+
+      <div className="result-actions">
+        <button className="play-again-btn" onClick={handleCopyCode}>
+          {copyStatus || 'Copy Replay Code'}
+        </button>
+        <button className="close-btn" onClick={onClose}>
+          Exit Replay
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
@@ -1,6 +1,5 @@
 // src/context/GameContext.jsx
-import React, { createContext, useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
+import React, { createContext, useState, useEffect, useCallback, useRef } from 'react';
 
 // Import the GatewayApiClient + constants
 import { GatewayApiClient, RadixNetwork } from '@radixdlt/babylon-gateway-api-sdk';
@@ -10,7 +9,16 @@ import { useRadixConnect } from './RadixConnectContext';
 
 // Import the service classes
 import PetService from '../utils/PetService';
-import TransactionService from '../utils/TransactionService';
+import { api, API_ERROR_CODES } from '../utils/apiClient';
+import TransactionService, { TRANSACTION_KINDS, TRANSACTION_STATUS } from '../utils/TransactionService';
+import { checkManifestCosts } from '../utils/manifestCosts';
+import NftStore, { NFT_COLLECTIONS, selectNftEntry } from '../utils/NftStore';
+import GameStateSync from '../utils/GameStateSync';
+import { getMachineBuildCost } from '../utils/economyModel';
+import { OPTIMISTIC_ENTITIES } from '../utils/optimisticActions';
+
+// Stable empty NFT list while nothing is cached, so effects depending on it don't rerun
+const NO_NFTS = [];
 
 // Updated machineTypes with fomoHit cost change and incubator maxLevel
 const machineTypes = {
@@ -71,11 +79,69 @@ const machineTypes = {
   },
 };
 
+// Names for the pre-submit confirmation; initiateMintTransaction's second argument
+// is a machine id for FOMO HIT mints and one of these keys for creature transactions
+const MINT_TRANSACTION_LABELS = {
+  evolvingCreature: "Creature egg mint",
+  evolveCreature: "Creature evolution",
+  upgradeStats: "Stat upgrade"
+};
+
 const MAX_LEVEL = 3;
 const AMPLIFIER_MAX_LEVEL = 5;
 const MACHINE_COOLDOWN_MS = 3600 * 1000;
 const gridSize = 64;
 const INTERACTION_RANGE = gridSize * 1.5;
+const MACHINE_MOVE_COST = { tcorvax: 50 };
+
+// ========== OPTIMISTIC ACTIONS ==========
+// Machine and pet actions change the canvas at once. Each change stays pending until the
+// server answers and is re-applied over any game state loaded in the meantime.
+const optimisticKey = (entityType, id) => `${entityType}:${id}`;
+
+// Re-apply the pending changes for one entity type on top of a list from the server
+const applyOptimisticChanges = (changes, entityType, list) => {
+  let next = list;
+  changes.forEach(change => {
+    if (change.entityType === entityType) next = change.apply(next);
+  });
+  return next;
+};
+
+// Resources already taken off the display for changes the server hasn't confirmed
+const getPendingCost = (changes, resource) => {
+  let total = 0;
+  changes.forEach(change => {
+    total += change.cost?.[resource] || 0;
+  });
+  return total;
+};
+
+// Merge entities pushed by the live sync; ones with a pending optimistic change keep their
+// local state until that change settles
+const mergeServerEntities = (list, updated, removedIds, entityType, pendingChanges) => {
+  const isPending = (id) => pendingChanges.has(optimisticKey(entityType, id));
+  const updatesById = new Map(updated.filter(entity => !isPending(entity.id)).map(entity => [entity.id, entity]));
+  const removed = new Set(removedIds.filter(id => !isPending(id)));
+  const knownIds = new Set(list.map(entity => entity.id));
+  
+  const merged = list
+    .filter(entity => !removed.has(entity.id))
+    .map(entity => (updatesById.has(entity.id) ? { ...entity, ...updatesById.get(entity.id) } : entity));
+  updatesById.forEach((entity, id) => {
+    if (!knownIds.has(id)) merged.push(entity);
+  });
+  return merged;
+};
+
+// Why the server turned an action down, for the rollback notification
+const getRollbackReason = (error) => {
+  if (error.data?.error) return error.data.error;
+  if (error.code === API_ERROR_CODES.NETWORK || error.code === API_ERROR_CODES.TIMEOUT) {
+    return "no connection to the server";
+  }
+  return error.message || "rejected by the server";
+};
 
 // Create the context
 export const GameContext = createContext();
@@ -100,6 +166,10 @@ export const GameProvider = ({ children }) => {
 
   // Machines
   const [machines, setMachines] = useState([]);
+  
+  // NEW: Optimistic changes waiting for the server (entity key -> change) and their canvas markers
+  const optimisticChangesRef = useRef(new Map());
+  const [pendingActions, setPendingActions] = useState({}); // entity key -> 'build' | 'upgrade' | 'move'
   const [machineCount, setMachineCount] = useState({
     catLair: 0,
     reactor: 0,
@@ -124,10 +194,9 @@ export const GameProvider = ({ children }) => {
   // Transaction service
   const [transactionService, setTransactionService] = useState(null);
 
-  // Creature NFTs states - ADDED
-  const [creatureNfts, setCreatureNfts] = useState([]);
-  const [toolNfts, setToolNfts] = useState([]);
-  const [spellNfts, setSpellNfts] = useState([]);
+  // Creature NFTs - FIXED: shared store with stale-while-revalidate caching for every account
+  const [nftStore] = useState(() => new NftStore());
+  const [nftEntries, setNftEntries] = useState(() => nftStore.getEntries());
 
   // Add this to the state declarations in GameProvider
   const [showCreatureMinter, setShowCreatureMinter] = useState(false);
@@ -162,18 +231,101 @@ export const GameProvider = ({ children }) => {
   const [showRoomUnlockMessage, setShowRoomUnlockMessage] = useState(false);
   const [seenRoomUnlock, setSeenRoomUnlock] = useState(0); // Added seen state for persistence
 
-  // Transaction tracking
+  // Transaction tracking - mirrors every transaction the TransactionService knows (history included)
   const [pendingTransactions, setPendingTransactions] = useState({});
+  
+  // Latest settle handler, so the service subscription never calls a stale closure
+  const settledTransactionHandlerRef = useRef(null);
+  
+  // NEW: Live sync - streams changes made elsewhere (cooldowns, offline status, Telegram bot rewards)
+  const syncHandlersRef = useRef(null);
+  const [gameStateSync] = useState(() => new GameStateSync({
+    onChange: (change) => syncHandlersRef.current?.onChange(change),
+    onResync: () => syncHandlersRef.current?.onResync()
+  }));
+  
+  // Pre-submit confirmation - what the manifest spends vs the account balances
+  const [transactionConfirmation, setTransactionConfirmation] = useState(null);
+  const confirmationResolverRef = useRef(null);
+  const confirmationIdRef = useRef(0);
 
   // Access the Radix Connect context
-  const { connected, accounts, rdt } = useRadixConnect();
+  const { connected, accounts, selectedAccount, rdt } = useRadixConnect();
+  
+  // The account picked in the account switcher drives every NFT query and manifest
+  const activeAccountAddress = selectedAccount?.address || null;
 
   // Initialize the transaction service when RDT is available
   useEffect(() => {
-    if (rdt) {
-      setTransactionService(new TransactionService(rdt));
-    }
+    if (!rdt) return;
+    
+    const service = new TransactionService(rdt);
+    service.subscribe((record, allRecords) => {
+      setPendingTransactions(allRecords);
+      if (record.status !== TRANSACTION_STATUS.PENDING && settledTransactionHandlerRef.current) {
+        settledTransactionHandlerRef.current(record);
+      }
+    });
+    
+    // NEW: Pick up transactions that were still pending when the page was closed
+    setPendingTransactions(service.getTransactions());
+    service.resumePending();
+    setTransactionService(service);
+    
+    return () => service.dispose();
   }, [rdt]);
+  
+  // Start tracking a signed transaction (see TRANSACTION_KINDS)
+  const trackTransaction = useCallback((kind, intentHash, payload = {}) => {
+    if (!transactionService) {
+      console.error("Transaction service not ready");
+      return Promise.resolve(null);
+    }
+    return transactionService.track(kind, intentHash, payload);
+  }, [transactionService]);
+  
+  // Follow one transaction's status; returns an unsubscribe function
+  const watchTransaction = useCallback((intentHash, listener) => {
+    if (!transactionService || !intentHash) return () => {};
+    return transactionService.watch(intentHash, listener);
+  }, [transactionService]);
+  
+  const cancelTransaction = useCallback((intentHash) => {
+    if (transactionService) transactionService.cancel(intentHash);
+  }, [transactionService]);
+  
+  // NEW: Every manifest goes through this before it reaches the wallet.
+  // Resolves true when the player confirms; blocked while funds are short.
+  const confirmManifest = useCallback((manifest, label) => {
+    // Only one confirmation at a time - a newer request replaces the old one
+    if (confirmationResolverRef.current) confirmationResolverRef.current(false);
+    
+    const id = ++confirmationIdRef.current;
+    setTransactionConfirmation({ id, label, checking: true, spends: [], sufficient: null, reason: null });
+    
+    const confirmed = new Promise(resolve => {
+      confirmationResolverRef.current = resolve;
+    });
+    
+    checkManifestCosts(gatewayApi, manifest).then(costs => {
+      setTransactionConfirmation(current => (current && current.id === id ? { ...current, ...costs, checking: false } : current));
+    });
+    
+    return confirmed;
+  }, []);
+  
+  const resolveTransactionConfirmation = useCallback((confirmed) => {
+    const resolve = confirmationResolverRef.current;
+    confirmationResolverRef.current = null;
+    setTransactionConfirmation(null);
+    if (resolve) resolve(confirmed);
+  }, []);
+  
+  // Poll a failed or timed-out transaction again (used by the history drawer)
+  const recheckTransaction = useCallback((intentHash) => {
+    if (!transactionService) return Promise.resolve(null);
+    return transactionService.recheck(intentHash);
+  }, [transactionService]);
 
   /**
    * Direct SDK query using the SDK Gateway
@@ -208,7 +360,7 @@ export const GameProvider = ({ children }) => {
   // Function to close room unlock message and persist the dismissal
   const dismissRoomUnlock = useCallback(async () => {
     try {
-      await axios.post('/api/dismissRoomUnlock');
+      await api.dismissRoomUnlock();
       setSeenRoomUnlock(1);
       setShowRoomUnlockMessage(false);
     } catch (error) {
@@ -219,10 +371,10 @@ export const GameProvider = ({ children }) => {
   // Telegram login + load game from server
   const checkLoginStatus = useCallback(async () => {
     try {
-      const resp = await axios.get('/api/whoami');
-      if (resp.data.loggedIn) {
+      const data = await api.whoami();
+      if (data.loggedIn) {
         setIsLoggedIn(true);
-        setUserName(resp.data.firstName || 'Player');
+        setUserName(data.firstName || 'Player');
         await loadGameFromServer();
       }
     } catch (error) {
@@ -232,23 +384,41 @@ export const GameProvider = ({ children }) => {
 
   const loadGameFromServer = useCallback(async () => {
     try {
-      const resp = await axios.get('/api/getGameState');
-      setTcorvax(parseFloat(resp.data.tcorvax));
-      setCatNips(parseFloat(resp.data.catNips));
-      setEnergy(parseFloat(resp.data.energy));
-      setEggs(parseFloat(resp.data.eggs || 0)); // Add eggs handling
-      setSeenRoomUnlock(resp.data.seenRoomUnlock || 0); // Add seen flag handling
+      const data = await api.getGameState();
+      const pendingChanges = optimisticChangesRef.current;
+      
+      // FIXED: Keep unconfirmed actions on screen - the server hasn't applied them yet
+      setTcorvax(parseFloat(data.tcorvax) - getPendingCost(pendingChanges, 'tcorvax'));
+      setCatNips(parseFloat(data.catNips) - getPendingCost(pendingChanges, 'catNips'));
+      setEnergy(parseFloat(data.energy) - getPendingCost(pendingChanges, 'energy'));
+      setEggs(parseFloat(data.eggs || 0)); // Add eggs handling
+      setSeenRoomUnlock(data.seenRoomUnlock || 0); // Add seen flag handling
+      gameStateSync.noteVersion(data.version);
       
       // Load pets (new)
-      if (resp.data.pets) {
-        setPets(resp.data.pets);
+      if (data.pets) {
+        setPets(applyOptimisticChanges(pendingChanges, OPTIMISTIC_ENTITIES.PET, data.pets));
       }
 
-      const newMachines = resp.data.machines.map(m => ({
+      const newMachines = data.machines.map(m => ({
         ...m,
         particleColor: machineTypes[m.type]?.particleColor
       }));
-      setMachines(newMachines);
+      setMachines(applyOptimisticChanges(pendingChanges, OPTIMISTIC_ENTITIES.MACHINE, newMachines));
+
+      // Confirmed changes are part of the server state now - they stop being pending
+      const confirmedKeys = [];
+      pendingChanges.forEach((change, key) => {
+        if (change.confirmed) confirmedKeys.push(key);
+      });
+      if (confirmedKeys.length > 0) {
+        confirmedKeys.forEach(key => pendingChanges.delete(key));
+        setPendingActions(prev => {
+          const next = { ...prev };
+          confirmedKeys.forEach(key => delete next[key]);
+          return next;
+        });
+      }
 
       // Count machines
       const counts = { catLair: 0, reactor: 0, amplifier: 0, incubator: 0, fomoHit: 0 };
@@ -259,104 +429,110 @@ export const GameProvider = ({ children }) => {
 
       // Update rooms unlocked
       const prevRoomsUnlocked = roomsUnlocked;
-      const newRoomsUnlocked = resp.data.roomsUnlocked || 1;
+      const newRoomsUnlocked = data.roomsUnlocked || 1;
       setRoomsUnlocked(newRoomsUnlocked);
       
       // Check if we just unlocked a new room and haven't seen the message yet
-      if (newRoomsUnlocked > prevRoomsUnlocked && resp.data.seenRoomUnlock === 0) {
+      if (newRoomsUnlocked > prevRoomsUnlocked && data.seenRoomUnlock === 0) {
         setShowRoomUnlockMessage(true);
         addNotification("New room unlocked! Click the arrow to navigate.", 400, 300, "#4CAF50");
       }
 
-      setShowLowCorvaxMessage(resp.data.tcorvax < 20 && counts.reactor === 0);
+      setShowLowCorvaxMessage(data.tcorvax < 20 && counts.reactor === 0);
     } catch (error) {
       console.error('Error loading game state:', error);
     }
-  }, [roomsUnlocked]);
+  }, [roomsUnlocked, gameStateSync]);
+
+  // ========== LIVE SYNC ==========
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    
+    gameStateSync.start();
+    return () => gameStateSync.stop();
+  }, [isLoggedIn, gameStateSync]);
+
+  // ========== NFT STORE ==========
+  useEffect(() => {
+    setNftEntries(nftStore.getEntries());
+    const unsubscribe = nftStore.subscribe(setNftEntries);
+    return () => {
+      unsubscribe();
+      nftStore.dispose();
+    };
+  }, [nftStore]);
+
+  // Cached entry for one collection and account: { data, fetchedAt, loading, error }
+  const getNftEntry = useCallback((collection, accountAddress) => (
+    selectNftEntry(nftEntries, collection, accountAddress)
+  ), [nftEntries]);
+
+  // Load through the store - cached data comes back at once and is revalidated when stale
+  const loadAccountNfts = useCallback((collection, accountAddress, options) => (
+    nftStore.load(collection, accountAddress, options)
+  ), [nftStore]);
+
+  // NFTs of the active account, for the battle screen and machine controls
+  const activeCreaturesEntry = selectNftEntry(nftEntries, NFT_COLLECTIONS.CREATURES, activeAccountAddress);
+  const activeItemsEntry = selectNftEntry(nftEntries, NFT_COLLECTIONS.ITEMS, activeAccountAddress);
+  const creatureNfts = activeCreaturesEntry.data || NO_NFTS;
+  const toolNfts = activeItemsEntry.data?.tools || NO_NFTS;
+  const spellNfts = activeItemsEntry.data?.spells || NO_NFTS;
+
+  // ========== BATTLE RESULTS ==========
+  /**
+   * Submit a finished battle. The server works out the rewards and credits them;
+   * the response is applied here so the new TCorvax and items show at once.
+   * @param {Object} summary - { result, difficulty, turns, loadout, survivors, defeated, replayHash }
+   * @returns {Promise<Object>} { rewards, newResources, battleExperience, duplicate? } - rejects with ApiError
+   */
+  const submitBattleResult = useCallback(async (summary) => {
+    const accountAddress = activeAccountAddress;
+    const data = await api.submitBattleResult({ ...summary, accountAddress });
+    const pendingChanges = optimisticChangesRef.current;
+    
+    setTcorvax(parseFloat(data.newResources.tcorvax) - getPendingCost(pendingChanges, 'tcorvax'));
+    if ((data.rewards.items || []).length > 0) {
+      nftStore.invalidate(NFT_COLLECTIONS.ITEMS, accountAddress);
+    }
+    
+    return data;
+  }, [activeAccountAddress, nftStore]);
 
   // API helper functions for Evolving Creatures
   // Function to fetch all the user's creatures from the blockchain
-  const getCreatureNfts = useCallback(async (accountAddress) => {
+  const getCreatureNfts = useCallback(async (accountAddress, options) => {
     try {
-      // Use our API endpoint to get all user creatures
-      const response = await fetch('/api/getUserCreatures', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          accountAddress: accountAddress
-        }),
-        credentials: 'same-origin'
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      console.log("Creatures data:", data);
-      
-      return data.creatures || [];
+      const creatures = await nftStore.load(NFT_COLLECTIONS.CREATURES, accountAddress, options);
+      return creatures || [];
     } catch (error) {
       console.error("Error loading creatures:", error);
       throw error;
     }
-  }, []);
-
-  // Load creature NFTs and related items - UPDATED
-  const loadCreatureNfts = useCallback(async () => {
-    try {
-      // Ensure we have a connected Radix account
-      if (!connected || !accounts || accounts.length === 0) {
-        console.log("No connected Radix account for NFT loading, skipping");
-        return;
-      }
-      
-      const accountAddress = accounts[0].address;
-      console.log('Loading creatures for account:', accountAddress);
-      
-      // Load creatures using the working endpoint (getUserCreatures instead of getCreatureNfts)
-      try {
-        const creaturesResp = await axios.post('/api/getUserCreatures', { accountAddress });
-        if (creaturesResp.data && creaturesResp.data.creatures) {
-          console.log('Successfully loaded creatures:', creaturesResp.data.creatures.length);
-          setCreatureNfts(creaturesResp.data.creatures);
-        } else {
-          console.log('No creatures returned from API');
-        }
-      } catch (creatureError) {
-        console.error('Error loading creatures:', creatureError);
-      }
-      
-      // Load tools and spells from the working endpoint
-      try {
-        const itemsResp = await axios.post('/api/getUserItems', { accountAddress });
-        if (itemsResp.data && itemsResp.data.tools) {
-          console.log('Successfully loaded tools:', itemsResp.data.tools.length);
-          setToolNfts(itemsResp.data.tools);
-        }
-        if (itemsResp.data && itemsResp.data.spells) {
-          console.log('Successfully loaded spells:', itemsResp.data.spells.length);
-          setSpellNfts(itemsResp.data.spells);
-        }
-      } catch (itemsError) {
-        console.error('Error loading items:', itemsError);
-        // Continue even if items fail to load
-      }
-    } catch (error) {
-      console.error('Error in creature NFTs loading process:', error);
+  }, [nftStore]);
+
+  // Load creature NFTs and related items for the active account - FIXED: goes through the NFT store
+  const loadCreatureNfts = useCallback(async (options) => {
+    // Ensure we have a connected Radix account
+    if (!connected || !activeAccountAddress) {
+      console.log("No connected Radix account for NFT loading, skipping");
+      return;
     }
-  }, [connected, accounts]);
+    
+    // Failures stay on the store entries; cached NFTs remain usable
+    await Promise.all([
+      nftStore.load(NFT_COLLECTIONS.CREATURES, activeAccountAddress, options).catch(() => null),
+      nftStore.load(NFT_COLLECTIONS.ITEMS, activeAccountAddress, options).catch(() => null)
+    ]);
+  }, [connected, activeAccountAddress, nftStore]);
 
   // Modified useEffect to ensure it only runs when both logged in AND connected with accounts
   useEffect(() => {
-    if (isLoggedIn && connected && accounts && accounts.length > 0) {
+    if (isLoggedIn && connected && activeAccountAddress) {
       console.log('Triggering loadCreatureNfts: logged in with connected account');
       loadCreatureNfts();
     }
-  }, [isLoggedIn, connected, accounts, loadCreatureNfts]);
+  }, [isLoggedIn, connected, activeAccountAddress, loadCreatureNfts]);
 
   // Utility methods
   const formatResource = (val) => {
@@ -374,25 +550,10 @@ export const GameProvider = ({ children }) => {
     );
   };
   
-  const calculateMachineCost = useCallback((type) => {
-    const base = machineTypes[type]?.baseCost || {};
-    const builtCount = machineCount[type] || 0;
-    
-    if ((type === "catLair" || type === "reactor") && builtCount === 1) {
-      const multiplied = {};
-      for (const k in base) {
-        multiplied[k] = base[k] * 4;
-      }
-      return multiplied;
-    }
-    
-    // Special case for third reactor
-    if (type === "reactor" && builtCount === 2) {
-      return { tcorvax: 640, catNips: 640 }; // Special cost for third reactor
-    }
-    
-    return { ...base };
-  }, [machineCount]);
+  // FIXED: Cost rules live in the economy model so the forecast uses the same numbers
+  const calculateMachineCost = useCallback((type) => (
+    getMachineBuildCost(machineTypes, type, machineCount[type] || 0)
+  ), [machineCount]);
   
   const canBuildMachine = useCallback((type) => {
     const builtCount = machineCount[type] || 0;
@@ -448,22 +609,114 @@ export const GameProvider = ({ children }) => {
     setParticles(prev => [...prev, ...arr]);
   };
 
+  // ========== OPTIMISTIC ACTIONS ==========
+  const addToResources = (cost, sign) => {
+    if (cost.tcorvax) setTcorvax(prev => prev + sign * cost.tcorvax);
+    if (cost.catNips) setCatNips(prev => prev + sign * cost.catNips);
+    if (cost.energy) setEnergy(prev => prev + sign * cost.energy);
+  };
+  
+  const getListSetter = (entityType) => (
+    entityType === OPTIMISTIC_ENTITIES.PET ? setPets : setMachines
+  );
+  
+  /**
+   * Apply a change before the server confirms it
+   * @param {string} key - optimisticKey() of the entity
+   * @param {Object} change - { entityType, action, apply(list), revert(list), cost }
+   */
+  const startOptimisticChange = (key, change) => {
+    optimisticChangesRef.current.set(key, change);
+    setPendingActions(prev => ({ ...prev, [key]: change.action }));
+    getListSetter(change.entityType)(prev => change.apply(prev));
+    if (change.cost) addToResources(change.cost, -1);
+  };
+  
+  // Server answered: drop the pending marker, and undo the change when it was rejected
+  const settleOptimisticChange = (key, rejected) => {
+    const change = optimisticChangesRef.current.get(key);
+    if (!change) return;
+    
+    optimisticChangesRef.current.delete(key);
+    setPendingActions(prev => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+    
+    if (rejected) {
+      getListSetter(change.entityType)(prev => change.revert(prev));
+      if (change.cost) addToResources(change.cost, 1);
+    }
+  };
+  
+  // Server accepted a change it gives its own id to (a new build): the placeholder stays
+  // pending, so nothing is sent under its temporary id, until a reload brings the real entity
+  const confirmOptimisticChange = (key) => {
+    const change = optimisticChangesRef.current.get(key);
+    if (!change) return;
+    
+    // The server state already has the entity and the cost, so reloads apply nothing
+    optimisticChangesRef.current.set(key, { ...change, confirmed: true, apply: (list) => list, cost: null });
+  };
+  
+  /**
+   * Pending action on an entity, for the canvas markers
+   * @param {string} entityType - One of OPTIMISTIC_ENTITIES
+   * @param {number|string} id
+   * @returns {string|null} 'build', 'upgrade', 'move' or null
+   */
+  const getPendingAction = (entityType, id) => pendingActions[optimisticKey(entityType, id)] || null;
+  
+  // Only one unconfirmed action per entity
+  const warnIfPending = (entityType, entity) => {
+    if (!entity || !getPendingAction(entityType, entity.id)) return false;
+    addNotification("Still saving - wait a moment", entity.x + gridSize / 2, entity.y - 20, "#FF9800");
+    return true;
+  };
+
   // Build / Upgrade / Activate
   const buildMachine = async (type, x, y) => {
+    // FIXED: The machine appears at once and is removed again if the server refuses
+    const tempId = `pending_${Date.now()}`;
+    const key = optimisticKey(OPTIMISTIC_ENTITIES.MACHINE, tempId);
+    const room = currentRoom;
+    startOptimisticChange(key, {
+      entityType: OPTIMISTIC_ENTITIES.MACHINE,
+      action: 'build',
+      cost: calculateMachineCost(type),
+      apply: (list) => [...list, {
+        id: tempId,
+        type,
+        x,
+        y,
+        room,
+        level: 1,
+        lastActivated: 0,
+        isOffline: 0,
+        provisionalMint: 0,
+        particleColor: machineTypes[type]?.particleColor
+      }],
+      revert: (list) => list.filter(m => m.id !== tempId)
+    });
+    addParticles(x + gridSize, y + gridSize, machineTypes[type].particleColor || "#fff");
+    
     try {
-      const resp = await axios.post('/api/buildMachine', { 
-        machineType: type, 
-        x, 
+      const data = await api.buildMachine({
+        machineType: type,
+        x,
         y,
-        room: currentRoom  // Include current room
+        room  // Include current room
       });
       
-      setTcorvax(parseFloat(resp.data.newResources.tcorvax));
-      setCatNips(parseFloat(resp.data.newResources.catNips));
-      setEnergy(parseFloat(resp.data.newResources.energy));
+      // FIXED: The placeholder stays pending until a reload swaps in the real machine
+      confirmOptimisticChange(key);
+      setTcorvax(parseFloat(data.newResources.tcorvax));
+      setCatNips(parseFloat(data.newResources.catNips));
+      setEnergy(parseFloat(data.newResources.energy));
       
       // Check if we just unlocked a new room
-      const newRoomsUnlocked = resp.data.roomsUnlocked || 1;
+      const newRoomsUnlocked = data.roomsUnlocked || 1;
       if (newRoomsUnlocked > roomsUnlocked) {
         setRoomsUnlocked(newRoomsUnlocked);
         setShowRoomUnlockMessage(true);
@@ -472,11 +725,11 @@ export const GameProvider = ({ children }) => {
       
       await loadGameFromServer();
       addNotification(`Built ${type}!`, x + gridSize / 2, y - 20, "#4CAF50");
-      addParticles(x + gridSize, y + gridSize, machineTypes[type].particleColor || "#fff");
     } catch (error) {
       console.error('Error building machine:', error);
+      settleOptimisticChange(key, true);
       addNotification(
-        error.response?.data?.error || "Build error!",
+        `Build undone: ${getRollbackReason(error)}`,
         x + gridSize / 2,
         y - 20,
         "#ff4444"
@@ -485,17 +738,33 @@ export const GameProvider = ({ children }) => {
   };
 
   const upgradeMachine = async (machineId) => {
+    const machine = machines.find(m => m.id === machineId);
+    if (warnIfPending(OPTIMISTIC_ENTITIES.MACHINE, machine)) return;
+    
+    // FIXED: Show the new level at once - the cost comes off when the server answers
+    const key = optimisticKey(OPTIMISTIC_ENTITIES.MACHINE, machineId);
+    const previousLevel = machine?.level;
+    if (machine) {
+      startOptimisticChange(key, {
+        entityType: OPTIMISTIC_ENTITIES.MACHINE,
+        action: 'upgrade',
+        apply: (list) => list.map(m => (m.id === machineId ? { ...m, level: previousLevel + 1 } : m)),
+        revert: (list) => list.map(m => (m.id === machineId ? { ...m, level: previousLevel } : m))
+      });
+    }
+    
     try {
-      const resp = await axios.post('/api/upgradeMachine', { machineId });
-      setTcorvax(parseFloat(resp.data.newResources.tcorvax));
-      setCatNips(parseFloat(resp.data.newResources.catNips));
-      setEnergy(parseFloat(resp.data.newResources.energy));
+      const data = await api.upgradeMachine({ machineId });
+      settleOptimisticChange(key, false);
+      setTcorvax(parseFloat(data.newResources.tcorvax));
+      setCatNips(parseFloat(data.newResources.catNips));
+      setEnergy(parseFloat(data.newResources.energy));
+      setMachines(prev => prev.map(m => (m.id === machineId ? { ...m, level: data.newLevel } : m)));
 
-      const machine = machines.find(m => m.id === machineId);
       if (machine) {
         addParticles(machine.x + gridSize, machine.y + gridSize, "#FFD700", 30);
         addNotification(
-          `Level Up => ${resp.data.newLevel}`,
+          `Level Up => ${data.newLevel}`,
           machine.x + gridSize,
           machine.y - 20,
           "#FFD700"
@@ -504,9 +773,11 @@ export const GameProvider = ({ children }) => {
       await loadGameFromServer();
     } catch (error) {
       console.error('Error upgrading machine:', error);
+      settleOptimisticChange(key, true);
       addNotification(
-        error.response?.data?.error || "Upgrade error!",
-        0, 0,
+        `Upgrade undone: ${getRollbackReason(error)}`,
+        machine ? machine.x + gridSize : 0,
+        machine ? machine.y - 20 : 0,
         "#ff4444"
       );
     }
@@ -528,6 +799,13 @@ export const GameProvider = ({ children }) => {
         return null;
       }
       
+      // NEW: Show the cost and check balances before the wallet opens
+      const confirmed = await confirmManifest(manifest, MINT_TRANSACTION_LABELS[machineId] || "NFT mint");
+      if (!confirmed) {
+        console.log("Mint transaction not confirmed");
+        return null;
+      }
+      
       // Send the transaction to the wallet
       const result = await rdt.walletApi.sendTransaction({
         transactionManifest: manifest,
@@ -554,46 +832,82 @@ export const GameProvider = ({ children }) => {
     }
   };
 
-  // Poll transaction status
-  const pollTransactionStatus = async (intentHash, machineId) => {
-    if (!intentHash) return;
-    
-    try {
-      const response = await fetch('/api/checkMintStatus', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          intentHash,
-          machineId
-        }),
-        credentials: 'same-origin'
-      });
+  // Apply changes pushed by the live sync to the latest state
+  syncHandlersRef.current = {
+    onChange: (change) => {
+      const pendingChanges = optimisticChangesRef.current;
       
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      if (change.resources) {
+        const { tcorvax: newTcorvax, catNips: newCatNips, energy: newEnergy, eggs: newEggs } = change.resources;
+        if (newTcorvax !== undefined) setTcorvax(parseFloat(newTcorvax) - getPendingCost(pendingChanges, 'tcorvax'));
+        if (newCatNips !== undefined) setCatNips(parseFloat(newCatNips) - getPendingCost(pendingChanges, 'catNips'));
+        if (newEnergy !== undefined) setEnergy(parseFloat(newEnergy) - getPendingCost(pendingChanges, 'energy'));
+        if (newEggs !== undefined) setEggs(parseFloat(newEggs));
       }
       
-      const data = await response.json();
-      console.log("Transaction status:", data);
-      
-      const transactionStatus = data.transactionStatus;
+      // Built or removed machines change counts and room unlocks - take the full state then,
+      // unless our own build is pending (it reloads once the server confirms)
+      const knownMachineIds = new Set(machines.map(m => m.id));
+      const machinesAddedOrRemoved = (change.removedMachineIds || []).length > 0 ||
+        (change.machines || []).some(m => !knownMachineIds.has(m.id));
+      const buildPending = [...pendingChanges.values()].some(pending => pending.action === 'build');
+      if (machinesAddedOrRemoved) {
+        if (!buildPending) loadGameFromServer();
+      } else if (change.machines) {
+        setMachines(prev => mergeServerEntities(prev, change.machines, [], OPTIMISTIC_ENTITIES.MACHINE, pendingChanges));
+      }
       
-      if (transactionStatus.status === "CommittedSuccess") {
+      if (change.pets || change.removedPetIds) {
+        setPets(prev => mergeServerEntities(prev, change.pets || [], change.removedPetIds || [], OPTIMISTIC_ENTITIES.PET, pendingChanges));
+      }
+    },
+    onResync: () => loadGameFromServer()
+  };
+
+  // Game-wide reactions to settled transactions. Screens that started a transaction
+  // show their own result; anything resumed after a reload or re-checked is announced here.
+  settledTransactionHandlerRef.current = (record) => {
+    const { kind, status, result } = record;
+    
+    if (kind === TRANSACTION_KINDS.MACHINE_MINT) {
+      if (status === TRANSACTION_STATUS.SUCCESS) {
         addNotification("NFT minted successfully!", 400, 300, "#4CAF50");
-        await loadGameFromServer(); // Refresh the game state
-        return true;
-      } else if (transactionStatus.status === "Failed" || transactionStatus.status === "Rejected") {
-        addNotification("Mint failed: " + (transactionStatus.error_message || "Unknown error"), 400, 300, "#FF3D00");
-        return true;
+        loadGameFromServer(); // Refresh the game state
+      } else if (status === TRANSACTION_STATUS.FAILED) {
+        addNotification("Mint failed: " + (result?.transactionStatus?.error_message || "Unknown error"), 400, 300, "#FF3D00");
+      }
+      return;
+    }
+    
+    if (kind === TRANSACTION_KINDS.ENERGY_PURCHASE) {
+      if (status === TRANSACTION_STATUS.SUCCESS) {
+        setEnergy(parseFloat(result.newEnergy));
+        addNotification("Energy purchase successful! +500 Energy", 400, 300, "#4CAF50");
+      } else if (status === TRANSACTION_STATUS.FAILED) {
+        addNotification("Energy purchase failed", 400, 300, "#FF3D00");
+      } else if (status !== TRANSACTION_STATUS.CANCELLED) {
+        addNotification("Energy purchase status unknown. Check your wallet.", 400, 300, "#FF9800");
+      }
+      return;
+    }
+    
+    // NEW: Refresh only what the creature transaction touched
+    const accountAddress = record.payload?.accountAddress || activeAccountAddress;
+    if (kind === TRANSACTION_KINDS.EVOLVE_CREATURE || kind === TRANSACTION_KINDS.UPGRADE_STATS) {
+      // A timed-out check may still have committed, so refetch in that case too
+      if (status === TRANSACTION_STATUS.SUCCESS || status === TRANSACTION_STATUS.TIMEOUT) {
+        nftStore.refreshCreature(accountAddress, record.payload?.creatureId, result?.creature);
+      }
+    } else if (kind === TRANSACTION_KINDS.CREATURE_MINT && status === TRANSACTION_STATUS.SUCCESS) {
+      nftStore.addMinted(accountAddress, result || {});
+    }
+    
+    if (record.resumed || record.rechecked) {
+      if (status === TRANSACTION_STATUS.SUCCESS) {
+        addNotification(`${record.label} confirmed!`, 400, 300, "#4CAF50");
+      } else if (status === TRANSACTION_STATUS.FAILED) {
+        addNotification(`${record.label} failed`, 400, 300, "#FF3D00");
       }
-      
-      // Still pending
-      return false;
-    } catch (error) {
-      console.error("Error checking transaction status:", error);
-      return false;
     }
   };
 
@@ -624,7 +938,7 @@ export const GameProvider = ({ children }) => {
     } catch (error) {
       console.error('Error buying pet:', error);
       addNotification(
-        error.response?.data?.error || "Couldn't buy pet",
+        error.data?.error || "Couldn't buy pet",
         x, y, "#ff4444"
       );
       return false;
@@ -632,16 +946,40 @@ export const GameProvider = ({ children }) => {
   };
 
   const movePet = async (petId, x, y, room = currentRoom) => {
-    try {
-      // Check if there's a pet being moved
-      if (!petId) {
-        console.error("movePet: No petId provided");
-        return false;
-      }
+    // Check if there's a pet being moved
+    if (!petId) {
+      console.error("movePet: No petId provided");
+      return false;
+    }
+    
+    const pet = pets.find(p => p.id === petId);
+    
+    // Reset selected pet and move mode
+    setSelectedPetToMove(null);
+    setInPetMoveMode(false);
+    
+    if (warnIfPending(OPTIMISTIC_ENTITIES.PET, pet)) return false;
 
-      console.log(`Moving pet ${petId} to coordinates (${x}, ${y}) in room ${room}`);
+    console.log(`Moving pet ${petId} to coordinates (${x}, ${y}) in room ${room}`);
+    
+    // FIXED: Move the pet at once and put it back if the server refuses
+    const key = optimisticKey(OPTIMISTIC_ENTITIES.PET, petId);
+    const previous = pet ? { x: pet.x, y: pet.y, room: pet.room } : null;
+    startOptimisticChange(key, {
+      entityType: OPTIMISTIC_ENTITIES.PET,
+      action: 'move',
+      apply: (list) => list.map(p => (p.id === petId ? { ...p, x, y, room } : p)),
+      revert: (list) => (previous ? list.map(p => (p.id === petId ? { ...p, ...previous } : p)) : list)
+    });
+    
+    // If moved to a different room, switch to that room
+    if (room !== currentRoom) {
+      setCurrentRoom(room);
+    }
 
+    try {
       const result = await PetService.movePet(petId, x, y, room);
+      settleOptimisticChange(key, false);
       
       // Important: Use the returned position values from the API
       const newX = result.newPosition.x;
@@ -650,44 +988,31 @@ export const GameProvider = ({ children }) => {
       
       console.log(`Server confirmed move to (${newX}, ${newY}) in room ${newRoom}`);
       
-      // Find the pet and update its position with the values from the server
+      // Snap the pet to the position the server stored
       setPets(prevPets => 
-        prevPets.map(pet => 
-          pet.id === petId 
+        prevPets.map(p => 
+          p.id === petId 
             ? { 
-                ...pet, 
+                ...p, 
                 x: newX, 
                 y: newY,
                 room: newRoom
               } 
-            : pet
+            : p
         )
       );
       
       addNotification(`Pet moved!`, newX + gridSize / 2, newY - 20, "#4CAF50");
-      
-      // If moved to a different room, switch to that room
-      if (newRoom !== currentRoom) {
-        setCurrentRoom(newRoom);
-      }
-      
-      // Reset selected pet and move mode
-      setSelectedPetToMove(null);
-      setInPetMoveMode(false);
-      
       return true;
     } catch (error) {
       console.error('Error moving pet:', error);
+      settleOptimisticChange(key, true);
       addNotification(
-        error.response?.data?.error || "Move error!",
-        0, 0,
+        `Move undone: ${getRollbackReason(error)}`,
+        previous ? previous.x + gridSize / 2 : 0,
+        previous ? previous.y - 20 : 0,
         "#ff4444"
       );
-      
-      // Reset state on error too
-      setSelectedPetToMove(null);
-      setInPetMoveMode(false);
-      
       return false;
     }
   };
@@ -749,33 +1074,21 @@ export const GameProvider = ({ children }) => {
         return false;
       }
       
+      // NEW: Show the cost and check balances before the wallet opens
+      const confirmed = await confirmManifest(manifest, "Energy purchase");
+      if (!confirmed) {
+        console.log("Energy purchase not confirmed");
+        return false;
+      }
+      
       // Submit the transaction to the Radix wallet
       const intentHash = await transactionService.sendTransaction(manifest);
       
       if (intentHash) {
-        // Start polling for status
-        transactionService.pollTransactionStatus(
-          intentHash, 
-          '/api/confirmEnergyPurchase',
-          {},
-          3000,
-          30
-        )
-        .then(statusData => {
-          if (statusData.status === "ok") {
-            // Transaction successful, update energy
-            setEnergy(parseFloat(statusData.newEnergy));
-            addNotification("Energy purchase successful! +500 Energy", 400, 300, "#4CAF50");
-          } else if (statusData.transactionStatus?.status === "Failed" || 
-                    statusData.transactionStatus?.status === "Rejected") {
-            addNotification("Energy purchase failed", 400, 300, "#FF3D00");
-          } else {
-            addNotification("Energy purchase status unknown. Check your wallet.", 400, 300, "#FF9800");
-          }
-        })
-        .catch(error => {
-          console.error("Error polling transaction status:", error);
-          addNotification("Error checking energy purchase status", 400, 300, "#FF3D00");
+        // The settle handler credits the energy once the purchase confirms
+        transactionService.track(TRANSACTION_KINDS.ENERGY_PURCHASE, intentHash, {
+          subject: '500 Energy',
+          cost: { amount: 200, token: 'CVX' } // Same price the cat's menu shows
         });
         
         addNotification("Energy purchase transaction sent!", 400, 300, "#FF9800");
@@ -806,6 +1119,13 @@ export const GameProvider = ({ children }) => {
         return null;
       }
       
+      // NEW: Show the cost and check balances before the wallet opens
+      const confirmed = await confirmManifest(manifest, "CVX transaction");
+      if (!confirmed) {
+        console.log("CVX transaction not confirmed");
+        return null;
+      }
+      
       // Send the transaction to the wallet
       const result = await rdt.walletApi.sendTransaction({
         transactionManifest: manifest,
@@ -834,68 +1154,81 @@ export const GameProvider = ({ children }) => {
 
   // Machine movement function - IMPROVED
   const moveMachine = async (machineId, x, y, room = currentRoom) => {
-    try {
-      // Check if there's a machine being moved
-      if (!machineId) {
-        console.error("moveMachine: No machineId provided");
-        return false;
-      }
+    // Check if there's a machine being moved
+    if (!machineId) {
+      console.error("moveMachine: No machineId provided");
+      return false;
+    }
+    
+    const machine = machines.find(m => m.id === machineId);
+    
+    // Reset selected machine and move mode
+    setSelectedMachineToMove(null);
+    setInMoveMode(false);
+    
+    if (warnIfPending(OPTIMISTIC_ENTITIES.MACHINE, machine)) return false;
 
-      console.log(`Moving machine ${machineId} to coordinates (${x}, ${y}) in room ${room}`);
+    console.log(`Moving machine ${machineId} to coordinates (${x}, ${y}) in room ${room}`);
+    
+    // FIXED: Move the machine at once and put it back (with the fee) if the server refuses
+    const key = optimisticKey(OPTIMISTIC_ENTITIES.MACHINE, machineId);
+    const previous = machine ? { x: machine.x, y: machine.y, room: machine.room } : null;
+    startOptimisticChange(key, {
+      entityType: OPTIMISTIC_ENTITIES.MACHINE,
+      action: 'move',
+      cost: MACHINE_MOVE_COST,
+      apply: (list) => list.map(m => (m.id === machineId ? { ...m, x, y, room } : m)),
+      revert: (list) => (previous ? list.map(m => (m.id === machineId ? { ...m, ...previous } : m)) : list)
+    });
+    
+    // If moved to a different room, switch to that room
+    if (room !== currentRoom) {
+      setCurrentRoom(room);
+    }
 
-      const resp = await axios.post('/api/moveMachine', { 
+    try {
+      const data = await api.moveMachine({
         machineId,
         x,
         y,
         room
       });
       
-      setTcorvax(parseFloat(resp.data.newResources.tcorvax));
+      settleOptimisticChange(key, false);
+      setTcorvax(parseFloat(data.newResources.tcorvax));
       
-      // Find the machine and update its position
+      // Snap the machine to the position the server stored
       setMachines(prevMachines => 
-        prevMachines.map(machine => 
-          machine.id === machineId 
+        prevMachines.map(m => 
+          m.id === machineId 
             ? { 
-                ...machine, 
-                x: resp.data.newPosition.x, 
-                y: resp.data.newPosition.y,
-                room: resp.data.newPosition.room
+                ...m, 
+                x: data.newPosition.x, 
+                y: data.newPosition.y,
+                room: data.newPosition.room
               } 
-            : machine
+            : m
         )
       );
       
       addNotification(`Machine moved!`, x + gridSize / 2, y - 20, "#4CAF50");
-      
-      // If moved to a different room, switch to that room
-      if (room !== currentRoom) {
-        setCurrentRoom(room);
-      }
-      
-      // Reset selected machine and move mode
-      setSelectedMachineToMove(null);
-      setInMoveMode(false);
-      
       return true;
     } catch (error) {
       console.error('Error moving machine:', error);
+      settleOptimisticChange(key, true);
       addNotification(
-        error.response?.data?.error || "Move error!",
-        0, 0,
+        `Move undone: ${getRollbackReason(error)}`,
+        previous ? previous.x + gridSize / 2 : 0,
+        previous ? previous.y - 20 : 0,
         "#ff4444"
       );
-      
-      // Reset state on error too
-      setSelectedMachineToMove(null);
-      setInMoveMode(false);
-      
       return false;
     }
   };
 
   const activateMachine = async (machine) => {
     if (!machine) return;
+    if (warnIfPending(OPTIMISTIC_ENTITIES.MACHINE, machine)) return;
 
     // Special handling for Cat's Lair - check if we should show pet prompt
     if (machine.type === 'catLair') {
@@ -925,72 +1258,44 @@ export const GameProvider = ({ children }) => {
 
       // Add account address for incubator or fomoHit when wallet is connected
       if ((machine.type === "incubator" || machine.type === "fomoHit") && 
-           connected && accounts && accounts.length > 0) {
-        requestData.accountAddress = accounts[0].address;
-        console.log('Including account address in request:', accounts[0].address);
-      }
-
-      // Use native fetch API
-      const response = await fetch('/api/activateMachine', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestData),
-        credentials: 'same-origin'
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+           connected && activeAccountAddress) {
+        requestData.accountAddress = activeAccountAddress;
+        console.log('Including account address in request:', activeAccountAddress);
       }
 
-      const responseData = await response.json();
-      const resp = { data: responseData };
+      const data = await api.activateMachine(requestData);
       
       // Handle NFT minting for FOMO HIT
-      if (resp.data.requiresMint && resp.data.manifest) {
-        const intentHash = await initiateMintTransaction(resp.data.manifest, machine.id);
+      if (data.requiresMint && data.manifest) {
+        const intentHash = await initiateMintTransaction(data.manifest, machine.id);
         
         if (intentHash) {
-          // Start polling for status
-          let statusCheckCount = 0;
-          const maxStatusChecks = 30; // Limit how many times we check
-          
-          const checkStatus = async () => {
-            statusCheckCount++;
-            const isComplete = await pollTransactionStatus(intentHash, machine.id);
-            
-            if (!isComplete && statusCheckCount < maxStatusChecks) {
-              // Continue polling every 3 seconds
-              setTimeout(checkStatus, 3000);
-            }
-          };
-          
-          // Start the polling
-          setTimeout(checkStatus, 3000);
+          trackTransaction(TRANSACTION_KINDS.MACHINE_MINT, intentHash, {
+            machineId: machine.id,
+            subject: `FOMO HIT #${machine.id}`
+          });
         }
       }
 
-      if (resp.data.message) {
+      if (data.message) {
         addNotification(
-          resp.data.message,
+          data.message,
           machine.x + gridSize,
           machine.y - 20,
-          resp.data.message === "Offline" ? "#ff4444" : "#4CAF50"
+          data.message === "Offline" ? "#ff4444" : "#4CAF50"
         );
       }
 
-      if (resp.data.updatedResources) {
+      if (data.updatedResources) {
         const oldTcorvax = tcorvax;
         const oldCatNips = catNips;
         const oldEnergy = energy;
         const oldEggs = eggs;
         
-        const newTcorvax = parseFloat(resp.data.updatedResources.tcorvax);
-        const newCatNips = parseFloat(resp.data.updatedResources.catNips);
-        const newEnergy = parseFloat(resp.data.updatedResources.energy);
-        const newEggs = parseFloat(resp.data.updatedResources.eggs || 0);
+        const newTcorvax = parseFloat(data.updatedResources.tcorvax);
+        const newCatNips = parseFloat(data.updatedResources.catNips);
+        const newEnergy = parseFloat(data.updatedResources.energy);
+        const newEggs = parseFloat(data.updatedResources.eggs || 0);
 
         setTcorvax(newTcorvax);
         setCatNips(newCatNips);
@@ -1021,10 +1326,10 @@ export const GameProvider = ({ children }) => {
             "#FFD700"
           );
         } else if (machine.type === "incubator") {
-          const baseReward = resp.data.baseReward || 0;
-          const bonusReward = resp.data.bonusReward || 0;
-          const eggsReward = resp.data.eggsReward || 0;
-          const scvxAmount = resp.data.stakedCVX || 0;
+          const baseReward = data.baseReward || 0;
+          const bonusReward = data.bonusReward || 0;
+          const eggsReward = data.eggsReward || 0;
+          const scvxAmount = data.stakedCVX || 0;
           
           // Always add particles for visual feedback
           addParticles(machine.x + gridSize, machine.y + gridSize, machine.particleColor || "#FFCCBC", 30);
@@ -1080,7 +1385,7 @@ export const GameProvider = ({ children }) => {
                 "#9C27B0"
               );
             }
-          } else if (resp.data.message === "Incubator Online") {
+          } else if (data.message === "Incubator Online") {
             addNotification("Incubator Online", machine.x + gridSize, machine.y - 10, "#4CAF50");
           } else if (scvxAmount === 0) {
             // Special message for when they have no sCVX
@@ -1091,21 +1396,21 @@ export const GameProvider = ({ children }) => {
           }
         } else if (machine.type === "fomoHit") {
           // Standard reward for FOMO HIT (after first activation)
-          const reward = resp.data.reward || 0;
+          const reward = data.reward || 0;
           if (reward > 0) {
             addNotification(`+${reward} TCorvax`, machine.x + gridSize, machine.y - 10, "#FF3D00");
           }
         }
       }
 
-      if (resp.data.newLastActivated !== undefined) {
+      if (data.newLastActivated !== undefined) {
         setMachines(prev =>
           prev.map(m =>
             m.id === machine.id
               ? {
                   ...m,
-                  lastActivated: resp.data.newLastActivated,
-                  isOffline: (machine.type === "incubator" && resp.data.message === "Incubator Online")
+                  lastActivated: data.newLastActivated,
+                  isOffline: (machine.type === "incubator" && data.message === "Incubator Online")
                     ? false
                     : m.isOffline
                 }
@@ -1118,8 +1423,9 @@ export const GameProvider = ({ children }) => {
       setShowLowCorvaxMessage(tcorvax < 20 && machineCount.reactor === 0);
     } catch (error) {
       console.error('Activation error:', error);
-      if (error.response?.data?.remainingMs) {
-        const remainMins = Math.ceil(error.response.data.remainingMs / 60000);
+      // FIXED: Cooldown errors now reach here with their remainingMs (ApiError.data)
+      if (error.data?.remainingMs) {
+        const remainMins = Math.ceil(error.data.remainingMs / 60000);
         addNotification(`Cooldown! Wait ${remainMins} min.`, machine.x + gridSize, machine.y - 20, "#ff4444");
       } else {
         addNotification(
@@ -1142,7 +1448,7 @@ export const GameProvider = ({ children }) => {
         room: machine.room || 1
       }));
 
-      await axios.post('/api/syncLayout', {
+      await api.syncLayout({
         machines: machinesToSave
       });
     } catch (error) {
@@ -1250,7 +1556,15 @@ export const GameProvider = ({ children }) => {
 
         // NFT minting
         initiateMintTransaction,
-        pollTransactionStatus,
+        
+        // Transaction tracking
+        pendingTransactions,
+        trackTransaction,
+        watchTransaction,
+        cancelTransaction,
+        recheckTransaction,
+        transactionConfirmation,
+        resolveTransactionConfirmation,
 
         // Room navigation
         currentRoom,
@@ -1268,6 +1582,7 @@ export const GameProvider = ({ children }) => {
         inMoveMode,
         setInMoveMode,
         moveMachine,
+        getPendingAction,
 
         // Pet functionality
         pets,
@@ -1300,8 +1615,11 @@ export const GameProvider = ({ children }) => {
         spellNfts,
         loadCreatureNfts,
         getCreatureNfts,
+        getNftEntry,
+        loadAccountNfts,
         showBattleGame,
         setShowBattleGame,
+        submitBattleResult,
 
         // Add these to the contextValue object in the return statement
         showCreatureMinter,
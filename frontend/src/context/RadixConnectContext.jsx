@@ -1,10 +1,30 @@
 // src/context/RadixConnectContext.jsx
 import React, { createContext, useState, useEffect, useContext } from 'react';
 import { RadixDappToolkit, RadixNetwork, DataRequestBuilder } from '@radixdlt/radix-dapp-toolkit';
+import { createStubWallet, isMockApiEnabled } from '../utils/stubWallet';
+import { api } from '../utils/apiClient';
 
 // 1) Create the context
 export const RadixConnectContext = createContext(null);
 
+// localStorage key for the account the player picked in the account switcher
+const SELECTED_ACCOUNT_STORAGE_KEY = 'selected_radix_account';
+
+// Keep the preferred account if the wallet still shares it, otherwise use the first one
+const pickAccount = (accountList, preferredAddress) => {
+  if (!accountList || accountList.length === 0) return null;
+  return accountList.find(account => account.address === preferredAddress) || accountList[0];
+};
+
+const getStoredAccountAddress = () => {
+  try {
+    return localStorage.getItem(SELECTED_ACCOUNT_STORAGE_KEY);
+  } catch (error) {
+    console.error('Could not read selected account:', error);
+    return null;
+  }
+};
+
 // 2) Hook to use the Radix Connect context
 export const useRadixConnect = () => {
   const context = useContext(RadixConnectContext);
@@ -24,7 +44,8 @@ export const RadixConnectProvider = ({ children, dAppDefinitionAddress }) => {
 
   // Initialize the Radix dApp Toolkit
   useEffect(() => {
-    const toolkit = RadixDappToolkit(
+    // NEW: Offline mode swaps in a wallet that auto-approves against the mock API
+    const toolkit = isMockApiEnabled() ? createStubWallet() : RadixDappToolkit(
       {
         dAppDefinitionAddress,
         networkId: RadixNetwork.Mainnet,
@@ -68,23 +89,7 @@ export const RadixConnectProvider = ({ children, dAppDefinitionAddress }) => {
       setIsSavingAccount(true);
       console.log('Saving Radix account to backend:', accountAddress);
       
-      const response = await fetch('/api/saveRadixAccount', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          accountAddress: accountAddress
-        }),
-        credentials: 'same-origin'
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to save account');
-      }
-      
-      const data = await response.json();
+      const data = await api.saveRadixAccount({ accountAddress });
       console.log('Radix account saved successfully:', data);
     } catch (error) {
       console.error('Error saving Radix account:', error);
@@ -118,14 +123,13 @@ export const RadixConnectProvider = ({ children, dAppDefinitionAddress }) => {
         setConnected(true);
         setAccounts(walletData.accounts);
 
+        // FIXED: Keep the account the player picked instead of always taking the first one
+        // (the selectedAccount effect saves it to the backend)
         if (walletData.accounts.length > 0) {
-          const firstAccount = walletData.accounts[0];
-          setSelectedAccount(firstAccount);
-          
-          // Save the account address to backend
-          if (firstAccount.address) {
-            saveAccountToBackend(firstAccount.address);
-          }
+          setSelectedAccount(current => pickAccount(
+            walletData.accounts,
+            current?.address || getStoredAccountAddress()
+          ));
         }
       }
     });
@@ -135,13 +139,7 @@ export const RadixConnectProvider = ({ children, dAppDefinitionAddress }) => {
     if (initialWalletData && initialWalletData.accounts && initialWalletData.accounts.length > 0) {
       setConnected(true);
       setAccounts(initialWalletData.accounts);
-      const firstAccount = initialWalletData.accounts[0];
-      setSelectedAccount(firstAccount);
-      
-      // Save the initial account address to backend
-      if (firstAccount.address) {
-        saveAccountToBackend(firstAccount.address);
-      }
+      setSelectedAccount(pickAccount(initialWalletData.accounts, getStoredAccountAddress()));
     }
 
     // Cleanup
@@ -153,11 +151,30 @@ export const RadixConnectProvider = ({ children, dAppDefinitionAddress }) => {
   }, [rdt]);
 
   // Effect to trigger account save when selected account changes
+  // (keyed on the address - the wallet hands out new account objects on every update)
+  const selectedAddress = selectedAccount?.address;
   useEffect(() => {
-    if (selectedAccount && selectedAccount.address) {
-      saveAccountToBackend(selectedAccount.address);
+    if (selectedAddress) {
+      saveAccountToBackend(selectedAddress);
+      
+      try {
+        localStorage.setItem(SELECTED_ACCOUNT_STORAGE_KEY, selectedAddress);
+      } catch (error) {
+        console.error('Could not store selected account:', error);
+      }
+    }
+  }, [selectedAddress]);
+
+  // NEW: Switch the account that drives every NFT query and manifest
+  const selectAccount = (accountAddress) => {
+    const account = accounts.find(item => item.address === accountAddress);
+    if (!account) {
+      console.error('Account is not shared with the dApp:', accountAddress);
+      return;
     }
-  }, [selectedAccount]);
+    console.log('Switching active account to:', accountAddress);
+    setSelectedAccount(account);
+  };
 
   // Function to explicitly request account sharing again
   const updateAccountSharing = async () => {
@@ -181,6 +198,7 @@ export const RadixConnectProvider = ({ children, dAppDefinitionAddress }) => {
     accounts,
     selectedAccount,
     setSelectedAccount,
+    selectAccount,
     updateAccountSharing,
     saveAccountToBackend
   };
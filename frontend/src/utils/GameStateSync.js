@@ -0,0 +1,228 @@
+// src/utils/GameStateSync.js
+import { api, API_STREAMS } from './apiClient';
+
+/**
+ * How the sync currently receives changes
+ */
+export const SYNC_MODES = {
+  STOPPED: 'stopped',
+  CONNECTING: 'connecting',
+  LIVE: 'live',       // Server-sent events stream is open
+  POLLING: 'polling'  // Stream unavailable - asking for changes on a timer
+};
+
+// Reconnect backoff for the stream
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30 * 1000;
+
+// Failed stream attempts in a row before falling back to polling
+const MAX_STREAM_FAILURES = 4;
+
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// While polling, try the stream again this often
+const STREAM_RETRY_WHILE_POLLING_MS = 2 * 60 * 1000;
+
+/**
+ * Service class keeping the game state in step with the server.
+ *
+ * The server numbers every change to a player's resources, machines and pets. Each change is
+ * { version, resources?, machines?, removedMachineIds?, pets?, removedPetIds? } where machines
+ * and pets hold the full entities that changed. Changes arrive over the /api/gameStateStream
+ * event stream; after a reconnect the stream replays everything after `since`, and while the
+ * stream is down getGameStateChanges is polled with the same `since`. When the server can no
+ * longer replay that far back it answers with a resync and the caller reloads the full state.
+ */
+class GameStateSync {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onChange - Called with each change, in version order
+   * @param {Function} handlers.onResync - Called when the full state must be reloaded
+   * @param {Function} [handlers.onModeChange] - Called with one of SYNC_MODES
+   */
+  constructor({ onChange, onResync, onModeChange = () => {} }) {
+    this.onChange = onChange;
+    this.onResync = onResync;
+    this.onModeChange = onModeChange;
+    this.version = null;      // Last change applied (null until the first state load)
+    this.mode = SYNC_MODES.STOPPED;
+    this.source = null;       // EventSource while streaming
+    this.failures = 0;        // Stream failures in a row
+    this.timer = null;        // Reconnect or poll timer
+    this.streamRetryAt = 0;   // When polling should try the stream again
+    this.handleOnline = () => this.reconnectNow();
+  }
+
+  // ========== LIFECYCLE ==========
+
+  /**
+   * Start receiving changes
+   * @param {number|null} version - Version of the state already loaded, if known
+   */
+  start(version = null) {
+    if (this.mode !== SYNC_MODES.STOPPED) return;
+    this.noteVersion(version);
+    window.addEventListener('online', this.handleOnline);
+
+    if (typeof EventSource === 'undefined') {
+      console.log("EventSource not available, polling for game state changes");
+      this.startPolling();
+    } else {
+      this.openStream();
+    }
+  }
+
+  stop() {
+    window.removeEventListener('online', this.handleOnline);
+    this.closeStream();
+    this.clearTimer();
+    this.setMode(SYNC_MODES.STOPPED);
+  }
+
+  /**
+   * Record that a full state load brought the game up to this version,
+   * so older changes still in flight are skipped
+   * @param {number|null} version
+   */
+  noteVersion(version) {
+    if (typeof version === 'number' && (this.version === null || version > this.version)) {
+      this.version = version;
+    }
+  }
+
+  setMode(mode) {
+    if (this.mode === mode) return;
+    this.mode = mode;
+    console.log(`Game state sync: ${mode}`);
+    this.onModeChange(mode);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // The network came back - don't wait for the backoff
+  reconnectNow() {
+    if (this.mode === SYNC_MODES.STOPPED || this.mode === SYNC_MODES.LIVE) return;
+    this.clearTimer();
+    this.failures = 0;
+    this.openStream();
+  }
+
+  // ========== STREAM ==========
+
+  openStream() {
+    this.closeStream();
+    this.setMode(SYNC_MODES.CONNECTING);
+
+    const since = this.version === null ? '' : `?since=${this.version}`;
+    const source = new EventSource(`${API_STREAMS.gameState}${since}`, { withCredentials: true });
+    this.source = source;
+
+    source.onopen = () => {
+      this.failures = 0;
+      this.clearTimer();
+      this.setMode(SYNC_MODES.LIVE);
+    };
+
+    source.onmessage = (event) => {
+      try {
+        this.applyChanges([JSON.parse(event.data)]);
+      } catch (error) {
+        console.error("Error reading game state change:", error);
+      }
+    };
+
+    source.addEventListener('resync', (event) => {
+      try {
+        this.resync(JSON.parse(event.data).version);
+      } catch (error) {
+        console.error("Error reading game state resync:", error);
+      }
+    });
+
+    // EventSource would retry on its own with the original `since`; reconnect ourselves instead
+    source.onerror = () => {
+      if (this.source !== source) return;
+      this.closeStream();
+      this.failures++;
+
+      if (this.failures >= MAX_STREAM_FAILURES) {
+        console.log(`Game state stream failed ${this.failures} times, falling back to polling`);
+        this.startPolling();
+        return;
+      }
+
+      const delay = Math.min(RECONNECT_BASE_DELAY_MS * Math.pow(2, this.failures - 1), RECONNECT_MAX_DELAY_MS);
+      this.setMode(SYNC_MODES.CONNECTING);
+      this.timer = setTimeout(() => this.openStream(), delay);
+    };
+  }
+
+  closeStream() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
+
+  // ========== POLLING ==========
+
+  startPolling() {
+    this.closeStream();
+    this.clearTimer();
+    this.setMode(SYNC_MODES.POLLING);
+    this.streamRetryAt = Date.now() + STREAM_RETRY_WHILE_POLLING_MS;
+    this.poll();
+  }
+
+  async poll() {
+    try {
+      const data = await api.getGameStateChanges({ since: this.version });
+      if (this.mode !== SYNC_MODES.POLLING) return;
+
+      if (data.resync) {
+        this.resync(data.version);
+      } else {
+        this.applyChanges(data.changes || []);
+        this.noteVersion(data.version);
+      }
+    } catch (error) {
+      console.error("Error polling game state changes:", error);
+    }
+
+    if (this.mode !== SYNC_MODES.POLLING) return;
+
+    if (typeof EventSource !== 'undefined' && Date.now() >= this.streamRetryAt) {
+      this.failures = MAX_STREAM_FAILURES - 1; // One failure sends us straight back to polling
+      this.timer = setTimeout(() => this.openStream(), POLL_INTERVAL_MS);
+    } else {
+      this.timer = setTimeout(() => this.poll(), POLL_INTERVAL_MS);
+    }
+  }
+
+  // ========== CHANGES ==========
+
+  applyChanges(changes) {
+    changes
+      .filter(change => typeof change?.version === 'number')
+      .sort((a, b) => a.version - b.version)
+      .forEach(change => {
+        // Already covered by a full load or an earlier delivery
+        if (this.version !== null && change.version <= this.version) return;
+        this.version = change.version;
+        this.onChange(change);
+      });
+  }
+
+  resync(version) {
+    console.log(`Game state sync fell too far behind, reloading at version ${version}`);
+    this.noteVersion(version);
+    this.onResync();
+  }
+}
+
+export default GameStateSync;
@@ -0,0 +1,264 @@
+// src/utils/NftStore.js
+import { api } from './apiClient';
+
+/**
+ * Collections the store caches, one entry per collection and account
+ */
+export const NFT_COLLECTIONS = {
+  CREATURES: 'creatures', // data: creature array, each tagged with accountAddress
+  ITEMS: 'items'          // data: { tools, spells }
+};
+
+// localStorage key for the cached collections
+const STORAGE_KEY = 'nft_cache';
+
+// Cached data older than this is still shown, but refetched in the background
+const STALE_AFTER_MS = 60 * 1000;
+
+// Persisted entries older than this are dropped when the page loads
+const MAX_PERSISTED_AGE_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_ENTRY = { data: null, fetchedAt: 0, loading: false, error: null };
+
+const entryKey = (collection, accountAddress) => `${collection}:${accountAddress}`;
+
+/**
+ * Read one entry from a snapshot of the store's entries (as passed to subscribers)
+ * @param {Object} entries - Entries from getEntries() or a subscription
+ * @param {string} collection - One of NFT_COLLECTIONS
+ * @param {string} accountAddress
+ * @returns {Object} { data, fetchedAt, loading, error } - data is null until the first load
+ */
+export const selectNftEntry = (entries, collection, accountAddress) => (
+  (accountAddress && entries[entryKey(collection, accountAddress)]) || EMPTY_ENTRY
+);
+
+const tagCreatures = (creatures, accountAddress) => (
+  Array.isArray(creatures) ? creatures.map(creature => ({ ...creature, accountAddress })) : []
+);
+
+// How each collection is fetched from the API
+const DEFAULT_FETCHERS = {
+  [NFT_COLLECTIONS.CREATURES]: async (accountAddress) => {
+    const data = await api.getUserCreatures({ accountAddress });
+    return tagCreatures(data?.creatures, accountAddress);
+  },
+  [NFT_COLLECTIONS.ITEMS]: async (accountAddress) => {
+    const data = await api.getUserItems({ accountAddress });
+    return { tools: data?.tools || [], spells: data?.spells || [] };
+  }
+};
+
+/**
+ * Service class holding every account's creature and item NFTs.
+ * Reads are stale-while-revalidate: cached data is returned at once and refreshed
+ * in the background once it is older than STALE_AFTER_MS. Entries survive reloads.
+ */
+class NftStore {
+  /**
+   * @param {Object} fetchers - collection -> async (accountAddress) => data (defaults to the API)
+   */
+  constructor(fetchers = DEFAULT_FETCHERS) {
+    this.fetchers = fetchers;
+    this.entries = this.readFromStorage(); // entryKey -> { data, fetchedAt, loading, error }
+    this.inFlight = new Map();             // entryKey -> promise
+    this.listeners = new Set();
+  }
+
+  // ========== PERSISTENCE ==========
+
+  readFromStorage() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      const now = Date.now();
+      const entries = {};
+      Object.keys(stored).forEach(key => {
+        const entry = stored[key];
+        if (entry && entry.data && now - entry.fetchedAt < MAX_PERSISTED_AGE_MS) {
+          entries[key] = { ...EMPTY_ENTRY, data: entry.data, fetchedAt: entry.fetchedAt };
+        }
+      });
+      return entries;
+    } catch (error) {
+      console.error("Error reading NFT cache:", error);
+      return {};
+    }
+  }
+
+  writeToStorage() {
+    try {
+      const stored = {};
+      Object.keys(this.entries).forEach(key => {
+        const { data, fetchedAt } = this.entries[key];
+        if (data) stored[key] = { data, fetchedAt };
+      });
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+      console.error("Error writing NFT cache:", error);
+    }
+  }
+
+  // ========== SUBSCRIPTIONS ==========
+
+  /**
+   * Listen for any entry change
+   * @param {Function} listener - Called with all entries
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getEntries() {
+    return this.entries;
+  }
+
+  /**
+   * @param {string} collection - One of NFT_COLLECTIONS
+   * @param {string} accountAddress
+   * @returns {Object} { data, fetchedAt, loading, error } - data is null until the first load
+   */
+  getEntry(collection, accountAddress) {
+    return selectNftEntry(this.entries, collection, accountAddress);
+  }
+
+  setEntry(collection, accountAddress, changes) {
+    const key = entryKey(collection, accountAddress);
+    this.entries = { ...this.entries, [key]: { ...(this.entries[key] || EMPTY_ENTRY), ...changes } };
+    if ('data' in changes) this.writeToStorage();
+    this.listeners.forEach(listener => listener(this.entries));
+  }
+
+  // ========== LOADING ==========
+
+  isStale(entry) {
+    return !entry.data || Date.now() - entry.fetchedAt >= STALE_AFTER_MS;
+  }
+
+  /**
+   * Get a collection for an account. Cached data resolves immediately and is refreshed
+   * in the background when stale; with no cached data this waits for the API.
+   * @param {string} collection - One of NFT_COLLECTIONS
+   * @param {string} accountAddress
+   * @param {Object} options - { force: skip the cache and wait for fresh data }
+   * @returns {Promise<*>} The collection data (rejects only when nothing is cached)
+   */
+  load(collection, accountAddress, { force = false } = {}) {
+    if (!accountAddress) return Promise.resolve(null);
+
+    const entry = this.getEntry(collection, accountAddress);
+    if (!force && !this.isStale(entry)) {
+      return Promise.resolve(entry.data);
+    }
+
+    const request = this.revalidate(collection, accountAddress);
+    if (!force && entry.data) {
+      // Errors are kept on the entry; the cached data stays usable
+      request.catch(() => {});
+      return Promise.resolve(entry.data);
+    }
+    return request;
+  }
+
+  // One fetch per entry at a time
+  revalidate(collection, accountAddress) {
+    const key = entryKey(collection, accountAddress);
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    this.setEntry(collection, accountAddress, { loading: true, error: null });
+
+    const request = this.fetchers[collection](accountAddress)
+      .then(data => {
+        this.setEntry(collection, accountAddress, { data, fetchedAt: Date.now(), loading: false, error: null });
+        return data;
+      })
+      .catch(error => {
+        console.error(`Error loading ${collection} for ${accountAddress}:`, error);
+        this.setEntry(collection, accountAddress, { loading: false, error: error.message });
+        throw error;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  // ========== TARGETED UPDATES ==========
+
+  /**
+   * Mark a collection stale and refetch it in the background
+   * @param {string} collection - One of NFT_COLLECTIONS
+   * @param {string} accountAddress
+   */
+  invalidate(collection, accountAddress) {
+    if (!accountAddress) return;
+    this.setEntry(collection, accountAddress, { fetchedAt: 0 });
+
+    // A fetch already under way may have started before the change - fetch again after it
+    const pending = this.inFlight.get(entryKey(collection, accountAddress));
+    const refetch = () => this.revalidate(collection, accountAddress).catch(() => {});
+    if (pending) {
+      pending.catch(() => {}).then(refetch);
+    } else {
+      refetch();
+    }
+  }
+
+  /**
+   * Refresh one creature after an evolve or upgrade commits. Patches it in place when the
+   * status route sent its new state; otherwise refetches only that account's creatures.
+   * @param {string} accountAddress - Account that holds the creature
+   * @param {string} creatureId
+   * @param {Object} [freshCreature] - Updated creature from the status response
+   */
+  refreshCreature(accountAddress, creatureId, freshCreature = null) {
+    const entry = this.getEntry(NFT_COLLECTIONS.CREATURES, accountAddress);
+
+    if (freshCreature && entry.data && entry.data.some(creature => creature.id === creatureId)) {
+      this.setEntry(NFT_COLLECTIONS.CREATURES, accountAddress, {
+        data: entry.data.map(creature => (
+          creature.id === creatureId ? { ...freshCreature, accountAddress } : creature
+        ))
+      });
+      return;
+    }
+
+    this.invalidate(NFT_COLLECTIONS.CREATURES, accountAddress);
+  }
+
+  /**
+   * Add the creature and bonus item from a committed egg mint, then refetch in the background
+   * @param {string} accountAddress
+   * @param {Object} minted - { creatureNft, bonusItem } from the mint status route
+   */
+  addMinted(accountAddress, { creatureNft = null, bonusItem = null } = {}) {
+    const creatures = this.getEntry(NFT_COLLECTIONS.CREATURES, accountAddress);
+    if (creatureNft && creatures.data && !creatures.data.some(creature => creature.id === creatureNft.id)) {
+      this.setEntry(NFT_COLLECTIONS.CREATURES, accountAddress, {
+        data: [...creatures.data, { ...creatureNft, accountAddress }]
+      });
+    }
+
+    const items = this.getEntry(NFT_COLLECTIONS.ITEMS, accountAddress);
+    if (bonusItem && items.data) {
+      const listName = bonusItem.type === 'spell' ? 'spells' : 'tools';
+      if (!items.data[listName].some(item => item.id === bonusItem.id)) {
+        this.setEntry(NFT_COLLECTIONS.ITEMS, accountAddress, {
+          data: { ...items.data, [listName]: [...items.data[listName], bonusItem] }
+        });
+      }
+    }
+
+    this.invalidate(NFT_COLLECTIONS.CREATURES, accountAddress);
+    this.invalidate(NFT_COLLECTIONS.ITEMS, accountAddress);
+  }
+
+  dispose() {
+    this.listeners.clear();
+  }
+}
+
+export default NftStore;
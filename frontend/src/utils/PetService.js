@@ -1,5 +1,5 @@
 // src/utils/PetService.js
-import axios from 'axios';
+import { api } from './apiClient';
 
 /**
  * Service class for handling pet-related API calls
@@ -11,8 +11,7 @@ class PetService {
    */
   static async getPets() {
     try {
-      const response = await axios.get('/api/getPets');
-      return response.data;
+      return await api.getPets();
     } catch (error) {
       console.error('Error fetching pets:', error);
       return [];
@@ -30,14 +29,13 @@ class PetService {
    */
   static async buyPet(petType, x, y, room = 1, parentMachine = null) {
     try {
-      const response = await axios.post('/api/buyPet', { 
+      return await api.buyPet({
         petType,
-        x, 
-        y, 
+        x,
+        y,
         room,
-        parentMachine 
+        parentMachine
       });
-      return response.data;
     } catch (error) {
       console.error('Error buying pet:', error);
       throw error;
@@ -54,8 +52,7 @@ class PetService {
    */
   static async movePet(petId, x, y, room = 1) {
     try {
-      const response = await axios.post('/api/movePet', { petId, x, y, room });
-      return response.data;
+      return await api.movePet({ petId, x, y, room });
     } catch (error) {
       console.error('Error moving pet:', error);
       throw error;
@@ -69,8 +66,7 @@ class PetService {
    */
   static async buyEnergy(accountAddress) {
     try {
-      const response = await axios.post('/api/buyEnergy', { accountAddress });
-      return response.data;
+      return await api.buyEnergy({ accountAddress });
     } catch (error) {
       console.error('Error getting energy purchase manifest:', error);
       throw error;
@@ -84,8 +80,7 @@ class PetService {
    */
   static async confirmEnergyPurchase(intentHash) {
     try {
-      const response = await axios.post('/api/confirmEnergyPurchase', { intentHash });
-      return response.data;
+      return await api.confirmEnergyPurchase({ intentHash });
     } catch (error) {
       console.error('Error confirming energy purchase:', error);
       throw error;
@@ -1,8 +1,117 @@
 // src/utils/TransactionService.js
-import axios from 'axios';
+import { apiRequest } from './apiClient';
 
 /**
- * Service class for handling Radix transaction-related functionality
+ * Kinds of transactions the game tracks after they are signed in the wallet
+ */
+export const TRANSACTION_KINDS = {
+  MACHINE_MINT: 'machineMint',
+  ENERGY_PURCHASE: 'energyPurchase',
+  CREATURE_MINT: 'creatureMint',
+  EVOLVE_CREATURE: 'evolveCreature',
+  UPGRADE_STATS: 'upgradeStats'
+};
+
+/**
+ * Tracking states. Everything except PENDING is final.
+ */
+export const TRANSACTION_STATUS = {
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout',
+  ERROR: 'error',
+  CANCELLED: 'cancelled'
+};
+
+// localStorage key for intents that were still pending when the page closed
+const PENDING_STORAGE_KEY = 'pending_transactions';
+
+// localStorage key for the transaction history shown in the history drawer
+const HISTORY_STORAGE_KEY = 'transaction_history';
+
+// Oldest entries are dropped once the history grows past this
+const MAX_HISTORY_ENTRIES = 100;
+
+// Consecutive request errors before giving up on a transaction
+const MAX_CONSECUTIVE_ERRORS = 3;
+
+// Each poll waits this much longer than the one before, up to the kind's maxIntervalMs
+const BACKOFF_FACTOR = 1.5;
+
+// Ledger statuses reported by the Gateway (wrapped by our status routes)
+const isCommitted = (data) => data?.transactionStatus?.status === 'CommittedSuccess';
+const isRejected = (data) => ['Failed', 'Rejected'].includes(data?.transactionStatus?.status);
+
+const interpretLedgerStatus = (data) => {
+  if (isCommitted(data)) return TRANSACTION_STATUS.SUCCESS;
+  if (isRejected(data)) return TRANSACTION_STATUS.FAILED;
+  return TRANSACTION_STATUS.PENDING;
+};
+
+// Evolution and stat upgrades are confirmed by the server, which can also tell us to stop
+const interpretUpgradeStatus = (data) => {
+  if (data?.forceSuccess === true || isCommitted(data) || data?.shouldRetry === false) {
+    return TRANSACTION_STATUS.SUCCESS;
+  }
+  if (isRejected(data)) return TRANSACTION_STATUS.FAILED;
+  return TRANSACTION_STATUS.PENDING;
+};
+
+/**
+ * Status route and polling rules for every transaction kind
+ */
+export const TRANSACTION_KIND_CONFIG = {
+  [TRANSACTION_KINDS.MACHINE_MINT]: {
+    label: 'NFT mint',
+    statusRoute: 'checkMintStatus',
+    buildRequest: (intentHash, payload) => ({ intentHash, machineId: payload.machineId }),
+    interpret: interpretLedgerStatus,
+    intervalMs: 3000,
+    maxIntervalMs: 10000,
+    maxAttempts: 30
+  },
+  [TRANSACTION_KINDS.ENERGY_PURCHASE]: {
+    label: 'Energy purchase',
+    statusRoute: 'confirmEnergyPurchase',
+    buildRequest: (intentHash) => ({ intentHash }),
+    interpret: (data) => (data?.status === 'ok' ? TRANSACTION_STATUS.SUCCESS : interpretLedgerStatus(data)),
+    intervalMs: 3000,
+    maxIntervalMs: 10000,
+    maxAttempts: 30
+  },
+  [TRANSACTION_KINDS.CREATURE_MINT]: {
+    label: 'Creature mint',
+    statusRoute: 'checkCreatureMintStatus',
+    buildRequest: (intentHash) => ({ intentHash }),
+    interpret: interpretLedgerStatus,
+    intervalMs: 3000,
+    maxIntervalMs: 10000,
+    maxAttempts: 30
+  },
+  [TRANSACTION_KINDS.EVOLVE_CREATURE]: {
+    label: 'Evolution',
+    statusRoute: 'checkUpgradeStatus',
+    buildRequest: (intentHash, payload, attempt) => ({ intentHash, creatureId: payload.creatureId, checkCount: attempt }),
+    interpret: interpretUpgradeStatus,
+    intervalMs: 5000,
+    maxIntervalMs: 10000,
+    maxAttempts: 7 // about a minute with backoff
+  },
+  [TRANSACTION_KINDS.UPGRADE_STATS]: {
+    label: 'Stat upgrade',
+    statusRoute: 'checkUpgradeStatus',
+    buildRequest: (intentHash, payload, attempt) => ({ intentHash, creatureId: payload.creatureId, checkCount: attempt }),
+    interpret: interpretUpgradeStatus,
+    intervalMs: 5000,
+    maxIntervalMs: 10000,
+    maxAttempts: 7 // about a minute with backoff
+  }
+};
+
+/**
+ * Service class for handling Radix transaction-related functionality.
+ * It is the one place that tracks signed transactions until they settle.
  */
 class TransactionService {
   /**
@@ -11,6 +120,14 @@ class TransactionService {
    */
   constructor(rdt) {
     this.rdt = rdt;
+    this.transactions = new Map(); // intentHash -> record
+    this.timers = new Map();       // intentHash -> { timer, controller }
+    this.listeners = new Set();
+
+    // NEW: Earlier transactions, so the history survives a reload
+    readHistoryFromStorage().forEach(record => {
+      if (TRANSACTION_KIND_CONFIG[record.kind]) this.transactions.set(record.intentHash, record);
+    });
   }
 
   /**
@@ -50,77 +167,272 @@ class TransactionService {
   /**
    * Check the status of a transaction
    * @param {string} intentHash - The transaction intent hash
-   * @param {string} endpointPath - The API endpoint to call
+   * @param {string} routeName - The status route (key of API_ROUTES)
    * @param {Object} additionalData - Additional data to send
+   * @param {AbortSignal} signal - Optional signal to abort the request
    * @returns {Promise<Object>} The transaction status
    */
-  async checkTransactionStatus(intentHash, endpointPath, additionalData = {}) {
+  async checkTransactionStatus(intentHash, routeName, additionalData = {}, signal = undefined) {
     try {
-      const response = await axios.post(endpointPath, {
+      return await apiRequest(routeName, {
         intentHash,
         ...additionalData
-      });
-      
-      return response.data;
+      }, { signal });
     } catch (error) {
       console.error("Error checking transaction status:", error);
       throw error;
     }
   }
 
+  // ========== TRACKING ==========
+
   /**
-   * Poll a transaction status until completion or timeout
+   * Start tracking a signed transaction until it settles
+   * @param {string} kind - One of TRANSACTION_KINDS
    * @param {string} intentHash - The transaction intent hash
-   * @param {string} endpointPath - The API endpoint to check status
-   * @param {Object} additionalData - Additional data to send with the request
-   * @param {number} interval - Polling interval in milliseconds
-   * @param {number} maxTries - Maximum number of polling attempts
-   * @returns {Promise<Object>} Final transaction status
+   * @param {Object} payload - Extra data the status route needs (machineId, creatureId),
+   *   plus optional history details: subject (creature or machine name) and cost ({ amount, token }),
+   *   and accountAddress for creature transactions so the NFT store refreshes the right account
+   * @returns {Promise<Object>} Resolves with the final transaction record
    */
-  async pollTransactionStatus(intentHash, endpointPath, additionalData = {}, interval = 3000, maxTries = 30) {
-    return new Promise((resolve, reject) => {
-      let tries = 0;
-      
-      const checkStatus = async () => {
-        try {
-          const statusData = await this.checkTransactionStatus(intentHash, endpointPath, additionalData);
-          
-          // Check if transaction is complete
-          if (statusData.status === "ok" || 
-              statusData.transactionStatus?.status === "CommittedSuccess") {
-            resolve(statusData);
-            return;
-          }
-          
-          // Check if transaction failed
-          if (statusData.transactionStatus?.status === "Failed" || 
-              statusData.transactionStatus?.status === "Rejected") {
-            resolve(statusData);
-            return;
-          }
-          
-          // Continue polling if not complete and not at max tries
-          tries++;
-          if (tries < maxTries) {
-            setTimeout(checkStatus, interval);
-          } else {
-            // Max tries reached
-            resolve({
-              status: "timeout",
-              message: "Transaction polling timed out",
-              transactionStatus: statusData.transactionStatus
-            });
-          }
-        } catch (error) {
-          reject(error);
+  track(kind, intentHash, payload = {}) {
+    if (!TRANSACTION_KIND_CONFIG[kind]) {
+      console.error("Unknown transaction kind:", kind);
+      return Promise.resolve(null);
+    }
+
+    const existing = this.transactions.get(intentHash);
+    if (existing && existing.status === TRANSACTION_STATUS.PENDING) {
+      return this.waitFor(intentHash);
+    }
+
+    const now = Date.now();
+    const record = {
+      intentHash,
+      kind,
+      label: TRANSACTION_KIND_CONFIG[kind].label,
+      payload,
+      status: TRANSACTION_STATUS.PENDING,
+      attempts: 0,
+      errors: 0,
+      createdAt: now,
+      updatedAt: now,
+      result: null,
+      error: null
+    };
+
+    this.updateRecord(record);
+    this.scheduleCheck(intentHash, TRANSACTION_KIND_CONFIG[kind].intervalMs);
+    return this.waitFor(intentHash);
+  }
+
+  /**
+   * Resume tracking the transactions that were pending when the page was closed
+   * @returns {Array} Records that are being tracked again
+   */
+  resumePending() {
+    const stored = readPendingFromStorage();
+
+    stored.forEach(entry => {
+      if (!TRANSACTION_KIND_CONFIG[entry.kind] || this.timers.has(entry.intentHash)) return;
+
+      const existing = this.transactions.get(entry.intentHash);
+      if (existing && existing.status !== TRANSACTION_STATUS.PENDING) return;
+
+      console.log(`Resuming ${entry.kind} transaction:`, entry.intentHash);
+      this.updateRecord({
+        ...existing,
+        ...entry,
+        label: TRANSACTION_KIND_CONFIG[entry.kind].label,
+        status: TRANSACTION_STATUS.PENDING,
+        attempts: 0,
+        errors: 0,
+        updatedAt: Date.now(),
+        result: null,
+        error: null,
+        resumed: true
+      });
+      this.scheduleCheck(entry.intentHash, 0);
+    });
+
+    return stored.map(entry => this.transactions.get(entry.intentHash)).filter(Boolean);
+  }
+
+  /**
+   * Poll a settled transaction again, e.g. one that timed out before the ledger confirmed it
+   * @param {string} intentHash - The transaction intent hash
+   * @returns {Promise<Object|null>} Resolves with the new final record
+   */
+  recheck(intentHash) {
+    const record = this.transactions.get(intentHash);
+    if (!record) {
+      console.error("Unknown transaction:", intentHash);
+      return Promise.resolve(null);
+    }
+    if (record.status === TRANSACTION_STATUS.PENDING) return this.waitFor(intentHash);
+
+    console.log(`Re-checking ${record.kind} transaction:`, intentHash);
+    this.updateRecord({
+      ...record,
+      status: TRANSACTION_STATUS.PENDING,
+      attempts: 0,
+      errors: 0,
+      error: null,
+      updatedAt: Date.now(),
+      rechecked: true
+    });
+    this.scheduleCheck(intentHash, 0);
+    return this.waitFor(intentHash);
+  }
+
+  /**
+   * Stop tracking a transaction (the transaction itself cannot be recalled)
+   * @param {string} intentHash - The transaction intent hash
+   */
+  cancel(intentHash) {
+    const record = this.transactions.get(intentHash);
+    if (!record || record.status !== TRANSACTION_STATUS.PENDING) return;
+
+    this.clearTimer(intentHash);
+    this.updateRecord({ ...record, status: TRANSACTION_STATUS.CANCELLED, updatedAt: Date.now() });
+  }
+
+  /**
+   * Stop all polling without changing any record (pending intents stay in storage)
+   */
+  dispose() {
+    [...this.timers.keys()].forEach(intentHash => this.clearTimer(intentHash));
+    this.listeners.clear();
+  }
+
+  /**
+   * Subscribe to every status change
+   * @param {Function} listener - Called with (record, allRecords)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Follow a single transaction. The listener is called right away with the current record.
+   * @param {string} intentHash - The transaction intent hash
+   * @param {Function} listener - Called with the record on every change
+   * @returns {Function} Unsubscribe function
+   */
+  watch(intentHash, listener) {
+    const current = this.transactions.get(intentHash);
+    if (current) listener(current);
+
+    return this.subscribe(record => {
+      if (record.intentHash === intentHash) listener(record);
+    });
+  }
+
+  /**
+   * Resolve once a transaction reaches a final status
+   * @param {string} intentHash - The transaction intent hash
+   * @returns {Promise<Object>} The final record
+   */
+  waitFor(intentHash) {
+    return new Promise(resolve => {
+      const unsubscribe = this.watch(intentHash, record => {
+        if (record.status !== TRANSACTION_STATUS.PENDING) {
+          // The listener can fire during watch() itself, before unsubscribe exists
+          Promise.resolve().then(() => unsubscribe());
+          resolve(record);
         }
-      };
-      
-      // Start polling
-      checkStatus();
+      });
+    });
+  }
+
+  /**
+   * Snapshot of every known transaction, including the stored history
+   * @returns {Object} Records keyed by intent hash
+   */
+  getTransactions() {
+    return Object.fromEntries(this.transactions);
+  }
+
+  // Store a new version of a record, persist it and notify listeners
+  updateRecord(record) {
+    this.transactions.set(record.intentHash, record);
+    writePendingToStorage([...this.transactions.values()]);
+    writeHistoryToStorage([...this.transactions.values()]);
+
+    const all = this.getTransactions();
+    this.listeners.forEach(listener => {
+      try {
+        listener(record, all);
+      } catch (error) {
+        console.error("Transaction listener error:", error);
+      }
     });
   }
 
+  scheduleCheck(intentHash, delayMs) {
+    this.clearTimer(intentHash);
+    const controller = new AbortController();
+    const timer = setTimeout(() => this.checkTracked(intentHash, controller), delayMs);
+    this.timers.set(intentHash, { timer, controller });
+  }
+
+  clearTimer(intentHash) {
+    const entry = this.timers.get(intentHash);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    entry.controller.abort();
+    this.timers.delete(intentHash);
+  }
+
+  // One status check, then either settle the record or schedule the next check
+  async checkTracked(intentHash, controller) {
+    const record = this.transactions.get(intentHash);
+    if (!record || record.status !== TRANSACTION_STATUS.PENDING) return;
+
+    const config = TRANSACTION_KIND_CONFIG[record.kind];
+    const attempt = record.attempts;
+    let next;
+
+    try {
+      const data = await this.checkTransactionStatus(
+        intentHash,
+        config.statusRoute,
+        config.buildRequest(intentHash, record.payload || {}, attempt),
+        controller.signal
+      );
+      if (controller.signal.aborted) return;
+
+      const status = config.interpret(data);
+      next = { ...record, status, attempts: attempt + 1, errors: 0, result: data, error: null };
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      const errors = (record.errors || 0) + 1;
+      next = {
+        ...record,
+        attempts: attempt + 1,
+        errors,
+        error: error.message,
+        status: errors >= MAX_CONSECUTIVE_ERRORS ? TRANSACTION_STATUS.ERROR : TRANSACTION_STATUS.PENDING
+      };
+    }
+
+    if (next.status === TRANSACTION_STATUS.PENDING && next.attempts >= config.maxAttempts) {
+      next.status = TRANSACTION_STATUS.TIMEOUT;
+    }
+
+    this.timers.delete(intentHash);
+    this.updateRecord({ ...next, updatedAt: Date.now() });
+
+    if (next.status === TRANSACTION_STATUS.PENDING) {
+      const delay = Math.min(config.intervalMs * Math.pow(BACKOFF_FACTOR, next.attempts), config.maxIntervalMs);
+      this.scheduleCheck(intentHash, delay);
+    }
+  }
+
   /**
    * Check and verify if the Radix wallet is ready to use
    * @param {Array} accounts - The connected accounts
@@ -142,4 +454,53 @@ class TransactionService {
   }
 }
 
+// ========== PENDING QUEUE STORAGE ==========
+const readPendingFromStorage = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error("Could not read pending transactions:", error);
+    return [];
+  }
+};
+
+// Only what is needed to resume polling is stored
+const writePendingToStorage = (records) => {
+  try {
+    const pending = records
+      .filter(record => record.status === TRANSACTION_STATUS.PENDING)
+      .map(({ intentHash, kind, payload, createdAt }) => ({ intentHash, kind, payload, createdAt }));
+    localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+  } catch (error) {
+    console.error("Could not save pending transactions:", error);
+  }
+};
+
+// ========== HISTORY STORAGE ==========
+const readHistoryFromStorage = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error("Could not read transaction history:", error);
+    return [];
+  }
+};
+
+// Newest first; the raw status response is left out to keep the entry small
+const writeHistoryToStorage = (records) => {
+  try {
+    const history = [...records]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, MAX_HISTORY_ENTRIES)
+      .map(({ intentHash, kind, label, payload, status, createdAt, updatedAt, error }) => ({
+        intentHash, kind, label, payload, status, createdAt, updatedAt, error
+      }));
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.error("Could not save transaction history:", error);
+  }
+};
+
 export default TransactionService;
@@ -0,0 +1,204 @@
+// src/utils/actionValidator.js - SHARED ACTION LEGALITY RULES FOR THE PLAYER AND THE AI
+import { getFieldSizeLimits } from './difficultySettings';
+import {
+  ATTACK_ENERGY_COST,
+  DEFEND_ENERGY_COST,
+  TOOL_ENERGY_COST,
+  BATTLE_PHASES,
+  getSpellEnergyCost,
+  isDefendingAllowed
+} from './battleStateMachine';
+
+// Machine-readable rejection codes
+export const ACTION_REJECTIONS = {
+  BATTLE_NOT_ACTIVE: 'battle_not_active',
+  NOT_YOUR_TURN: 'not_your_turn',
+  UNKNOWN_ACTION: 'unknown_action',
+  MISSING_CREATURE: 'missing_creature',
+  MISSING_TARGET: 'missing_target',
+  MISSING_ITEM: 'missing_item',
+  NOT_IN_HAND: 'not_in_hand',
+  NOT_ON_FIELD: 'not_on_field',
+  TARGET_NOT_ON_ENEMY_FIELD: 'target_not_on_enemy_field',
+  TARGET_NOT_ON_OWN_FIELD: 'target_not_on_own_field',
+  TARGET_NOT_ON_FIELD: 'target_not_on_field',
+  ITEM_NOT_OWNED: 'item_not_owned',
+  FIELD_FULL: 'field_full',
+  NOT_ENOUGH_ENERGY: 'not_enough_energy',
+  DEFENDING_NOT_ALLOWED: 'defending_not_allowed'
+};
+
+const reject = (code, message, details = {}) => ({ code, message, ...details });
+
+// Read one side of the battle state from that side's point of view
+const getSideState = (state, actor) => {
+  const isPlayer = actor === 'player';
+  return {
+    hand: (isPlayer ? state.playerHand : state.enemyHand) || [],
+    field: (isPlayer ? state.playerField : state.enemyField) || [],
+    energy: (isPlayer ? state.playerEnergy : state.enemyEnergy) || 0,
+    tools: (isPlayer ? state.playerTools : state.enemyTools) || [],
+    spells: (isPlayer ? state.playerSpells : state.enemySpells) || [],
+    opposingField: (isPlayer ? state.enemyField : state.playerField) || []
+  };
+};
+
+const includesCreature = (creatures, creature) => {
+  return !!creature && creatures.some(c => c.id === creature.id);
+};
+
+/**
+ * Maximum number of creatures a side may have on the field
+ * @param {Object} state - Battle state (needs difficulty for the enemy)
+ * @param {string} actor - 'player' or 'enemy'
+ * @returns {number} Field limit
+ */
+export const getFieldLimit = (state, actor) => {
+  const limits = getFieldSizeLimits(state.difficulty || 'easy');
+  return actor === 'player' ? limits.player : limits.enemy;
+};
+
+/**
+ * Energy an action costs under the battle rules (ignores costs the AI estimates itself)
+ * @param {Object} action - Action with type and creature
+ * @param {string} difficulty - Battle difficulty (the daily challenge can change spell costs)
+ * @returns {number} Energy cost
+ */
+export const getActionEnergyCost = (action, difficulty) => {
+  switch (action?.type) {
+    case 'deploy': {
+      // FIXED: Parse form as number to avoid string concatenation
+      const formLevel = parseInt(action.creature?.form) || 0;
+      return action.creature?.battleStats?.energyCost || (5 + formLevel);
+    }
+    case 'attack': return ATTACK_ENERGY_COST;
+    case 'defend': return DEFEND_ENERGY_COST;
+    case 'useSpell': return getSpellEnergyCost(difficulty);
+    case 'useTool': return TOOL_ENERGY_COST;
+    default: return 0;
+  }
+};
+
+/**
+ * Check whether an actor may take an action right now
+ * @param {Object} state - Battle state (fields, hands, energy, items; phase/gameState when available)
+ * @param {string} actor - 'player' or 'enemy'
+ * @param {Object} action - { type, creature, attacker, caster, target, tool, spell }
+ * @returns {Array} Rejection reasons - empty when the action is legal
+ */
+export const validateAction = (state, actor, action) => {
+  const reasons = [];
+
+  if (!state || !action || !action.type) {
+    return [reject(ACTION_REJECTIONS.UNKNOWN_ACTION, 'Unknown action')];
+  }
+
+  // Turn checks only apply when the caller has the full battle state
+  if (state.gameState && state.gameState !== 'battle') {
+    return [reject(ACTION_REJECTIONS.BATTLE_NOT_ACTIVE, 'The battle is not in progress')];
+  }
+  if (state.phase) {
+    const actorPhase = actor === 'player' ? BATTLE_PHASES.PLAYER_TURN : BATTLE_PHASES.ENEMY_TURN;
+    if (state.phase !== actorPhase) {
+      return [reject(ACTION_REJECTIONS.NOT_YOUR_TURN, 'It is not your turn')];
+    }
+  }
+
+  const side = getSideState(state, actor);
+  const energyCost = getActionEnergyCost(action, state.difficulty);
+
+  switch (action.type) {
+    case 'deploy': {
+      if (!action.creature) {
+        reasons.push(reject(ACTION_REJECTIONS.MISSING_CREATURE, 'No creature selected'));
+        break;
+      }
+      if (!includesCreature(side.hand, action.creature)) {
+        reasons.push(reject(ACTION_REJECTIONS.NOT_IN_HAND, `${action.creature.species_name} is not in hand`));
+      }
+      const fieldLimit = getFieldLimit(state, actor);
+      if (side.field.length >= fieldLimit) {
+        reasons.push(reject(ACTION_REJECTIONS.FIELD_FULL, `Battlefield is full (${fieldLimit} creatures)`, { limit: fieldLimit }));
+      }
+      break;
+    }
+
+    case 'attack':
+      if (!action.attacker) {
+        reasons.push(reject(ACTION_REJECTIONS.MISSING_CREATURE, 'No attacker selected'));
+      } else if (!includesCreature(side.field, action.attacker)) {
+        reasons.push(reject(ACTION_REJECTIONS.NOT_ON_FIELD, `${action.attacker.species_name} is not on the battlefield`));
+      }
+      if (!action.target) {
+        reasons.push(reject(ACTION_REJECTIONS.MISSING_TARGET, 'Select an enemy to attack'));
+      } else if (!includesCreature(side.opposingField, action.target)) {
+        reasons.push(reject(ACTION_REJECTIONS.TARGET_NOT_ON_ENEMY_FIELD, 'Target must be an enemy on the battlefield'));
+      }
+      break;
+
+    case 'defend':
+      if (!isDefendingAllowed(state.difficulty)) {
+        reasons.push(reject(ACTION_REJECTIONS.DEFENDING_NOT_ALLOWED, 'Defending is not allowed in this battle'));
+      }
+      if (!action.creature) {
+        reasons.push(reject(ACTION_REJECTIONS.MISSING_CREATURE, 'No creature selected'));
+      } else if (!includesCreature(side.field, action.creature)) {
+        reasons.push(reject(ACTION_REJECTIONS.NOT_ON_FIELD, `${action.creature.species_name} is not on the battlefield`));
+      }
+      break;
+
+    case 'useTool':
+      if (!action.tool) {
+        reasons.push(reject(ACTION_REJECTIONS.MISSING_ITEM, 'No tool selected'));
+      } else if (!side.tools.some(t => t.id === action.tool.id)) {
+        reasons.push(reject(ACTION_REJECTIONS.ITEM_NOT_OWNED, `${action.tool.name || 'Tool'} is not available`));
+      }
+      if (!action.target) {
+        reasons.push(reject(ACTION_REJECTIONS.MISSING_TARGET, 'No creature selected for the tool'));
+      } else if (!includesCreature(side.field, action.target)) {
+        reasons.push(reject(ACTION_REJECTIONS.TARGET_NOT_ON_OWN_FIELD, 'Tools can only be used on your own creatures'));
+      }
+      break;
+
+    case 'useSpell':
+      if (!action.spell) {
+        reasons.push(reject(ACTION_REJECTIONS.MISSING_ITEM, 'No spell selected'));
+      } else if (!side.spells.some(s => s.id === action.spell.id)) {
+        reasons.push(reject(ACTION_REJECTIONS.ITEM_NOT_OWNED, `${action.spell.name || 'Spell'} is not available`));
+      }
+      if (!action.caster) {
+        reasons.push(reject(ACTION_REJECTIONS.MISSING_CREATURE, 'No caster selected'));
+      } else if (!includesCreature(side.field, action.caster)) {
+        reasons.push(reject(ACTION_REJECTIONS.NOT_ON_FIELD, `${action.caster.species_name} is not on the battlefield`));
+      }
+      // No target means the caster targets itself
+      if (action.target && !includesCreature(side.field, action.target) && !includesCreature(side.opposingField, action.target)) {
+        reasons.push(reject(ACTION_REJECTIONS.TARGET_NOT_ON_FIELD, 'Spell target is not on the battlefield'));
+      }
+      break;
+
+    case 'endTurn':
+      return reasons;
+
+    default:
+      return [reject(ACTION_REJECTIONS.UNKNOWN_ACTION, `Unknown action: ${action.type}`)];
+  }
+
+  if (side.energy < energyCost) {
+    reasons.push(reject(
+      ACTION_REJECTIONS.NOT_ENOUGH_ENERGY,
+      `Not enough energy. Needs ${energyCost} energy.`,
+      { required: energyCost, available: side.energy }
+    ));
+  }
+
+  return reasons;
+};
+
+/**
+ * Convenience wrapper around validateAction
+ * @returns {boolean} True when the action is legal
+ */
+export const isActionLegal = (state, actor, action) => {
+  return validateAction(state, actor, action).length === 0;
+};
@@ -0,0 +1,115 @@
+// src/utils/aiPersonalities.js - NAMED ENEMY AI PERSONALITIES
+// A personality reweights the AI's scoring (which creature to deploy, which
+// target to focus, which spell and which defensive tool to use). Difficulty
+// still decides how well the AI plays; the personality decides how it likes to play.
+
+export const DEFAULT_AI_PERSONALITY = 'balanced';
+
+// Every weight is a multiplier on the matching term of the scoring function,
+// 1.0 everywhere reproduces the original behaviour
+const BALANCED_WEIGHTS = {
+  deployment: {
+    stats: 1.0,          // total stat points
+    attack: 1.0,         // best attack stat
+    health: 1.0,         // max health
+    synergy: 1.0,        // synergy with creatures already on the field
+    magicSpecialty: 1.0, // overall multiplier for magic specialists
+    costExponent: 1.0    // score is divided by energyCost ^ costExponent
+  },
+  targeting: {
+    lowHealth: 1.0,      // finishing off wounded targets
+    threat: 1.0,         // hitting the strongest attackers
+    rarity: 1.0,         // hitting epic and legendary creatures
+    typeAdvantage: 1.0   // targets we have a type advantage against
+  },
+  spell: {
+    damage: 1.0,
+    elimination: 1.0,
+    threat: 1.0,
+    caster: 1.0,         // bonus for magic-specialist casters
+    spread: 1.0          // bonus for spells that can affect several targets
+  },
+  defense: {
+    shield: 1.0,         // shields on wounded creatures
+    stamina: 1.0,        // stamina tools on tanky creatures
+    rarity: 1.0
+  }
+};
+
+// Build a personality from the balanced weights plus its overrides
+const withWeights = (overrides) => Object.keys(BALANCED_WEIGHTS).reduce((weights, group) => ({
+  ...weights,
+  [group]: { ...BALANCED_WEIGHTS[group], ...(overrides[group] || {}) }
+}), {});
+
+export const AI_PERSONALITIES = {
+  balanced: {
+    id: 'balanced',
+    name: 'Balanced',
+    icon: '⚖️',
+    description: 'No favourite tactic. Weighs every option evenly.',
+    weights: withWeights({})
+  },
+  aggressor: {
+    id: 'aggressor',
+    name: 'Aggressor',
+    icon: '🔥',
+    description: 'Fields its hardest hitters and goes for the kill on wounded creatures.',
+    weights: withWeights({
+      deployment: { attack: 1.7, health: 0.6, stats: 0.8 },
+      targeting: { lowHealth: 1.8, threat: 0.8, rarity: 0.7 },
+      spell: { damage: 1.4, elimination: 1.6, threat: 0.6 },
+      defense: { shield: 0.6, stamina: 0.5 }
+    })
+  },
+  turtle: {
+    id: 'turtle',
+    name: 'Turtle',
+    icon: '🐢',
+    description: 'Fields durable creatures, protects them with items and strikes down your biggest threats.',
+    weights: withWeights({
+      deployment: { attack: 0.6, health: 2.0, stats: 1.2 },
+      targeting: { lowHealth: 0.6, threat: 1.8, typeAdvantage: 1.3 },
+      spell: { damage: 0.8, threat: 1.6 },
+      defense: { shield: 1.6, stamina: 2.0, rarity: 0.6 }
+    })
+  },
+  spellslinger: {
+    id: 'spellslinger',
+    name: 'Spellslinger',
+    icon: '🔮',
+    description: 'Favours magic specialists and picks spells that hit as much as possible.',
+    weights: withWeights({
+      deployment: { magicSpecialty: 1.8, attack: 0.8 },
+      targeting: { rarity: 1.4 },
+      spell: { damage: 1.3, caster: 3.0, spread: 2.5 },
+      defense: { rarity: 1.5 }
+    })
+  },
+  swarm: {
+    id: 'swarm',
+    name: 'Swarm',
+    icon: '🐝',
+    description: 'Floods the field with cheap creatures that work together, picking off weak targets.',
+    weights: withWeights({
+      deployment: { costExponent: 1.8, synergy: 2.0, stats: 0.7 },
+      targeting: { lowHealth: 1.5, threat: 0.7, rarity: 0.5 },
+      spell: { spread: 2.0, elimination: 1.3 },
+      defense: { rarity: 0.5 }
+    })
+  }
+};
+
+export const AI_PERSONALITY_IDS = Object.keys(AI_PERSONALITIES);
+
+/**
+ * Look up a personality by id, falling back to the balanced one
+ * @param {string|Object} personality - Personality id (or an already resolved personality)
+ * @returns {Object} { id, name, icon, description, weights }
+ */
+export const getAIPersonality = (personality) => {
+  if (personality && typeof personality === 'object' && personality.weights) {
+    return personality;
+  }
+  return AI_PERSONALITIES[personality] || AI_PERSONALITIES[DEFAULT_AI_PERSONALITY];
+};
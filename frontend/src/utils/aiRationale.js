@@ -0,0 +1,84 @@
+// src/utils/aiRationale.js - STRUCTURED EXPLANATIONS FOR ENEMY AI DECISIONS
+// The AI attaches a rationale to every action it returns:
+// { reason, candidates: [{ label, score, chosen }], board }
+// so the battle UI can show what the enemy considered and why it picked what it did.
+
+// Only the best few alternatives are kept - enough to learn from, small enough to read
+const MAX_CANDIDATES = 5;
+
+const creatureName = (creature) => creature?.species_name || 'a creature';
+
+/**
+ * Short human-readable description of an AI action
+ * @param {Object} action - AI action ({ type, creature, attacker, target, ... })
+ * @returns {string}
+ */
+export const describeAction = (action) => {
+  if (!action) return 'Nothing';
+
+  switch (action.type) {
+    case 'deploy':
+      return `Deploy ${creatureName(action.creature)}`;
+    case 'attack':
+      return `${creatureName(action.attacker)} attacks ${creatureName(action.target)}`;
+    case 'defend':
+      return `${creatureName(action.creature)} defends`;
+    case 'useTool':
+      return `Use ${action.tool?.name || 'tool'} on ${creatureName(action.target)}`;
+    case 'useSpell':
+      return `${creatureName(action.caster)} casts ${action.spell?.name || 'a spell'} on ${creatureName(action.target)}`;
+    case 'endTurn':
+      return 'End turn';
+    default:
+      return action.type;
+  }
+};
+
+/**
+ * Build a rationale from a reason and the scored alternatives
+ * @param {string} reason - Why the chosen option won
+ * @param {Array} candidates - [{ label, score }] in any order
+ * @param {string} chosenLabel - Label of the option that was picked
+ * @returns {Object} { reason, candidates }
+ */
+export const createRationale = (reason, candidates = [], chosenLabel = null) => ({
+  reason,
+  candidates: [...candidates]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES)
+    .map(candidate => ({
+      label: candidate.label,
+      score: Math.round(candidate.score * 10) / 10,
+      chosen: candidate.label === chosenLabel
+    }))
+});
+
+/**
+ * Condense analyzeCompleteBoardState output into plain values the UI can show
+ * @param {Object} analysis - Board analysis from the AI
+ * @param {Object} personality - Resolved AI personality
+ * @returns {Object} Board summary
+ */
+export const summarizeBoard = (analysis, personality) => ({
+  enemyPower: Math.round(analysis.enemyTotalPower || 0),
+  playerPower: Math.round(analysis.playerTotalPower || 0),
+  threatened: (analysis.immediateThreats || []).map(creatureName),
+  critical: (analysis.criticalCreatures || []).map(creatureName),
+  weakTargets: (analysis.weakEnemies || []).map(creatureName),
+  aggressive: Boolean(analysis.shouldAttackAggressively),
+  personality: personality?.name || null
+});
+
+/**
+ * Make sure an action carries a rationale (fallback paths only know the action itself)
+ * @param {Object} action - AI action
+ * @param {string} reason - Reason to use when the action has none yet
+ * @param {Object} board - Optional board summary to attach
+ * @returns {Object} A copy of the action with a rationale
+ */
+export const withRationale = (action, reason, board = null) => {
+  if (!action) return action;
+
+  const rationale = action.rationale || createRationale(reason);
+  return { ...action, rationale: { ...rationale, board: rationale.board || board } };
+};
@@ -0,0 +1,629 @@
+// src/utils/apiClient.js - ONE CLIENT FOR EVERY /api ROUTE
+// Declares each route with its request and response shape, and gives every call the same
+// timeout, retry, de-duplication and error handling. Components use the `api` methods below.
+
+// ========== TYPES ==========
+
+/**
+ * @typedef {Object} Resources
+ * @property {number} tcorvax
+ * @property {number} catNips
+ * @property {number} energy
+ * @property {number} [eggs]
+ */
+
+/**
+ * @typedef {Object} Machine
+ * @property {number} id
+ * @property {string} type - catLair | reactor | amplifier | incubator | fomoHit
+ * @property {number} x
+ * @property {number} y
+ * @property {number} level
+ * @property {number} room
+ * @property {number} lastActivated - ms timestamp, 0 if never activated
+ * @property {number} isOffline
+ * @property {number} provisionalMint
+ */
+
+/**
+ * @typedef {Object} Pet
+ * @property {string|number} id
+ * @property {string} type
+ * @property {number} x
+ * @property {number} y
+ * @property {number} room
+ * @property {number} [parentMachine]
+ */
+
+/**
+ * @typedef {Object} GameState
+ * @property {number} tcorvax
+ * @property {number} catNips
+ * @property {number} energy
+ * @property {number} eggs
+ * @property {number} seenRoomUnlock
+ * @property {number} roomsUnlocked
+ * @property {Pet[]} pets
+ * @property {Machine[]} machines
+ * @property {number} [version] - Last change included (see GameStateChange)
+ */
+
+/**
+ * @typedef {Object} GameStateChange - One numbered change pushed by the live sync
+ * @property {number} version
+ * @property {Resources} [resources] - New totals of the resources that changed
+ * @property {Machine[]} [machines] - Machines that were added or changed
+ * @property {number[]} [removedMachineIds]
+ * @property {Pet[]} [pets] - Pets that were added or changed
+ * @property {Array<string|number>} [removedPetIds]
+ */
+
+/**
+ * @typedef {Object} Creature
+ * @property {string} id
+ * @property {string} species_id
+ * @property {string} species_name
+ * @property {number} form - 0 (egg) to 3
+ * @property {string} rarity
+ * @property {{energy: number, strength: number, magic: number, stamina: number, speed: number}} stats
+ * @property {string[]} specialty_stats
+ * @property {string} image_url
+ * @property {{stat_upgrades_completed: number, total_points_allocated: number}} evolution_progress
+ * @property {number} final_form_upgrades
+ * @property {number} combination_level
+ * @property {string} preferred_token
+ */
+
+/**
+ * @typedef {Object} Item - A tool (tool_type/tool_effect) or spell (spell_type/spell_effect)
+ * @property {string} id
+ * @property {string} name
+ * @property {string} rarity
+ * @property {string} image_url
+ * @property {string} [description]
+ * @property {string} [tool_type]
+ * @property {string} [tool_effect]
+ * @property {string} [spell_type]
+ * @property {string} [spell_effect]
+ */
+
+/**
+ * @typedef {Object} Cost
+ * @property {number} amount
+ * @property {string} token
+ */
+
+/**
+ * @typedef {Object} StatPoints
+ * @property {number} energy
+ * @property {number} strength
+ * @property {number} magic
+ * @property {number} stamina
+ * @property {number} speed
+ */
+
+/**
+ * @typedef {Object} TransactionStatusResponse - Gateway status wrapped by our status routes
+ * @property {{status: string, error_message?: string}} transactionStatus
+ * @property {boolean} [forceSuccess]
+ * @property {boolean} [shouldRetry]
+ * @property {Creature} [creatureNft] - checkCreatureMintStatus
+ * @property {Creature} [creature] - checkUpgradeStatus (evolved or upgraded creature, when sent)
+ * @property {Item} [bonusItem] - checkCreatureMintStatus
+ * @property {string} [status] - confirmEnergyPurchase ('ok' once credited)
+ * @property {number} [newEnergy] - confirmEnergyPurchase
+ */
+
+/**
+ * @typedef {Object} ActivateMachineResponse
+ * @property {Resources} [updatedResources]
+ * @property {number} [newLastActivated]
+ * @property {string} [message]
+ * @property {number} [reward]
+ * @property {number} [baseReward]
+ * @property {number} [bonusReward]
+ * @property {number} [eggsReward]
+ * @property {number} [stakedCVX]
+ * @property {boolean} [requiresMint]
+ * @property {string} [manifest]
+ */
+
+/**
+ * @typedef {Object} BattleCreature - A creature as it ended a battle
+ * @property {string} id
+ * @property {string} species_name
+ * @property {number} form
+ * @property {string} rarity
+ * @property {number} [currentHealth] - Survivors only
+ * @property {number} [maxHealth] - Survivors only
+ */
+
+/**
+ * @typedef {Object} BattleResultSubmission
+ * @property {string} accountAddress - Account whose inventory receives item rewards
+ * @property {string} result - 'victory' or 'defeat'
+ * @property {string} difficulty - A difficulty id, 'campaign:<stage id>', 'daily:<YYYY-MM-DD>' or 'gauntlet:<wave>'
+ * @property {number} turns
+ * @property {BattleCreature[]} loadout - Player creatures brought into the battle
+ * @property {BattleCreature[]} survivors - Player creatures still standing, on the field, in hand or in the deck
+ * @property {BattleCreature[]} defeated - Enemy creatures knocked out
+ * @property {BattleCreature[]} creaturesUsed - Player creatures deployed during the battle
+ * @property {Array<{id: string, name: string, rarity: string}>} toolsUsed
+ * @property {Array<{id: string, name: string, rarity: string}>} spellsUsed
+ * @property {number} teamRating - calculateTeamRating() of the player's creatures
+ * @property {string} replayHash - hashReplay() of the battle's replay; one credit per hash
+ */
+
+/**
+ * @typedef {Object} BattleRecord - A submitted battle as the server stored it
+ * @property {number} id - Battle number, counting up
+ * @property {string} replayHash
+ * @property {string} accountAddress
+ * @property {number} submittedAt - ms timestamp
+ * @property {BattleRewards} rewards
+ * @property {string} result
+ * @property {string} difficulty
+ * @property {number} turns
+ * @property {BattleCreature[]} loadout
+ * @property {BattleCreature[]} survivors
+ * @property {BattleCreature[]} defeated
+ * @property {BattleCreature[]} creaturesUsed
+ * @property {Array<{id: string, name: string, rarity: string}>} toolsUsed
+ * @property {Array<{id: string, name: string, rarity: string}>} spellsUsed
+ * @property {number} teamRating
+ */
+
+/**
+ * @typedef {Object} BattleRewards
+ * @property {number} experience
+ * @property {number} currency - Credited as TCorvax
+ * @property {Item[]} items - Added to the account's tools and spells
+ */
+
+/**
+ * @typedef {Object} CampaignProgress
+ * @property {string[]} clearedStages - Ids of the campaign stages won, in the order first cleared
+ * @property {boolean} [firstClear] - submitBattleResult: this battle cleared the stage for the first time
+ */
+
+/**
+ * @typedef {Object} DailyStanding - submitBattleResult for a daily challenge ('daily:<YYYY-MM-DD>')
+ * @property {string} date
+ * @property {number} score - This battle's score (0 for a defeat)
+ * @property {number} bestScore - The account's best score for the day
+ * @property {?number} rank - Leaderboard position, null until the account has a win that day
+ */
+
+/**
+ * @typedef {Object} DailyLeaderboardEntry
+ * @property {number} rank
+ * @property {string} accountAddress
+ * @property {string} playerName
+ * @property {number} score
+ * @property {number} turns
+ * @property {number} survivingHp
+ * @property {number} submittedAt
+ */
+
+/**
+ * @typedef {Object} GauntletProgress
+ * @property {number} bestWave - Highest gauntlet wave reached (0 before the first run)
+ * @property {number} [wave] - submitBattleResult: the wave this battle was fought on
+ * @property {boolean} [newBest] - submitBattleResult: this battle set the best wave
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancels the request (and skips de-duplication)
+ * @property {number} [timeoutMs] - Overrides the route's timeout
+ * @property {number} [retries] - Overrides the route's retry count
+ */
+
+// ========== ROUTES ==========
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// First retry waits this long, then doubles
+const RETRY_DELAY_MS = 500;
+
+/**
+ * Every route the frontend calls.
+ * retries - extra attempts after network errors, timeouts and 5xx responses (reads only)
+ * dedupe - identical calls made while one is in flight share its result (reads only)
+ */
+export const API_ROUTES = {
+  // Player and game state
+  whoami: { method: 'GET', path: '/api/whoami', retries: 2, dedupe: true },
+  getGameState: { method: 'GET', path: '/api/getGameState', retries: 2, dedupe: true },
+  getGameStateChanges: { method: 'POST', path: '/api/getGameStateChanges', dedupe: true },
+  dismissRoomUnlock: { method: 'POST', path: '/api/dismissRoomUnlock' },
+  saveRadixAccount: { method: 'POST', path: '/api/saveRadixAccount' },
+
+  // Machines
+  buildMachine: { method: 'POST', path: '/api/buildMachine' },
+  upgradeMachine: { method: 'POST', path: '/api/upgradeMachine' },
+  moveMachine: { method: 'POST', path: '/api/moveMachine' },
+  activateMachine: { method: 'POST', path: '/api/activateMachine', timeoutMs: 30000 },
+  syncLayout: { method: 'POST', path: '/api/syncLayout' },
+
+  // Pets and energy
+  getPets: { method: 'GET', path: '/api/getPets', retries: 2, dedupe: true },
+  buyPet: { method: 'POST', path: '/api/buyPet' },
+  movePet: { method: 'POST', path: '/api/movePet' },
+  buyEnergy: { method: 'POST', path: '/api/buyEnergy' },
+
+  // Battles
+  submitBattleResult: { method: 'POST', path: '/api/submitBattleResult' },
+  getBattleHistory: { method: 'POST', path: '/api/getBattleHistory', retries: 2, dedupe: true },
+  getCampaignProgress: { method: 'POST', path: '/api/getCampaignProgress', retries: 2, dedupe: true },
+  getDailyLeaderboard: { method: 'POST', path: '/api/getDailyLeaderboard', retries: 2, dedupe: true },
+  getGauntletProgress: { method: 'POST', path: '/api/getGauntletProgress', retries: 2, dedupe: true },
+
+  // NFTs and balances
+  getUserCreatures: { method: 'POST', path: '/api/getUserCreatures', timeoutMs: 30000, retries: 2, dedupe: true },
+  getUserItems: { method: 'POST', path: '/api/getUserItems', timeoutMs: 30000, retries: 2, dedupe: true },
+  checkXrdBalance: { method: 'POST', path: '/api/checkXrdBalance', retries: 2, dedupe: true },
+  checkTokenBalance: { method: 'POST', path: '/api/checkTokenBalance', retries: 2, dedupe: true },
+
+  // Manifests
+  getCreatureMintManifest: { method: 'POST', path: '/api/getCreatureMintManifest' },
+  getEvolveManifest: { method: 'POST', path: '/api/getEvolveManifest', retries: 1, dedupe: true },
+  getUpgradeStatsManifest: { method: 'POST', path: '/api/getUpgradeStatsManifest', retries: 1, dedupe: true },
+
+  // Transaction status - TransactionService does its own polling, so no retries here
+  checkMintStatus: { method: 'POST', path: '/api/checkMintStatus', dedupe: true },
+  checkCreatureMintStatus: { method: 'POST', path: '/api/checkCreatureMintStatus', dedupe: true },
+  checkUpgradeStatus: { method: 'POST', path: '/api/checkUpgradeStatus', dedupe: true },
+  confirmEnergyPurchase: { method: 'POST', path: '/api/confirmEnergyPurchase', dedupe: true }
+};
+
+/**
+ * Server-sent event streams (opened with EventSource, not apiRequest)
+ */
+export const API_STREAMS = {
+  gameState: '/api/gameStateStream' // ?since=<version>; see GameStateSync
+};
+
+// ========== ERRORS ==========
+
+/**
+ * What went wrong with a request
+ */
+export const API_ERROR_CODES = {
+  HTTP: 'http',         // Server answered with a non-2xx status
+  NETWORK: 'network',   // Request never got an answer
+  TIMEOUT: 'timeout',
+  ABORTED: 'aborted',   // Cancelled through the caller's signal
+  PARSE: 'parse',       // Answer was not JSON
+  UNKNOWN_ROUTE: 'unknownRoute'
+};
+
+/**
+ * The one error type every API call rejects with.
+ * message is the server's `error` text when it sent one.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.route - Route name from API_ROUTES
+   * @param {string} details.code - One of API_ERROR_CODES
+   * @param {number} [details.status] - HTTP status
+   * @param {Object} [details.data] - Parsed response body (e.g. { error, remainingMs })
+   */
+  constructor(message, { route, code, status = null, data = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.route = route;
+    this.code = code;
+    this.status = status;
+    this.data = data;
+  }
+
+  get isAborted() {
+    return this.code === API_ERROR_CODES.ABORTED;
+  }
+}
+
+const isRetryable = (error) => (
+  error.code === API_ERROR_CODES.NETWORK ||
+  error.code === API_ERROR_CODES.TIMEOUT ||
+  (error.code === API_ERROR_CODES.HTTP && error.status >= 500)
+);
+
+// ========== REQUESTS ==========
+
+// De-duplication key -> in-flight promise
+const inFlight = new Map();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const sendOnce = async (routeName, route, body, timeoutMs, signal) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', abortFromCaller);
+  }
+
+  let response;
+  let text;
+  try {
+    response = await fetch(route.path, {
+      method: route.method,
+      headers: route.method === 'POST' ? { 'Content-Type': 'application/json' } : undefined,
+      body: route.method === 'POST' ? JSON.stringify(body || {}) : undefined,
+      credentials: 'same-origin',
+      signal: controller.signal
+    });
+    text = await response.text();
+  } catch (error) {
+    if (timedOut) {
+      throw new ApiError(`${routeName} timed out after ${timeoutMs}ms`, { route: routeName, code: API_ERROR_CODES.TIMEOUT });
+    }
+    if (controller.signal.aborted) {
+      throw new ApiError(`${routeName} was cancelled`, { route: routeName, code: API_ERROR_CODES.ABORTED });
+    }
+    throw new ApiError(`Network error calling ${routeName}: ${error.message}`, { route: routeName, code: API_ERROR_CODES.NETWORK });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abortFromCaller);
+  }
+
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    if (response.ok) {
+      throw new ApiError(`${routeName} returned invalid JSON`, {
+        route: routeName,
+        code: API_ERROR_CODES.PARSE,
+        status: response.status
+      });
+    }
+  }
+
+  if (!response.ok) {
+    throw new ApiError(data?.error || `HTTP error! status: ${response.status}`, {
+      route: routeName,
+      code: API_ERROR_CODES.HTTP,
+      status: response.status,
+      data
+    });
+  }
+
+  return data;
+};
+
+const sendWithRetries = async (routeName, route, body, options) => {
+  const timeoutMs = options.timeoutMs ?? route.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const retries = options.retries ?? route.retries ?? 0;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendOnce(routeName, route, body, timeoutMs, options.signal);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error) || options.signal?.aborted) {
+        throw error;
+      }
+      console.log(`Retrying ${routeName} after ${error.code} error (attempt ${attempt + 2} of ${retries + 1})`);
+      await wait(RETRY_DELAY_MS * Math.pow(2, attempt));
+    }
+  }
+};
+
+/**
+ * Call a route by name. Prefer the typed `api` methods below.
+ * @param {string} routeName - Key of API_ROUTES
+ * @param {Object} [body] - JSON body for POST routes
+ * @param {RequestOptions} [options]
+ * @returns {Promise<*>} Parsed response body; rejects with ApiError
+ */
+export const apiRequest = (routeName, body = undefined, options = {}) => {
+  const route = API_ROUTES[routeName];
+  if (!route) {
+    return Promise.reject(new ApiError(`Unknown API route: ${routeName}`, {
+      route: routeName,
+      code: API_ERROR_CODES.UNKNOWN_ROUTE
+    }));
+  }
+
+  // A caller with its own signal wants its own request
+  const key = route.dedupe && !options.signal ? `${routeName}|${JSON.stringify(body ?? null)}` : null;
+  if (key && inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = sendWithRetries(routeName, route, body, options).finally(() => {
+    if (key) inFlight.delete(key);
+  });
+  if (key) inFlight.set(key, promise);
+  return promise;
+};
+
+// ========== TYPED ROUTES ==========
+
+export const api = {
+  /** @returns {Promise<{loggedIn: boolean, firstName?: string}>} */
+  whoami: (options) => apiRequest('whoami', undefined, options),
+
+  /** @returns {Promise<GameState>} */
+  getGameState: (options) => apiRequest('getGameState', undefined, options),
+
+  /**
+   * Polling fallback for the game state stream
+   * @param {{since: number|null}} body
+   * @returns {Promise<{version: number, changes: GameStateChange[], resync?: boolean}>}
+   */
+  getGameStateChanges: (body, options) => apiRequest('getGameStateChanges', body, options),
+
+  /** @returns {Promise<Object>} */
+  dismissRoomUnlock: (options) => apiRequest('dismissRoomUnlock', {}, options),
+
+  /**
+   * @param {{accountAddress: string}} body
+   * @returns {Promise<Object>}
+   */
+  saveRadixAccount: (body, options) => apiRequest('saveRadixAccount', body, options),
+
+  /**
+   * @param {{machineType: string, x: number, y: number, room: number}} body
+   * @returns {Promise<{newResources: Resources, roomsUnlocked: number}>}
+   */
+  buildMachine: (body, options) => apiRequest('buildMachine', body, options),
+
+  /**
+   * @param {{machineId: number}} body
+   * @returns {Promise<{newResources: Resources, newLevel: number}>}
+   */
+  upgradeMachine: (body, options) => apiRequest('upgradeMachine', body, options),
+
+  /**
+   * @param {{machineId: number, x: number, y: number, room: number}} body
+   * @returns {Promise<{newResources: {tcorvax: number}, newPosition: {x: number, y: number, room: number}}>}
+   */
+  moveMachine: (body, options) => apiRequest('moveMachine', body, options),
+
+  /**
+   * Cooldown errors carry data.remainingMs
+   * @param {{machineId: number, accountAddress?: string}} body
+   * @returns {Promise<ActivateMachineResponse>}
+   */
+  activateMachine: (body, options) => apiRequest('activateMachine', body, options),
+
+  /**
+   * @param {{machines: Array<{id: number, x: number, y: number, room: number}>}} body
+   * @returns {Promise<Object>}
+   */
+  syncLayout: (body, options) => apiRequest('syncLayout', body, options),
+
+  /** @returns {Promise<Pet[]>} */
+  getPets: (options) => apiRequest('getPets', undefined, options),
+
+  /**
+   * @param {{petType: string, x: number, y: number, room: number, parentMachine: ?number}} body
+   * @returns {Promise<{newResources: {catNips: number}, petId: string|number, petType: string,
+   *   position: {x: number, y: number, room: number}}>}
+   */
+  buyPet: (body, options) => apiRequest('buyPet', body, options),
+
+  /**
+   * @param {{petId: string|number, x: number, y: number, room: number}} body
+   * @returns {Promise<{newPosition: {x: number, y: number, room: number}}>}
+   */
+  movePet: (body, options) => apiRequest('movePet', body, options),
+
+  /**
+   * @param {{accountAddress: string}} body
+   * @returns {Promise<{manifest: string}>}
+   */
+  buyEnergy: (body, options) => apiRequest('buyEnergy', body, options),
+
+  /**
+   * Resubmitting a replay hash returns the rewards already credited for it (duplicate: true).
+   * Campaign stages (difficulty 'campaign:<stage id>') must be unlocked and also return the
+   * campaign progress. Daily challenges (difficulty 'daily:<YYYY-MM-DD>') are accepted on the
+   * day and the day after, and also return the account's standing. Gauntlet waves
+   * (difficulty 'gauntlet:<wave>') are accepted in order - wave 1, or the wave after the
+   * last one won - and also return the best wave reached.
+   * @param {BattleResultSubmission} body
+   * @returns {Promise<{rewards: BattleRewards, newResources: Resources, battleExperience: number, duplicate?: boolean,
+   *   campaign?: CampaignProgress, daily?: DailyStanding, gauntlet?: GauntletProgress}>}
+   */
+  submitBattleResult: (body, options) => apiRequest('submitBattleResult', body, options),
+
+  /**
+   * Newest battles first, a page at a time. The first page (no `before`) also carries
+   * the profile built from every battle (see buildBattleProfile).
+   * @param {{before?: number, limit?: number}} body - before: id of the oldest record already shown
+   * @returns {Promise<{results: BattleRecord[], hasMore: boolean, profile?: Object, battleExperience?: number}>}
+   */
+  getBattleHistory: (body, options) => apiRequest('getBattleHistory', body, options),
+
+  /** @returns {Promise<CampaignProgress>} */
+  getCampaignProgress: (options) => apiRequest('getCampaignProgress', {}, options),
+
+  /**
+   * Best daily challenge wins, one per account
+   * @param {{date?: string, accountAddress?: string, limit?: number}} body - date defaults to today (UTC)
+   * @returns {Promise<{date: string, modifier: {id: string, name: string, description: string},
+   *   entries: DailyLeaderboardEntry[], playerEntry: ?DailyLeaderboardEntry}>}
+   */
+  getDailyLeaderboard: (body, options) => apiRequest('getDailyLeaderboard', body, options),
+
+  /** @returns {Promise<GauntletProgress>} */
+  getGauntletProgress: (options) => apiRequest('getGauntletProgress', {}, options),
+
+  /**
+   * @param {{accountAddress: string}} body
+   * @returns {Promise<{creatures: Creature[]}>}
+   */
+  getUserCreatures: (body, options) => apiRequest('getUserCreatures', body, options),
+
+  /**
+   * @param {{accountAddress: string}} body
+   * @returns {Promise<{tools: Item[], spells: Item[]}>}
+   */
+  getUserItems: (body, options) => apiRequest('getUserItems', body, options),
+
+  /**
+   * @param {{accountAddress: string, forceRefresh?: boolean}} body
+   * @returns {Promise<{xrdBalance: number, statusMessage?: string}>}
+   */
+  checkXrdBalance: (body, options) => apiRequest('checkXrdBalance', body, options),
+
+  /**
+   * @param {{accountAddress: string, tokenSymbol: string}} body
+   * @returns {Promise<{tokenBalance: number}>}
+   */
+  checkTokenBalance: (body, options) => apiRequest('checkTokenBalance', body, options),
+
+  /**
+   * @param {{accountAddress: string}} body
+   * @returns {Promise<{manifest: string}>}
+   */
+  getCreatureMintManifest: (body, options) => apiRequest('getCreatureMintManifest', body, options),
+
+  /**
+   * @param {{accountAddress: string, creatureId: string, creatureData: Creature}} body
+   * @returns {Promise<{manifest: string, cost: Cost}>}
+   */
+  getEvolveManifest: (body, options) => apiRequest('getEvolveManifest', body, options),
+
+  /**
+   * @param {{accountAddress: string, creatureId: string, creatureData: Creature} & StatPoints} body
+   * @returns {Promise<{manifest: string, cost: Cost}>}
+   */
+  getUpgradeStatsManifest: (body, options) => apiRequest('getUpgradeStatsManifest', body, options),
+
+  /**
+   * @param {{intentHash: string, machineId: number}} body
+   * @returns {Promise<TransactionStatusResponse>}
+   */
+  checkMintStatus: (body, options) => apiRequest('checkMintStatus', body, options),
+
+  /**
+   * @param {{intentHash: string}} body
+   * @returns {Promise<TransactionStatusResponse>}
+   */
+  checkCreatureMintStatus: (body, options) => apiRequest('checkCreatureMintStatus', body, options),
+
+  /**
+   * @param {{intentHash: string, creatureId: string, checkCount: number}} body
+   * @returns {Promise<TransactionStatusResponse>}
+   */
+  checkUpgradeStatus: (body, options) => apiRequest('checkUpgradeStatus', body, options),
+
+  /**
+   * @param {{intentHash: string}} body
+   * @returns {Promise<TransactionStatusResponse>}
+   */
+  confirmEnergyPurchase: (body, options) => apiRequest('confirmEnergyPurchase', body, options)
+};
+
+export default api;
@@ -1,13 +1,17 @@
 // src/utils/battleAI.js - FIXED VERSION WITH ALL CORRECTIONS
-import { getDifficultySettings } from './difficultySettings';
+import { getDifficultySettings, getFieldSizeLimits, getAITier } from './difficultySettings';
+import { validateAction, getActionEnergyCost } from './actionValidator';
+import { determineLookaheadAction } from './battleLookahead';
+import { getAIPersonality, DEFAULT_AI_PERSONALITY } from './aiPersonalities';
+import { createRationale, describeAction, summarizeBoard, withRationale } from './aiRationale';
 
 // Get max enemy field size based on difficulty
 const getMaxEnemyFieldSize = (difficulty) => {
-  const settings = getDifficultySettings(difficulty);
-  return settings.maxFieldSize || 3;
+  return getFieldSizeLimits(difficulty).enemy;
 };
 
 // FIXED: Enhanced AI action determination with proper energy validation and unique creature instances
+// NEW: Every returned action carries a rationale ({ reason, candidates, board }) - see aiRationale.js
 export const determineAIAction = (
   difficulty, 
   enemyHand, 
@@ -15,7 +19,9 @@ export const determineAIAction = (
   playerField, 
   enemyTools = [], 
   enemySpells = [], 
-  enemyEnergy = 10
+  enemyEnergy = 10,
+  rng = Math.random,
+  personality = DEFAULT_AI_PERSONALITY
 ) => {
   console.log(`AI Turn - Difficulty: ${difficulty}, Energy: ${enemyEnergy}, Hand: ${enemyHand.length}, Field: ${enemyField.length}`);
   console.log(`Available items - Tools: ${enemyTools.length}, Spells: ${enemySpells.length}`);
@@ -24,6 +30,10 @@ export const determineAIAction = (
   const difficultySettings = getDifficultySettings(difficulty);
   const maxFieldSize = getMaxEnemyFieldSize(difficulty);
   
+  // NEW: Personality reweights how the planner scores its options
+  const aiPersonality = getAIPersonality(personality);
+  console.log(`AI Personality: ${aiPersonality.name}`);
+  
   // FIXED: Ensure we always return a valid action
   try {
     // Check if we have any valid actions available
@@ -34,17 +44,32 @@ export const determineAIAction = (
     // If we have no creatures anywhere and no energy, end turn
     if (!hasCreaturesInHand && !hasCreaturesOnField) {
       console.log("AI: No creatures available, ending turn");
-      return { type: 'endTurn' };
+      return { type: 'endTurn', rationale: createRationale('No creatures left in hand or on the field') };
     }
     
     // If we have no energy at all, end turn
     if (!hasEnergyToAct) {
       console.log("AI: No energy available, ending turn");
-      return { type: 'endTurn' };
+      return { type: 'endTurn', rationale: createRationale('No energy left this turn') };
+    }
+    
+    // NEW: Master AI searches one action at a time with the real battle rules
+    // (it scores outcomes rather than options, so the personality does not apply)
+    if (getAITier(difficulty) === 'master') {
+      const lookaheadAction = determineLookaheadAction(
+        { difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy },
+        { timeBudgetMs: difficultySettings.thinkingTimeMs },
+        rng
+      );
+      if (lookaheadAction) {
+        return lookaheadAction;
+      }
+      // FIXED: Out of thinking time before the search finished anything - plan like the other tiers
+      console.log("AI: Lookahead found nothing in time, falling back to the planner");
     }
     
     // Check if multi-action turn should be executed
-    const shouldMultiAction = Math.random() < (difficultySettings.multiActionChance || 0.3);
+    const shouldMultiAction = rng() < (difficultySettings.multiActionChance || 0.3);
     const hasEnergyForMultiple = enemyEnergy >= 4; // At least 2 actions worth
     
     // Multi-action planning system with item usage
@@ -57,7 +82,8 @@ export const determineAIAction = (
       enemySpells,
       enemyEnergy,
       maxFieldSize,
-      difficultySettings
+      difficultySettings,
+      aiPersonality
     );
     
     if (actionPlan && actionPlan.length > 0) {
@@ -73,15 +99,16 @@ export const determineAIAction = (
       
       if (validActions.length === 0) {
         console.log("AI: No valid actions found, ending turn");
-        return { type: 'endTurn' };
+        return { type: 'endTurn', rationale: createRationale('None of the planned actions were complete') };
       }
       
       // Return array of actions for multi-action turns
       if (shouldMultiAction && hasEnergyForMultiple && validActions.length > 1) {
         console.log(`AI executing MULTI-ACTION turn with ${validActions.length} actions`);
-        const maxActions = difficulty === 'expert' ? 5 : 
-                          difficulty === 'hard' ? 4 : 
-                          difficulty === 'medium' ? 3 : 2;
+        const aiTier = getAITier(difficulty);
+        const maxActions = aiTier === 'expert' ? 5 : 
+                          aiTier === 'hard' ? 4 : 
+                          aiTier === 'medium' ? 3 : 2;
         
         const multiActions = validActions.slice(0, Math.min(maxActions, validActions.length));
         console.log(`Returning ${multiActions.length} actions for multi-action turn`);
@@ -102,16 +129,24 @@ export const determineAIAction = (
       enemyTools, 
       enemySpells, 
       enemyEnergy, 
-      maxFieldSize
+      maxFieldSize,
+      rng,
+      aiPersonality
     );
     
     // FIXED: Ensure we always return a valid action
     if (!singleAction || singleAction.type === undefined) {
       console.log("AI: Fallback - ending turn");
-      return { type: 'endTurn' };
+      return { type: 'endTurn', rationale: createRationale('No useful action found') };
     }
     
-    return singleAction;
+    // NEW: Fallback rules only know the action they picked
+    return withRationale(
+      singleAction,
+      singleAction.type === 'endTurn'
+        ? 'No action passed the rules check'
+        : `No multi-action plan - ${getAITier(difficulty)} AI fallback rule`
+    );
     
   } catch (error) {
     console.error("AI Error:", error);
@@ -129,7 +164,8 @@ const planOptimalActionsWithItems = (
   enemySpells, 
   enemyEnergy, 
   maxFieldSize, 
-  settings
+  settings,
+  personality = getAIPersonality()
 ) => {
   const actions = [];
   let remainingEnergy = enemyEnergy;
@@ -152,17 +188,30 @@ const planOptimalActionsWithItems = (
   
   console.log("Enhanced Board Analysis:", boardAnalysis);
   
+  // NEW: Kept with every planned action so the UI can explain the turn
+  const board = summarizeBoard(boardAnalysis, personality);
+  
   // PRIORITY 0: Use defensive items if in critical danger
   if (boardAnalysis.criticalCreatures.length > 0 && availableTools.length > 0 && remainingEnergy >= 0) {
-    const defensiveItem = findBestDefensiveItem(availableTools, boardAnalysis.criticalCreatures[0]);
+    const criticalCreature = boardAnalysis.criticalCreatures[0];
+    const defensiveItem = findBestDefensiveItem(availableTools, criticalCreature, personality);
     if (defensiveItem) {
-      actions.push({
+      const action = {
         type: 'useTool',
         tool: defensiveItem,
-        target: boardAnalysis.criticalCreatures[0],
+        target: criticalCreature,
         energyCost: 0,
         priority: 'critical'
-      });
+      };
+      action.rationale = createRationale(
+        `${criticalCreature.species_name} is critically wounded - protecting it comes first`,
+        availableTools.filter(isDefensiveTool).map(tool => ({
+          label: describeAction({ type: 'useTool', tool, target: criticalCreature }),
+          score: scoreDefensiveTool(tool, criticalCreature, personality)
+        })),
+        describeAction(action)
+      );
+      actions.push(action);
       availableTools = availableTools.filter(t => t.id !== defensiveItem.id);
     }
   }
@@ -180,6 +229,9 @@ const planOptimalActionsWithItems = (
       // Add all lethal spell actions
       lethalSpellCombo.forEach(spellAction => {
         if (remainingEnergy >= spellAction.energyCost) {
+          spellAction.rationale = createRationale(
+            `Lethal check passed - spells can clear most of your field (about ${spellAction.estimatedDamage} damage from this one)`
+          );
           actions.push(spellAction);
           remainingEnergy -= spellAction.energyCost;
           availableSpells = availableSpells.filter(s => s.id !== spellAction.spell.id);
@@ -203,7 +255,8 @@ const planOptimalActionsWithItems = (
             tool: shieldTool,
             target: threat,
             energyCost: 0,
-            priority: 'emergency'
+            priority: 'emergency',
+            rationale: createRationale(`${threat.species_name} is below 30% health - shielding it`)
           });
           availableTools = availableTools.filter(t => t.id !== shieldTool.id);
         } else if (remainingEnergy >= 1) {
@@ -211,7 +264,8 @@ const planOptimalActionsWithItems = (
             type: 'defend',
             creature: threat,
             energyCost: 1,
-            priority: 'emergency'
+            priority: 'emergency',
+            rationale: createRationale(`${threat.species_name} is below 30% health and there is no shield to use - defending`)
           });
           remainingEnergy -= 1;
         }
@@ -238,7 +292,8 @@ const planOptimalActionsWithItems = (
       maxFieldSize, 
       deploymentAnalysis.urgency,
       difficulty,
-      deployedCreatureIds
+      deployedCreatureIds,
+      personality
     );
     
     for (const deployment of deploymentActions) {
@@ -261,18 +316,25 @@ const planOptimalActionsWithItems = (
       availableSpells, 
       currentField, 
       playerField, 
-      remainingEnergy
+      remainingEnergy,
+      personality
     );
     
     if (offensiveSpell && remainingEnergy >= 4) {
-      actions.push({
+      const action = {
         type: 'useSpell',
         spell: offensiveSpell.spell,
         caster: offensiveSpell.caster,
         target: offensiveSpell.target,
         energyCost: 4,
         priority: 'offensive'
-      });
+      };
+      action.rationale = createRationale(
+        'Best spell score (damage, elimination chance, target threat) before attacking',
+        offensiveSpell.candidates,
+        describeAction(action)
+      );
+      actions.push(action);
       remainingEnergy -= 4;
       availableSpells = availableSpells.filter(s => s.id !== offensiveSpell.spell.id);
     }
@@ -291,7 +353,8 @@ const planOptimalActionsWithItems = (
         tool: attackBuff,
         target: bestAttacker,
         energyCost: 0,
-        priority: 'buff'
+        priority: 'buff',
+        rationale: createRationale(`Buffing ${bestAttacker.species_name}, the strongest attacker, before the attacks`)
       });
       availableTools = availableTools.filter(t => t.id !== attackBuff.id);
     }
@@ -304,7 +367,8 @@ const planOptimalActionsWithItems = (
       playerField, 
       remainingEnergy, 
       settings.aggressionLevel,
-      boardAnalysis
+      boardAnalysis,
+      personality
     );
     
     for (const attack of attackSequence) {
@@ -336,45 +400,51 @@ const planOptimalActionsWithItems = (
     actions.map(a => `${a.type}(cost:${a.energyCost})`)
   );
   
-  // FIXED: Strictly validate energy costs before returning
+  // FIXED: Validate the plan with the same rules the player follows, action by action
+  const planState = createPlanState(difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy);
   const validatedActions = [];
-  let totalEnergyCost = 0;
   
   for (const action of actions) {
-    const actionCost = action.energyCost || 0;
-    if (totalEnergyCost + actionCost <= enemyEnergy) {
-      // FIXED: Ensure action has all required properties
-      if (validateAction(action)) {
-        validatedActions.push(action);
-        totalEnergyCost += actionCost;
-      }
-    } else {
-      console.log(`Skipping action ${action.type} - would exceed energy budget (${totalEnergyCost + actionCost} > ${enemyEnergy})`);
-      break;
+    const rejections = validateAction(planState, 'enemy', action);
+    if (rejections.length > 0) {
+      console.log(`Skipping action ${action.type}:`, rejections.map(r => r.code).join(', '));
+      continue;
     }
+    validatedActions.push(withRationale(action, 'Planned action', board));
+    applyPlannedAction(planState, action);
   }
   
   return validatedActions;
 };
 
-// FIXED: Validate action has all required properties
-const validateAction = (action) => {
+// Battle state as seen by the enemy while planning (no phase - turn checks are skipped)
+const createPlanState = (difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy) => ({
+  difficulty,
+  enemyHand: [...enemyHand],
+  enemyField: [...enemyField],
+  playerField: [...playerField],
+  enemyTools: [...enemyTools],
+  enemySpells: [...enemySpells],
+  enemyEnergy
+});
+
+// Project a planned action onto the plan state so later actions are validated against it
+const applyPlannedAction = (planState, action) => {
+  planState.enemyEnergy -= getActionEnergyCost(action, planState.difficulty);
+  
   switch (action.type) {
     case 'deploy':
-      return action.creature && action.creature.id && action.creature.battleStats;
-    case 'attack':
-      return action.attacker && action.target && action.attacker.id && action.target.id;
-    case 'defend':
-      return action.creature && action.creature.id;
+      planState.enemyHand = planState.enemyHand.filter(c => c.id !== action.creature.id);
+      planState.enemyField = [...planState.enemyField, action.creature];
+      break;
     case 'useTool':
-      return action.tool && action.target && action.tool.id && action.target.id;
+      planState.enemyTools = planState.enemyTools.filter(t => t.id !== action.tool.id);
+      break;
     case 'useSpell':
-      return action.spell && action.caster && action.target && 
-             action.spell.id && action.caster.id && action.target.id;
-    case 'endTurn':
-      return true;
+      planState.enemySpells = planState.enemySpells.filter(s => s.id !== action.spell.id);
+      break;
     default:
-      return false;
+      break;
   }
 };
 
@@ -465,7 +535,7 @@ const analyzeCompleteBoardState = (enemyField, playerField, enemyHand, enemyEner
     healthAdvantage ||
     numericalAdvantage ||
     canFinishTargets ||
-    (difficulty === 'hard' || difficulty === 'expert') ||
+    ['hard', 'expert', 'master'].includes(getAITier(difficulty)) ||
     (highTension && analysis.enemyTotalPower >= analysis.playerTotalPower)
   );
   
@@ -526,7 +596,8 @@ const planDeploymentWave = (
   maxFieldSize, 
   urgency, 
   difficulty,
-  deployedCreatureIds
+  deployedCreatureIds,
+  personality = getAIPersonality()
 ) => {
   const deployments = [];
   const fieldSpace = maxFieldSize - currentField.length;
@@ -534,7 +605,7 @@ const planDeploymentWave = (
   // Sort hand by deployment priority
   const prioritizedHand = [...enemyHand].map(creature => ({
     creature,
-    score: calculateDeploymentScore(creature, currentField, playerField, difficulty)
+    score: calculateDeploymentScore(creature, currentField, playerField, difficulty, personality)
   })).sort((a, b) => b.score - a.score);
   
   // Determine how many to deploy based on urgency
@@ -576,7 +647,15 @@ const planDeploymentWave = (
         creature: entry.creature,
         energyCost: cost,
         priority: urgency,
-        synergyScore: synergyBonus
+        synergyScore: synergyBonus,
+        rationale: createRationale(
+          `Deployment urgency is ${urgency} - next best affordable creature by deployment score`,
+          prioritizedHand.map(option => ({
+            label: describeAction({ type: 'deploy', creature: option.creature }),
+            score: option.score
+          })),
+          describeAction({ type: 'deploy', creature: entry.creature })
+        )
       });
       
       energySpent += cost;
@@ -587,22 +666,23 @@ const planDeploymentWave = (
 };
 
 // Calculate deployment score for a creature
-const calculateDeploymentScore = (creature, currentField, playerField, difficulty) => {
+const calculateDeploymentScore = (creature, currentField, playerField, difficulty, personality = getAIPersonality()) => {
+  const weights = personality.weights.deployment;
   let score = 0;
   
   // Base stats score
   const statTotal = Object.values(creature.stats || {}).reduce((sum, val) => sum + val, 0);
-  score += statTotal * 2;
+  score += statTotal * 2 * weights.stats;
   
   // Attack power score (weighted heavily)
   const attackPower = Math.max(
     creature.battleStats?.physicalAttack || 0,
     creature.battleStats?.magicalAttack || 0
   );
-  score += attackPower * 3;
+  score += attackPower * 3 * weights.attack;
   
   // Health score
-  score += (creature.battleStats?.maxHealth || 50);
+  score += (creature.battleStats?.maxHealth || 50) * weights.health;
   
   // Rarity and form bonuses
   const rarityMultipliers = { 'Legendary': 2.0, 'Epic': 1.6, 'Rare': 1.3, 'Common': 1.0 };
@@ -620,14 +700,19 @@ const calculateDeploymentScore = (creature, currentField, playerField, difficult
   
   // Synergy with current field
   const synergyScore = calculateFieldSynergy(creature, currentField);
-  score += synergyScore * 10;
+  score += synergyScore * 10 * weights.synergy;
+  
+  // Magic specialists
+  if (creature.specialty_stats?.includes('magic')) {
+    score *= weights.magicSpecialty;
+  }
   
   // Energy efficiency
   const energyCost = creature.battleStats?.energyCost || 3;
-  score = score / energyCost;
+  score = score / Math.pow(energyCost, weights.costExponent);
   
   // Difficulty adjustments
-  if (difficulty === 'expert' || difficulty === 'hard') {
+  if (['hard', 'expert', 'master'].includes(getAITier(difficulty))) {
     // Prefer higher-cost, higher-impact creatures
     if (energyCost >= 5) score *= 1.2;
   }
@@ -695,12 +780,14 @@ const hasTypeAdvantage = (attacker, defender) => {
 };
 
 // Find best defensive item for a creature
-const findBestDefensiveItem = (tools, targetCreature) => {
-  const defensiveTools = tools.filter(tool => 
-    tool.tool_effect === 'Shield' || 
-    tool.tool_type === 'stamina' ||
-    (tool.tool_type === 'energy' && tool.tool_effect === 'Echo')
-  );
+const isDefensiveTool = (tool) => (
+  tool.tool_effect === 'Shield' || 
+  tool.tool_type === 'stamina' ||
+  (tool.tool_type === 'energy' && tool.tool_effect === 'Echo')
+);
+
+const findBestDefensiveItem = (tools, targetCreature, personality = getAIPersonality()) => {
+  const defensiveTools = tools.filter(isDefensiveTool);
   
   if (defensiveTools.length === 0) return null;
   
@@ -708,31 +795,32 @@ const findBestDefensiveItem = (tools, targetCreature) => {
   return defensiveTools.reduce((best, current) => {
     if (!best) return current;
     
-    const bestScore = scoreDefensiveTool(best, targetCreature);
-    const currentScore = scoreDefensiveTool(current, targetCreature);
+    const bestScore = scoreDefensiveTool(best, targetCreature, personality);
+    const currentScore = scoreDefensiveTool(current, targetCreature, personality);
     
     return currentScore > bestScore ? current : best;
   }, null);
 };
 
 // Score defensive tool effectiveness
-const scoreDefensiveTool = (tool, creature) => {
+const scoreDefensiveTool = (tool, creature, personality = getAIPersonality()) => {
+  const weights = personality.weights.defense;
   let score = 0;
   
   // Shield effect is best for low health
   if (tool.tool_effect === 'Shield') {
     const healthPercent = creature.currentHealth / (creature.battleStats?.maxHealth || 50);
-    score += (1 - healthPercent) * 100;
+    score += (1 - healthPercent) * 100 * weights.shield;
   }
   
   // Stamina tools for tanks
   if (tool.tool_type === 'stamina' && (creature.stats?.stamina || 0) > 7) {
-    score += 50;
+    score += 50 * weights.stamina;
   }
   
   // Rarity bonus
   const rarityScores = { 'Legendary': 40, 'Epic': 30, 'Rare': 20, 'Common': 10 };
-  score += rarityScores[tool.rarity] || 10;
+  score += (rarityScores[tool.rarity] || 10) * weights.rarity;
   
   return score;
 };
@@ -868,16 +956,18 @@ const estimateSpellDamage = (spell, caster, target) => {
 };
 
 // Select best offensive spell
-const selectBestOffensiveSpell = (spells, enemyField, playerField, energy) => {
+const selectBestOffensiveSpell = (spells, enemyField, playerField, energy, personality = getAIPersonality()) => {
   if (spells.length === 0 || enemyField.length === 0 || playerField.length === 0) return null;
   
   let bestOption = null;
   let bestScore = -1;
+  const candidates = [];
   
   for (const spell of spells) {
     for (const caster of enemyField) {
       for (const target of playerField) {
-        const score = scoreSpellOption(spell, caster, target, playerField);
+        const score = scoreSpellOption(spell, caster, target, playerField, personality);
+        candidates.push({ label: describeAction({ type: 'useSpell', spell, caster, target }), score });
         
         if (score > bestScore) {
           bestScore = score;
@@ -891,20 +981,21 @@ const selectBestOffensiveSpell = (spells, enemyField, playerField, energy) => {
     }
   }
   
-  return bestOption;
+  return bestOption && { ...bestOption, candidates };
 };
 
 // Score spell option
-const scoreSpellOption = (spell, caster, target, allTargets) => {
+const scoreSpellOption = (spell, caster, target, allTargets, personality = getAIPersonality()) => {
+  const weights = personality.weights.spell;
   let score = 0;
   
   // Base damage estimate
   const damage = estimateSpellDamage(spell, caster, target);
-  score += damage * 2;
+  score += damage * 2 * weights.damage;
   
   // Elimination bonus
   if (damage >= target.currentHealth) {
-    score += 100;
+    score += 100 * weights.elimination;
   }
   
   // Target priority
@@ -912,16 +1003,16 @@ const scoreSpellOption = (spell, caster, target, allTargets) => {
     target.battleStats?.physicalAttack || 0,
     target.battleStats?.magicalAttack || 0
   );
-  score += targetThreat;
+  score += targetThreat * weights.threat;
   
   // Caster efficiency
   if (caster.specialty_stats?.includes('magic')) {
-    score += 20;
+    score += 20 * weights.caster;
   }
   
   // AOE potential (if spell could affect multiple targets)
   if (spell.spell_effect === 'Echo' || spell.spell_type === 'energy') {
-    score += allTargets.length * 10;
+    score += allTargets.length * 10 * weights.spread;
   }
   
   return score;
@@ -948,13 +1039,13 @@ const findStrongestAttacker = (field) => {
 };
 
 // Plan coordinated attacks with better targeting
-const planCoordinatedAttacks = (enemyField, playerField, availableEnergy, aggressionLevel, boardAnalysis) => {
+const planCoordinatedAttacks = (enemyField, playerField, availableEnergy, aggressionLevel, boardAnalysis, personality = getAIPersonality()) => {
   const attacks = [];
   const availableAttackers = enemyField.filter(creature => !creature.isDefending);
   let remainingEnergy = availableEnergy;
   
   // Create target priority list
-  const targetPriorities = analyzeTargetPriorities(playerField, boardAnalysis);
+  const targetPriorities = analyzeTargetPriorities(playerField, boardAnalysis, personality);
   
   // Calculate maximum attacks based on energy and aggression
   const maxAttacks = Math.floor(remainingEnergy / 2);
@@ -976,7 +1067,15 @@ const planCoordinatedAttacks = (enemyField, playerField, availableEnergy, aggres
         target: assignment.target,
         energyCost: 2,
         priority: 'coordinated',
-        expectedDamage: assignment.expectedDamage
+        expectedDamage: assignment.expectedDamage,
+        rationale: createRationale(
+          `Focus fire by target priority - expected ${Math.round(assignment.expectedDamage)} damage`,
+          targetPriorities.map(option => ({
+            label: describeAction({ type: 'attack', attacker: assignment.attacker, target: option.target }),
+            score: option.priority
+          })),
+          describeAction({ type: 'attack', attacker: assignment.attacker, target: assignment.target })
+        )
       });
       remainingEnergy -= 2;
     }
@@ -986,7 +1085,9 @@ const planCoordinatedAttacks = (enemyField, playerField, availableEnergy, aggres
 };
 
 // Analyze and prioritize targets
-const analyzeTargetPriorities = (playerField, boardAnalysis) => {
+const analyzeTargetPriorities = (playerField, boardAnalysis, personality = getAIPersonality()) => {
+  const weights = personality.weights.targeting;
+  
   return playerField.map(target => {
     const healthRatio = target.currentHealth / (target.battleStats?.maxHealth || 50);
     const threat = Math.max(
@@ -997,19 +1098,19 @@ const analyzeTargetPriorities = (playerField, boardAnalysis) => {
     let priority = 0;
     
     // High priority for low health targets (easy eliminations)
-    if (healthRatio < 0.3) priority += 100;
-    else if (healthRatio < 0.5) priority += 50;
+    if (healthRatio < 0.3) priority += 100 * weights.lowHealth;
+    else if (healthRatio < 0.5) priority += 50 * weights.lowHealth;
     
     // High priority for high threat targets
-    priority += threat * 2;
+    priority += threat * 2 * weights.threat;
     
     // Extra priority for legendary/epic creatures
-    if (target.rarity === 'Legendary') priority += 40;
-    else if (target.rarity === 'Epic') priority += 25;
+    if (target.rarity === 'Legendary') priority += 40 * weights.rarity;
+    else if (target.rarity === 'Epic') priority += 25 * weights.rarity;
     
     // Bonus for targets we have type advantage against
     if (boardAnalysis.weakEnemies.includes(target)) {
-      priority += 30;
+      priority += 30 * weights.typeAdvantage;
     }
     
     return {
@@ -1110,7 +1211,8 @@ const planUtilityActions = (enemyField, playerField, availableTools, remainingEn
         tool: echoTools[0],
         target: target,
         energyCost: 0,
-        priority: 'utility'
+        priority: 'utility',
+        rationale: createRationale(`Echo tool on ${target.species_name}, the most valuable creature on the field`)
       });
     }
   }
@@ -1128,7 +1230,8 @@ const planUtilityActions = (enemyField, playerField, availableTools, remainingEn
         type: 'defend',
         creature: needsDefense,
         energyCost: 1,
-        priority: 'utility'
+        priority: 'utility',
+        rationale: createRationale(`${needsDefense.species_name} is wounded - spare energy goes into defending`)
       });
     }
   }
@@ -1184,39 +1287,44 @@ const determineSingleActionWithItems = (
   enemyTools, 
   enemySpells, 
   enemyEnergy, 
-  maxFieldSize
+  maxFieldSize,
+  rng = Math.random,
+  personality = getAIPersonality()
 ) => {
   try {
-    // Use enhanced AI functions based on difficulty
+    // Use enhanced AI functions based on the difficulty's AI level
     let action;
-    switch (difficulty) {
+    switch (getAITier(difficulty)) {
       case 'easy':
         action = determineEasyAIActionWithItems(
-          enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize
+          enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, rng
         );
         break;
       case 'medium':
         action = determineMediumAIActionWithItems(
-          enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize
+          enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, personality
         );
         break;
       case 'hard':
         action = determineHardAIActionWithItems(
-          enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize
+          enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, personality
         );
         break;
       case 'expert':
+      case 'master':
         action = determineExpertAIActionWithItems(
-          enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize
+          enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, personality
         );
         break;
       default:
         action = { type: 'endTurn' };
     }
     
-    // FIXED: Validate action before returning
-    if (!action || !validateAction(action)) {
-      console.log("Invalid action returned, ending turn");
+    // FIXED: Validate action with the shared rules before returning
+    const planState = createPlanState(difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy);
+    const rejections = action ? validateAction(planState, 'enemy', action) : [];
+    if (!action || rejections.length > 0) {
+      console.log("Invalid action returned, ending turn:", rejections.map(r => r.code).join(', '));
       return { type: 'endTurn' };
     }
     
@@ -1229,7 +1337,7 @@ const determineSingleActionWithItems = (
 
 // FIXED: Easy AI with proper validation
 const determineEasyAIActionWithItems = (
-  enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize
+  enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, rng = Math.random
 ) => {
   // If no field and no energy to deploy, end turn
   if (enemyField.length === 0 && enemyEnergy < 3) {
@@ -1260,10 +1368,10 @@ const determineEasyAIActionWithItems = (
   
   // PRIORITY 2: Attack first (85% chance)
   if (enemyField.length > 0 && playerField.length > 0 && enemyEnergy >= 2) {
-    if (Math.random() < 0.85) {
+    if (rng() < 0.85) {
       const availableAttackers = enemyField.filter(c => !c.isDefending);
       if (availableAttackers.length > 0) {
-        const attacker = availableAttackers[Math.floor(Math.random() * availableAttackers.length)];
+        const attacker = availableAttackers[Math.floor(rng() * availableAttackers.length)];
         const target = playerField.reduce((weakest, current) => {
           if (!weakest) return current;
           return current.currentHealth < weakest.currentHealth ? current : weakest;
@@ -1336,7 +1444,7 @@ const determineEasyAIActionWithItems = (
 
 // Medium AI with strategic item usage
 const determineMediumAIActionWithItems = (
-  enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize
+  enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, personality = getAIPersonality()
 ) => {
   // If no field and no energy to deploy, end turn
   if (enemyField.length === 0 && enemyEnergy < 3) {
@@ -1411,7 +1519,7 @@ const determineMediumAIActionWithItems = (
   if (deploymentNeeded && enemyHand.length > 0) {
     const boardState = analyzeCompleteBoardState(enemyField, playerField, enemyHand, enemyEnergy, 'medium');
     const bestCreature = selectBestCreatureForDeployment(
-      enemyHand, enemyField, playerField, enemyEnergy, 'medium'
+      enemyHand, enemyField, playerField, enemyEnergy, 'medium', personality
     );
     
     if (bestCreature) {
@@ -1434,7 +1542,7 @@ const determineMediumAIActionWithItems = (
     );
     
     if (valuableCreature) {
-      const defensiveTool = findBestDefensiveItem(enemyTools, valuableCreature);
+      const defensiveTool = findBestDefensiveItem(enemyTools, valuableCreature, personality);
       if (defensiveTool) {
         return {
           type: 'useTool',
@@ -1513,7 +1621,7 @@ const findOptimalAttack = (attackers, defenders) => {
 };
 
 // Select best creature for deployment
-const selectBestCreatureForDeployment = (hand, field, playerField, energy, difficulty) => {
+const selectBestCreatureForDeployment = (hand, field, playerField, energy, difficulty, personality = getAIPersonality()) => {
   const affordableCreatures = hand.filter(creature => 
     (creature.battleStats?.energyCost || 3) <= energy
   );
@@ -1523,7 +1631,7 @@ const selectBestCreatureForDeployment = (hand, field, playerField, energy, diffi
   // Score each creature
   const scoredCreatures = affordableCreatures.map(creature => ({
     creature,
-    score: calculateDeploymentScore(creature, field, playerField, difficulty)
+    score: calculateDeploymentScore(creature, field, playerField, difficulty, personality)
   }));
   
   // Sort by score and return the best
@@ -1534,7 +1642,7 @@ const selectBestCreatureForDeployment = (hand, field, playerField, energy, diffi
 
 // Hard AI with advanced item combos
 const determineHardAIActionWithItems = (
-  enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize
+  enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, personality = getAIPersonality()
 ) => {
   // If no creatures and no way to deploy, end turn
   if (enemyField.length === 0 && (enemyHand.length === 0 || enemyEnergy < 3)) {
@@ -1607,7 +1715,7 @@ const determineHardAIActionWithItems = (
   // PRIORITY 7: Emergency defense
   if (boardAnalysis.immediateThreats.length > 0) {
     const defense = planEmergencyDefense(
-      enemyField, enemyTools, boardAnalysis.immediateThreats[0]
+      enemyField, enemyTools, boardAnalysis.immediateThreats[0], personality
     );
     
     if (defense) {
@@ -1878,10 +1986,10 @@ const findValueTrade = (field, playerField, energy) => {
 };
 
 // Plan emergency defense
-const planEmergencyDefense = (field, tools, threatenedCreature) => {
+const planEmergencyDefense = (field, tools, threatenedCreature, personality = getAIPersonality()) => {
   // First try tools
   if (tools.length > 0) {
-    const defensiveTool = findBestDefensiveItem(tools, threatenedCreature);
+    const defensiveTool = findBestDefensiveItem(tools, threatenedCreature, personality);
     if (defensiveTool) {
       return {
         type: 'useTool',
@@ -1906,7 +2014,7 @@ const planEmergencyDefense = (field, tools, threatenedCreature) => {
 
 // Expert AI with perfect play and item mastery
 const determineExpertAIActionWithItems = (
-  enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize
+  enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, personality = getAIPersonality()
 ) => {
   // Expert AI uses the enhanced multi-action planning system
   const settings = getDifficultySettings('expert');
@@ -1919,7 +2027,8 @@ const determineExpertAIActionWithItems = (
     enemySpells, 
     enemyEnergy, 
     maxFieldSize, 
-    settings
+    settings,
+    personality
   );
   
   if (actionPlan && actionPlan.length > 0) {
@@ -1928,7 +2037,7 @@ const determineExpertAIActionWithItems = (
   
   // Fallback to hard AI logic
   return determineHardAIActionWithItems(
-    enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize
+    enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, personality
   );
 };
 
@@ -127,7 +127,7 @@ function getSpecialtyMultipliers(creature) {
 }
 
 // ENHANCED: Calculate damage with form-based caps and glancing blows
-export const calculateDamage = (attacker, defender, attackType = 'physical') => {
+export const calculateDamage = (attacker, defender, attackType = 'physical', rng = Math.random) => {
   // Validate input
   if (!attacker || !defender || !attacker.battleStats || !defender.battleStats) {
     return {
@@ -166,16 +166,16 @@ export const calculateDamage = (attacker, defender, attackType = 'physical') =>
   );
   
   // Calculate random variance (±15%)
-  const variance = 0.85 + (Math.random() * 0.3);
+  const variance = 0.85 + (rng() * 0.3);
   
   // Check for critical hit
-  const criticalRoll = Math.random() * 100;
+  const criticalRoll = rng() * 100;
   const baseCritChance = attackerStats.criticalChance || 5;
   const isCritical = criticalRoll <= baseCritChance;
   const criticalMultiplier = isCritical ? 1.5 : 1; // Reduced from 2.0 to 1.5
   
   // Check for dodge
-  const dodgeRoll = Math.random() * 100;
+  const dodgeRoll = rng() * 100;
   const baseDodgeChance = defenderStats.dodgeChance || 3;
   const isDodged = dodgeRoll <= baseDodgeChance;
   
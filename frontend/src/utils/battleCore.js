@@ -2,24 +2,6 @@
 import { getToolEffect, getSpellEffect, calculateEffectPower } from './itemEffects';
 import { calculateDamage, calculateDerivedStats, getRarityMultiplier, getFormMultiplier } from './battleCalculations';
 
-// BALANCED: Get maximum energy with reasonable scaling
-const getMaxEnergy = (creatures, difficulty = 'medium') => {
-  let baseEnergy = 15; // Reduced from 20
-  
-  // Difficulty-based energy scaling
-  switch (difficulty) {
-    case 'easy': baseEnergy = 12; break;
-    case 'medium': baseEnergy = 15; break;
-    case 'hard': baseEnergy = 18; break;
-    case 'expert': baseEnergy = 20; break;
-  }
-  
-  // Reduced energy bonus from creature count
-  const creatureBonus = Math.floor(creatures.length * 0.25); // Reduced from 0.5
-  
-  return baseEnergy + creatureBonus;
-};
-
 // Helper function to recalculate stats after modifications
 const recalculateDerivedStats = (creature) => {
   // Validate input
@@ -121,306 +103,8 @@ const getEffectDescription = (effectType, powerLevel = 'normal') => {
   return descriptions[effectType]?.[powerLevel] || `${effectType.toLowerCase()} effect`;
 };
 
-// BALANCED: Process a full turn of battle
-export const processTurn = (gameState, difficulty = 'medium') => {
-  const newState = {...gameState};
-  
-  // Energy regeneration with balanced scaling
-  const maxPlayerEnergy = getMaxEnergy(newState.playerField, difficulty);
-  const maxEnemyEnergy = getMaxEnergy(newState.enemyField, difficulty);
-  
-  newState.playerEnergy = Math.min(
-    newState.playerEnergy + calculateEnergyRegen(newState.playerField, difficulty),
-    maxPlayerEnergy
-  );
-  
-  newState.enemyEnergy = Math.min(
-    newState.enemyEnergy + calculateEnergyRegen(newState.enemyField, difficulty),
-    maxEnemyEnergy
-  );
-  
-  // Apply ongoing effects
-  newState.playerField = applyOngoingEffects(newState.playerField, difficulty);
-  newState.enemyField = applyOngoingEffects(newState.enemyField, difficulty);
-  
-  // Remove defeated creatures with death effects
-  newState.playerField = processDefeatedCreatures(newState.playerField, newState.enemyField);
-  newState.enemyField = processDefeatedCreatures(newState.enemyField, newState.playerField);
-  
-  // Process draw phase with balanced hand limits
-  const maxHandSize = getMaxHandSize(difficulty);
-  
-  if (newState.playerHand.length < maxHandSize && newState.playerDeck.length > 0) {
-    const drawnCard = newState.playerDeck[0];
-    newState.playerHand.push(drawnCard);
-    newState.playerDeck = newState.playerDeck.slice(1);
-  }
-  
-  if (newState.enemyHand.length < maxHandSize && newState.enemyDeck.length > 0) {
-    const drawnCard = newState.enemyDeck[0];
-    newState.enemyHand.push(drawnCard);
-    newState.enemyDeck = newState.enemyDeck.slice(1);
-  }
-  
-  return newState;
-};
-
-// BALANCED: Calculate energy regeneration
-export const calculateEnergyRegen = (creatures, difficulty = 'medium') => {
-  let baseRegen = 3;
-  
-  // Difficulty-based base regen
-  switch (difficulty) {
-    case 'easy': baseRegen = 2; break;
-    case 'medium': baseRegen = 3; break;
-    case 'hard': baseRegen = 4; break;
-    case 'expert': baseRegen = 5; break;
-  }
-  
-  // Energy contributions from creatures (reduced scaling)
-  const energyContribution = creatures.reduce((total, creature) => {
-    if (!creature.stats || !creature.stats.energy) return total;
-    
-    // Base energy contribution
-    let contribution = creature.stats.energy * 0.1; // Reduced from 0.3
-    
-    // Rarity bonuses (reduced)
-    switch (creature.rarity) {
-      case 'Legendary': contribution *= 1.3; break;
-      case 'Epic': contribution *= 1.2; break;
-      case 'Rare': contribution *= 1.1; break;
-    }
-    
-    // Form bonuses
-    contribution *= (1 + (creature.form || 0) * 0.05);
-    
-    return total + contribution;
-  }, 0);
-  
-  // Specialty stat bonuses (reduced)
-  const specialtyBonus = creatures.reduce((total, creature) => {
-    if (creature.specialty_stats && creature.specialty_stats.includes('energy')) {
-      return total + 0.5; // Reduced from 1
-    }
-    return total;
-  }, 0);
-  
-  return Math.round(baseRegen + energyContribution + specialtyBonus);
-};
-
-// Get max hand size based on difficulty
-export const getMaxHandSize = (difficulty) => {
-  switch (difficulty) {
-    case 'easy': return 5;
-    case 'medium': return 4;
-    case 'hard': return 3;
-    case 'expert': return 3;
-    default: return 4;
-  }
-};
-
-// Apply creature effects
-export const applyOngoingEffects = (creatures, difficulty = 'medium') => {
-  if (!creatures || !Array.isArray(creatures)) {
-    console.error("Invalid creatures array:", creatures);
-    return [];
-  }
-
-  return creatures.map(creature => {
-    // Skip creatures with missing properties
-    if (!creature || !creature.battleStats) return creature;
-    
-    const updatedCreature = {...creature};
-    let statsModified = false;
-    
-    // Process active effects
-    updatedCreature.activeEffects = (updatedCreature.activeEffects || [])
-      .map(effect => {
-        // Skip effects with missing data
-        if (!effect) return null;
-        
-        // Apply stat effects with balanced scaling
-        if (effect.statEffect) {
-          Object.entries(effect.statEffect).forEach(([stat, value]) => {
-            if (updatedCreature.battleStats[stat] !== undefined) {
-              // Scale effect value by difficulty (reduced scaling)
-              let scaledValue = value;
-              switch (difficulty) {
-                case 'hard': scaledValue = Math.round(value * 1.1); break;
-                case 'expert': scaledValue = Math.round(value * 1.2); break;
-              }
-              
-              updatedCreature.battleStats[stat] += scaledValue;
-              statsModified = true;
-            }
-          });
-        }
-        
-        // Health effects with balanced scaling
-        if (effect.healthEffect) {
-          let healthChange = effect.healthEffect;
-          
-          // Scale health effects by difficulty
-          switch (difficulty) {
-            case 'hard': healthChange = Math.round(healthChange * 1.15); break;
-            case 'expert': healthChange = Math.round(healthChange * 1.25); break;
-          }
-          
-          // Rarity scaling (reduced)
-          switch (updatedCreature.rarity) {
-            case 'Legendary': healthChange = Math.round(healthChange * 1.2); break;
-            case 'Epic': healthChange = Math.round(healthChange * 1.15); break;
-            case 'Rare': healthChange = Math.round(healthChange * 1.1); break;
-          }
-          
-          const previousHealth = updatedCreature.currentHealth;
-          updatedCreature.currentHealth = Math.min(
-            updatedCreature.battleStats.maxHealth,
-            Math.max(0, updatedCreature.currentHealth + healthChange)
-          );
-          
-          // Log significant health changes
-          const actualChange = updatedCreature.currentHealth - previousHealth;
-          if (Math.abs(actualChange) >= 5) {
-            console.log(`${updatedCreature.species_name} ${actualChange > 0 ? 'healed' : 'damaged'} for ${Math.abs(actualChange)} (${effect.name})`);
-          }
-        }
-        
-        // Process special effect types
-        if (effect.type === 'charge' && effect.chargeEffect) {
-          // Charge effects get stronger over time
-          const remainingTurns = effect.duration;
-          const totalTurns = effect.chargeEffect.maxTurns || 3;
-          const chargeProgress = (totalTurns - remainingTurns) / totalTurns;
-          
-          if (chargeProgress >= 1.0 && effect.chargeEffect.finalBurst) {
-            // Apply final burst effect
-            const burstDamage = effect.chargeEffect.finalBurst;
-            updatedCreature.nextAttackBonus = (updatedCreature.nextAttackBonus || 0) + burstDamage;
-            console.log(`${updatedCreature.species_name} charged effect ready! Next attack gains ${burstDamage} damage.`);
-          }
-        }
-        
-        // Reduce duration
-        return {
-          ...effect,
-          duration: effect.duration - 1
-        };
-      })
-      .filter(effect => effect && effect.duration > 0); // Remove expired or invalid effects
-    
-    // If stats were modified, recalculate derived stats
-    if (statsModified) {
-      updatedCreature.battleStats = recalculateDerivedStats(updatedCreature);
-    }
-    
-    // Process special creature states
-    if (updatedCreature.isDefending) {
-      // Defending creatures get reduced bonuses
-      if (difficulty === 'hard' || difficulty === 'expert') {
-        updatedCreature.battleStats.physicalDefense += 1; // Reduced from 2
-        updatedCreature.battleStats.magicalDefense += 1;  // Reduced from 2
-      }
-    }
-    
-    return updatedCreature;
-  });
-};
-
-// Process defeated creatures and apply death effects
-const processDefeatedCreatures = (creatures, opposingCreatures = []) => {
-  const survivingCreatures = [];
-  
-  creatures.forEach(creature => {
-    if (creature.currentHealth > 0) {
-      survivingCreatures.push(creature);
-    } else {
-      // Apply balanced death effects based on creature properties
-      if (creature.rarity === 'Legendary') {
-        console.log(`${creature.species_name} (Legendary) was defeated! Their sacrifice empowers allies!`);
-        // Death rattle effect - empower remaining creatures (reduced)
-        survivingCreatures.forEach(ally => {
-          ally.battleStats.physicalAttack += 2; // Reduced from 3
-          ally.battleStats.magicalAttack += 2;  // Reduced from 3
-          
-          // Add a temporary effect to track this bonus
-          if (!ally.activeEffects) ally.activeEffects = [];
-          ally.activeEffects.push({
-            id: Date.now() + Math.random(),
-            name: `${creature.species_name}'s Final Gift`,
-            icon: '👑',
-            type: 'legendary_blessing',
-            description: 'Empowered by a fallen legendary creature',
-            duration: 5, // Reduced from 999 - now temporary
-            statEffect: {
-              physicalAttack: 2,
-              magicalAttack: 2
-            }
-          });
-        });
-      } else if (creature.specialty_stats && creature.specialty_stats.includes('energy')) {
-        console.log(`Energy specialist ${creature.species_name} was defeated! Releasing stored energy!`);
-        // Energy burst - restore energy to allies
-        survivingCreatures.forEach(ally => {
-          if (!ally.activeEffects) ally.activeEffects = [];
-          ally.activeEffects.push({
-            id: Date.now() + Math.random(),
-            name: 'Energy Release',
-            icon: '⚡',
-            type: 'energy_burst',
-            description: 'Energized by released power',
-            duration: 2, // Reduced from 3
-            statEffect: {
-              energyCost: -1
-            }
-          });
-        });
-      } else if (creature.rarity === 'Epic') {
-        console.log(`Epic creature ${creature.species_name} was defeated! Their essence lingers!`);
-        // Epic death effect - minor stat boost to allies
-        survivingCreatures.forEach(ally => {
-          if (!ally.activeEffects) ally.activeEffects = [];
-          ally.activeEffects.push({
-            id: Date.now() + Math.random(),
-            name: 'Epic Essence',
-            icon: '💜',
-            type: 'epic_blessing',
-            description: 'Blessed by epic essence',
-            duration: 3, // Reduced from 5
-            statEffect: {
-              physicalAttack: 1,
-              magicalAttack: 1
-            }
-          });
-        });
-      }
-      
-      // NEW: Revenge mechanic - opposing creatures get minor penalty when defeating strong creatures
-      if (creature.rarity === 'Legendary' || creature.rarity === 'Epic') {
-        opposingCreatures.forEach(enemy => {
-          if (!enemy.activeEffects) enemy.activeEffects = [];
-          enemy.activeEffects.push({
-            id: Date.now() + Math.random(),
-            name: 'Guilty Conscience',
-            icon: '😰',
-            type: 'debuff',
-            description: 'Shaken by defeating a powerful foe',
-            duration: 2,
-            statEffect: {
-              initiative: -2,
-              dodgeChance: -1
-            }
-          });
-        });
-      }
-    }
-  });
-  
-  return survivingCreatures;
-};
-
 // Process attack action with balanced mechanics
-export const processAttack = (attacker, defender, attackType = 'auto') => {
+export const processAttack = (attacker, defender, attackType = 'auto', rng = Math.random) => {
   // Validate input
   if (!attacker || !defender || !attacker.battleStats || !defender.battleStats) {
     return {
@@ -455,7 +139,7 @@ export const processAttack = (attacker, defender, attackType = 'auto') => {
   }
   
   // Calculate damage with balanced system
-  const damageResult = calculateDamage(attackerClone, defenderClone, attackType);
+  const damageResult = calculateDamage(attackerClone, defenderClone, attackType, rng);
   
   // Apply damage with additional effects
   if (!damageResult.isDodged) {
@@ -465,7 +149,7 @@ export const processAttack = (attacker, defender, attackType = 'auto') => {
     // Critical hit effects (reduced impact)
     if (damageResult.isCritical) {
       // Critical hits may apply additional effects
-      if (Math.random() < 0.2) { // Reduced from 0.3
+      if (rng() < 0.2) { // Reduced from 0.3
         const bonusEffect = {
           id: Date.now(),
           name: 'Critical Strike Trauma',
@@ -486,7 +170,7 @@ export const processAttack = (attacker, defender, attackType = 'auto') => {
     // Effectiveness bonuses (reduced)
     if (damageResult.effectiveness === 'very effective' || damageResult.effectiveness === 'effective') {
       // Effective attacks may cause additional effects
-      if (Math.random() < 0.25) { // Reduced from 0.4
+      if (rng() < 0.25) { // Reduced from 0.4
         const statusEffect = {
           id: Date.now() + 1,
           name: 'Elemental Weakness',
@@ -652,7 +336,7 @@ export const applyTool = (creature, tool, difficulty = 'medium') => {
 };
 
 // Apply spell effect with balanced power
-export const applySpell = (caster, target, spell, difficulty = 'medium') => {
+export const applySpell = (caster, target, spell, difficulty = 'medium', rng = Math.random) => {
   // Validate input
   if (!caster || !target || !spell) {
     console.error("Spell application failed - missing parameters:", { caster, target, spell });
@@ -717,7 +401,7 @@ export const applySpell = (caster, target, spell, difficulty = 'medium') => {
     
     // Spell critical hits based on caster's magic (reduced chance)
     const critChance = Math.min(3 + Math.floor(casterMagic * 0.3), 15); // Reduced from 0.5
-    const isCritical = Math.random() * 100 <= critChance;
+    const isCritical = rng() * 100 <= critChance;
     
     if (isCritical) {
       finalDamage = Math.round(finalDamage * 1.5); // Reduced from 1.8
@@ -822,7 +506,7 @@ export const defendCreature = (creature, difficulty = 'medium') => {
   creatureClone.isDefending = true;
   
   // Calculate balanced defense boosts
-  const baseDefenseBoost = difficulty === 'expert' ? 0.5 : 
+  const baseDefenseBoost = (difficulty === 'expert' || difficulty === 'master') ? 0.5 : 
                           difficulty === 'hard' ? 0.4 :
                           difficulty === 'medium' ? 0.3 : 0.25;
   
@@ -860,7 +544,7 @@ export const defendCreature = (creature, difficulty = 'medium') => {
         magicalDefense: magicalDefenseBoost + rarityBonus
       },
       damageReduction: 0.05, // 5% damage reduction (reduced from 10%)
-      counterAttackChance: difficulty === 'expert' ? 0.1 : 0.05 // Reduced counter chance
+      counterAttackChance: (difficulty === 'expert' || difficulty === 'master') ? 0.1 : 0.05 // Reduced counter chance
     }
   ];
   
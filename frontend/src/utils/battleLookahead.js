@@ -0,0 +1,298 @@
+// src/utils/battleLookahead.js - MONTE CARLO LOOKAHEAD FOR THE MASTER AI
+import { processAttack, applyTool, applySpell, defendCreature } from './battleCore';
+import { validateAction, getActionEnergyCost } from './actionValidator';
+import { createSeededRandom } from './seededRandom';
+import { createRationale, describeAction } from './aiRationale';
+import { runQuietly } from './quietLogs';
+
+// Search limits - a search with a seeded random source stops on the rollout cap alone,
+// so the same seed always gives the same move on any device; the time budget only
+// caps searches driven by Math.random
+const DEFAULT_TIME_BUDGET_MS = 250;
+const MAX_ROLLOUTS = 600;
+const MAX_ROLLOUT_ACTIONS = 4;
+
+// How many attacks the player is assumed to answer with after our turn
+const PLAYER_RESPONSE_ATTACKS = 2;
+
+// UCB1 exploration constant (scores are roughly in creature-value units)
+const EXPLORATION = 40;
+
+// Value of energy left over for next turn, per point
+const ENERGY_VALUE = 1.5;
+
+// Creatures still in hand are worth less than creatures on the field
+const HAND_VALUE_RATIO = 0.5;
+
+// ========== STATE HELPERS ==========
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+
+const creatureValue = (creature) => {
+  const stats = creature.battleStats || {};
+  const attack = Math.max(stats.physicalAttack || 0, stats.magicalAttack || 0);
+  const defense = (stats.physicalDefense || 0) + (stats.magicalDefense || 0);
+  return Math.max(0, creature.currentHealth || 0) + attack * 3 + defense;
+};
+
+const replaceCreature = (state, updated) => {
+  if (!updated) return;
+  ['enemyField', 'playerField'].forEach(key => {
+    state[key] = state[key].map(c => (c.id === updated.id ? updated : c));
+  });
+};
+
+const removeDefeated = (state) => {
+  state.enemyField = state.enemyField.filter(c => c.currentHealth > 0);
+  state.playerField = state.playerField.filter(c => c.currentHealth > 0);
+};
+
+const findCreature = (state, creature) => {
+  if (!creature) return null;
+  return [...state.enemyField, ...state.playerField].find(c => c.id === creature.id) || null;
+};
+
+// ========== CANDIDATE ACTIONS ==========
+// Every legal enemy action in a state (plus ending the turn)
+const generateCandidates = (state) => {
+  const candidates = [];
+
+  state.enemyHand.forEach(creature => {
+    candidates.push({ type: 'deploy', creature });
+  });
+
+  state.enemyField.forEach(creature => {
+    state.playerField.forEach(target => {
+      candidates.push({ type: 'attack', attacker: creature, target });
+    });
+
+    // Only worth considering when the creature can actually be hit
+    if (!creature.isDefending && state.playerField.length > 0) {
+      candidates.push({ type: 'defend', creature });
+    }
+
+    state.enemyTools.forEach(tool => {
+      candidates.push({ type: 'useTool', tool, target: creature });
+    });
+  });
+
+  state.enemySpells.forEach(spell => {
+    state.enemyField.forEach(caster => {
+      [...state.playerField, ...state.enemyField].forEach(target => {
+        candidates.push({ type: 'useSpell', spell, caster, target });
+      });
+    });
+  });
+
+  const legal = candidates.filter(action => validateAction(state, 'enemy', action).length === 0);
+  legal.forEach(action => {
+    action.energyCost = getActionEnergyCost(action, state.difficulty);
+  });
+
+  return [...legal, { type: 'endTurn' }];
+};
+
+// Apply an enemy action to a search state (mutates the state)
+const applyAction = (state, action, rng) => {
+  state.enemyEnergy -= action.energyCost || 0;
+
+  switch (action.type) {
+    case 'deploy':
+      state.enemyHand = state.enemyHand.filter(c => c.id !== action.creature.id);
+      state.enemyField = [...state.enemyField, action.creature];
+      break;
+
+    case 'attack': {
+      const result = processAttack(findCreature(state, action.attacker), findCreature(state, action.target), 'auto', rng);
+      replaceCreature(state, result.updatedAttacker);
+      replaceCreature(state, result.updatedDefender);
+      break;
+    }
+
+    case 'defend':
+      replaceCreature(state, defendCreature(findCreature(state, action.creature), state.difficulty));
+      break;
+
+    case 'useTool': {
+      const result = applyTool(findCreature(state, action.target), action.tool, state.difficulty);
+      replaceCreature(state, result.updatedCreature);
+      state.enemyTools = state.enemyTools.filter(t => t.id !== action.tool.id);
+      break;
+    }
+
+    case 'useSpell': {
+      const result = applySpell(
+        findCreature(state, action.caster),
+        findCreature(state, action.target),
+        action.spell,
+        state.difficulty,
+        rng
+      );
+      replaceCreature(state, result.updatedCaster);
+      replaceCreature(state, result.updatedTarget);
+      state.enemySpells = state.enemySpells.filter(s => s.id !== action.spell.id);
+      break;
+    }
+  }
+
+  removeDefeated(state);
+};
+
+// ========== ROLLOUTS ==========
+// Pick a random follow-up action, leaning towards attacks
+const pickRolloutAction = (state, rng) => {
+  const candidates = generateCandidates(state);
+  const attacks = candidates.filter(action => action.type === 'attack');
+
+  if (attacks.length > 0 && rng() < 0.6) {
+    return attacks[Math.floor(rng() * attacks.length)];
+  }
+
+  return candidates[Math.floor(rng() * candidates.length)];
+};
+
+// The player's likely answer: their strongest creatures hit our weakest
+const simulatePlayerResponse = (state, rng) => {
+  const attackers = [...state.playerField]
+    .sort((a, b) => creatureValue(b) - creatureValue(a))
+    .slice(0, PLAYER_RESPONSE_ATTACKS);
+
+  attackers.forEach(attacker => {
+    if (state.enemyField.length === 0) return;
+
+    const target = state.enemyField.reduce((weakest, c) => (c.currentHealth < weakest.currentHealth ? c : weakest));
+    const result = processAttack(attacker, target, 'auto', rng);
+    replaceCreature(state, result.updatedDefender);
+    removeDefeated(state);
+  });
+};
+
+// Score a state from the enemy's point of view
+const evaluateState = (state) => {
+  const enemyBoard = state.enemyField.reduce((sum, c) => sum + creatureValue(c), 0);
+  const enemyHand = state.enemyHand.reduce((sum, c) => sum + creatureValue(c), 0) * HAND_VALUE_RATIO;
+  const playerBoard = state.playerField.reduce((sum, c) => sum + creatureValue(c), 0);
+
+  return enemyBoard + enemyHand - playerBoard + state.enemyEnergy * ENERGY_VALUE;
+};
+
+// Play one action, a short random continuation and the player's answer
+const rollout = (rootState, firstAction, rng) => {
+  const state = cloneState(rootState);
+  applyAction(state, firstAction, rng);
+
+  if (firstAction.type !== 'endTurn') {
+    for (let i = 1; i < MAX_ROLLOUT_ACTIONS; i++) {
+      const action = pickRolloutAction(state, rng);
+      if (action.type === 'endTurn') break;
+      applyAction(state, action, rng);
+    }
+  }
+
+  simulatePlayerResponse(state, rng);
+  return evaluateState(state);
+};
+
+// Map creatures and items in a search action back to the objects passed in
+const restoreReferences = (action, position) => {
+  const creatures = [
+    ...(position.enemyHand || []),
+    ...(position.enemyField || []),
+    ...(position.playerField || [])
+  ];
+  const items = [...(position.enemyTools || []), ...(position.enemySpells || [])];
+
+  const restored = { ...action };
+  ['creature', 'attacker', 'target', 'caster'].forEach(key => {
+    if (action[key]) restored[key] = creatures.find(c => c.id === action[key].id) || action[key];
+  });
+  ['tool', 'spell'].forEach(key => {
+    if (action[key]) restored[key] = items.find(i => i.id === action[key].id) || action[key];
+  });
+
+  return restored;
+};
+
+// ========== PUBLIC API ==========
+/**
+ * Pick the enemy's next action by simulating candidate action sequences with
+ * the real battle rules and choosing the best average outcome
+ * @param {Object} position - { difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy }
+ * @param {Object} options - { timeBudgetMs, maxRollouts }
+ * @param {Function} rng - Random source (defaults to Math.random). A seeded source from
+ *   createSeededRandom ignores timeBudgetMs, so the move depends only on the seed
+ * @returns {Object|null} The chosen action with its rationale ({ type: 'endTurn' } when nothing beats passing),
+ *   or null when the time budget ran out before any rollout finished
+ */
+export const determineLookaheadAction = (position, options = {}, rng = Math.random) => {
+  const timeBudgetMs = options.timeBudgetMs ?? DEFAULT_TIME_BUDGET_MS;
+  const maxRollouts = options.maxRollouts ?? MAX_ROLLOUTS;
+
+  const rootState = cloneState({
+    difficulty: position.difficulty,
+    enemyHand: position.enemyHand || [],
+    enemyField: position.enemyField || [],
+    playerField: position.playerField || [],
+    enemyTools: position.enemyTools || [],
+    enemySpells: position.enemySpells || [],
+    enemyEnergy: position.enemyEnergy || 0
+  });
+
+  // Search with a private random stream so the battle's dice are only drawn once
+  const searchRng = createSeededRandom(Math.floor(rng() * 0x100000000));
+
+  const search = runQuietly(() => {
+    const candidates = generateCandidates(rootState);
+    if (candidates.length === 1) {
+      return { action: candidates[0], rollouts: 0, candidateCount: 1, results: [] };
+    }
+
+    const results = candidates.map(action => ({ action, visits: 0, total: 0 }));
+    const isSeeded = typeof rng.getState === 'function';
+    const deadline = isSeeded ? Infinity : Date.now() + timeBudgetMs;
+    let rollouts = 0;
+
+    while (rollouts < maxRollouts && Date.now() < deadline) {
+      // Try every candidate once, then favour the promising ones (UCB1)
+      const next = rollouts < results.length
+        ? results[rollouts]
+        : results.reduce((best, result) => {
+          const ucb = result.total / result.visits + EXPLORATION * Math.sqrt(Math.log(rollouts) / result.visits);
+          return ucb > best.ucb ? { result, ucb } : best;
+        }, { result: null, ucb: -Infinity }).result;
+
+      next.total += rollout(rootState, next.action, searchRng);
+      next.visits += 1;
+      rollouts += 1;
+    }
+
+    const visited = results.filter(result => result.visits > 0);
+    if (visited.length === 0) {
+      return null;
+    }
+
+    const best = visited.reduce((top, result) => (result.total / result.visits > top.total / top.visits ? result : top));
+
+    return { action: best.action, rollouts, candidateCount: candidates.length, results };
+  });
+
+  // FIXED: No time for a single rollout (e.g. thinkingTimeMs 0) - let the caller decide
+  if (!search) {
+    console.log('Master AI: no rollouts finished within the time budget');
+    return null;
+  }
+
+  console.log(`Master AI: ${search.rollouts} rollouts over ${search.candidateCount} candidates, chose ${search.action.type}`);
+
+  // Hand back the caller's creature objects, not the search copies
+  const action = restoreReferences(search.action, position);
+  action.rationale = createRationale(
+    search.rollouts > 0
+      ? `Best average outcome over ${search.rollouts} simulated continuations`
+      : 'The only legal option',
+    search.results
+      .filter(result => result.visits > 0)
+      .map(result => ({ label: describeAction(result.action), score: result.total / result.visits })),
+    describeAction(search.action)
+  );
+  return action;
+};
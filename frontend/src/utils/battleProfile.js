@@ -0,0 +1,120 @@
+// src/utils/battleProfile.js - A PLAYER'S BATTLE RECORD, SUMMED UP
+// Built on the server from every submitted battle (see submitBattleResult) and sent with
+// the first page of the match history.
+import { BATTLE_RESULTS } from './battleRewards';
+import { isCampaignDifficulty } from './campaign';
+import { isDailyDifficulty } from './dailyChallenge';
+import { isGauntletDifficulty } from './gauntlet';
+
+// Difficulties listed on the profile, in order; campaign stages, daily challenges and
+// gauntlet waves each share one row and anything else is grouped under custom
+export const PROFILE_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert', 'master', 'campaign', 'daily', 'gauntlet', 'custom'];
+
+const getProfileDifficulty = (difficulty) => {
+  if (isCampaignDifficulty(difficulty)) return 'campaign';
+  if (isDailyDifficulty(difficulty)) return 'daily';
+  if (isGauntletDifficulty(difficulty)) return 'gauntlet';
+  return PROFILE_DIFFICULTIES.includes(difficulty) ? difficulty : 'custom';
+};
+
+// How many favourite creatures and most-used items the profile keeps
+const TOP_COUNT = 3;
+
+const emptyRecord = () => ({ wins: 0, losses: 0, totalTurns: 0, averageTurns: 0 });
+
+const average = (total, count) => (count > 0 ? Math.round((total / count) * 10) / 10 : 0);
+
+// Highest counts first; ties go to whichever was used most recently
+const topEntries = (counts, limit) => (
+  Object.values(counts)
+    .sort((a, b) => b.count - a.count || b.lastUsedAt - a.lastUsedAt)
+    .slice(0, limit)
+);
+
+const countItems = (counts, items, submittedAt) => {
+  (items || []).forEach(item => {
+    const key = item.name || item.id;
+    const entry = counts[key] || { name: key, rarity: item.rarity, count: 0, lastUsedAt: 0 };
+    entry.count += 1;
+    entry.lastUsedAt = submittedAt;
+    counts[key] = entry;
+  });
+};
+
+/**
+ * Sum up a player's battles
+ * @param {Array} records - Submitted battle records, oldest first
+ * @returns {Object} { totals, byDifficulty, currentStreak, bestStreak, favouriteCreatures,
+ *   topTools, topSpells, bestTeamRating }
+ */
+export const buildBattleProfile = (records) => {
+  const totals = { battles: 0, ...emptyRecord(), winRate: 0, winTurns: 0, averageWinTurns: 0 };
+  const byDifficulty = {};
+  PROFILE_DIFFICULTIES.forEach(difficulty => {
+    byDifficulty[difficulty] = emptyRecord();
+  });
+
+  const creatureCounts = {};
+  const toolCounts = {};
+  const spellCounts = {};
+  let streak = 0;
+  let bestStreak = 0;
+  let bestTeamRating = 0;
+
+  records.forEach(record => {
+    const isWin = record.result === BATTLE_RESULTS.VICTORY;
+    const group = byDifficulty[getProfileDifficulty(record.difficulty)];
+
+    totals.battles += 1;
+    totals.totalTurns += record.turns;
+    group.totalTurns += record.turns;
+    if (isWin) {
+      totals.wins += 1;
+      totals.winTurns += record.turns;
+      group.wins += 1;
+      streak += 1;
+      bestStreak = Math.max(bestStreak, streak);
+    } else {
+      totals.losses += 1;
+      group.losses += 1;
+      streak = 0;
+    }
+
+    // Every creature that made it onto the field counts as fielded
+    (record.creaturesUsed || []).forEach(creature => {
+      const entry = creatureCounts[creature.id] || {
+        ...creature,
+        count: 0,
+        wins: 0,
+        lastUsedAt: 0
+      };
+      entry.count += 1;
+      if (isWin) entry.wins += 1;
+      entry.lastUsedAt = record.submittedAt;
+      creatureCounts[creature.id] = entry;
+    });
+
+    countItems(toolCounts, record.toolsUsed, record.submittedAt);
+    countItems(spellCounts, record.spellsUsed, record.submittedAt);
+
+    bestTeamRating = Math.max(bestTeamRating, record.teamRating || 0);
+  });
+
+  totals.averageTurns = average(totals.totalTurns, totals.battles);
+  totals.averageWinTurns = average(totals.winTurns, totals.wins);
+  totals.winRate = totals.battles > 0 ? Math.round((totals.wins / totals.battles) * 100) : 0;
+  Object.values(byDifficulty).forEach(group => {
+    group.averageTurns = average(group.totalTurns, group.wins + group.losses);
+  });
+
+  return {
+    totals,
+    byDifficulty,
+    currentStreak: streak,
+    bestStreak,
+    favouriteCreatures: topEntries(creatureCounts, TOP_COUNT),
+    topTools: topEntries(toolCounts, TOP_COUNT),
+    topSpells: topEntries(spellCounts, TOP_COUNT),
+    bestTeamRating
+  };
+};
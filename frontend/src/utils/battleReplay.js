@@ -0,0 +1,293 @@
+// src/utils/battleReplay.js - BATTLE REPLAY RECORDING AND PLAYBACK HELPERS
+import { normalizeSeed, restoreSeededRandom } from './seededRandom';
+
+// Version 2: battle state carries an explicit phase (BEGIN_RESOLUTION steps)
+// Version 3: turn upkeep is one END_PLAYER_TURN / RESOLVE_ROUND step
+// Version 4: the start carries the difficulty profile the battle was fought under
+export const REPLAY_VERSION = 4;
+
+// Action types that only add to the battle log - folded into the previous
+// playback step so stepping through a replay moves one meaningful action at a time
+const LOG_ONLY_ACTIONS = ['ADD_LOG'];
+
+// ========== REGISTRY ==========
+// Every creature and item in a battle is present in the START_BATTLE loadout,
+// so later actions only need to store an id plus what changed since then
+const buildRegistry = (start) => {
+  const creatures = {};
+  const items = {};
+
+  [
+    ...(start.playerDeck || []),
+    ...(start.playerHand || []),
+    ...(start.enemyDeck || []),
+    ...(start.enemyHand || [])
+  ].forEach(creature => {
+    if (creature && creature.id !== undefined) {
+      creatures[creature.id] = creature;
+    }
+  });
+
+  [
+    ...(start.playerTools || []),
+    ...(start.playerSpells || []),
+    ...(start.enemyTools || []),
+    ...(start.enemySpells || [])
+  ].forEach(item => {
+    if (item && item.id !== undefined) {
+      items[item.id] = item;
+    }
+  });
+
+  return { creatures, items };
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// ========== COMPACTION ==========
+const compactCreature = (creature, base) => {
+  const changes = {};
+  const removed = [];
+
+  Object.keys(creature).forEach(key => {
+    if (!sameValue(creature[key], base[key])) {
+      changes[key] = creature[key];
+    }
+  });
+
+  Object.keys(base).forEach(key => {
+    if (!(key in creature)) {
+      removed.push(key);
+    }
+  });
+
+  const ref = { $c: creature.id };
+  if (Object.keys(changes).length > 0) ref.d = changes;
+  if (removed.length > 0) ref.x = removed;
+  return ref;
+};
+
+const compactValue = (value, registry) => {
+  if (Array.isArray(value)) {
+    return value.map(entry => compactValue(entry, registry));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value.id !== undefined && value.battleStats && registry.creatures[value.id]) {
+    return compactCreature(value, registry.creatures[value.id]);
+  }
+
+  if (value.id !== undefined && !value.battleStats && registry.items[value.id]) {
+    return { $i: value.id };
+  }
+
+  const compacted = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    // Callbacks (addLog) and random sources (rng) can't be serialized
+    if (typeof entry === 'function') return;
+    compacted[key] = compactValue(entry, registry);
+  });
+  return compacted;
+};
+
+const expandValue = (value, registry) => {
+  if (Array.isArray(value)) {
+    return value.map(entry => expandValue(entry, registry));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value.$c !== undefined) {
+    const base = registry.creatures[value.$c];
+    if (!base) {
+      console.error(`Replay references unknown creature ${value.$c}`);
+      return null;
+    }
+
+    const creature = JSON.parse(JSON.stringify({ ...base, ...(value.d || {}) }));
+    (value.x || []).forEach(key => delete creature[key]);
+    return creature;
+  }
+
+  if (value.$i !== undefined) {
+    return registry.items[value.$i] || null;
+  }
+
+  const expanded = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    expanded[key] = expandValue(entry, registry);
+  });
+  return expanded;
+};
+
+// ========== RECORDING ==========
+/**
+ * Start recording a replay from the START_BATTLE action
+ * @param {Object} startAction - The START_BATTLE action (includes the full loadout)
+ * @returns {Object} Replay document being recorded
+ */
+export const startReplayRecording = (startAction) => {
+  const loadout = { ...startAction };
+  delete loadout.type;
+
+  const replay = {
+    version: REPLAY_VERSION,
+    seed: startAction.seed,
+    difficulty: startAction.difficulty,
+    recordedAt: Date.now(),
+    start: JSON.parse(JSON.stringify(loadout)),
+    steps: [],
+    result: null
+  };
+
+  // Keep the registry off the serialized document
+  Object.defineProperty(replay, 'registry', {
+    value: buildRegistry(replay.start),
+    enumerable: false
+  });
+
+  return replay;
+};
+
+/**
+ * Record a reducer action into a replay
+ * @param {Object} replay - Replay returned by startReplayRecording
+ * @param {Object} action - The action being dispatched
+ */
+export const recordReplayAction = (replay, action) => {
+  if (!replay || !action || !action.type) return;
+
+  try {
+    const step = compactValue(action, replay.registry);
+
+    // Actions that roll dice inside the reducer carry the random source -
+    // save its state so playback rolls the same numbers
+    if (action.rng && typeof action.rng.getState === 'function') {
+      step.$rng = action.rng.getState();
+    }
+
+    replay.steps.push(step);
+  } catch (error) {
+    console.error("Failed to record replay action:", action.type, error);
+  }
+};
+
+/**
+ * Finish a replay recording
+ * @param {Object} replay - Replay being recorded
+ * @param {string} result - 'victory' or 'defeat'
+ * @returns {Object} Completed replay document
+ */
+export const finishReplayRecording = (replay, result) => {
+  if (!replay) return null;
+
+  return {
+    version: replay.version,
+    seed: replay.seed,
+    difficulty: replay.difficulty,
+    recordedAt: replay.recordedAt,
+    start: replay.start,
+    steps: replay.steps,
+    result
+  };
+};
+
+// ========== SHARING ==========
+/**
+ * Encode a replay into a shareable text code
+ * @param {Object} replay - Completed replay document
+ * @returns {string} Base64 replay code
+ */
+export const encodeReplay = (replay) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(replay));
+  let binary = '';
+  // Chunk to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decode a replay code produced by encodeReplay
+ * @param {string} code - Base64 replay code
+ * @returns {Object|null} Replay document, or null if the code is invalid
+ */
+export const decodeReplay = (code) => {
+  try {
+    const binary = atob(String(code || '').trim());
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const replay = JSON.parse(new TextDecoder().decode(bytes));
+
+    if (!replay || replay.version !== REPLAY_VERSION || !replay.start || !Array.isArray(replay.steps)) {
+      console.error("Unsupported replay format");
+      return null;
+    }
+
+    return replay;
+  } catch (error) {
+    console.error("Failed to decode replay:", error);
+    return null;
+  }
+};
+
+/**
+ * Fingerprint of a completed replay, sent with the battle result so the server
+ * credits each battle once
+ * @param {Object} replay - Completed replay document
+ * @returns {string} 16 hex characters
+ */
+export const hashReplay = (replay) => {
+  const text = JSON.stringify(replay);
+  // Two FNV-1a passes over different inputs make a 64-bit fingerprint
+  const high = normalizeSeed(text);
+  const low = normalizeSeed(`${text.length}:${text}`);
+  return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+};
+
+// ========== PLAYBACK ==========
+/**
+ * Rebuild the battle state after every step of a replay
+ * @param {Object} replay - Completed replay document
+ * @param {Function} reducer - The battle reducer
+ * @param {Object} initialState - Reducer state before START_BATTLE
+ * @returns {Array} Frames of { state, actionType }
+ */
+export const buildReplayFrames = (replay, reducer, initialState) => {
+  if (!replay || !replay.start) return [];
+
+  const registry = buildRegistry(replay.start);
+  const startAction = { type: 'START_BATTLE', ...JSON.parse(JSON.stringify(replay.start)) };
+
+  let state = reducer(initialState, startAction);
+  const frames = [{ state, actionType: 'START_BATTLE' }];
+
+  replay.steps.forEach(step => {
+    const { $rng, ...compactAction } = step;
+    const action = expandValue(compactAction, registry);
+
+    if ($rng !== undefined) {
+      action.rng = restoreSeededRandom(replay.seed, $rng);
+    }
+
+    try {
+      state = reducer(state, action);
+    } catch (error) {
+      console.error("Replay step failed:", action.type, error);
+      return;
+    }
+
+    if (LOG_ONLY_ACTIONS.includes(action.type) && frames.length > 0) {
+      frames[frames.length - 1] = { ...frames[frames.length - 1], state };
+    } else {
+      frames.push({ state, actionType: action.type });
+    }
+  });
+
+  return frames;
+};
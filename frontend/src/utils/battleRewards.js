@@ -0,0 +1,205 @@
+// src/utils/battleRewards.js - WHAT A BATTLE RESULT EARNS
+// The server runs these rules when a result is submitted and credits what they return.
+// The battle screen only shows the rewards the server sends back.
+import { createSeededRandom } from './seededRandom';
+import { getCampaignStage } from './campaign';
+import { getDailyChallenge } from './dailyChallenge';
+import { getGauntletWave } from './gauntlet';
+
+export const BATTLE_RESULTS = {
+  VICTORY: 'victory',
+  DEFEAT: 'defeat'
+};
+
+const BASE_REWARD = { experience: 100, currency: 50 };
+
+const DIFFICULTY_MULTIPLIERS = {
+  easy: 1.0,
+  medium: 1.5,
+  hard: 2.0,
+  expert: 3.0,
+  master: 4.0
+};
+
+// Chance of a tool before the performance bonus
+const ITEM_CHANCES = {
+  easy: 0.3,
+  medium: 0.5,
+  hard: 0.7,
+  expert: 0.9,
+  master: 0.95
+};
+const MAX_ITEM_CHANCE = 0.95;
+
+const RARITY_CHANCES = {
+  easy: { Common: 0.7, Rare: 0.25, Epic: 0.05, Legendary: 0 },
+  medium: { Common: 0.5, Rare: 0.35, Epic: 0.13, Legendary: 0.02 },
+  hard: { Common: 0.3, Rare: 0.4, Epic: 0.25, Legendary: 0.05 },
+  expert: { Common: 0.1, Rare: 0.3, Epic: 0.45, Legendary: 0.15 },
+  master: { Common: 0.05, Rare: 0.25, Epic: 0.45, Legendary: 0.25 }
+};
+
+const ITEM_STATS = ['energy', 'strength', 'magic', 'stamina', 'speed'];
+const ITEM_EFFECTS = ['Surge', 'Shield', 'Echo', 'Drain', 'Charge'];
+
+const SPELL_DIFFICULTIES = ['hard', 'expert', 'master'];
+const SPELL_CHANCE_FACTOR = 0.7;
+
+const CRYSTAL_DIFFICULTIES = ['expert', 'master'];
+const CRYSTAL_CHANCE = 0.3;
+
+// Daily challenge score: a fast win scores up to 1000, and every surviving HP adds 5
+const DAILY_TURN_SCORE = 1000;
+const DAILY_TURN_PENALTY = 40;
+const DAILY_HP_SCORE = 5;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Bonus for a quick win, creatures kept alive and enemies taken down
+ * @param {Object} performance - { turns, survivorCount, defeatedCount }
+ * @returns {number} Multiplier, 1.0 to 2.2
+ */
+export const getPerformanceMultiplier = ({ turns, survivorCount, defeatedCount }) => {
+  let multiplier = 1.0;
+
+  if (turns <= 5) multiplier += 0.5;
+  else if (turns <= 10) multiplier += 0.3;
+  else if (turns <= 15) multiplier += 0.1;
+
+  if (survivorCount >= 3) multiplier += 0.4;
+  else if (survivorCount >= 2) multiplier += 0.2;
+  else if (survivorCount >= 1) multiplier += 0.1;
+
+  const defeatRatio = defeatedCount / Math.max(defeatedCount + survivorCount, 1);
+  if (defeatRatio >= 0.9) multiplier += 0.3;
+  else if (defeatRatio >= 0.7) multiplier += 0.2;
+  else if (defeatRatio >= 0.5) multiplier += 0.1;
+
+  return multiplier;
+};
+
+const rollRarity = (difficulty, rng) => {
+  const chances = RARITY_CHANCES[difficulty];
+  const roll = rng();
+  let cumulative = 0;
+
+  for (const [rarity, chance] of Object.entries(chances)) {
+    cumulative += chance;
+    if (roll <= cumulative) {
+      return rarity;
+    }
+  }
+
+  return 'Common';
+};
+
+const rollItemTraits = (rng) => ({
+  stat: ITEM_STATS[Math.floor(rng() * ITEM_STATS.length)],
+  effect: ITEM_EFFECTS[Math.floor(rng() * ITEM_EFFECTS.length)]
+});
+
+const rollRewardItems = (difficulty, performanceMultiplier, rng) => {
+  const items = [];
+  const itemChance = Math.min(MAX_ITEM_CHANCE, ITEM_CHANCES[difficulty] * performanceMultiplier);
+
+  if (rng() < itemChance) {
+    const { stat, effect } = rollItemTraits(rng);
+    items.push({
+      type: 'tool',
+      name: `${effect} ${capitalize(stat)} Tool`,
+      rarity: rollRarity(difficulty, rng),
+      tool_type: stat,
+      tool_effect: effect
+    });
+  }
+
+  // Spells only drop on the harder difficulties
+  if (SPELL_DIFFICULTIES.includes(difficulty) && rng() < itemChance * SPELL_CHANCE_FACTOR) {
+    const { stat, effect } = rollItemTraits(rng);
+    items.push({
+      type: 'spell',
+      name: `${effect} ${capitalize(stat)} Spell`,
+      rarity: rollRarity(difficulty, rng),
+      spell_type: stat,
+      spell_effect: effect
+    });
+  }
+
+  if (CRYSTAL_DIFFICULTIES.includes(difficulty) && rng() < CRYSTAL_CHANCE) {
+    items.push({
+      type: 'enhancement',
+      name: 'Evolution Crystal',
+      rarity: 'Epic',
+      description: 'Can be used to enhance a creature\'s form'
+    });
+  }
+
+  return items;
+};
+
+/**
+ * Rewards for a submitted battle. Items are rolled from rewardSeed, which must come from
+ * something only the server knows (a server secret plus the record id) - a seed the client
+ * controls could be searched offline for a lucky roll. The survivors, defeated and
+ * creaturesUsed lists are taken on trust: the server only checks the survivors belong to the account.
+ * Survivors that were never deployed don't count toward the performance bonus.
+ * @param {Object} summary - { result, difficulty, turns, survivors, defeated, creaturesUsed, rewardSeed }
+ * @returns {Object} { experience, currency, items } - nothing for a defeat
+ */
+export const calculateBattleRewards = ({
+  result,
+  difficulty,
+  turns,
+  survivors = [],
+  defeated = [],
+  creaturesUsed = [],
+  rewardSeed
+}) => {
+  if (result !== BATTLE_RESULTS.VICTORY) {
+    return { experience: 0, currency: 0, items: [] };
+  }
+
+  // Campaign stages, daily challenges and gauntlet waves are rewarded as their base
+  // difficulty; custom and unknown ones as easy
+  const baseDifficulty = getCampaignStage(difficulty)?.baseDifficulty
+    || getDailyChallenge(difficulty)?.baseDifficulty
+    || getGauntletWave(difficulty)?.baseDifficulty
+    || difficulty;
+  const rewardDifficulty = DIFFICULTY_MULTIPLIERS[baseDifficulty] ? baseDifficulty : 'easy';
+  const deployedIds = new Set(creaturesUsed.map(creature => creature.id));
+  const performanceMultiplier = getPerformanceMultiplier({
+    turns,
+    survivorCount: survivors.filter(creature => deployedIds.has(creature.id)).length,
+    defeatedCount: defeated.length
+  });
+  const multiplier = DIFFICULTY_MULTIPLIERS[rewardDifficulty] * performanceMultiplier;
+  const rng = createSeededRandom(`${rewardSeed}:${rewardDifficulty}`);
+
+  return {
+    experience: Math.round(BASE_REWARD.experience * multiplier),
+    currency: Math.round(BASE_REWARD.currency * multiplier),
+    items: rollRewardItems(rewardDifficulty, performanceMultiplier, rng)
+  };
+};
+
+/**
+ * Leaderboard score for a daily challenge result. Only wins score. Each survivor
+ * counts once, with no more health than its maxHealth.
+ * @param {Object} summary - { result, turns, survivors: [{ id, currentHealth, maxHealth }] }
+ * @returns {Object} { score, survivingHp }
+ */
+export const calculateDailyScore = ({ result, turns, survivors = [] }) => {
+  const counted = new Set();
+  const survivingHp = survivors.reduce((total, creature) => {
+    if (counted.has(creature.id)) return total;
+    counted.add(creature.id);
+    return total + Math.max(0, Math.min(creature.maxHealth || 0, creature.currentHealth || 0));
+  }, 0);
+  if (result !== BATTLE_RESULTS.VICTORY) {
+    return { score: 0, survivingHp };
+  }
+
+  const turnScore = Math.max(0, DAILY_TURN_SCORE - turns * DAILY_TURN_PENALTY);
+  return { score: Math.round(turnScore + survivingHp * DAILY_HP_SCORE), survivingHp };
+};
@@ -0,0 +1,403 @@
+// src/utils/battleSimulator.js - HEADLESS AI-VS-AI BATTLE SIMULATOR FOR BALANCE TESTING
+import { calculateDerivedStats } from './battleCalculations';
+import { determineAIAction } from './battleAI';
+import { processAttack, applyTool, applySpell, defendCreature } from './battleCore';
+import {
+  getDifficultySettings,
+  getStartingEnergy,
+  filterAllowedSpells,
+  generateCompleteEnemyLoadout
+} from './difficultySettings';
+import { createSeededRandom, createBattleSeed } from './seededRandom';
+import {
+  ACTIONS,
+  battleReducer,
+  initialBattleState,
+  getBattleOutcome
+} from './battleStateMachine';
+import { validateAction, getActionEnergyCost } from './actionValidator';
+import { runQuietly } from './quietLogs';
+
+const PLAYER_INITIAL_HAND_SIZE = 3;
+
+// Safety limits so a stuck AI can never hang a batch run
+const DEFAULT_MAX_TURNS = 50;
+const MAX_ACTIONS_PER_TURN = 12;
+
+// Master is left out by default - its lookahead search makes batches far slower
+export const SIMULATION_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+// ========== HELPERS ==========
+// Same battle-ready shape BattleGame builds in initializeBattle
+const prepareBattleCreature = (creature, side) => {
+  const derivedStats = calculateDerivedStats(creature);
+  const formLevel = parseInt(creature.form) || 0;
+
+  return {
+    ...creature,
+    id: `${side}-${creature.id}`,
+    battleStats: {
+      ...derivedStats,
+      energyCost: 5 + formLevel
+    },
+    currentHealth: derivedStats.maxHealth,
+    activeEffects: [],
+    isDefending: false
+  };
+};
+
+const getSideKeys = (side) => {
+  return side === 'player'
+    ? { hand: 'playerHand', field: 'playerField', energy: 'playerEnergy', tools: 'playerTools', spells: 'playerSpells', opposingField: 'enemyField' }
+    : { hand: 'enemyHand', field: 'enemyField', energy: 'enemyEnergy', tools: 'enemyTools', spells: 'enemySpells', opposingField: 'playerField' };
+};
+
+const findOnField = (state, creature) => {
+  if (!creature) return null;
+  return state.playerField.find(c => c.id === creature.id) ||
+         state.enemyField.find(c => c.id === creature.id) ||
+         null;
+};
+
+// ========== DAMAGE TRACKING ==========
+const createCreatureStats = (creature, side) => ({
+  id: creature.id,
+  name: creature.species_name,
+  side,
+  rarity: creature.rarity,
+  form: creature.form,
+  deployed: false,
+  damageDealt: 0,
+  damageTaken: 0,
+  healingDone: 0,
+  kills: 0,
+  attacks: 0,
+  spellsCast: 0,
+  survived: false,
+  remainingHealth: creature.currentHealth
+});
+
+const recordHealthChange = (stats, source, before, after) => {
+  if (!before || !after || !stats[after.id]) return;
+
+  const change = before.currentHealth - after.currentHealth;
+
+  if (change > 0) {
+    stats[after.id].damageTaken += change;
+    if (source && stats[source.id]) {
+      stats[source.id].damageDealt += change;
+      if (after.currentHealth <= 0) {
+        stats[source.id].kills += 1;
+      }
+    }
+  } else if (change < 0 && source && stats[source.id]) {
+    stats[source.id].healingDone += -change;
+  }
+};
+
+// ========== ACTION EXECUTION ==========
+// Turn one AI action into the reducer action BattleGame dispatches for it, resolving the
+// combat roll here just like BattleGame does. Damage is recorded in the creature stats.
+const toReducerAction = (state, side, action, rng, stats) => {
+  const isPlayer = side === 'player';
+  const energyCost = getActionEnergyCost(action, state.difficulty);
+
+  switch (action.type) {
+    case 'deploy': {
+      const creature = state[getSideKeys(side).hand].find(c => c.id === action.creature.id);
+      stats[creature.id].deployed = true;
+      return {
+        type: isPlayer ? ACTIONS.DEPLOY_CREATURE : ACTIONS.ENEMY_DEPLOY_CREATURE,
+        creature,
+        energyCost
+      };
+    }
+
+    case 'attack': {
+      const attacker = findOnField(state, action.attacker);
+      const defender = findOnField(state, action.target);
+      const attackResult = processAttack(attacker, defender, 'auto', rng);
+      stats[attacker.id].attacks += 1;
+      recordHealthChange(stats, attacker, defender, attackResult.updatedDefender);
+      return { type: ACTIONS.ATTACK, attackResult, energyCost };
+    }
+
+    case 'defend':
+      return { type: ACTIONS.DEFEND, updatedCreature: defendCreature(findOnField(state, action.creature), state.difficulty) };
+
+    case 'useTool': {
+      const target = findOnField(state, action.target);
+      const result = applyTool(target, action.tool, state.difficulty);
+      if (!result?.updatedCreature) return null;
+      recordHealthChange(stats, null, target, result.updatedCreature);
+      return { type: ACTIONS.USE_TOOL, result, tool: action.tool, isPlayerTool: isPlayer, isEnemyTool: !isPlayer };
+    }
+
+    case 'useSpell': {
+      const caster = findOnField(state, action.caster);
+      const target = findOnField(state, action.target) || caster;
+      const spellResult = applySpell(caster, target, action.spell, state.difficulty, rng);
+      if (!spellResult) return null;
+      stats[caster.id].spellsCast += 1;
+      recordHealthChange(stats, caster, target, spellResult.updatedTarget);
+      if (spellResult.updatedCaster.id !== spellResult.updatedTarget.id) {
+        recordHealthChange(stats, caster, caster, spellResult.updatedCaster);
+      }
+      return { type: ACTIONS.USE_SPELL, spellResult, spell: action.spell, energyCost, isEnemySpell: !isPlayer };
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Apply one AI action for a side through the battle reducer. Returns the new state, or
+// null if the action breaks the rules (the same checks BattleGame runs before acting).
+const executeAction = (state, side, action, rng, stats) => {
+  if (validateAction(state, side, action).length > 0) {
+    return null;
+  }
+
+  const reducerAction = toReducerAction(state, side, action, rng, stats);
+  return reducerAction ? battleReducer(state, reducerAction) : null;
+};
+
+// Let the AI play one side's turn the way BattleGame runs the enemy turn: a planned sequence
+// is played out in full; after a single action the AI may go again (multiActionChance)
+const playSideTurn = (state, side, aiDifficulty, rng, stats) => {
+  const keys = getSideKeys(side);
+  const { multiActionChance } = getDifficultySettings(aiDifficulty);
+  let current = state;
+  let actionsTaken = 0;
+
+  while (actionsTaken < MAX_ACTIONS_PER_TURN) {
+    const decision = determineAIAction(
+      aiDifficulty,
+      current[keys.hand],
+      current[keys.field],
+      current[keys.opposingField],
+      current[keys.tools],
+      current[keys.spells],
+      current[keys.energy],
+      rng
+    );
+
+    if (!Array.isArray(decision) && decision.type === 'endTurn') {
+      break;
+    }
+
+    let executed = false;
+    for (const action of (Array.isArray(decision) ? decision : [decision])) {
+      if (actionsTaken >= MAX_ACTIONS_PER_TURN) break;
+      const next = executeAction(current, side, action, rng, stats);
+      if (next) {
+        current = next;
+        executed = true;
+        actionsTaken += 1;
+      }
+    }
+
+    const canMultiAction = rng() < (multiActionChance || 0.3);
+    if (Array.isArray(decision) || !executed || !canMultiAction || current[keys.energy] < 2 || getBattleOutcome(current)) {
+      break;
+    }
+  }
+
+  return current;
+};
+
+// ========== TURN UPKEEP ==========
+// Same upkeep actions BattleGame dispatches when a turn ends
+const endPlayerTurn = (state) => battleReducer(state, { type: ACTIONS.END_PLAYER_TURN });
+
+const resolveRound = (state) => battleReducer(
+  battleReducer(state, { type: ACTIONS.BEGIN_RESOLUTION }),
+  { type: ACTIONS.RESOLVE_ROUND }
+);
+
+// ========== PUBLIC API ==========
+/**
+ * Run a full AI-vs-AI match between two loadouts without React
+ * @param {Object} options - Simulation options
+ * @param {Object} options.playerLoadout - { creatures, tools, spells } for the player side
+ * @param {Object} options.enemyLoadout - { creatures, tools, spells } for the enemy side
+ * @param {string} options.difficulty - Difficulty used for battle rules and the enemy AI
+ * @param {string} options.playerAILevel - AI difficulty that plays the player side
+ * @param {number|string} options.seed - Battle seed (random if omitted)
+ * @param {number} options.maxTurns - Turn limit before the match is called a draw
+ * @param {boolean} options.quiet - Silence console.log from the battle modules
+ * @returns {Object} { winner, turns, seed, creatureStats, remainingHealth }
+ */
+export const simulateBattle = ({
+  playerLoadout,
+  enemyLoadout,
+  difficulty = 'medium',
+  playerAILevel = 'medium',
+  seed,
+  maxTurns = DEFAULT_MAX_TURNS,
+  quiet = true
+} = {}) => {
+  const battleSeed = seed ?? createBattleSeed();
+  const rng = createSeededRandom(battleSeed);
+
+  return runQuietly(() => {
+    const settings = getDifficultySettings(difficulty);
+    const playerCreatures = (playerLoadout?.creatures || []).map(c => prepareBattleCreature(c, 'player'));
+    const enemyCreatures = (enemyLoadout?.creatures || []).map(c => prepareBattleCreature(c, 'enemy'));
+
+    const stats = {};
+    playerCreatures.forEach(c => { stats[c.id] = createCreatureStats(c, 'player'); });
+    enemyCreatures.forEach(c => { stats[c.id] = createCreatureStats(c, 'enemy'); });
+
+    const playerHandSize = Math.min(PLAYER_INITIAL_HAND_SIZE, playerCreatures.length);
+    const enemyHandSize = settings.initialHandSize || PLAYER_INITIAL_HAND_SIZE;
+
+    let state = battleReducer(initialBattleState, {
+      type: ACTIONS.START_BATTLE,
+      playerHand: playerCreatures.slice(0, playerHandSize),
+      playerDeck: playerCreatures.slice(playerHandSize),
+      playerTools: [...(playerLoadout?.tools || [])],
+      playerSpells: filterAllowedSpells([...(playerLoadout?.spells || [])], difficulty),
+      enemyHand: enemyCreatures.slice(0, enemyHandSize),
+      enemyDeck: enemyCreatures.slice(enemyHandSize),
+      enemyTools: [...(enemyLoadout?.tools || [])],
+      enemySpells: filterAllowedSpells([...(enemyLoadout?.spells || [])], difficulty),
+      difficulty,
+      difficultySettings: settings,
+      startingEnergy: getStartingEnergy(difficulty),
+      seed: battleSeed
+    });
+
+    let winner = null;
+    let turn = 1;
+
+    // Check for a winner after every step that can knock out the last creature of a side
+    const steps = [
+      (current) => playSideTurn(current, 'player', playerAILevel, rng, stats),
+      endPlayerTurn,
+      (current) => playSideTurn(current, 'enemy', difficulty, rng, stats),
+      resolveRound
+    ];
+
+    for (; turn <= maxTurns; turn++) {
+      for (const step of steps) {
+        state = step(state);
+        const outcome = getBattleOutcome(state);
+        if (outcome) {
+          winner = outcome === 'victory' ? 'player' : 'enemy';
+          break;
+        }
+      }
+      if (winner) break;
+    }
+
+    // Final health for survivors
+    [...state.playerField, ...state.playerHand, ...state.playerDeck,
+     ...state.enemyField, ...state.enemyHand, ...state.enemyDeck].forEach(creature => {
+      if (stats[creature.id]) {
+        stats[creature.id].survived = creature.currentHealth > 0;
+        stats[creature.id].remainingHealth = creature.currentHealth;
+      }
+    });
+    Object.values(stats).forEach(entry => {
+      if (!entry.survived) entry.remainingHealth = 0;
+    });
+
+    const creatureStats = Object.values(stats);
+    const sumHealth = (side) => creatureStats
+      .filter(entry => entry.side === side)
+      .reduce((total, entry) => total + entry.remainingHealth, 0);
+
+    return {
+      winner: winner || 'draw',
+      turns: Math.min(turn, maxTurns),
+      seed: battleSeed,
+      creatureStats,
+      remainingHealth: {
+        player: sumHealth('player'),
+        enemy: sumHealth('enemy')
+      }
+    };
+  }, quiet);
+};
+
+/**
+ * Run many AI-vs-AI matches per difficulty and report win rates
+ * @param {Object} options - Batch options
+ * @param {Array} options.difficulties - Difficulties to test
+ * @param {number} options.matches - Matches per difficulty
+ * @param {number} options.creatureCount - Creatures per side when loadouts are generated
+ * @param {string} options.playerAILevel - AI difficulty that plays the player side
+ * @param {string} options.playerLoadoutDifficulty - Difficulty used to generate the player side's loadout
+ * @param {Function} options.createPlayerLoadout - Optional (difficulty, rng) => loadout override
+ * @param {number|string} options.seed - Base seed - the whole batch is reproducible from it
+ * @param {number} options.maxTurns - Turn limit per match
+ * @returns {Object} Results keyed by difficulty
+ */
+export const simulateBatch = ({
+  difficulties = SIMULATION_DIFFICULTIES,
+  matches = 1000,
+  creatureCount = 5,
+  playerAILevel = 'medium',
+  playerLoadoutDifficulty = 'medium',
+  createPlayerLoadout,
+  seed,
+  maxTurns = DEFAULT_MAX_TURNS
+} = {}) => {
+  const batchRng = createSeededRandom(seed ?? createBattleSeed());
+  const results = {};
+
+  difficulties.forEach(difficulty => {
+    const summary = {
+      difficulty,
+      matches: 0,
+      playerWins: 0,
+      enemyWins: 0,
+      draws: 0,
+      totalTurns: 0,
+      playerWinRate: 0,
+      enemyWinRate: 0,
+      drawRate: 0,
+      averageTurns: 0
+    };
+
+    for (let i = 0; i < matches; i++) {
+      const matchSeed = Math.floor(batchRng() * 0x100000000);
+      const loadoutRng = createSeededRandom(matchSeed);
+
+      const result = runQuietly(() => {
+        const playerLoadout = createPlayerLoadout
+          ? createPlayerLoadout(difficulty, loadoutRng)
+          : generateCompleteEnemyLoadout(playerLoadoutDifficulty, creatureCount, [], loadoutRng);
+        const enemyLoadout = generateCompleteEnemyLoadout(difficulty, creatureCount, playerLoadout.creatures, loadoutRng);
+
+        return simulateBattle({
+          playerLoadout,
+          enemyLoadout,
+          difficulty,
+          playerAILevel,
+          seed: matchSeed,
+          maxTurns,
+          quiet: true
+        });
+      });
+
+      summary.matches += 1;
+      summary.totalTurns += result.turns;
+      if (result.winner === 'player') summary.playerWins += 1;
+      else if (result.winner === 'enemy') summary.enemyWins += 1;
+      else summary.draws += 1;
+    }
+
+    if (summary.matches > 0) {
+      summary.playerWinRate = summary.playerWins / summary.matches;
+      summary.enemyWinRate = summary.enemyWins / summary.matches;
+      summary.drawRate = summary.draws / summary.matches;
+      summary.averageTurns = summary.totalTurns / summary.matches;
+    }
+
+    results[difficulty] = summary;
+  });
+
+  return results;
+};
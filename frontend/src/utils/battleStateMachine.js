@@ -0,0 +1,973 @@
+// src/utils/battleStateMachine.js - BATTLE RULES AS A FRAMEWORK-FREE STATE MACHINE
+import { DEFAULT_STARTING_ENERGY, getDifficultyLabel, getDifficultySettings } from './difficultySettings';
+
+// BALANCED CONSTANTS for strategic gameplay
+export const ATTACK_ENERGY_COST = 2;           
+export const DEFEND_ENERGY_COST = 1;           
+export const BASE_ENERGY_REGEN = 3;            
+export const SPELL_ENERGY_COST = 4;            
+export const TOOL_ENERGY_COST = 0;             
+export const MAX_ENERGY = 25;                  // Increased from 15 to accommodate higher energy generation
+export const ENERGY_DECAY_RATE = 0.1;          
+export const ENERGY_DECAY_THRESHOLD = 10;      // Decay only applies above this much energy
+
+// Rules the daily challenge's modifiers can change
+export const getSpellEnergyCost = (difficulty) => getDifficultySettings(difficulty).spellEnergyCost ?? SPELL_ENERGY_COST;
+export const isDefendingAllowed = (difficulty) => !getDifficultySettings(difficulty).noDefending;
+
+// Rules set by the difficulty profile - the reducer reads the copy START_BATTLE keeps in
+// state.difficultySettings, so a replay plays back under the profile it was fought with
+export const getMaxEnergy = (settings) => settings?.maxEnergy ?? MAX_ENERGY;
+export const getMaxHandSize = (settings) => settings?.maxHandSize ?? 5;
+
+// Regeneration stops at the profile's max energy
+const regenerateEnergy = (energy, gain, settings) => Math.min(getMaxEnergy(settings), energy + gain);
+
+// Action types for the battle reducer
+export const ACTIONS = {
+  START_BATTLE: 'START_BATTLE',
+  DEPLOY_CREATURE: 'DEPLOY_CREATURE',
+  ENEMY_DEPLOY_CREATURE: 'ENEMY_DEPLOY_CREATURE',
+  UPDATE_CREATURE: 'UPDATE_CREATURE',
+  ATTACK: 'ATTACK',
+  USE_TOOL: 'USE_TOOL',
+  USE_SPELL: 'USE_SPELL',
+  DEFEND: 'DEFEND',
+  DRAW_CARD: 'DRAW_CARD',
+  REGENERATE_ENERGY: 'REGENERATE_ENERGY',
+  APPLY_ENERGY_DECAY: 'APPLY_ENERGY_DECAY',
+  SET_ACTIVE_PLAYER: 'SET_ACTIVE_PLAYER',
+  INCREMENT_TURN: 'INCREMENT_TURN',
+  SET_GAME_STATE: 'SET_GAME_STATE',
+  APPLY_ONGOING_EFFECTS: 'APPLY_ONGOING_EFFECTS',
+  ADD_LOG: 'ADD_LOG',
+  SPEND_ENERGY: 'SPEND_ENERGY',
+  COMBO_BONUS: 'COMBO_BONUS',
+  BEGIN_RESOLUTION: 'BEGIN_RESOLUTION',
+  END_PLAYER_TURN: 'END_PLAYER_TURN',
+  RESOLVE_ROUND: 'RESOLVE_ROUND'
+};
+
+// ========== PHASES ==========
+// setup -> playerTurn -> enemyTurn -> resolution -> playerTurn ... -> victory/defeat
+export const BATTLE_PHASES = {
+  SETUP: 'setup',
+  PLAYER_TURN: 'playerTurn',
+  ENEMY_TURN: 'enemyTurn',
+  RESOLUTION: 'resolution',
+  VICTORY: 'victory',
+  DEFEAT: 'defeat'
+};
+
+// Actions each phase accepts - anything else is rejected by the reducer
+const PHASE_ACTIONS = {
+  [BATTLE_PHASES.SETUP]: [
+    ACTIONS.START_BATTLE,
+    ACTIONS.ADD_LOG
+  ],
+  [BATTLE_PHASES.PLAYER_TURN]: [
+    ACTIONS.DEPLOY_CREATURE,
+    ACTIONS.UPDATE_CREATURE,
+    ACTIONS.ATTACK,
+    ACTIONS.USE_TOOL,
+    ACTIONS.USE_SPELL,
+    ACTIONS.DEFEND,
+    ACTIONS.SPEND_ENERGY,
+    ACTIONS.COMBO_BONUS,
+    ACTIONS.APPLY_ONGOING_EFFECTS,
+    ACTIONS.APPLY_ENERGY_DECAY,
+    ACTIONS.SET_ACTIVE_PLAYER,
+    ACTIONS.END_PLAYER_TURN,
+    ACTIONS.SET_GAME_STATE,
+    ACTIONS.ADD_LOG
+  ],
+  [BATTLE_PHASES.ENEMY_TURN]: [
+    ACTIONS.ENEMY_DEPLOY_CREATURE,
+    ACTIONS.UPDATE_CREATURE,
+    ACTIONS.ATTACK,
+    ACTIONS.USE_TOOL,
+    ACTIONS.USE_SPELL,
+    ACTIONS.DEFEND,
+    ACTIONS.SPEND_ENERGY,
+    ACTIONS.BEGIN_RESOLUTION,
+    ACTIONS.SET_GAME_STATE,
+    ACTIONS.ADD_LOG
+  ],
+  [BATTLE_PHASES.RESOLUTION]: [
+    ACTIONS.APPLY_ONGOING_EFFECTS,
+    ACTIONS.APPLY_ENERGY_DECAY,
+    ACTIONS.INCREMENT_TURN,
+    ACTIONS.DRAW_CARD,
+    ACTIONS.REGENERATE_ENERGY,
+    ACTIONS.COMBO_BONUS,
+    ACTIONS.SET_ACTIVE_PLAYER,
+    ACTIONS.RESOLVE_ROUND,
+    ACTIONS.SET_GAME_STATE,
+    ACTIONS.ADD_LOG
+  ],
+  [BATTLE_PHASES.VICTORY]: [
+    ACTIONS.SET_GAME_STATE,
+    ACTIONS.ADD_LOG
+  ],
+  [BATTLE_PHASES.DEFEAT]: [
+    ACTIONS.SET_GAME_STATE,
+    ACTIONS.ADD_LOG
+  ]
+};
+
+// Which side is allowed to act during a phase
+const getActingSide = (phase) => {
+  if (phase === BATTLE_PHASES.PLAYER_TURN) return 'player';
+  if (phase === BATTLE_PHASES.ENEMY_TURN) return 'enemy';
+  return null;
+};
+
+const getCreatureSide = (state, creature) => {
+  if (!creature) return null;
+  if (state.playerField.some(c => c.id === creature.id)) return 'player';
+  if (state.enemyField.some(c => c.id === creature.id)) return 'enemy';
+  return null;
+};
+
+const rejectTransition = (reason, message) => ({ valid: false, reason, message });
+
+/**
+ * Check whether an action is a legal transition from the current battle state
+ * @param {Object} state - Current battle state
+ * @param {Object} action - Action to validate
+ * @returns {Object} { valid, reason, message } - reason is a machine-readable code
+ */
+export const validateTransition = (state, action) => {
+  if (!action || !action.type) {
+    return rejectTransition('invalid_action', 'Action has no type');
+  }
+
+  const phase = state.phase || BATTLE_PHASES.SETUP;
+  const allowedActions = PHASE_ACTIONS[phase] || [];
+
+  if (!allowedActions.includes(action.type)) {
+    return rejectTransition('wrong_phase', `${action.type} is not allowed during ${phase}`);
+  }
+
+  const actingSide = getActingSide(phase);
+
+  switch (action.type) {
+    case ACTIONS.ATTACK:
+      if (!action.attackResult?.updatedAttacker || !action.attackResult?.updatedDefender) {
+        return rejectTransition('invalid_action', 'Attack has no result');
+      }
+      if (getCreatureSide(state, action.attackResult.updatedAttacker) !== actingSide) {
+        return rejectTransition('wrong_side', `Attacker is not on the ${actingSide} field`);
+      }
+      break;
+
+    case ACTIONS.USE_SPELL:
+      if (!action.spellResult?.updatedCaster) {
+        return rejectTransition('invalid_action', 'Spell has no result');
+      }
+      if (getCreatureSide(state, action.spellResult.updatedCaster) !== actingSide) {
+        return rejectTransition('wrong_side', `Caster is not on the ${actingSide} field`);
+      }
+      break;
+
+    case ACTIONS.USE_TOOL:
+      if ((actingSide === 'player' && !action.isPlayerTool) || (actingSide === 'enemy' && !action.isEnemyTool)) {
+        return rejectTransition('wrong_side', `Tool does not belong to the ${actingSide}`);
+      }
+      break;
+
+    case ACTIONS.DEFEND:
+      if (getCreatureSide(state, action.updatedCreature) !== actingSide) {
+        return rejectTransition('wrong_side', `Defender is not on the ${actingSide} field`);
+      }
+      break;
+
+    case ACTIONS.SPEND_ENERGY:
+      if (action.player !== actingSide) {
+        return rejectTransition('wrong_side', `Only the ${actingSide} can spend energy now`);
+      }
+      break;
+
+    case ACTIONS.COMBO_BONUS:
+      // The player cashes in combos when ending their turn, the enemy during resolution
+      if (action.player !== (actingSide || 'enemy')) {
+        return rejectTransition('wrong_side', `Combo bonus for ${action.player} is not allowed during ${phase}`);
+      }
+      break;
+
+    case ACTIONS.SET_ACTIVE_PLAYER:
+      if (phase === BATTLE_PHASES.PLAYER_TURN && action.player !== 'enemy') {
+        return rejectTransition('invalid_transition', 'The player turn can only pass to the enemy');
+      }
+      if (phase === BATTLE_PHASES.RESOLUTION && action.player !== 'player') {
+        return rejectTransition('invalid_transition', 'Resolution can only hand the turn to the player');
+      }
+      break;
+
+    case ACTIONS.SET_GAME_STATE: {
+      const isFinished = phase === BATTLE_PHASES.VICTORY || phase === BATTLE_PHASES.DEFEAT;
+      if (isFinished && action.gameState !== 'setup') {
+        return rejectTransition('invalid_transition', 'A finished battle can only return to setup');
+      }
+      if (!isFinished && action.gameState !== 'victory' && action.gameState !== 'defeat') {
+        return rejectTransition('invalid_transition', `Cannot move from ${phase} to ${action.gameState}`);
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return { valid: true, reason: null, message: null };
+};
+
+// Phase reached after a valid action
+const getNextPhase = (state, action) => {
+  switch (action.type) {
+    case ACTIONS.START_BATTLE:
+      return BATTLE_PHASES.PLAYER_TURN;
+    case ACTIONS.SET_ACTIVE_PLAYER:
+      return action.player === 'player' ? BATTLE_PHASES.PLAYER_TURN : BATTLE_PHASES.ENEMY_TURN;
+    case ACTIONS.END_PLAYER_TURN:
+      return BATTLE_PHASES.ENEMY_TURN;
+    case ACTIONS.RESOLVE_ROUND:
+      return BATTLE_PHASES.PLAYER_TURN;
+    case ACTIONS.BEGIN_RESOLUTION:
+      return BATTLE_PHASES.RESOLUTION;
+    case ACTIONS.SET_GAME_STATE:
+      if (action.gameState === 'victory') return BATTLE_PHASES.VICTORY;
+      if (action.gameState === 'defeat') return BATTLE_PHASES.DEFEAT;
+      return BATTLE_PHASES.SETUP;
+    default:
+      return state.phase;
+  }
+};
+
+// FIXED: Calculate energy cost for a creature (higher forms cost MORE)
+export const calculateCreatureEnergyCost = (creature) => {
+  // Base cost depends on form: Form 0 = 5, Form 1 = 6, Form 2 = 7, Form 3 = 8
+  let energyCost = 5; // Base cost for form 0
+  
+  // Add cost based on form
+  if (creature.form !== undefined && creature.form !== null) {
+    energyCost += creature.form; // Form 0 = 5, Form 1 = 6, Form 2 = 7, Form 3 = 8
+  }
+  
+  // No additional cost modifiers for rarity to keep it simple
+  // This keeps the costs exactly as requested: 5, 6, 7, 8
+  
+  return energyCost;
+};
+
+// ENHANCED Battle state reducer with better energy management
+const applyBattleAction = (state, action) => {
+  switch (action.type) {
+    case ACTIONS.START_BATTLE:
+      return {
+        ...state,
+        gameState: 'battle',
+        playerDeck: action.playerDeck,
+        playerHand: action.playerHand,
+        playerField: [],
+        enemyDeck: action.enemyDeck,
+        enemyHand: action.enemyHand,
+        enemyField: [],
+        // Campaign stages can start either side with more or less energy
+        playerEnergy: action.startingEnergy?.player ?? DEFAULT_STARTING_ENERGY,
+        enemyEnergy: action.startingEnergy?.enemy ?? DEFAULT_STARTING_ENERGY,
+        turn: 1,
+        activePlayer: 'player',
+        battleLog: [{
+          id: Date.now(),
+          turn: 1,
+          message: `Battle started! Difficulty: ${getDifficultyLabel(action.difficulty)} - Prepare for intense combat! (Seed: ${action.seed})`
+        }],
+        playerTools: action.playerTools,
+        playerSpells: action.playerSpells,
+        enemyTools: action.enemyTools || [],
+        enemySpells: action.enemySpells || [],
+        difficulty: action.difficulty,
+        // Resolved once here - a custom profile can change after the battle starts
+        difficultySettings: action.difficultySettings || getDifficultySettings(action.difficulty),
+        seed: action.seed,
+        consecutiveActions: { player: 0, enemy: 0 },
+        energyMomentum: { player: 0, enemy: 0 }
+      };
+    
+    case ACTIONS.DEPLOY_CREATURE: {
+      console.log("=== DEPLOY_CREATURE ACTION ===");
+      console.log("Creature being deployed:", action.creature);
+      console.log("Creature form:", action.creature.form);
+      console.log("Creature battleStats:", action.creature.battleStats);
+      console.log("Energy cost from action:", action.energyCost);
+      console.log("Energy cost from battleStats:", action.creature.battleStats?.energyCost);
+      
+      // FIXED: Parse form as number to avoid string concatenation
+      const formLevel = parseInt(action.creature.form) || 0;
+      const correctCost = 5 + formLevel;
+      const deployEnergyCost = action.energyCost || action.creature.battleStats?.energyCost || correctCost;
+      console.log("Final deploy energy cost:", deployEnergyCost);
+      
+      // FIXED: Prevent negative energy
+      if (state.playerEnergy < deployEnergyCost) {
+        console.error("Not enough energy to deploy creature");
+        return state;
+      }
+      
+      return {
+        ...state,
+        playerHand: state.playerHand.filter(c => c.id !== action.creature.id),
+        playerField: [...state.playerField, action.creature],
+        playerEnergy: Math.max(0, state.playerEnergy - deployEnergyCost),
+        consecutiveActions: { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 },
+        energyMomentum: { ...state.energyMomentum, player: state.energyMomentum.player + deployEnergyCost }
+      };
+    }
+    
+    case ACTIONS.ENEMY_DEPLOY_CREATURE: {
+      console.log(`REDUCER: Deploying enemy creature ${action.creature.species_name} to field`);
+      
+      const enemyDeployCost = action.energyCost || action.creature.battleStats.energyCost || 3;
+      
+      // FIXED: Prevent negative energy and duplicate deployment
+      if (state.enemyEnergy < enemyDeployCost) {
+        console.error("Enemy doesn't have enough energy to deploy");
+        return state;
+      }
+      
+      // FIXED: Check if creature already on field
+      if (state.enemyField.some(c => c.id === action.creature.id)) {
+        console.error("Creature already deployed!");
+        return state;
+      }
+      
+      const newEnemyField = [...state.enemyField, action.creature];
+      
+      return {
+        ...state,
+        enemyHand: state.enemyHand.filter(c => c.id !== action.creature.id),
+        enemyField: newEnemyField,
+        enemyEnergy: Math.max(0, state.enemyEnergy - enemyDeployCost),
+        consecutiveActions: { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
+        energyMomentum: { ...state.energyMomentum, enemy: state.energyMomentum.enemy + enemyDeployCost }
+      };
+    }
+    
+    case ACTIONS.UPDATE_CREATURE:
+      if (action.isPlayer) {
+        return {
+          ...state,
+          playerField: state.playerField.map(c => 
+            c.id === action.creature.id ? action.creature : c
+          )
+        };
+      } else {
+        return {
+          ...state,
+          enemyField: state.enemyField.map(c => 
+            c.id === action.creature.id ? action.creature : c
+          )
+        };
+      }
+    
+    case ACTIONS.ATTACK: {
+      const { attackResult } = action;
+      const isPlayerAttacker = state.playerField.some(c => c.id === attackResult.updatedAttacker.id);
+      const isPlayerDefender = state.playerField.some(c => c.id === attackResult.updatedDefender.id);
+      
+      // FIXED: Validate energy before spending
+      if (isPlayerAttacker && state.playerEnergy < action.energyCost) {
+        console.error("Not enough energy for attack");
+        return state;
+      }
+      if (!isPlayerAttacker && state.enemyEnergy < action.energyCost) {
+        console.error("Enemy doesn't have enough energy for attack");
+        return state;
+      }
+      
+      // Spend energy for attack
+      const updatedPlayerEnergy = isPlayerAttacker 
+        ? Math.max(0, state.playerEnergy - action.energyCost)
+        : state.playerEnergy;
+        
+      const updatedEnemyEnergy = !isPlayerAttacker 
+        ? Math.max(0, state.enemyEnergy - action.energyCost)
+        : state.enemyEnergy;
+      
+      return {
+        ...state,
+        playerEnergy: updatedPlayerEnergy,
+        enemyEnergy: updatedEnemyEnergy,
+        playerField: state.playerField.map(c => {
+          if (isPlayerAttacker && c.id === attackResult.updatedAttacker.id) {
+            return attackResult.updatedAttacker;
+          }
+          if (isPlayerDefender && c.id === attackResult.updatedDefender.id) {
+            return attackResult.updatedDefender;
+          }
+          return c;
+        }).filter(c => c.currentHealth > 0),
+        enemyField: state.enemyField.map(c => {
+          if (!isPlayerAttacker && c.id === attackResult.updatedAttacker.id) {
+            return attackResult.updatedAttacker;
+          }
+          if (!isPlayerDefender && c.id === attackResult.updatedDefender.id) {
+            return attackResult.updatedDefender;
+          }
+          return c;
+        }).filter(c => c.currentHealth > 0),
+        consecutiveActions: isPlayerAttacker 
+          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
+          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
+        energyMomentum: isPlayerAttacker
+          ? { ...state.energyMomentum, player: state.energyMomentum.player + action.energyCost }
+          : { ...state.energyMomentum, enemy: state.energyMomentum.enemy + action.energyCost }
+      };
+    }
+    
+    case ACTIONS.USE_TOOL: {
+      const isPlayerToolTarget = state.playerField.some(c => c.id === action.result.updatedCreature.id);
+      
+      if (!action.result || !action.result.updatedCreature) {
+        console.error("Invalid tool result:", action.result);
+        return state;
+      }
+      
+      return {
+        ...state,
+        playerField: isPlayerToolTarget
+          ? state.playerField.map(c => c.id === action.result.updatedCreature.id ? action.result.updatedCreature : c)
+          : state.playerField,
+        enemyField: !isPlayerToolTarget
+          ? state.enemyField.map(c => c.id === action.result.updatedCreature.id ? action.result.updatedCreature : c)
+          : state.enemyField,
+        playerTools: action.isPlayerTool ? state.playerTools.filter(t => t.id !== action.tool.id) : state.playerTools,
+        enemyTools: action.isEnemyTool ? state.enemyTools.filter(t => t.id !== action.tool.id) : state.enemyTools,
+        consecutiveActions: action.isPlayerTool
+          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
+          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 }
+      };
+    }
+    
+    case ACTIONS.USE_SPELL: {
+      const { spellResult, spell } = action;
+      const spellCost = action.energyCost || (state.difficultySettings?.spellEnergyCost ?? SPELL_ENERGY_COST);
+      
+      if (!spellResult || !spellResult.updatedCaster || !spellResult.updatedTarget) {
+        console.error("Invalid spell result:", spellResult);
+        return state;
+      }
+      
+      const isPlayerCaster = state.playerField.some(c => c.id === spellResult.updatedCaster.id);
+      const isPlayerTarget = state.playerField.some(c => c.id === spellResult.updatedTarget.id);
+      
+      // FIXED: Validate energy
+      if (isPlayerCaster && state.playerEnergy < spellCost) {
+        console.error("Not enough energy for spell");
+        return state;
+      }
+      if (!isPlayerCaster && state.enemyEnergy < spellCost) {
+        console.error("Enemy doesn't have enough energy for spell");
+        return state;
+      }
+      
+      return {
+        ...state,
+        playerField: state.playerField.map(c => {
+          if (isPlayerCaster && c.id === spellResult.updatedCaster.id) {
+            return spellResult.updatedCaster;
+          }
+          if (isPlayerTarget && c.id === spellResult.updatedTarget.id) {
+            return spellResult.updatedTarget;
+          }
+          return c;
+        }).filter(c => c.currentHealth > 0),
+        enemyField: state.enemyField.map(c => {
+          if (!isPlayerCaster && c.id === spellResult.updatedCaster.id) {
+            return spellResult.updatedCaster;
+          }
+          if (!isPlayerTarget && c.id === spellResult.updatedTarget.id) {
+            return spellResult.updatedTarget;
+          }
+          return c;
+        }).filter(c => c.currentHealth > 0),
+        playerEnergy: isPlayerCaster ? Math.max(0, state.playerEnergy - spellCost) : state.playerEnergy,
+        enemyEnergy: !isPlayerCaster ? Math.max(0, state.enemyEnergy - spellCost) : state.enemyEnergy,
+        playerSpells: isPlayerCaster ? state.playerSpells.filter(s => s.id !== spell.id) : state.playerSpells,
+        enemySpells: action.isEnemySpell ? state.enemySpells.filter(s => s.id !== spell.id) : state.enemySpells,
+        consecutiveActions: isPlayerCaster
+          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
+          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
+        energyMomentum: isPlayerCaster
+          ? { ...state.energyMomentum, player: state.energyMomentum.player + spellCost }
+          : { ...state.energyMomentum, enemy: state.energyMomentum.enemy + spellCost }
+      };
+    }
+    
+    case ACTIONS.DEFEND: {
+      const isPlayerDefending = state.playerField.some(c => c.id === action.updatedCreature.id);
+      
+      // FIXED: Validate energy
+      if (isPlayerDefending && state.playerEnergy < DEFEND_ENERGY_COST) {
+        console.error("Not enough energy to defend");
+        return state;
+      }
+      if (!isPlayerDefending && state.enemyEnergy < DEFEND_ENERGY_COST) {
+        console.error("Enemy doesn't have enough energy to defend");
+        return state;
+      }
+      
+      const playerEnergyAfterDefend = isPlayerDefending 
+        ? Math.max(0, state.playerEnergy - DEFEND_ENERGY_COST)
+        : state.playerEnergy;
+        
+      const enemyEnergyAfterDefend = !isPlayerDefending 
+        ? Math.max(0, state.enemyEnergy - DEFEND_ENERGY_COST)
+        : state.enemyEnergy;
+      
+      return {
+        ...state,
+        playerEnergy: playerEnergyAfterDefend,
+        enemyEnergy: enemyEnergyAfterDefend,
+        playerField: isPlayerDefending
+          ? state.playerField.map(c => c.id === action.updatedCreature.id ? action.updatedCreature : c)
+          : state.playerField,
+        enemyField: !isPlayerDefending
+          ? state.enemyField.map(c => c.id === action.updatedCreature.id ? action.updatedCreature : c)
+          : state.enemyField,
+        consecutiveActions: isPlayerDefending
+          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
+          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 }
+      };
+    }
+    
+    case ACTIONS.SPEND_ENERGY:
+      if (action.player === 'player') {
+        return {
+          ...state,
+          playerEnergy: Math.max(0, state.playerEnergy - action.amount)
+        };
+      } else {
+        return {
+          ...state,
+          enemyEnergy: Math.max(0, state.enemyEnergy - action.amount)
+        };
+      }
+    
+    case ACTIONS.DRAW_CARD:
+      if (action.player === 'player') {
+        if (state.playerDeck.length === 0) return state;
+        const drawnCard = state.playerDeck[0];
+        return {
+          ...state,
+          playerHand: [...state.playerHand, drawnCard],
+          playerDeck: state.playerDeck.slice(1)
+        };
+      } else {
+        if (state.enemyDeck.length === 0) return state;
+        const drawnCard = state.enemyDeck[0];
+        return {
+          ...state,
+          enemyHand: [...state.enemyHand, drawnCard],
+          enemyDeck: state.enemyDeck.slice(1)
+        };
+      }
+    
+    case ACTIONS.REGENERATE_ENERGY: {
+      // Apply energy momentum bonus
+      const playerMomentumBonus = Math.floor(state.energyMomentum.player / 10);
+      const enemyMomentumBonus = Math.floor(state.energyMomentum.enemy / 10);
+      
+      return {
+        ...state,
+        playerEnergy: regenerateEnergy(state.playerEnergy, action.playerRegen + playerMomentumBonus, state.difficultySettings),
+        enemyEnergy: regenerateEnergy(state.enemyEnergy, action.enemyRegen + enemyMomentumBonus, state.difficultySettings),
+        energyMomentum: { player: 0, enemy: 0 }
+      };
+    }
+    
+    case ACTIONS.APPLY_ENERGY_DECAY: {
+      // Apply energy decay to prevent hoarding
+      const playerDecay = Math.floor(state.playerEnergy * ENERGY_DECAY_RATE);
+      const enemyDecay = Math.floor(state.enemyEnergy * ENERGY_DECAY_RATE);
+      
+      return {
+        ...state,
+        playerEnergy: Math.max(0, state.playerEnergy - playerDecay),
+        enemyEnergy: Math.max(0, state.enemyEnergy - enemyDecay)
+      };
+    }
+    
+    case ACTIONS.SET_ACTIVE_PLAYER:
+      // Reset consecutive actions when switching players
+      return {
+        ...state,
+        activePlayer: action.player,
+        consecutiveActions: { player: 0, enemy: 0 }
+      };
+    
+    case ACTIONS.INCREMENT_TURN:
+      return {
+        ...state,
+        turn: state.turn + 1
+      };
+    
+    case ACTIONS.SET_GAME_STATE:
+      return {
+        ...state,
+        gameState: action.gameState
+      };
+    
+    case ACTIONS.APPLY_ONGOING_EFFECTS: {
+      // Process player field effects
+      const processedPlayerField = state.playerField.map(creature => {
+        let updatedCreature = { ...creature };
+        
+        // Process active effects
+        const activeEffects = updatedCreature.activeEffects || [];
+        if (activeEffects.length > 0) {
+          const remainingEffects = [];
+          let effectLog = [];
+          
+          activeEffects.forEach(effect => {
+            if (!effect) return;
+            
+            // Apply effect
+            if (effect.healthEffect) {
+              const previousHealth = updatedCreature.currentHealth;
+              updatedCreature.currentHealth = Math.min(
+                updatedCreature.battleStats.maxHealth,
+                Math.max(0, updatedCreature.currentHealth + effect.healthEffect)
+              );
+              
+              const healthChange = updatedCreature.currentHealth - previousHealth;
+              if (healthChange !== 0) {
+                const changeType = healthChange > 0 ? 'healed' : 'damaged';
+                const amount = Math.abs(healthChange);
+                effectLog.push(`${updatedCreature.species_name} ${changeType} for ${amount} from ${effect.name}`);
+              }
+            }
+            
+            if (effect.statEffect) {
+              Object.entries(effect.statEffect).forEach(([stat, value]) => {
+                if (updatedCreature.battleStats[stat] !== undefined) {
+                  updatedCreature.battleStats[stat] += value;
+                }
+              });
+            }
+            
+            const updatedEffect = { ...effect, duration: effect.duration - 1 };
+            
+            if (updatedEffect.duration > 0) {
+              remainingEffects.push(updatedEffect);
+            } else {
+              effectLog.push(`${effect.name} effect has expired on ${updatedCreature.species_name}`);
+            }
+          });
+          
+          updatedCreature.activeEffects = remainingEffects;
+          
+          if (effectLog.length > 0 && action.addLog) {
+            action.addLog(effectLog.join('. '));
+          }
+        }
+        
+        // Reset defending status
+        if (updatedCreature.isDefending) {
+          updatedCreature.isDefending = false;
+        }
+        
+        return updatedCreature;
+      });
+      
+      // Process enemy field effects
+      const processedEnemyField = state.enemyField.map(creature => {
+        let updatedCreature = { ...creature };
+        
+        const activeEffects = updatedCreature.activeEffects || [];
+        if (activeEffects.length > 0) {
+          const remainingEffects = [];
+          let effectLog = [];
+          
+          activeEffects.forEach(effect => {
+            if (!effect) return;
+            
+            if (effect.healthEffect) {
+              const previousHealth = updatedCreature.currentHealth;
+              updatedCreature.currentHealth = Math.min(
+                updatedCreature.battleStats.maxHealth,
+                Math.max(0, updatedCreature.currentHealth + effect.healthEffect)
+              );
+              
+              const healthChange = updatedCreature.currentHealth - previousHealth;
+              if (healthChange !== 0) {
+                const changeType = healthChange > 0 ? 'healed' : 'damaged';
+                const amount = Math.abs(healthChange);
+                effectLog.push(`Enemy ${updatedCreature.species_name} ${changeType} for ${amount} from ${effect.name}`);
+              }
+            }
+            
+            if (effect.statEffect) {
+              Object.entries(effect.statEffect).forEach(([stat, value]) => {
+                if (updatedCreature.battleStats[stat] !== undefined) {
+                  updatedCreature.battleStats[stat] += value;
+                }
+              });
+            }
+            
+            const updatedEffect = { ...effect, duration: effect.duration - 1 };
+            
+            if (updatedEffect.duration > 0) {
+              remainingEffects.push(updatedEffect);
+            } else {
+              effectLog.push(`${effect.name} effect has expired on Enemy ${updatedCreature.species_name}`);
+            }
+          });
+          
+          updatedCreature.activeEffects = remainingEffects;
+          
+          if (effectLog.length > 0 && action.addLog) {
+            action.addLog(effectLog.join('. '));
+          }
+        }
+        
+        if (updatedCreature.isDefending) {
+          updatedCreature.isDefending = false;
+        }
+        
+        return updatedCreature;
+      });
+      
+      // Filter out defeated creatures
+      const updatedPlayerField = action.updatedPlayerField || 
+        processedPlayerField.filter(c => c.currentHealth > 0);
+      
+      const updatedEnemyField = action.updatedEnemyField || 
+        processedEnemyField.filter(c => c.currentHealth > 0);
+      
+      return {
+        ...state,
+        playerField: updatedPlayerField,
+        enemyField: updatedEnemyField
+      };
+    }
+    
+    case ACTIONS.ADD_LOG:
+      return {
+        ...state,
+        battleLog: [...state.battleLog, {
+          id: Date.now() + Math.random(),
+          turn: state.turn,
+          message: action.message
+        }]
+      };
+    
+    case ACTIONS.COMBO_BONUS: {
+      // Apply combo bonuses for consecutive actions
+      const comboLevel = action.player === 'player' 
+        ? state.consecutiveActions.player 
+        : state.consecutiveActions.enemy;
+      
+      if (comboLevel >= 3) {
+        // Apply a bonus effect to all creatures
+        const field = action.player === 'player' ? 'playerField' : 'enemyField';
+        
+        return {
+          ...state,
+          [field]: state[field].map(creature => ({
+            ...creature,
+            battleStats: {
+              ...creature.battleStats,
+              physicalAttack: creature.battleStats.physicalAttack + 2,
+              magicalAttack: creature.battleStats.magicalAttack + 2
+            }
+          }))
+        };
+      }
+      
+      return state;
+    }
+    
+    case ACTIONS.END_PLAYER_TURN:
+      return endPlayerTurn(state);
+    
+    case ACTIONS.RESOLVE_ROUND:
+      return resolveRound(state);
+    
+    default:
+      return state;
+  }
+};
+
+// ========== TURN UPKEEP ==========
+// The end-of-turn rules live here so the game and the simulator play by the same ones
+
+const addLogMessages = (state, messages) => messages.reduce(
+  (next, message) => applyBattleAction(next, { type: ACTIONS.ADD_LOG, message }),
+  state
+);
+
+// Ongoing effects tick on both fields, then hoarded energy decays
+const applyTurnEffects = (state) => {
+  const effectMessages = [];
+  let next = applyBattleAction(state, {
+    type: ACTIONS.APPLY_ONGOING_EFFECTS,
+    addLog: (message) => effectMessages.push(message)
+  });
+  next = addLogMessages(next, effectMessages);
+
+  if (next.playerEnergy > ENERGY_DECAY_THRESHOLD || next.enemyEnergy > ENERGY_DECAY_THRESHOLD) {
+    next = applyBattleAction(next, { type: ACTIONS.APPLY_ENERGY_DECAY });
+  }
+  return next;
+};
+
+// The player ends their turn: cash in a combo, tick effects and hand over to the enemy
+const endPlayerTurn = (state) => {
+  let next = state;
+
+  if (next.consecutiveActions.player >= 3) {
+    next = applyBattleAction(next, { type: ACTIONS.COMBO_BONUS, player: 'player' });
+    next = addLogMessages(next, ['You achieved a combo bonus! All creatures gain +2 attack!']);
+  }
+
+  next = applyTurnEffects(next);
+  next = applyBattleAction(next, { type: ACTIONS.SET_ACTIVE_PLAYER, player: 'enemy' });
+  return addLogMessages(next, [`Turn ${next.turn} - Enemy's turn.`]);
+};
+
+// End of the round after the enemy turn: effects, the next turn number, card draws,
+// energy regeneration and the enemy's combo, then back to the player
+const resolveRound = (state) => {
+  const settings = state.difficultySettings;
+  const maxHandSize = getMaxHandSize(settings);
+  const enemyComboReady = state.consecutiveActions.enemy >= 3;
+
+  let next = applyTurnEffects(state);
+  next = applyBattleAction(next, { type: ACTIONS.INCREMENT_TURN });
+
+  if (next.playerHand.length < maxHandSize && next.playerDeck.length > 0) {
+    const drawnCard = next.playerDeck[0];
+    next = applyBattleAction(next, { type: ACTIONS.DRAW_CARD, player: 'player' });
+    next = addLogMessages(next, [`You drew ${drawnCard.species_name}.`]);
+  }
+  if (next.enemyHand.length < settings.initialHandSize + 1 && next.enemyDeck.length > 0) {
+    next = applyBattleAction(next, { type: ACTIONS.DRAW_CARD, player: 'enemy' });
+    next = addLogMessages(next, ['Enemy drew a card.']);
+  }
+
+  const { playerRegen, enemyRegen, playerTotalEnergy } = calculateTurnEnergyRegen(next, settings);
+  next = applyBattleAction(next, { type: ACTIONS.REGENERATE_ENERGY, playerRegen, enemyRegen });
+  next = addLogMessages(next, [
+    `You gained +${playerRegen} energy. (${playerTotalEnergy} total creature energy)`,
+    `Enemy gained +${enemyRegen} energy.`
+  ]);
+
+  // FIXED: Cash in the enemy combo before switching sides - switching resets consecutive actions
+  if (enemyComboReady) {
+    next = applyBattleAction(next, { type: ACTIONS.COMBO_BONUS, player: 'enemy' });
+    next = addLogMessages(next, ['Enemy achieved a combo bonus!']);
+  }
+
+  next = applyBattleAction(next, { type: ACTIONS.SET_ACTIVE_PLAYER, player: 'player' });
+  return addLogMessages(next, [`Turn ${next.turn} - Your turn.`]);
+};
+
+// ========== REDUCER ==========
+/**
+ * Battle reducer - validates the transition, applies it and advances the phase.
+ * Invalid actions are logged and leave the state untouched.
+ * @param {Object} state - Current battle state
+ * @param {Object} action - Action to apply
+ * @returns {Object} Next battle state
+ */
+export const battleReducer = (state, action) => {
+  const check = validateTransition(state, action);
+  if (!check.valid) {
+    console.error(`Rejected ${action?.type} (${check.reason}): ${check.message}`);
+    return state;
+  }
+
+  const nextState = applyBattleAction(state, action);
+  const nextPhase = getNextPhase(state, action);
+
+  return nextState.phase === nextPhase ? nextState : { ...nextState, phase: nextPhase };
+};
+
+// Battle state before a battle starts (also the starting point for replays)
+export const initialBattleState = {
+  gameState: 'setup',
+  phase: BATTLE_PHASES.SETUP,
+  turn: 1,
+  activePlayer: 'player',
+  difficulty: 'easy',
+  difficultySettings: null,
+  seed: null,
+  
+  // Player state
+  playerDeck: [],
+  playerHand: [],
+  playerField: [],
+  playerEnergy: 10,
+  playerTools: [],
+  playerSpells: [],
+  
+  // Enemy state
+  enemyDeck: [],
+  enemyHand: [],
+  enemyField: [],
+  enemyEnergy: 10,
+  enemyTools: [],
+  enemySpells: [],
+  
+  // Battle log
+  battleLog: [],
+  
+  // Combat tracking
+  consecutiveActions: { player: 0, enemy: 0 },
+  energyMomentum: { player: 0, enemy: 0 }
+};
+
+
+// ========== SELECTORS ==========
+/**
+ * Work out whether the battle is decided
+ * @param {Object} state - Current battle state
+ * @returns {string|null} 'victory', 'defeat' or null while the battle continues
+ */
+export const getBattleOutcome = (state) => {
+  const enemyDefeated = state.enemyField.length === 0 && state.enemyHand.length === 0 && state.enemyDeck.length === 0;
+  const playerDefeated = state.playerField.length === 0 && state.playerHand.length === 0 && state.playerDeck.length === 0;
+
+  if (enemyDefeated) return 'victory';
+  if (playerDefeated) return 'defeat';
+  return null;
+};
+
+/**
+ * Energy each side regenerates at the end of a round
+ * @param {Object} state - Current battle state
+ * @param {Object} settings - Difficulty settings (energyRegen, enemyEnergyRegen)
+ * @returns {Object} { playerRegen, enemyRegen, playerTotalEnergy, enemyTotalEnergy }
+ */
+export const calculateTurnEnergyRegen = (state, settings = {}) => {
+  const { energyRegen = BASE_ENERGY_REGEN, enemyEnergyRegen = 2 } = settings;
+  const sumEnergy = (field) => field.reduce((total, creature) => {
+    return total + (creature.stats && creature.stats.energy ? creature.stats.energy : 0);
+  }, 0);
+
+  // For every 10 energy points total, get +1 energy per turn
+  const playerTotalEnergy = sumEnergy(state.playerField);
+  const enemyTotalEnergy = sumEnergy(state.enemyField);
+
+  // Difficulty-based energy regen bonus for enemies
+  const enemyDifficultyBonus = Math.floor(enemyEnergyRegen || 0) - 2;
+
+  return {
+    playerRegen: energyRegen + Math.floor(playerTotalEnergy / 10),
+    enemyRegen: BASE_ENERGY_REGEN + Math.floor(enemyTotalEnergy / 10) + enemyDifficultyBonus,
+    playerTotalEnergy,
+    enemyTotalEnergy
+  };
+};
@@ -0,0 +1,70 @@
+// src/utils/campaign.js - AUTHORED CAMPAIGN STAGES AND UNLOCK PROGRESSION
+// Stages live in campaignStages.json and are played in order: the first is always open and
+// each later one unlocks once the stage before it is cleared. The server records clears
+// (see submitBattleResult) using the same rules, so the map and the server always agree.
+import campaignStages from './campaignStages.json';
+
+// A stage is fought as the difficulty "campaign:<stage id>"
+export const CAMPAIGN_DIFFICULTY_PREFIX = 'campaign:';
+
+export const CAMPAIGN_STAGES = campaignStages;
+
+/**
+ * Difficulty id for a campaign stage
+ * @param {string} stageId - Stage id from campaignStages.json
+ * @returns {string} e.g. 'campaign:meadow-scouts'
+ */
+export const getCampaignDifficulty = (stageId) => `${CAMPAIGN_DIFFICULTY_PREFIX}${stageId}`;
+
+export const isCampaignDifficulty = (difficulty) => (
+  typeof difficulty === 'string' && difficulty.startsWith(CAMPAIGN_DIFFICULTY_PREFIX)
+);
+
+/**
+ * The stage behind a campaign difficulty id
+ * @param {string} difficulty - e.g. 'campaign:meadow-scouts'
+ * @returns {Object|null} Stage, or null for anything that isn't a campaign stage
+ */
+export const getCampaignStage = (difficulty) => {
+  if (!isCampaignDifficulty(difficulty)) return null;
+  const stageId = difficulty.slice(CAMPAIGN_DIFFICULTY_PREFIX.length);
+  return CAMPAIGN_STAGES.find(stage => stage.id === stageId) || null;
+};
+
+/**
+ * Whether a stage can be played yet
+ * @param {string} stageId - Stage id
+ * @param {Array} clearedStages - Ids of the stages the player has cleared
+ * @returns {boolean}
+ */
+export const isStageUnlocked = (stageId, clearedStages = []) => {
+  const index = CAMPAIGN_STAGES.findIndex(stage => stage.id === stageId);
+  if (index < 0) return false;
+  return index === 0 || clearedStages.includes(CAMPAIGN_STAGES[index - 1].id);
+};
+
+/**
+ * Stages grouped by chapter, each marked cleared / unlocked for the map
+ * @param {Array} clearedStages - Ids of the stages the player has cleared
+ * @returns {Array} [{ name, stages: [{ ...stage, difficulty, cleared, unlocked, bossCount }] }]
+ */
+export const getCampaignMap = (clearedStages = []) => {
+  const chapters = [];
+
+  CAMPAIGN_STAGES.forEach(stage => {
+    let chapter = chapters.find(entry => entry.name === stage.chapter);
+    if (!chapter) {
+      chapter = { name: stage.chapter, stages: [] };
+      chapters.push(chapter);
+    }
+    chapter.stages.push({
+      ...stage,
+      difficulty: getCampaignDifficulty(stage.id),
+      cleared: clearedStages.includes(stage.id),
+      unlocked: isStageUnlocked(stage.id, clearedStages),
+      bossCount: stage.enemies.filter(enemy => enemy.boss).length
+    });
+  });
+
+  return chapters;
+};
@@ -0,0 +1,107 @@
+// src/utils/dailyChallenge.js - ONE SHARED BATTLE PER DAY
+// Everyone fights the same battle on a given (UTC) day: the date seeds the enemy loadout and
+// the AI's randomness, and picks one rule modifier for the day. Results are scored with
+// calculateDailyScore (battleRewards.js) and the server keeps the leaderboard.
+import { createSeededRandom, normalizeSeed } from './seededRandom';
+
+// The daily challenge is fought as the difficulty "daily:<YYYY-MM-DD>"
+export const DAILY_DIFFICULTY_PREFIX = 'daily:';
+
+// Difficulty profile every daily challenge starts from
+export const DAILY_BASE_DIFFICULTY = 'hard';
+
+const DAY_MS = 24 * 3600 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * One rule change per day. `rules` gets the base difficulty profile and returns the
+ * profile values to override.
+ */
+export const DAILY_MODIFIERS = [
+  {
+    id: 'cheap-spells',
+    name: 'Cheap Magic',
+    description: 'Spells cost 2 energy.',
+    rules: () => ({ spellEnergyCost: 2 })
+  },
+  {
+    id: 'double-regen',
+    name: 'Energy Flood',
+    description: 'Both sides regenerate twice as much energy each turn.',
+    // The enemy regenerates enemyEnergyRegen + 1 a turn (see calculateTurnEnergyRegen),
+    // so doubling that takes enemyEnergyRegen * 2 + 1
+    rules: (base) => ({ energyRegen: base.energyRegen * 2, enemyEnergyRegen: base.enemyEnergyRegen * 2 + 1 })
+  },
+  {
+    id: 'no-defending',
+    name: 'All-Out War',
+    description: 'Nobody can defend.',
+    rules: () => ({ noDefending: true })
+  },
+  {
+    id: 'full-reserves',
+    name: 'Full Reserves',
+    description: 'Both sides start with 20 energy.',
+    rules: () => ({ startingEnergy: { player: 20, enemy: 20 } })
+  },
+  {
+    id: 'skirmish',
+    name: 'Skirmish',
+    description: 'Only 2 creatures per side fit on the field.',
+    rules: () => ({ fieldSize: { player: 2, enemy: 2 } })
+  }
+];
+
+/**
+ * Today's challenge date (UTC)
+ * @param {number} now - Timestamp (defaults to Date.now())
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const getDailyDate = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+/**
+ * Difficulty id for a day's challenge
+ * @param {string} date - 'YYYY-MM-DD' (defaults to today)
+ * @returns {string} e.g. 'daily:2024-05-01'
+ */
+export const getDailyDifficulty = (date = getDailyDate()) => `${DAILY_DIFFICULTY_PREFIX}${date}`;
+
+export const isDailyDifficulty = (difficulty) => (
+  typeof difficulty === 'string' && difficulty.startsWith(DAILY_DIFFICULTY_PREFIX)
+);
+
+// A real calendar date in 'YYYY-MM-DD' form
+const isValidDate = (date) => (
+  DATE_PATTERN.test(date) && getDailyDate(Date.parse(`${date}T00:00:00Z`) || 0) === date
+);
+
+/**
+ * The challenge behind a daily difficulty id
+ * @param {string} difficulty - e.g. 'daily:2024-05-01'
+ * @returns {Object|null} { date, difficulty, seed, baseDifficulty, modifier }, or null
+ */
+export const getDailyChallenge = (difficulty) => {
+  if (!isDailyDifficulty(difficulty)) return null;
+  const date = difficulty.slice(DAILY_DIFFICULTY_PREFIX.length);
+  if (!isValidDate(date)) return null;
+
+  const pickModifier = createSeededRandom(`daily-modifier:${date}`);
+  return {
+    date,
+    difficulty,
+    seed: normalizeSeed(`daily:${date}`),
+    baseDifficulty: DAILY_BASE_DIFFICULTY,
+    modifier: DAILY_MODIFIERS[Math.floor(pickModifier() * DAILY_MODIFIERS.length)]
+  };
+};
+
+/**
+ * Whether results for a day are still accepted - today's challenge, plus yesterday's so a
+ * battle that runs past midnight still counts
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} now - Timestamp (defaults to Date.now())
+ * @returns {boolean}
+ */
+export const isDailyDateOpen = (date, now = Date.now()) => (
+  date === getDailyDate(now) || date === getDailyDate(now - DAY_MS)
+);
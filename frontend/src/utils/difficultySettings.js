@@ -3,108 +3,328 @@ import {
   getRandomCreatureTemplate, 
   createEnemyCreature 
 } from './enemyCreatures';
+import difficultyProfiles from './difficultyProfiles.json';
+import { getCampaignStage } from './campaign';
+import { getDailyChallenge } from './dailyChallenge';
+import { getGauntletWave } from './gauntlet';
 
-// ===== BALANCED DIFFICULTY SETTINGS =====
-// Define settings for each difficulty level - PROPERLY SCALED
-export const getDifficultySettings = (difficulty) => {
-  const settings = {
-    easy: {
-      enemyStatsMultiplier: 0.9,     // Slightly weaker enemies
-      enemyCreatureLevel: {
-        min: 0, // Form 0 creatures
-        max: 1  // Up to Form 1 creatures
-      },
-      enemyRarity: {
-        common: 0.7,
-        rare: 0.25,
-        epic: 0.05,
-        legendary: 0
-      },
-      initialHandSize: 2,
-      enemyDeckSize: 4,
-      maxFieldSize: 4,               // Balanced field size
-      enemyAILevel: 1,
-      enemyEnergyRegen: 2,
-      rewardMultiplier: 0.5,
-      multiActionChance: 0.2,        // 20% chance for multiple actions
-      aggressionLevel: 0.3           // 30% aggression
-    },
-    
-    medium: {
-      enemyStatsMultiplier: 1.0,     // Equal strength
-      enemyCreatureLevel: {
-        min: 0, // Form 0-2 creatures
-        max: 2
-      },
-      enemyRarity: {
-        common: 0.5,
-        rare: 0.35,
-        epic: 0.15,
-        legendary: 0
-      },
-      initialHandSize: 3,
-      enemyDeckSize: 5,
-      maxFieldSize: 5,
-      enemyAILevel: 2,
-      enemyEnergyRegen: 3,
-      rewardMultiplier: 1.0,
-      multiActionChance: 0.4,        // 40% chance for multiple actions
-      aggressionLevel: 0.5           // 50% aggression
-    },
-    
-    hard: {
-      enemyStatsMultiplier: 1.2,     // 20% stronger
-      enemyCreatureLevel: {
-        min: 1, // Form 1-3 creatures
-        max: 3
-      },
-      enemyRarity: {
-        common: 0.2,
-        rare: 0.4,
-        epic: 0.3,
-        legendary: 0.1
-      },
-      initialHandSize: 3,
-      enemyDeckSize: 6,
-      maxFieldSize: 5,
-      enemyAILevel: 3,
-      enemyEnergyRegen: 4,
-      rewardMultiplier: 1.5,
-      multiActionChance: 0.6,        // 60% chance for multiple actions
-      aggressionLevel: 0.7           // 70% aggression
-    },
-    
-    expert: {
-      enemyStatsMultiplier: 1.5,     // 50% stronger
-      enemyCreatureLevel: {
-        min: 2, // Form 2-3 creatures
-        max: 3
-      },
-      enemyRarity: {
-        common: 0,
-        rare: 0.3,
-        epic: 0.5,
-        legendary: 0.2
-      },
-      initialHandSize: 4,
-      enemyDeckSize: 7,
-      maxFieldSize: 6,
-      enemyAILevel: 4,
-      enemyEnergyRegen: 5,
-      rewardMultiplier: 2.0,
-      multiActionChance: 0.8,        // 80% chance for multiple actions
-      aggressionLevel: 0.85          // 85% aggression
+// ===== DIFFICULTY PROFILES =====
+// Every difficulty is a plain JSON profile. The built-in ones ship in
+// difficultyProfiles.json; the "custom" profile is edited by the player
+// and saved in localStorage.
+export const BUILT_IN_DIFFICULTIES = Object.keys(difficultyProfiles);
+export const CUSTOM_DIFFICULTY = 'custom';
+
+const CUSTOM_PROFILE_STORAGE_KEY = 'custom_difficulty_profile';
+
+// Base profile for the custom editor and for unknown difficulties
+const DEFAULT_PROFILE = difficultyProfiles.medium;
+
+// AI behaviour tiers, indexed by enemyAILevel - 1
+const AI_TIERS = ['easy', 'medium', 'hard', 'expert', 'master'];
+
+// Allowed ranges for profile values - keeps saved custom profiles playable
+const PROFILE_LIMITS = {
+  enemyStatsMultiplier: { min: 0.5, max: 2.5 },
+  initialHandSize: { min: 1, max: 6, integer: true },
+  maxHandSize: { min: 1, max: 8, integer: true },
+  enemyDeckSize: { min: 1, max: 10, integer: true },
+  maxEnergy: { min: 8, max: 40, integer: true },  // Form 3 creatures cost 8 to deploy
+  energyRegen: { min: 0, max: 10, integer: true },
+  enemyEnergyRegen: { min: 0, max: 10, integer: true },
+  enemyAILevel: { min: 1, max: AI_TIERS.length, integer: true },
+  rewardMultiplier: { min: 0, max: 3 },
+  multiActionChance: { min: 0, max: 1 },
+  aggressionLevel: { min: 0, max: 1 }
+};
+
+const FIELD_SIZE_LIMITS = { min: 1, max: 6 };
+const FORM_LIMITS = { min: 0, max: 3 };
+const STARTING_ENERGY_LIMITS = { min: 0, max: 40, integer: true };
+
+// Energy both sides start a battle with, unless a campaign stage says otherwise
+export const DEFAULT_STARTING_ENERGY = 10;
+
+// Campaign bosses get this much on every stat after their stats are rolled
+const BOSS_STAT_BONUS = 3;
+
+const clampNumber = (value, limits, fallback) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  const clamped = Math.max(limits.min, Math.min(limits.max, number));
+  return limits.integer ? Math.round(clamped) : clamped;
+};
+
+/**
+ * Fill in missing values and clamp everything into playable ranges
+ * @param {Object} profile - Difficulty profile (possibly partial or hand-edited)
+ * @param {Object} base - Profile to take missing values from
+ * @returns {Object} Complete, valid difficulty profile
+ */
+export const normalizeDifficultyProfile = (profile = {}, base = DEFAULT_PROFILE) => {
+  const normalized = { ...base, ...profile };
+
+  Object.entries(PROFILE_LIMITS).forEach(([key, limits]) => {
+    normalized[key] = clampNumber(normalized[key], limits, base[key]);
+  });
+
+  // Form range - min can't exceed max
+  const formMin = clampNumber(normalized.enemyCreatureLevel?.min, FORM_LIMITS, base.enemyCreatureLevel.min);
+  const formMax = clampNumber(normalized.enemyCreatureLevel?.max, FORM_LIMITS, base.enemyCreatureLevel.max);
+  normalized.enemyCreatureLevel = { min: Math.min(formMin, formMax), max: Math.max(formMin, formMax) };
+
+  normalized.fieldSize = {
+    player: clampNumber(normalized.fieldSize?.player, { ...FIELD_SIZE_LIMITS, integer: true }, base.fieldSize.player),
+    enemy: clampNumber(normalized.fieldSize?.enemy, { ...FIELD_SIZE_LIMITS, integer: true }, base.fieldSize.enemy)
+  };
+
+  // Rarity weights are normalized so they always add up to 1
+  const rarity = {};
+  Object.keys(base.enemyRarity).forEach(key => {
+    rarity[key] = clampNumber(normalized.enemyRarity?.[key], { min: 0, max: 1 }, 0);
+  });
+  const rarityTotal = Object.values(rarity).reduce((sum, weight) => sum + weight, 0);
+  normalized.enemyRarity = rarityTotal > 0
+    ? Object.fromEntries(Object.entries(rarity).map(([key, weight]) => [key, weight / rarityTotal]))
+    : { ...base.enemyRarity };
+
+  normalized.name = String(normalized.name || base.name).slice(0, 40);
+  normalized.description = String(normalized.description || '').slice(0, 200);
+
+  return normalized;
+};
+
+/**
+ * Load the player's custom difficulty profile
+ * @returns {Object} Custom profile (defaults to a copy of Medium)
+ */
+export const loadCustomProfile = () => {
+  try {
+    const saved = localStorage.getItem(CUSTOM_PROFILE_STORAGE_KEY);
+    if (saved) {
+      return normalizeDifficultyProfile(JSON.parse(saved));
     }
+  } catch (error) {
+    console.error("Could not read custom difficulty profile:", error);
+  }
+
+  return normalizeDifficultyProfile({
+    name: 'Custom',
+    description: 'Your own challenge rules.'
+  });
+};
+
+/**
+ * Save the player's custom difficulty profile
+ * @param {Object} profile - Profile from the custom difficulty editor
+ * @returns {Object} The normalized profile that was saved
+ */
+export const saveCustomProfile = (profile) => {
+  const normalized = normalizeDifficultyProfile(profile);
+
+  try {
+    localStorage.setItem(CUSTOM_PROFILE_STORAGE_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    console.error("Could not save custom difficulty profile:", error);
+  }
+
+  return normalized;
+};
+
+// ===== CAMPAIGN STAGES =====
+// A campaign stage plays by its base difficulty's profile with the stage's rules on top,
+// and fields the stage's fixed enemy team instead of a random one.
+const buildCampaignProfile = (stage) => {
+  const base = difficultyProfiles[stage.baseDifficulty] || DEFAULT_PROFILE;
+  const { startingEnergy, bannedSpellEffects, ...rules } = stage.rules || {};
+  const profile = normalizeDifficultyProfile({
+    ...rules,
+    name: stage.name,
+    description: stage.description,
+    enemyDeckSize: stage.enemies.length
+  }, base);
+
+  return {
+    ...profile,
+    baseDifficulty: stage.baseDifficulty,
+    enemies: stage.enemies,
+    enemyItems: stage.enemyItems,
+    startingEnergy: {
+      player: clampNumber(startingEnergy?.player, STARTING_ENERGY_LIMITS, DEFAULT_STARTING_ENERGY),
+      enemy: clampNumber(startingEnergy?.enemy, STARTING_ENERGY_LIMITS, DEFAULT_STARTING_ENERGY)
+    },
+    bannedSpellEffects: bannedSpellEffects || []
   };
+};
+
+// ===== DAILY CHALLENGE =====
+// The daily challenge plays by its base difficulty's profile with the day's modifier on top
+const buildDailyProfile = (challenge) => {
+  const base = difficultyProfiles[challenge.baseDifficulty] || DEFAULT_PROFILE;
+  const profile = normalizeDifficultyProfile({
+    ...challenge.modifier.rules(base),
+    name: `Daily Challenge: ${challenge.modifier.name}`,
+    description: challenge.modifier.description
+  }, base);
+
+  return { ...profile, baseDifficulty: challenge.baseDifficulty };
+};
+
+// ===== GAUNTLET WAVES =====
+// Each wave plays by its tier's profile with stronger, more numerous enemies on top
+const buildGauntletProfile = (gauntletWave) => {
+  const base = difficultyProfiles[gauntletWave.baseDifficulty] || DEFAULT_PROFILE;
+  const profile = normalizeDifficultyProfile({
+    ...gauntletWave.rules,
+    name: `Gauntlet Wave ${gauntletWave.wave}`,
+    description: 'Your creatures keep their wounds between waves. How far can you go?'
+  }, base);
+
+  return { ...profile, baseDifficulty: gauntletWave.baseDifficulty };
+};
+
+// ===== DIFFICULTY SETTINGS =====
+// Get the profile for a difficulty level
+export const getDifficultySettings = (difficulty) => {
+  if (difficulty === CUSTOM_DIFFICULTY) {
+    return loadCustomProfile();
+  }
+
+  const stage = getCampaignStage(difficulty);
+  if (stage) {
+    return buildCampaignProfile(stage);
+  }
+
+  const challenge = getDailyChallenge(difficulty);
+  if (challenge) {
+    return buildDailyProfile(challenge);
+  }
+
+  const gauntletWave = getGauntletWave(difficulty);
+  if (gauntletWave) {
+    return buildGauntletProfile(gauntletWave);
+  }
+
+  return { ...(difficultyProfiles[difficulty] || DEFAULT_PROFILE) };
+};
+
+/**
+ * Energy each side starts the battle with
+ * @param {string} difficulty - The difficulty level
+ * @returns {Object} { player, enemy }
+ */
+export const getStartingEnergy = (difficulty) => {
+  const { startingEnergy } = getDifficultySettings(difficulty);
+  return {
+    player: startingEnergy?.player ?? DEFAULT_STARTING_ENERGY,
+    enemy: startingEnergy?.enemy ?? DEFAULT_STARTING_ENERGY
+  };
+};
+
+/**
+ * Spells that may be brought into a battle - campaign stages can ban spell effects
+ * @param {Array} spells - Spells (spell_effect is checked)
+ * @param {string} difficulty - The difficulty level
+ * @returns {Array} Spells that aren't banned
+ */
+export const filterAllowedSpells = (spells, difficulty) => {
+  const { bannedSpellEffects } = getDifficultySettings(difficulty);
+  if (!bannedSpellEffects?.length) return spells;
+  return spells.filter(spell => !bannedSpellEffects.includes(spell.spell_effect));
+};
+
+/**
+ * Display name for a difficulty - "Hard", "Daily Challenge", "Gauntlet Wave 3", or the stage name for a campaign stage
+ * @param {string} difficulty - The difficulty level
+ * @returns {string}
+ */
+export const getDifficultyLabel = (difficulty) => {
+  const stage = getCampaignStage(difficulty);
+  if (stage) return stage.name;
+  if (getDailyChallenge(difficulty)) return 'Daily Challenge';
+  const gauntletWave = getGauntletWave(difficulty);
+  if (gauntletWave) return `Gauntlet Wave ${gauntletWave.wave}`;
+  return difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+};
+
+/**
+ * AI behaviour tier for a difficulty - lets custom profiles pick which AI they face
+ * @param {string} difficulty - The difficulty level
+ * @returns {string} 'easy', 'medium', 'hard', 'expert' or 'master'
+ */
+export const getAITier = (difficulty) => {
+  const { enemyAILevel } = getDifficultySettings(difficulty);
+  return AI_TIERS[Math.max(0, Math.min(AI_TIERS.length - 1, (enemyAILevel || 2) - 1))];
+};
+
+/**
+ * Field size limits for both sides - the single source for the battlefield
+ * slots, the action validator, the AI and the simulator
+ * @param {string} difficulty - The difficulty level
+ * @returns {Object} { player, enemy } maximum creatures on the field
+ */
+export const getFieldSizeLimits = (difficulty) => {
+  const { fieldSize } = getDifficultySettings(difficulty);
+  return {
+    player: fieldSize?.player || DEFAULT_PROFILE.fieldSize.player,
+    enemy: fieldSize?.enemy || DEFAULT_PROFILE.fieldSize.enemy
+  };
+};
+
+/**
+ * Human-readable rules for a difficulty (shown on the difficulty selector)
+ * @param {string} difficulty - The difficulty level
+ * @returns {Array} Rules as { label, value }
+ */
+export const getRulesSummary = (difficulty) => {
+  const settings = getDifficultySettings(difficulty);
+  const fieldSize = getFieldSizeLimits(difficulty);
+  
+  const rules = [
+    { label: 'Your field', value: `${fieldSize.player} creatures` },
+    { label: 'Enemy field', value: `${fieldSize.enemy} creatures` },
+    { label: 'Enemy deck', value: `${settings.enemyDeckSize} creatures` },
+    { label: 'Your energy regen', value: `+${settings.energyRegen} per turn` },
+    { label: 'Enemy energy regen', value: `+${settings.enemyEnergyRegen} per turn` },
+    { label: 'Enemy stats', value: `${Math.round(settings.enemyStatsMultiplier * 100)}%` },
+    { label: 'Enemy forms', value: `${settings.enemyCreatureLevel.min}-${settings.enemyCreatureLevel.max}` },
+    { label: 'Max energy', value: `${settings.maxEnergy}` },
+    { label: 'Max hand size', value: `${settings.maxHandSize} cards` },
+    { label: 'Enemy AI', value: getAITier(difficulty).charAt(0).toUpperCase() + getAITier(difficulty).slice(1) }
+  ];
+  
+  // Campaign stages and daily challenges can change the starting energy; stages can ban spells
+  if (settings.startingEnergy) {
+    rules.push({ label: 'Starting energy', value: `${settings.startingEnergy.player} (enemy ${settings.startingEnergy.enemy})` });
+  }
+  if (settings.bannedSpellEffects?.length > 0) {
+    rules.push({ label: 'Banned spells', value: settings.bannedSpellEffects.join(', ') });
+  }
   
-  return settings[difficulty] || settings.medium;
+  // Daily challenge modifiers
+  if (settings.spellEnergyCost !== undefined) {
+    rules.push({ label: 'Spell cost', value: `${settings.spellEnergyCost} energy` });
+  }
+  if (settings.noDefending) {
+    rules.push({ label: 'Defending', value: 'Not allowed' });
+  }
+  
+  return rules;
 };
 
 // ===== ENEMY CREATURE GENERATION =====
 // Generate enemy creatures based on difficulty - BALANCED FOR FAIR GAMEPLAY
-export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures = []) => {
+export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures = [], rng = Math.random) => {
   const settings = getDifficultySettings(difficulty);
   
+  // NEW: Campaign stages field their authored team
+  if (settings.enemies) {
+    return createStageEnemies(settings, rng);
+  }
+  
+  // Profiles built on a base difficulty (daily challenges, gauntlet waves) generate as that difficulty
+  const tier = settings.baseDifficulty || difficulty;
+  
   // Use the deck size from settings
   const maxCreatureCount = settings.enemyDeckSize || 5;
   const adjustedCount = Math.min(count, maxCreatureCount);
@@ -133,37 +353,37 @@ export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures =
   // ===== BALANCED ENEMY GENERATION =====
   for (let i = 0; i < adjustedCount; i++) {
     // Generate a creature with appropriate rarity
-    const rarity = selectRarity(settings.enemyRarity);
+    const rarity = selectRarity(settings.enemyRarity, rng);
     
     // Generate form level within allowed range
     let form;
-    if (difficulty === 'expert') {
-      // Expert has higher chance for max form
-      form = Math.random() < 0.6 ? settings.enemyCreatureLevel.max : 
-             Math.floor(Math.random() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)) + settings.enemyCreatureLevel.min;
-    } else if (difficulty === 'hard') {
+    if (tier === 'expert' || tier === 'master') {
+      // Expert (and Master) has higher chance for max form
+      form = rng() < 0.6 ? settings.enemyCreatureLevel.max : 
+             Math.floor(rng() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)) + settings.enemyCreatureLevel.min;
+    } else if (tier === 'hard') {
       // Hard has balanced distribution
       form = Math.floor(
-        Math.random() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)
+        rng() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)
       ) + settings.enemyCreatureLevel.min;
     } else {
       // Easy/Medium bias toward lower forms
-      form = Math.random() < 0.7 ? settings.enemyCreatureLevel.min : 
-             Math.floor(Math.random() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)) + settings.enemyCreatureLevel.min;
+      form = rng() < 0.7 ? settings.enemyCreatureLevel.min : 
+             Math.floor(rng() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)) + settings.enemyCreatureLevel.min;
     }
     
     // Select a species ID - either from player creatures or random
     let speciesId;
     if (speciesPool.length > 0) {
-      speciesId = speciesPool[Math.floor(Math.random() * speciesPool.length)];
+      speciesId = speciesPool[Math.floor(rng() * speciesPool.length)];
     } else {
       // Get a random template if we don't have player species
-      const template = getRandomCreatureTemplate();
+      const template = getRandomCreatureTemplate(rng);
       speciesId = template.id;
     }
     
     // Generate stats aligned with balanced gameplay
-    const stats = generateEnemyStats(rarity, form, settings.enemyStatsMultiplier);
+    const stats = generateEnemyStats(rarity, form, settings.enemyStatsMultiplier, rng);
     
     // Determine specialty stats
     let specialtyStats = [];
@@ -172,19 +392,19 @@ export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures =
     const statTypes = ['energy', 'strength', 'magic', 'stamina', 'speed'];
     
     // Balanced specialty count
-    const specialtyCount = (difficulty === 'hard' || difficulty === 'expert') ? 
-      (Math.random() < 0.6 ? 2 : 1) : // 60% chance for 2 specialty stats on harder
-      (Math.random() < 0.3 ? 2 : 1);  // 30% chance for 2 specialty stats on easier
+    const specialtyCount = ['hard', 'expert', 'master'].includes(tier) ? 
+      (rng() < 0.6 ? 2 : 1) : // 60% chance for 2 specialty stats on harder
+      (rng() < 0.3 ? 2 : 1);  // 30% chance for 2 specialty stats on easier
     
     for (let j = 0; j < specialtyCount; j++) {
       // Select a random stat that's not already included
       const availableStats = statTypes.filter(stat => !specialtyStats.includes(stat));
-      const randomStat = availableStats[Math.floor(Math.random() * availableStats.length)];
+      const randomStat = availableStats[Math.floor(rng() * availableStats.length)];
       specialtyStats.push(randomStat);
     }
     
     // Create the enemy creature
-    const creature = createEnemyCreature(speciesId, form, rarity, stats);
+    const creature = createEnemyCreature(speciesId, form, rarity, stats, rng);
     
     // Add specialty stats to the creature
     creature.specialty_stats = specialtyStats;
@@ -193,11 +413,11 @@ export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures =
     applyEvolutionBoosts(creature, form);
     
     // Add random stat upgrades to simulate player progression
-    addRandomStatUpgrades(creature, form, difficulty);
+    addRandomStatUpgrades(creature, form, tier, rng);
     
     // Add combination bonuses on harder difficulties
-    if ((difficulty === 'hard' || difficulty === 'expert') && Math.random() < 0.3) {
-      const combinationLevel = Math.floor(Math.random() * 2) + 1; // 1-2 combination levels
+    if (['hard', 'expert', 'master'].includes(tier) && rng() < 0.3) {
+      const combinationLevel = Math.floor(rng() * 2) + 1; // 1-2 combination levels
       creature.combination_level = combinationLevel;
       applyCombinationBonuses(creature, combinationLevel);
     }
@@ -214,9 +434,10 @@ export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures =
  * Generate enemy tools based on difficulty
  * @param {string} difficulty - The difficulty level
  * @param {number} count - Number of tools to generate
+ * @param {Function} rng - Random source (defaults to Math.random)
  * @returns {Array} Array of enemy tools
  */
-export const generateEnemyTools = (difficulty, count = 2) => {
+export const generateEnemyTools = (difficulty, count = 2, rng = Math.random) => {
   const settings = getDifficultySettings(difficulty);
   const tools = [];
   
@@ -229,18 +450,21 @@ export const generateEnemyTools = (difficulty, count = 2) => {
     easy: { Common: 0.8, Rare: 0.2, Epic: 0, Legendary: 0 },
     medium: { Common: 0.6, Rare: 0.3, Epic: 0.1, Legendary: 0 },
     hard: { Common: 0.4, Rare: 0.4, Epic: 0.15, Legendary: 0.05 },
-    expert: { Common: 0.2, Rare: 0.4, Epic: 0.3, Legendary: 0.1 }
+    expert: { Common: 0.2, Rare: 0.4, Epic: 0.3, Legendary: 0.1 },
+    master: { Common: 0.2, Rare: 0.4, Epic: 0.3, Legendary: 0.1 }
   };
   
-  const distribution = rarityDistribution[difficulty] || rarityDistribution.medium;
+  // Campaign stages, daily challenges and gauntlet waves use their base difficulty's items
+  const itemDifficulty = settings.baseDifficulty || difficulty;
+  const distribution = rarityDistribution[itemDifficulty] || rarityDistribution.medium;
   
   for (let i = 0; i < count; i++) {
     // Select random type and effect
-    const toolType = toolTypes[Math.floor(Math.random() * toolTypes.length)];
-    const toolEffect = toolEffects[Math.floor(Math.random() * toolEffects.length)];
+    const toolType = toolTypes[Math.floor(rng() * toolTypes.length)];
+    const toolEffect = toolEffects[Math.floor(rng() * toolEffects.length)];
     
     // Generate rarity
-    const rarity = selectItemRarity(distribution);
+    const rarity = selectItemRarity(distribution, rng);
     
     // Create tool object
     const tool = {
@@ -251,7 +475,7 @@ export const generateEnemyTools = (difficulty, count = 2) => {
       rarity: rarity,
       image_url: `/assets/tools/${toolType}_${toolEffect.toLowerCase()}.png`,
       description: generateToolDescription(toolType, toolEffect, rarity),
-      power_level: calculateItemPowerLevel(rarity, difficulty),
+      power_level: calculateItemPowerLevel(rarity, itemDifficulty),
       usage_cost: 0 // Tools are free
     };
     
@@ -265,9 +489,10 @@ export const generateEnemyTools = (difficulty, count = 2) => {
  * Generate enemy spells based on difficulty
  * @param {string} difficulty - The difficulty level
  * @param {number} count - Number of spells to generate
+ * @param {Function} rng - Random source (defaults to Math.random)
  * @returns {Array} Array of enemy spells
  */
-export const generateEnemySpells = (difficulty, count = 2) => {
+export const generateEnemySpells = (difficulty, count = 2, rng = Math.random) => {
   const settings = getDifficultySettings(difficulty);
   const spells = [];
   
@@ -280,18 +505,21 @@ export const generateEnemySpells = (difficulty, count = 2) => {
     easy: { Common: 0.7, Rare: 0.25, Epic: 0.05, Legendary: 0 },
     medium: { Common: 0.5, Rare: 0.35, Epic: 0.13, Legendary: 0.02 },
     hard: { Common: 0.3, Rare: 0.4, Epic: 0.25, Legendary: 0.05 },
-    expert: { Common: 0.1, Rare: 0.3, Epic: 0.45, Legendary: 0.15 }
+    expert: { Common: 0.1, Rare: 0.3, Epic: 0.45, Legendary: 0.15 },
+    master: { Common: 0.1, Rare: 0.3, Epic: 0.45, Legendary: 0.15 }
   };
   
-  const distribution = rarityDistribution[difficulty] || rarityDistribution.medium;
+  // Campaign stages, daily challenges and gauntlet waves use their base difficulty's items
+  const itemDifficulty = settings.baseDifficulty || difficulty;
+  const distribution = rarityDistribution[itemDifficulty] || rarityDistribution.medium;
   
   for (let i = 0; i < count; i++) {
     // Select random type and effect
-    const spellType = spellTypes[Math.floor(Math.random() * spellTypes.length)];
-    const spellEffect = spellEffects[Math.floor(Math.random() * spellEffects.length)];
+    const spellType = spellTypes[Math.floor(rng() * spellTypes.length)];
+    const spellEffect = spellEffects[Math.floor(rng() * spellEffects.length)];
     
     // Generate rarity
-    const rarity = selectItemRarity(distribution);
+    const rarity = selectItemRarity(distribution, rng);
     
     // Create spell object
     const spell = {
@@ -302,7 +530,7 @@ export const generateEnemySpells = (difficulty, count = 2) => {
       rarity: rarity,
       image_url: `/assets/spells/${spellType}_${spellEffect.toLowerCase()}.png`,
       description: generateSpellDescription(spellType, spellEffect, rarity),
-      power_level: calculateItemPowerLevel(rarity, difficulty),
+      power_level: calculateItemPowerLevel(rarity, itemDifficulty),
       mana_cost: 4 // Standard spell cost
     };
     
@@ -315,9 +543,10 @@ export const generateEnemySpells = (difficulty, count = 2) => {
 /**
  * Generate a balanced set of enemy items (tools and spells)
  * @param {string} difficulty - The difficulty level
+ * @param {Function} rng - Random source (defaults to Math.random)
  * @returns {Object} Object containing tools and spells arrays
  */
-export const generateEnemyItems = (difficulty) => {
+export const generateEnemyItems = (difficulty, rng = Math.random) => {
   const settings = getDifficultySettings(difficulty);
   
   // Calculate item counts based on difficulty
@@ -325,14 +554,15 @@ export const generateEnemyItems = (difficulty) => {
     easy: { tools: 1, spells: 0 },     // Easy: Only basic tools
     medium: { tools: 2, spells: 1 },   // Medium: Tools + some spells
     hard: { tools: 2, spells: 2 },     // Hard: Balanced tools and spells
-    expert: { tools: 3, spells: 3 }    // Expert: Many powerful items
+    expert: { tools: 3, spells: 3 },   // Expert: Many powerful items
+    master: { tools: 3, spells: 3 }    // Master: Expert items, smarter AI
   };
   
-  const counts = itemCounts[difficulty] || itemCounts.medium;
+  const counts = settings.enemyItems || itemCounts[settings.baseDifficulty || difficulty] || itemCounts.medium;
   
   return {
-    tools: generateEnemyTools(difficulty, counts.tools),
-    spells: generateEnemySpells(difficulty, counts.spells)
+    tools: generateEnemyTools(difficulty, counts.tools, rng),
+    spells: generateEnemySpells(difficulty, counts.spells, rng)
   };
 };
 
@@ -343,11 +573,12 @@ export const generateEnemyItems = (difficulty) => {
  * @param {string} difficulty - The difficulty level
  * @param {number} creatureCount - Number of creatures to generate
  * @param {Array} playerCreatures - Player's creatures for adaptive generation
+ * @param {Function} rng - Random source (defaults to Math.random)
  * @returns {Object} Complete enemy loadout with creatures, tools, and spells
  */
-export const generateCompleteEnemyLoadout = (difficulty, creatureCount, playerCreatures = []) => {
-  const creatures = generateEnemyCreatures(difficulty, creatureCount, playerCreatures);
-  const items = generateEnemyItems(difficulty);
+export const generateCompleteEnemyLoadout = (difficulty, creatureCount, playerCreatures = [], rng = Math.random) => {
+  const creatures = generateEnemyCreatures(difficulty, creatureCount, playerCreatures, rng);
+  const items = generateEnemyItems(difficulty, rng);
   
   return {
     creatures,
@@ -361,8 +592,8 @@ export const generateCompleteEnemyLoadout = (difficulty, creatureCount, playerCr
 // ===== PRIVATE HELPER FUNCTIONS =====
 
 // Select rarity based on probability distribution (for creatures)
-function selectRarity(rarityDistribution) {
-  const rnd = Math.random();
+function selectRarity(rarityDistribution, rng = Math.random) {
+  const rnd = rng();
   let cumulativeProbability = 0;
   
   for (const [rarity, probability] of Object.entries(rarityDistribution)) {
@@ -379,8 +610,8 @@ function selectRarity(rarityDistribution) {
  * Select item rarity based on probability distribution (for items)
  * @private
  */
-function selectItemRarity(distribution) {
-  const random = Math.random();
+function selectItemRarity(distribution, rng = Math.random) {
+  const random = rng();
   let cumulative = 0;
   
   for (const [rarity, probability] of Object.entries(distribution)) {
@@ -393,8 +624,32 @@ function selectItemRarity(distribution) {
   return 'Common'; // Fallback
 }
 
+// Build a campaign stage's fixed enemy team - species, form and rarity come from the stage,
+// only the stat spread is rolled
+function createStageEnemies(settings, rng = Math.random) {
+  return settings.enemies.map(enemy => {
+    const stats = generateEnemyStats(enemy.rarity, enemy.form, settings.enemyStatsMultiplier, rng);
+    const creature = createEnemyCreature(enemy.speciesId, enemy.form, enemy.rarity, stats, rng);
+    
+    applyEvolutionBoosts(creature, enemy.form);
+    addRandomStatUpgrades(creature, enemy.form, settings.baseDifficulty, rng);
+    
+    if (enemy.boss) {
+      Object.keys(creature.stats).forEach(stat => {
+        creature.stats[stat] += BOSS_STAT_BONUS;
+      });
+      creature.isBoss = true;
+    }
+    if (enemy.name) {
+      creature.species_name = enemy.name;
+    }
+    
+    return creature;
+  });
+}
+
 // Generate stats based on balanced scaling
-function generateEnemyStats(rarity, form, statsMultiplier) {
+function generateEnemyStats(rarity, form, statsMultiplier, rng = Math.random) {
   // Base stats based on rarity (per technical documentation)
   let baseStats;
   switch (rarity) {
@@ -415,7 +670,7 @@ function generateEnemyStats(rarity, form, statsMultiplier) {
   const stats = {};
   for (const [stat, value] of Object.entries(baseStats)) {
     // Apply the difficulty multiplier with some variance
-    const variance = 0.9 + (Math.random() * 0.2); // ±10% variance
+    const variance = 0.9 + (rng() * 0.2); // ±10% variance
     stats[stat] = Math.round(value * statsMultiplier * variance);
     
     // Ensure stats don't go below 1 or above reasonable maximums
@@ -462,7 +717,7 @@ function applyEvolutionBoosts(creature, form) {
 }
 
 // Add random stat upgrades to simulate player progression
-function addRandomStatUpgrades(creature, form, difficulty) {
+function addRandomStatUpgrades(creature, form, difficulty, rng = Math.random) {
   if (!creature || !creature.stats) return;
   
   const stats = creature.stats;
@@ -482,6 +737,7 @@ function addRandomStatUpgrades(creature, form, difficulty) {
       totalUpgrades += 4;
       break;
     case 'expert':
+    case 'master':
       totalUpgrades += 6;
       break;
   }
@@ -491,12 +747,12 @@ function addRandomStatUpgrades(creature, form, difficulty) {
     let statToUpgrade;
     
     // 50% chance to upgrade a specialty stat if available
-    if (creature.specialty_stats && creature.specialty_stats.length > 0 && Math.random() < 0.5) {
-      statToUpgrade = creature.specialty_stats[Math.floor(Math.random() * creature.specialty_stats.length)];
+    if (creature.specialty_stats && creature.specialty_stats.length > 0 && rng() < 0.5) {
+      statToUpgrade = creature.specialty_stats[Math.floor(rng() * creature.specialty_stats.length)];
     } else {
       // Select a random stat to upgrade
       const availableStats = Object.keys(stats);
-      statToUpgrade = availableStats[Math.floor(Math.random() * availableStats.length)];
+      statToUpgrade = availableStats[Math.floor(rng() * availableStats.length)];
     }
     
     // Add upgrade points
@@ -541,7 +797,8 @@ function calculateItemPowerLevel(rarity, difficulty) {
     easy: 0.9,
     medium: 1.0,
     hard: 1.1,
-    expert: 1.2
+    expert: 1.2,
+    master: 1.2
   };
   
   return basePower * (difficultyMultipliers[difficulty] || 1.0);
@@ -639,6 +896,11 @@ export const getDifficultyTips = (difficulty) => {
       "Enemy creatures are 50% stronger",
       "AI plays near-perfectly with multi-action turns",
       "Prepare for intense battles with powerful items"
+    ],
+    master: [
+      "Expert-strength enemies with a much smarter AI",
+      "AI simulates its options before every move",
+      "Expect it to punish weak creatures left exposed"
     ]
   };
   
@@ -660,7 +922,8 @@ export const calculateDifficultyRating = (playerCreatures, difficulty) => {
     easy: 0.8,
     medium: 1.0,
     hard: 1.3,
-    expert: 1.7
+    expert: 1.7,
+    master: 1.9
   };
   
   const enemyPower = playerPower * (difficultyMultipliers[difficulty] || 1.0);
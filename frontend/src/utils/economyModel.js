@@ -0,0 +1,207 @@
+// src/utils/economyModel.js - WHAT A MACHINE LAYOUT EARNS OVER TIME
+// Base numbers come from machineTypes in GameContext; the per-level rules below follow the
+// in-game help. The server has the final say, so every projection here is an estimate.
+
+export const ECONOMY_RESOURCES = ['tcorvax', 'catNips', 'energy', 'eggs'];
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Cat's Lair: base Cat Nips + 1 per level above 1
+const CAT_LAIR_NIPS_PER_LEVEL = 1;
+
+// Reactor: base TCorvax + 0.5 per level above 1, burns Cat Nips on every activation
+const REACTOR_TCORVAX_PER_LEVEL = 0.5;
+const REACTOR_CAT_NIPS_FUEL = 3;
+
+// Amplifier: needs 2 Energy per level every 24 hours to stay online
+const AMPLIFIER_DAILY_ENERGY_PER_LEVEL = 2;
+
+// Incubator: rewards scale with the sCVX the player has staked
+const INCUBATOR_SCVX_PER_TCORVAX = 100;
+const INCUBATOR_MAX_BASE_TCORVAX = 10;
+const INCUBATOR_LEVEL2_SCVX_PER_TCORVAX = 1000;
+const INCUBATOR_SCVX_PER_EGG = 500;
+
+// Machines that activate in the same instant: Cat's Lairs first so Reactors can burn their Cat Nips
+const ACTIVATION_ORDER = { catLair: 0, reactor: 1, incubator: 2, fomoHit: 3 };
+
+const emptyResources = () => ({ tcorvax: 0, catNips: 0, energy: 0, eggs: 0 });
+
+/**
+ * Build cost of the next machine of a type - 4x for the second Cat's Lair or Reactor,
+ * a fixed price for the third Reactor
+ * @param {Object} machineTypes - machineTypes from GameContext
+ * @param {string} type - Machine type
+ * @param {number} builtCount - How many of this type are already built
+ * @returns {Object} { tcorvax?, catNips?, energy? }
+ */
+export const getMachineBuildCost = (machineTypes, type, builtCount) => {
+  const base = machineTypes[type]?.baseCost || {};
+
+  if ((type === "catLair" || type === "reactor") && builtCount === 1) {
+    const multiplied = {};
+    for (const k in base) {
+      multiplied[k] = base[k] * 4;
+    }
+    return multiplied;
+  }
+
+  // Special case for third reactor
+  if (type === "reactor" && builtCount === 2) {
+    return { tcorvax: 640, catNips: 640 };
+  }
+
+  return { ...base };
+};
+
+/**
+ * Estimated cost of the next level: the type's base cost times the new level
+ * @param {Object} machineTypes - machineTypes from GameContext
+ * @param {Object} machine - { type, level }
+ * @returns {Object|null} Cost, or null when the machine is at max level
+ */
+export const getMachineUpgradeCost = (machineTypes, machine) => {
+  const info = machineTypes[machine.type];
+  if (!info || machine.level >= (info.maxLevel || 1)) return null;
+
+  const cost = {};
+  Object.entries(info.baseCost || {}).forEach(([resource, amount]) => {
+    cost[resource] = amount * (machine.level + 1);
+  });
+  return cost;
+};
+
+/**
+ * What one activation produces and burns
+ * @param {Object} machineTypes - machineTypes from GameContext
+ * @param {Object} machine - { type, level, lastActivated }
+ * @param {Object} options
+ * @param {number} options.amplifierLevel - Level of an online Amplifier (0 when none or offline)
+ * @param {number} options.stakedCvx - sCVX held, for the Incubator
+ * @returns {Object} { produced, consumed } - resource maps
+ */
+export const getActivationYield = (machineTypes, machine, { amplifierLevel = 0, stakedCvx = 0 } = {}) => {
+  const production = machineTypes[machine.type]?.production || {};
+  const produced = emptyResources();
+  const consumed = emptyResources();
+  const levelsAboveOne = Math.max(0, (machine.level || 1) - 1);
+
+  if (machine.type === 'catLair') {
+    produced.catNips = (production.catNips || 0) + CAT_LAIR_NIPS_PER_LEVEL * levelsAboveOne;
+  } else if (machine.type === 'reactor') {
+    const boost = (machineTypes.amplifier?.boost?.tcorvax || 0) * amplifierLevel;
+    produced.tcorvax = (production.tcorvax || 0) + REACTOR_TCORVAX_PER_LEVEL * levelsAboveOne + boost;
+    produced.energy = production.energy || 0;
+    consumed.catNips = REACTOR_CAT_NIPS_FUEL;
+  } else if (machine.type === 'incubator') {
+    produced.tcorvax = Math.min(INCUBATOR_MAX_BASE_TCORVAX, Math.floor(stakedCvx / INCUBATOR_SCVX_PER_TCORVAX));
+    if (machine.level >= 2) {
+      produced.tcorvax += Math.floor(stakedCvx / INCUBATOR_LEVEL2_SCVX_PER_TCORVAX);
+    }
+    produced.eggs = Math.floor(stakedCvx / INCUBATOR_SCVX_PER_EGG);
+  } else if (machine.type === 'fomoHit') {
+    // Produces only once its NFT is minted
+    produced.tcorvax = machine.lastActivated === 0 ? 0 : (production.tcorvax || 0);
+  }
+
+  return { produced, consumed };
+};
+
+const canCover = (resources, cost) => (
+  Object.keys(cost).every(resource => (resources[resource] || 0) >= cost[resource])
+);
+
+/**
+ * Project resources over the next hours, activating every machine the moment its cooldown
+ * ends. Reactors wait for Cat Nips when there aren't enough to fuel them, and the Amplifier
+ * goes offline on any day its Energy upkeep can't be paid.
+ * @param {Object} params
+ * @param {Object} params.machineTypes - machineTypes from GameContext
+ * @param {Array} params.machines - Current machines
+ * @param {Object} params.resources - Current { tcorvax, catNips, energy, eggs }
+ * @param {number} params.hours - How far ahead to project
+ * @param {number} [params.stakedCvx] - sCVX held, for the Incubator
+ * @param {number} [params.now] - Start time (defaults to Date.now())
+ * @returns {Object} { startAt, endAt, timeline: [{ at, resources }], hourly: [{ hour, resources }], produced, activations }
+ */
+export const forecastEconomy = ({ machineTypes, machines, resources, hours, stakedCvx = 0, now = Date.now() }) => {
+  const endAt = now + hours * HOUR_MS;
+  const current = { ...emptyResources(), ...resources };
+  const produced = emptyResources();
+  const timeline = [{ at: now, resources: { ...current } }];
+
+  const amplifier = machines.find(m => m.type === 'amplifier') || null;
+  let amplifierOnline = Boolean(amplifier) && !amplifier.isOffline;
+  let nextUpkeepAt = now + DAY_MS;
+
+  // Producing machines with the time each one is next ready
+  const schedule = machines
+    .filter(m => ACTIVATION_ORDER[m.type] !== undefined)
+    .map(m => ({
+      machine: m,
+      readyAt: Math.max(now, (m.lastActivated || 0) + (machineTypes[m.type]?.cooldown || HOUR_MS))
+    }));
+
+  let activations = 0;
+  for (;;) {
+    const due = schedule
+      .filter(entry => entry.readyAt <= endAt)
+      .sort((a, b) => a.readyAt - b.readyAt || ACTIVATION_ORDER[a.machine.type] - ACTIVATION_ORDER[b.machine.type])[0];
+
+    // Pay the Amplifier's upkeep whenever a day passes before the next activation
+    if (amplifier && nextUpkeepAt <= endAt && (!due || nextUpkeepAt <= due.readyAt)) {
+      const upkeep = AMPLIFIER_DAILY_ENERGY_PER_LEVEL * amplifier.level;
+      amplifierOnline = current.energy >= upkeep;
+      if (amplifierOnline) current.energy -= upkeep;
+      timeline.push({ at: nextUpkeepAt, resources: { ...current } });
+      nextUpkeepAt += DAY_MS;
+      continue;
+    }
+    if (!due) break;
+
+    const { produced: gained, consumed } = getActivationYield(machineTypes, due.machine, {
+      amplifierLevel: amplifierOnline ? amplifier.level : 0,
+      stakedCvx
+    });
+
+    if (!canCover(current, consumed)) {
+      // Out of fuel - try again right after the next Cat's Lair activation
+      const nextLair = schedule
+        .filter(entry => entry.machine.type === 'catLair' && entry.readyAt > due.readyAt)
+        .sort((a, b) => a.readyAt - b.readyAt)[0];
+      due.readyAt = nextLair ? nextLair.readyAt : Infinity;
+      continue;
+    }
+
+    ECONOMY_RESOURCES.forEach(resource => {
+      current[resource] += gained[resource] - consumed[resource];
+      produced[resource] += gained[resource];
+    });
+    activations++;
+    timeline.push({ at: due.readyAt, resources: { ...current } });
+    due.readyAt += machineTypes[due.machine.type]?.cooldown || HOUR_MS;
+  }
+
+  // Resources at the end of every hour, for charts and tables
+  const hourly = [];
+  let index = 0;
+  for (let hour = 0; hour <= hours; hour++) {
+    const at = now + hour * HOUR_MS;
+    while (index + 1 < timeline.length && timeline[index + 1].at <= at) index++;
+    hourly.push({ hour, resources: timeline[index].resources });
+  }
+
+  return { startAt: now, endAt, timeline, hourly, produced, activations };
+};
+
+/**
+ * When the projected resources first cover a cost
+ * @param {Object} forecast - Result of forecastEconomy
+ * @param {Object} cost - { tcorvax?, catNips?, energy?, eggs? }
+ * @returns {number|null} Timestamp (the forecast start when affordable now), or null if not within the forecast
+ */
+export const findAffordableAt = (forecast, cost) => {
+  const point = forecast.timeline.find(entry => canCover(entry.resources, cost));
+  return point ? point.at : null;
+};
@@ -0,0 +1,204 @@
+// src/utils/gauntlet.js - ENDLESS GAUNTLET OF RISING WAVES
+// A run is a chain of battles. The player's creatures carry their health and effects from
+// one wave to the next, and after each win the player picks one reward for the rest of the
+// run. Every wave is a little stronger than the last; the server records the best wave reached.
+import { calculateDerivedStats } from './battleCalculations';
+
+// Wave N is fought as the difficulty "gauntlet:<N>"
+export const GAUNTLET_DIFFICULTY_PREFIX = 'gauntlet:';
+
+// Base difficulty profile by wave - the AI, energy and enemy rarities step up with it
+const GAUNTLET_TIERS = [
+  { fromWave: 1, baseDifficulty: 'easy' },
+  { fromWave: 4, baseDifficulty: 'medium' },
+  { fromWave: 7, baseDifficulty: 'hard' },
+  { fromWave: 11, baseDifficulty: 'expert' },
+  { fromWave: 16, baseDifficulty: 'master' }
+];
+
+// Enemy stats start below Easy and grow every wave
+const WAVE_STATS_MULTIPLIER = { start: 0.8, perWave: 0.06, max: 2.5 };
+const MAX_FORM = 3;
+const MAX_WAVE_ENEMIES = 6;
+
+export const GAUNTLET_REWARD_TYPES = {
+  HEAL: 'heal',
+  TOOL: 'tool',
+  BUFF: 'buff'
+};
+
+// Share of max health the heal reward restores
+const HEAL_FRACTION = 0.5;
+
+const REWARD_STATS = ['energy', 'strength', 'magic', 'stamina', 'speed'];
+const TOOL_EFFECTS = ['Surge', 'Shield', 'Echo', 'Drain', 'Charge'];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Difficulty id for a gauntlet wave
+ * @param {number} wave - Wave number, from 1
+ * @returns {string} e.g. 'gauntlet:3'
+ */
+export const getGauntletDifficulty = (wave = 1) => `${GAUNTLET_DIFFICULTY_PREFIX}${wave}`;
+
+export const isGauntletDifficulty = (difficulty) => (
+  typeof difficulty === 'string' && difficulty.startsWith(GAUNTLET_DIFFICULTY_PREFIX)
+);
+
+/**
+ * The wave behind a gauntlet difficulty id
+ * @param {string} difficulty - e.g. 'gauntlet:3'
+ * @returns {Object|null} { wave, difficulty, baseDifficulty, rules }, or null.
+ *   rules holds the difficulty profile values the wave overrides.
+ */
+export const getGauntletWave = (difficulty) => {
+  if (!isGauntletDifficulty(difficulty)) return null;
+  const waveText = difficulty.slice(GAUNTLET_DIFFICULTY_PREFIX.length);
+  if (!/^[1-9]\d{0,3}$/.test(waveText)) return null;
+
+  const wave = Number(waveText);
+  const steps = wave - 1;
+  const { baseDifficulty } = GAUNTLET_TIERS.filter(tier => wave >= tier.fromWave).pop();
+
+  return {
+    wave,
+    difficulty,
+    baseDifficulty,
+    rules: {
+      enemyStatsMultiplier: Math.min(
+        WAVE_STATS_MULTIPLIER.max,
+        Math.round((WAVE_STATS_MULTIPLIER.start + steps * WAVE_STATS_MULTIPLIER.perWave) * 100) / 100
+      ),
+      enemyCreatureLevel: {
+        min: Math.min(MAX_FORM, Math.floor(steps / 5)),
+        max: Math.min(MAX_FORM, 1 + Math.floor(steps / 3))
+      },
+      enemyDeckSize: Math.min(MAX_WAVE_ENEMIES, 3 + Math.floor(steps / 3))
+    }
+  };
+};
+
+// Rewards get stronger the deeper the run goes
+const getToolRarity = (wave) => {
+  if (wave >= 11) return 'Legendary';
+  if (wave >= 7) return 'Epic';
+  if (wave >= 4) return 'Rare';
+  return 'Common';
+};
+
+const getBuffAmount = (wave) => 2 + Math.floor(wave / 5);
+
+/**
+ * The three rewards offered after clearing a wave - one heal, one tool and one stat buff
+ * @param {number} wave - The wave just cleared
+ * @param {Function} rng - Random source (defaults to Math.random)
+ * @returns {Array} [{ type, name, description, ... }] - pass the picked one to applyWaveReward
+ */
+export const getWaveRewardChoices = (wave, rng = Math.random) => {
+  const toolType = REWARD_STATS[Math.floor(rng() * REWARD_STATS.length)];
+  const toolEffect = TOOL_EFFECTS[Math.floor(rng() * TOOL_EFFECTS.length)];
+  const rarity = getToolRarity(wave);
+  const buffStat = REWARD_STATS[Math.floor(rng() * REWARD_STATS.length)];
+  const buffAmount = getBuffAmount(wave);
+
+  return [
+    {
+      type: GAUNTLET_REWARD_TYPES.HEAL,
+      name: 'Field Medic',
+      description: `Every creature recovers ${HEAL_FRACTION * 100}% of its max health.`,
+      fraction: HEAL_FRACTION
+    },
+    {
+      type: GAUNTLET_REWARD_TYPES.TOOL,
+      name: `${rarity} ${toolEffect} ${capitalize(toolType)} Tool`,
+      description: 'A tool lent to you for the rest of this run.',
+      tool: {
+        id: `gauntlet_tool_${wave}`,
+        name: `${rarity} ${toolEffect} ${capitalize(toolType)} Tool`,
+        tool_type: toolType,
+        tool_effect: toolEffect,
+        rarity,
+        image_url: `/assets/tools/${toolType}_${toolEffect.toLowerCase()}.png`,
+        description: 'Lent to you for this gauntlet run.',
+        temporary: true
+      }
+    },
+    {
+      type: GAUNTLET_REWARD_TYPES.BUFF,
+      name: `${capitalize(buffStat)} Training`,
+      description: `+${buffAmount} ${buffStat} for every creature for the rest of this run.`,
+      stat: buffStat,
+      amount: buffAmount
+    }
+  ];
+};
+
+/**
+ * What the player takes into the next wave: every creature still standing, with its
+ * current health and effects, plus the tools and spells not used up yet
+ * @param {Object} battleState - Battle state at the end of a won wave
+ * @returns {Object} Run - { wave (the next one), creatures, tools, spells }
+ */
+export const createNextWaveRun = (battleState) => {
+  const cleared = getGauntletWave(battleState.difficulty);
+  const creatures = [...battleState.playerField, ...battleState.playerHand, ...battleState.playerDeck]
+    .filter(creature => creature.currentHealth > 0)
+    .map(creature => ({ ...creature, isDefending: false }));
+
+  return {
+    wave: (cleared?.wave || 0) + 1,
+    creatures,
+    tools: battleState.playerTools || [],
+    spells: battleState.playerSpells || []
+  };
+};
+
+// Raise a base stat and carry the change through to the battle stats, keeping
+// anything tools and spells have already done to them
+const buffCreature = (creature, stat, amount) => {
+  const buffed = { ...creature, stats: { ...creature.stats, [stat]: (creature.stats?.[stat] || 0) + amount } };
+  const before = calculateDerivedStats(creature);
+  const after = calculateDerivedStats(buffed);
+
+  const battleStats = { ...creature.battleStats };
+  Object.keys(after).forEach(key => {
+    if (key !== 'energyCost' && battleStats[key] !== undefined) {
+      battleStats[key] += after[key] - before[key];
+    }
+  });
+
+  return {
+    ...buffed,
+    battleStats,
+    currentHealth: creature.currentHealth + Math.max(0, after.maxHealth - before.maxHealth)
+  };
+};
+
+/**
+ * Apply the reward the player picked between waves
+ * @param {Object} run - From createNextWaveRun
+ * @param {Object} reward - One of getWaveRewardChoices
+ * @returns {Object} Updated run
+ */
+export const applyWaveReward = (run, reward) => {
+  switch (reward?.type) {
+    case GAUNTLET_REWARD_TYPES.HEAL:
+      return {
+        ...run,
+        creatures: run.creatures.map(creature => {
+          const maxHealth = creature.battleStats?.maxHealth || creature.currentHealth;
+          return {
+            ...creature,
+            currentHealth: Math.min(maxHealth, creature.currentHealth + Math.round(maxHealth * reward.fraction))
+          };
+        })
+      };
+    case GAUNTLET_REWARD_TYPES.TOOL:
+      return { ...run, tools: [...run.tools, reward.tool] };
+    case GAUNTLET_REWARD_TYPES.BUFF:
+      return { ...run, creatures: run.creatures.map(creature => buffCreature(creature, reward.stat, reward.amount)) };
+    default:
+      return run;
+  }
+};
@@ -272,7 +272,8 @@ export const calculateEffectPower = (item, casterStats, difficulty = 'medium') =
     case 'easy': powerMultiplier *= 0.9; break;
     case 'medium': powerMultiplier *= 1.0; break;
     case 'hard': powerMultiplier *= 1.1; break;    // Reduced from 1.2
-    case 'expert': powerMultiplier *= 1.2; break;  // Reduced from 1.4
+    case 'expert':
+    case 'master': powerMultiplier *= 1.2; break;  // Reduced from 1.4
   }
   
   // Caster stats scaling (for spells)
@@ -0,0 +1,117 @@
+// src/utils/manifestCosts.js - WHAT A MANIFEST WILL SPEND VS WHAT THE ACCOUNT HOLDS
+// Used by the confirmation step that runs before every manifest is sent to the wallet.
+
+// XRD on mainnet - lock_fee always spends it
+export const XRD_RESOURCE_ADDRESS = 'resource_rdx1tknxxxxxxxxxradxrdxxxxxxxxx009923554798xxxxxxxxxradxrd';
+
+// CALL_METHOD Address("account_...") "withdraw" Address("resource_...") Decimal("250");
+const WITHDRAW_PATTERN = /CALL_METHOD\s+Address\("(account_[^"]+)"\)\s+"withdraw"\s+Address\("(resource_[^"]+)"\)\s+Decimal\("([^"]+)"\)/g;
+
+// CALL_METHOD Address("account_...") "lock_fee" Decimal("10");
+const LOCK_FEE_PATTERN = /CALL_METHOD\s+Address\("(account_[^"]+)"\)\s+"lock_fee"\s+Decimal\("([^"]+)"\)/g;
+
+const shortenAddress = (address) => `${address.slice(0, 14)}…${address.slice(-6)}`;
+
+const fallbackSymbol = (resourceAddress) => (
+  resourceAddress === XRD_RESOURCE_ADDRESS ? 'XRD' : shortenAddress(resourceAddress)
+);
+
+// Decimal strings come back as floats - trim the float noise before showing them
+const roundAmount = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Collect the fungible withdrawals (and fee locks) in a transaction manifest.
+ * Non-fungible withdrawals are not counted.
+ * @param {string} manifest - Transaction manifest text
+ * @returns {Array} [{ accountAddress, resourceAddress, amount }] - one entry per account and resource
+ */
+export const parseManifestWithdrawals = (manifest) => {
+  if (!manifest || typeof manifest !== 'string') return [];
+
+  const totals = new Map();
+  const add = (accountAddress, resourceAddress, amount) => {
+    const value = parseFloat(amount);
+    if (!Number.isFinite(value) || value <= 0) return;
+
+    const key = `${accountAddress}|${resourceAddress}`;
+    const entry = totals.get(key) || { accountAddress, resourceAddress, amount: 0 };
+    totals.set(key, { ...entry, amount: entry.amount + value });
+  };
+
+  for (const [, accountAddress, resourceAddress, amount] of manifest.matchAll(WITHDRAW_PATTERN)) {
+    add(accountAddress, resourceAddress, amount);
+  }
+  for (const [, accountAddress, amount] of manifest.matchAll(LOCK_FEE_PATTERN)) {
+    add(accountAddress, XRD_RESOURCE_ADDRESS, amount);
+  }
+
+  return [...totals.values()];
+};
+
+// Sum of an account's vaults for one resource (vault-aggregated entity details)
+const getFungibleBalance = (accountDetails, resourceAddress) => {
+  const resource = accountDetails?.fungible_resources?.items?.find(item => item.resource_address === resourceAddress);
+  if (!resource) return 0;
+
+  return roundAmount((resource.vaults?.items || []).reduce((sum, vault) => sum + parseFloat(vault.amount || 0), 0));
+};
+
+const getSymbol = (resourceDetails, resourceAddress) => {
+  const symbol = resourceDetails?.metadata?.items?.find(item => item.key === 'symbol');
+  return symbol?.value?.typed?.value || fallbackSymbol(resourceAddress);
+};
+
+/**
+ * Work out what a manifest spends and whether the accounts can cover it
+ * @param {Object} gatewayApi - Initialized GatewayApiClient
+ * @param {string} manifest - Transaction manifest text
+ * @returns {Promise<Object>} { spends: [{ accountAddress, resourceAddress, symbol, amount, balance, shortBy }],
+ *   sufficient: true | false | null (balances unavailable), reason }
+ */
+export const checkManifestCosts = async (gatewayApi, manifest) => {
+  const withdrawals = parseManifestWithdrawals(manifest);
+  if (withdrawals.length === 0) {
+    return { spends: [], sufficient: true, reason: null };
+  }
+
+  const accountAddresses = [...new Set(withdrawals.map(entry => entry.accountAddress))];
+  const resourceAddresses = [...new Set(withdrawals.map(entry => entry.resourceAddress))];
+
+  let details;
+  try {
+    details = await gatewayApi.state.getEntityDetailsVaultAggregated([...accountAddresses, ...resourceAddresses]);
+  } catch (error) {
+    console.error("Could not load balances for manifest check:", error);
+    return {
+      spends: withdrawals.map(entry => ({
+        ...entry,
+        symbol: fallbackSymbol(entry.resourceAddress),
+        balance: null,
+        shortBy: 0
+      })),
+      sufficient: null,
+      reason: "Could not load your balances. Check the amounts in your wallet before signing."
+    };
+  }
+
+  const byAddress = new Map(details.map(item => [item.address, item]));
+
+  const spends = withdrawals.map(entry => {
+    const balance = getFungibleBalance(byAddress.get(entry.accountAddress), entry.resourceAddress);
+    return {
+      ...entry,
+      symbol: getSymbol(byAddress.get(entry.resourceAddress), entry.resourceAddress),
+      balance,
+      shortBy: Math.max(0, roundAmount(entry.amount - balance))
+    };
+  });
+
+  const short = spends.filter(spend => spend.shortBy > 0);
+  return {
+    spends,
+    sufficient: short.length === 0,
+    reason: short.length === 0
+      ? null
+      : `Not enough ${short.map(spend => `${spend.symbol} (need ${spend.shortBy} more)`).join(', ')}`
+  };
+};
@@ -0,0 +1,10 @@
+// src/utils/optimisticActions.js
+
+/**
+ * Entity types a pending optimistic change can belong to. Machine and pet actions change
+ * the canvas at once; GameContext keeps each change pending until the server answers.
+ */
+export const OPTIMISTIC_ENTITIES = {
+  MACHINE: 'machine',
+  PET: 'pet'
+};
@@ -0,0 +1,21 @@
+// src/utils/quietLogs.js
+
+/**
+ * Run a function with console.log silenced. The battle modules log every decision,
+ * which floods the console when the simulator or the master AI's search plays
+ * thousands of moves.
+ * @param {Function} fn - Function to run
+ * @param {boolean} quiet - Pass false to keep the logs (defaults to true)
+ * @returns {*} Whatever fn returns
+ */
+export const runQuietly = (fn, quiet = true) => {
+  if (!quiet) return fn();
+
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = originalLog;
+  }
+};
@@ -0,0 +1,67 @@
+// src/utils/seededRandom.js - DETERMINISTIC RANDOM SOURCE FOR BATTLES
+
+/**
+ * Convert a seed (number or string) into an unsigned 32-bit integer
+ * @param {number|string} seed - The seed to normalize
+ * @returns {number} Unsigned 32-bit seed
+ */
+export const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  // Hash strings (e.g. a date or a shared code) with FNV-1a
+  const text = String(seed ?? '');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+/**
+ * Create a fresh random seed for a new battle
+ * @returns {number} Unsigned 32-bit seed
+ */
+export const createBattleSeed = () => {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+};
+
+/**
+ * Create a seeded random function (mulberry32).
+ * The returned function is a drop-in replacement for Math.random, so the same
+ * seed always produces the same sequence of values in [0, 1).
+ * @param {number|string} seed - The battle seed
+ * @returns {Function} Random function with `seed` and `getState()` attached
+ */
+export const createSeededRandom = (seed) => {
+  const initialSeed = normalizeSeed(seed);
+  let state = initialSeed;
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.seed = initialSeed;
+  random.getState = () => state;
+
+  return random;
+};
+
+/**
+ * Restore a seeded random function from a saved internal state
+ * @param {number} seed - The original battle seed
+ * @param {number} state - The state returned by getState()
+ * @returns {Function} Random function continuing the saved sequence
+ */
+export const restoreSeededRandom = (seed, state) => {
+  const random = createSeededRandom(state);
+  random.seed = normalizeSeed(seed);
+  return random;
+};
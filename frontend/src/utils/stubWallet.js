@@ -0,0 +1,94 @@
+// src/utils/stubWallet.js - STAND-IN FOR THE RADIX DAPP TOOLKIT WHEN THE MOCK API IS ON
+// Shares the mock accounts and auto-approves every manifest through /api/mockWallet/submit,
+// so the whole game runs without a wallet or a backend (see mock/mockApi.js).
+
+// Set VITE_MOCK_API=true to run against the mock backend
+export const isMockApiEnabled = () => import.meta.env.VITE_MOCK_API === 'true';
+
+// Same result shape as the toolkit's neverthrow results
+const okResult = (value) => ({ isErr: () => false, isOk: () => true, value });
+const errResult = (error) => ({ isErr: () => true, isOk: () => false, error });
+
+/**
+ * Create an object with the parts of the RadixDappToolkit API the game uses
+ * @returns {Object} { buttonApi, walletApi, destroy }
+ */
+export const createStubWallet = () => {
+  const listeners = new Set();
+  let walletData = { accounts: [], personaData: [], proofs: [] };
+  let connectResponseCallback = null;
+  let destroyed = false;
+
+  const emit = () => {
+    listeners.forEach(listener => listener(walletData));
+  };
+
+  // "Connect" as soon as the mock accounts are known
+  const connect = async () => {
+    try {
+      const response = await fetch('/api/mockWallet/accounts');
+      const data = await response.json();
+      if (destroyed) return null;
+
+      walletData = { ...walletData, accounts: data.accounts || [] };
+      console.log('Stub wallet connected with mock accounts:', walletData.accounts);
+      emit();
+      if (connectResponseCallback) connectResponseCallback(okResult(walletData));
+      return okResult(walletData);
+    } catch (error) {
+      console.error('Stub wallet could not load mock accounts:', error);
+      return errResult(error);
+    }
+  };
+
+  const walletApi = {
+    setRequestData: () => {},
+    provideConnectResponseCallback: (callback) => {
+      connectResponseCallback = callback;
+    },
+    walletData$: {
+      subscribe: (listener) => {
+        listeners.add(listener);
+        return { unsubscribe: () => listeners.delete(listener) };
+      }
+    },
+    getWalletData: () => walletData,
+    sendRequest: connect,
+
+    // Auto-approve: the mock backend records the manifest and hands back a fake intent hash
+    sendTransaction: async ({ transactionManifest }) => {
+      try {
+        const response = await fetch('/api/mockWallet/submit', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ manifest: transactionManifest })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          return errResult({ error: 'rejectedByUser', message: data.error });
+        }
+        return okResult({ transactionIntentHash: data.transactionIntentHash, status: 'Pending' });
+      } catch (error) {
+        console.error('Stub wallet could not submit transaction:', error);
+        return errResult({ error: 'failedToSubmit', message: error.message });
+      }
+    }
+  };
+
+  connect();
+
+  return {
+    buttonApi: {
+      setTheme: () => {},
+      setMode: () => {}
+    },
+    walletApi,
+    destroy: () => {
+      destroyed = true;
+      listeners.clear();
+    }
+  };
+};
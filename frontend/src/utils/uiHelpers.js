@@ -28,6 +28,8 @@ export const getDifficultyColor = (difficulty) => {
       return '#FF9800'; // Orange
     case 'expert':
       return '#FF5722'; // Red
+    case 'master':
+      return '#B71C1C'; // Dark red
     default:
       return '#4CAF50';
   }
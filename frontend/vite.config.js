@@ -1,44 +1,51 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 import path from 'path';
+import { mockApiPlugin } from './mock/mockApi.js';
 
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 3000,
-    proxy: {
-      '/api': {
-        target: 'http://localhost:5000',
-        changeOrigin: true,
-      },
-      '/callback': {
-        target: 'http://localhost:5000',
-        changeOrigin: true,
-      },
-      '/login': {
-        target: 'http://localhost:5000',
-        changeOrigin: true,
+export default defineConfig(({ mode }) => {
+  // VITE_MOCK_API=true serves /api from mock/ with in-memory state instead of proxying to the backend
+  // (set it in the shell or a .env.local file; the client reads the same flag to use the stub wallet)
+  const useMockApi = loadEnv(mode, '.').VITE_MOCK_API === 'true';
+
+  return {
+    plugins: useMockApi ? [react(), mockApiPlugin()] : [react()],
+    server: {
+      port: 3000,
+      proxy: useMockApi ? undefined : {
+        '/api': {
+          target: 'http://localhost:5000',
+          changeOrigin: true,
+        },
+        '/callback': {
+          target: 'http://localhost:5000',
+          changeOrigin: true,
+        },
+        '/login': {
+          target: 'http://localhost:5000',
+          changeOrigin: true,
+        }
       }
-    }
-  },
-  build: {
-    outDir: '../backend/static',
-    emptyOutDir: true,
-    assetsInlineLimit: 0, // Prevent inlining assets
-    rollupOptions: {
-      output: {
-        assetFileNames: 'assets/[name][extname]', // Keep original asset filenames
+    },
+    build: {
+      outDir: '../backend/static',
+      emptyOutDir: true,
+      assetsInlineLimit: 0, // Prevent inlining assets
+      rollupOptions: {
+        output: {
+          assetFileNames: 'assets/[name][extname]', // Keep original asset filenames
+        }
       }
+    },
+    publicDir: 'public',
+    resolve: {
+      alias: {
+        '@': path.resolve(__dirname, './src')
+      }
+    },
+    optimizeDeps: {
+      exclude: ['path']
     }
-  },
-  publicDir: 'public',
-  resolve: {
-    alias: {
-      '@': path.resolve(__dirname, './src')
-    }
-  },
-  optimizeDeps: {
-    exclude: ['path']
-  }
+  };
 });